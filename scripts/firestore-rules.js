@@ -0,0 +1,41 @@
+// Writes the Firestore rules that firebase.json deploys, build/firestore.rules:
+// firestore.rules with this project's Storage bucket filled in, so photo URLs
+// are checked against the bucket the app actually uploads to.
+//
+//   node scripts/firestore-rules.js [--mode production] [--bucket name]
+//
+// The bucket comes from `--bucket`, or else VITE_FIREBASE_STORAGE_BUCKET as
+// Vite reads it for `--mode` (the environment, then .env files).
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { loadEnv } from 'vite'
+
+export const BUCKET_PLACEHOLDER = '__STORAGE_BUCKET__'
+
+const ROOT = new URL('../', import.meta.url)
+
+// Bucket names are lowercase letters, digits, dots, dashes and underscores
+const BUCKET_NAME = /^[a-z0-9][a-z0-9._-]{1,220}[a-z0-9]$/
+
+/** `source` with every `storageBucket()` placeholder replaced by `bucket`. */
+export function renderRules(source, bucket) {
+  if (!bucket || !BUCKET_NAME.test(bucket)) {
+    throw new Error(`Invalid Storage bucket ${JSON.stringify(bucket)}; set VITE_FIREBASE_STORAGE_BUCKET`)
+  }
+  if (!source.includes(`'${BUCKET_PLACEHOLDER}'`)) {
+    throw new Error(`firestore.rules has no '${BUCKET_PLACEHOLDER}' to fill in`)
+  }
+  return source.replaceAll(`'${BUCKET_PLACEHOLDER}'`, `'${bucket}'`)
+}
+
+export const readRulesSource = () => readFileSync(new URL('firestore.rules', ROOT), 'utf8')
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({ options: { mode: { type: 'string', default: 'production' }, bucket: { type: 'string' } } })
+  const bucket = values.bucket || loadEnv(values.mode, fileURLToPath(ROOT), 'VITE_').VITE_FIREBASE_STORAGE_BUCKET
+  mkdirSync(new URL('build/', ROOT), { recursive: true })
+  writeFileSync(new URL('build/firestore.rules', ROOT), renderRules(readRulesSource(), bucket))
+  console.log(`build/firestore.rules: photos must be in gs://${bucket}`)
+}
@@ -1,4 +1,6 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useEffectEvent, useRef, useMemo, useCallback, useReducer } from 'react';
+import { createPortal } from 'react-dom';
+import { renderToStaticMarkup } from 'react-dom/server';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import {
@@ -13,45 +15,316 @@ import {
   Loader2,
   Camera,
   Trash2,
+  Route,
+  Download,
+  Upload,
+  CloudOff,
+  RotateCcw,
+  Pencil,
+  Undo2,
+  Redo2,
+  Delete,
+  Construction,
+  Shield,
+  Flag,
+  Eye,
+  EyeOff,
+  List,
+  Keyboard,
+  BarChart3,
+  UserX,
+  MapPin,
+  ArrowUpDown,
+  DoorOpen,
+  TrendingUp,
+  Armchair,
+  Footprints,
+  Pause,
+  Play,
+  GitMerge,
+  Mail,
+  Languages,
 } from 'lucide-react';
 import { db, auth } from './firebase.js'
-import { collection, addDoc, onSnapshot, serverTimestamp, deleteDoc, doc, getDoc } from 'firebase/firestore'
-import { GoogleAuthProvider, signInWithPopup, signOut, onAuthStateChanged } from 'firebase/auth'
+import { planRoute } from './routing.js'
+import { formatDistance, distanceMeters, pathLength, bearing, compassLabel } from './geo.js'
+import { LANGUAGES, t, plural, formatDate, formatDateTime, useLanguage, setLanguage } from './i18n.js'
+import { segmentsToGeoJSON, segmentsToCSV, downloadFile, parseSegmentsFile, MAX_NOTE_LENGTH } from './segmentIO.js'
+import { useUploadQueue } from './useUploadQueue.js'
+import { loadDraft, saveDraft, clearDraft } from './offlineStore.js'
+import { findSnapTarget, pointKey, toFirestorePath } from './snapping.js'
+import { pathHistoryReducer, initialPathHistory } from './pathHistory.js'
+import {
+  ATTRIBUTE_FIELDS,
+  EMPTY_ATTRIBUTES,
+  DEFAULT_ATTRIBUTE_FILTERS,
+  SURFACE_TYPES,
+  RUNNING_SLOPES,
+  CROSS_SLOPES,
+  MAX_CLEAR_WIDTH_M,
+  normalizeAttributes,
+  validateAttributes,
+  attributesToStore,
+  hasAttributes,
+  matchesAttributeFilters,
+  attributeFiltersActive,
+} from './attributes.js'
+import { summarizeVotes, voteOf } from './verification.js'
+import {
+  OBSTRUCTION_REPORT,
+  isObstruction,
+  normalizeObstruction,
+  existsAt,
+  dateInputValue,
+  startOfDayFromInput,
+  endOfDayFromInput,
+  viewDateFor,
+} from './obstructions.js'
+import { FLAG_REASONS, MAX_FLAG_DETAILS, flagReasonLabel, fetchIsModerator, isHidden, reportCountOf, reportFromDoc, fileReport, clearReports } from './moderation.js'
+import {
+  MAX_PHOTOS,
+  MAX_PHOTO_BYTES,
+  preparePhoto,
+  withPreviewUrls,
+  uploadPhotos,
+  deletePhotoFiles,
+  photosOf,
+  editablePhotos,
+  hasLegacyImage,
+  migrateLegacyImage,
+} from './photos.js'
+import SegmentPopup from './SegmentPopup.jsx'
+import SegmentList from './SegmentList.jsx'
+import Dashboard from './Dashboard.jsx'
+import MyContributions from './MyContributions.jsx'
+import ConflictPanel from './ConflictPanel.jsx'
+import { findConflicts, markDistinct, mergeSegments, resolutionsCollection } from './conflicts.js'
+import { commentCountOf, deleteThread } from './comments.js'
+import { isPoint, pointFields } from './points.js'
+import { MAX_ACCURACY_M, WATCH_OPTIONS, readingFromPosition, acceptReading, simplifyTrack } from './walkTrack.js'
+import { fetchContributions, deleteContributions, exportContributions, deleteAccount } from './account.js'
+import { parseDeepLink, formatDeepLink, deepLinkUrl } from './deepLink.js'
+import { isGuest, isSignedIn, ensureGuestSession, signInWithGoogle, sendEmailSignInLink, completeEmailLinkSignIn } from './signIn.js'
+import {
+  MOBILITY_PRESETS,
+  NO_LIMITS,
+  PASSABILITY,
+  presetLabel,
+  normalizeLimits,
+  assessSegment,
+  fetchMobilityProfile,
+  saveMobilityProfile,
+  deleteMobilityProfile,
+} from './mobility.js'
+import Modal from './Modal.jsx'
+import { tileKeysForPath, tilesForView, tilesAroundPoints, backfillTileIndex } from './tiles.js'
+import { useSegmentTiles, segmentFromDoc } from './useSegmentTiles.js'
+import { collection, collectionGroup, query, where, onSnapshot, serverTimestamp, deleteDoc, doc, getDoc, getDocs, writeBatch, updateDoc, deleteField } from 'firebase/firestore'
+import { signOut, onAuthStateChanged } from 'firebase/auth'
 
 const MAP_CENTER = [42.4472, -76.4850];
 const ZOOM_LEVEL = 15;
+const ITHACA_BOUNDS = [
+  [42.35, -76.65],
+  [42.55, -76.30]
+];
+// How far the Map Layers time slider reaches into the past and future
+const TIME_SLIDER_DAYS = 90;
+// Firestore allows at most 500 writes per batch
+const IMPORT_BATCH_SIZE = 500;
+// A photo taken further than this from the path it is attached to is flagged
+const PHOTO_DISTANCE_WARNING_M = 100;
+// At or below this zoom segments are drawn as clusters instead of polylines
+const CLUSTER_MAX_ZOOM = 13;
+const DEFAULT_FILTERS = {
+  accessible: true,
+  partial: true,
+  not_accessible: true,
+  hideUnverified: false
+};
 
+// Labels and descriptions are getters so they follow the interface language
 const CATEGORIES = {
   ACCESSIBLE: {
     id: 'accessible',
-    label: 'Accessible',
+    get label() { return t('Accessible') },
     color: '#22c55e',
     icon: <Accessibility className="w-4 h-4" />,
-    desc: 'Wheelchair friendly, good curb cuts, even pavement.'
+    get desc() { return t('Wheelchair friendly, good curb cuts, even pavement.') }
   },
   PARTIAL: {
     id: 'partial',
-    label: 'Partially Accessible',
+    get label() { return t('Partially Accessible') },
     color: '#eab308',
     icon: <AlertTriangle className="w-4 h-4" />,
-    desc: 'Minor bumps, steep grades, or poor curb cuts.'
+    get desc() { return t('Minor bumps, steep grades, or poor curb cuts.') }
   },
   NOT_ACCESSIBLE: {
     id: 'not_accessible',
-    label: 'Not Accessible',
+    get label() { return t('Not Accessible') },
+    color: '#ef4444',
+    icon: <Ban className="w-4 h-4" />,
+    get desc() { return t('Stairs, construction, or major obstructions.') }
+  }
+};
+
+// Single-location features (see points.js): barriers in red and orange,
+// accessible features in green, amenities in blue
+const POINT_TYPES = {
+  MISSING_CURB_CUT: {
+    id: 'missing_curb_cut',
+    get label() { return t('Missing curb cut') },
     color: '#ef4444',
     icon: <Ban className="w-4 h-4" />,
-    desc: 'Stairs, construction, or major obstructions.'
+    get desc() { return t('A corner or crossing without a curb ramp.') }
+  },
+  BROKEN_ELEVATOR: {
+    id: 'broken_elevator',
+    get label() { return t('Broken elevator') },
+    color: '#f97316',
+    icon: <ArrowUpDown className="w-4 h-4" />,
+    get desc() { return t('An elevator or lift that is out of service.') }
+  },
+  ACCESSIBLE_ENTRANCE: {
+    id: 'accessible_entrance',
+    get label() { return t('Accessible entrance') },
+    color: '#22c55e',
+    icon: <DoorOpen className="w-4 h-4" />,
+    get desc() { return t('A step-free building entrance.') }
+  },
+  RAMP: {
+    id: 'ramp',
+    get label() { return t('Ramp') },
+    color: '#16a34a',
+    icon: <TrendingUp className="w-4 h-4" />,
+    get desc() { return t('A ramp between levels or up to a door.') }
+  },
+  BENCH: {
+    id: 'bench',
+    get label() { return t('Bench') },
+    color: '#3b82f6',
+    icon: <Armchair className="w-4 h-4" />,
+    get desc() { return t('A place to sit and rest.') }
+  }
+};
+const DEFAULT_POINT_TYPE = POINT_TYPES.MISSING_CURB_CUT.id;
+
+// Label, colour and icon for a path's category or a point's type
+const featureConfig = (seg) => (isPoint(seg)
+  ? Object.values(POINT_TYPES).find(t => t.id === seg.pointType)
+  : Object.values(CATEGORIES).find(c => c.id === seg.category)) || {};
+
+const turnLabel = (turn) => ({
+  straight: t('Continue straight'),
+  slight_left: t('Bear left'),
+  left: t('Turn left'),
+  sharp_left: t('Turn sharp left'),
+  slight_right: t('Bear right'),
+  right: t('Turn right'),
+  sharp_right: t('Turn sharp right'),
+})[turn];
+
+// Draggable handles used while editing a path's vertices
+const VERTEX_ICON = L.divIcon({
+  className: '',
+  html: '<div style="width:14px;height:14px;border-radius:9999px;background:#fff;border:3px solid #2563eb;box-shadow:0 1px 2px rgba(0,0,0,.3);cursor:move"></div>',
+  iconSize: [14, 14],
+  iconAnchor: [7, 7]
+});
+const MIDPOINT_ICON = L.divIcon({
+  className: '',
+  html: '<div style="width:10px;height:10px;border-radius:9999px;background:#2563eb;opacity:.5;cursor:copy"></div>',
+  iconSize: [10, 10],
+  iconAnchor: [5, 5]
+});
+
+// Keyboard drawing crosshair, moved with the arrow keys
+const CROSSHAIR_ICON = L.divIcon({
+  className: '',
+  html: '<svg width="32" height="32" viewBox="0 0 32 32" style="filter:drop-shadow(0 0 1px #fff)"><circle cx="16" cy="16" r="9" fill="none" stroke="#2563eb" stroke-width="2.5"/><path d="M16 1v9M16 22v9M1 16h9M22 16h9" stroke="#2563eb" stroke-width="2.5"/></svg>',
+  iconSize: [32, 32],
+  iconAnchor: [16, 16]
+});
+// Speech bubble with a segment's comment count, at the middle of its path
+const commentBadgeIcon = (count) => L.divIcon({
+  className: '',
+  html: `<div style="min-width:20px;height:18px;padding:0 5px;border-radius:9px 9px 9px 2px;background:#fff;color:#334155;border:1.5px solid #64748b;box-shadow:0 1px 2px rgba(0,0,0,.3);display:flex;align-items:center;justify-content:center;font:600 11px/1 sans-serif;cursor:pointer">${count > 99 ? '99+' : count}</div>`,
+  iconSize: [24, 18],
+  iconAnchor: [2, 18]
+});
+// Round marker in a point type's colour with its icon, built once per type
+const pointMarkerIcons = new Map();
+const pointMarkerIcon = (config) => {
+  const key = config.id || '';
+  if (!pointMarkerIcons.has(key)) {
+    const svg = config.icon ? renderToStaticMarkup(React.cloneElement(config.icon, { color: '#fff', strokeWidth: 2.5 })) : '';
+    pointMarkerIcons.set(key, L.divIcon({
+      className: '',
+      html: `<div style="width:28px;height:28px;border-radius:9999px;background:${config.color || '#64748b'};border:2px solid #fff;box-shadow:0 1px 3px rgba(0,0,0,.4);display:flex;align-items:center;justify-content:center">${svg}</div>`,
+      iconSize: [28, 28],
+      iconAnchor: [14, 14],
+      popupAnchor: [0, -14]
+    }));
   }
+  return pointMarkerIcons.get(key);
 };
+// Arrow key step for the crosshair; Shift moves five times as far
+const CROSSHAIR_STEP_PX = 10;
 
 export default function AccessMap() {
+  // Interface language (i18n.js). Strings are looked up with t() on every
+  // render; effects that build Leaflet layers list it so they redraw too.
+  const language = useLanguage();
+
   // --- Local State ---
-  const [segments, setSegments] = useState([]);
   const [mapLoaded, setMapLoaded] = useState(false);
-
-  // Auth state
+  // Zoom and bounds after the last pan/zoom, which decide what gets loaded
+  const [mapView, setMapView] = useState(null);
+
+  // Screen reader announcements, read out from a polite live region. Each
+  // message is a new node so repeating the same text is still announced.
+  const [announcement, setAnnouncement] = useState(null);
+  const announcementIdRef = useRef(0);
+  const announce = (text) => {
+    announcementIdRef.current += 1;
+    setAnnouncement({ text, id: announcementIdRef.current });
+  };
+  const [showSegmentList, setShowSegmentList] = useState(false);
+
+  // Dashboard: statistics cover every segment, not just the loaded tiles, so
+  // it fetches the whole collection once when opened (and on refresh)
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [statsSegments, setStatsSegments] = useState(null);
+  const [isLoadingStats, setIsLoadingStats] = useState(false);
+  // Area outlined on the map for the dashboard, as [lat, lng] vertices
+  const [statsArea, setStatsArea] = useState(null);
+  const [isDrawingArea, setIsDrawingArea] = useState(false);
+
+  // "My contributions" panel: the signed-in user's segments, loaded on open
+  const [showMyContributions, setShowMyContributions] = useState(false);
+  const [myContributions, setMyContributions] = useState(null);
+  const [isLoadingMine, setIsLoadingMine] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null);
+  // Segments picked for bulk deletion, awaiting confirmation
+  const [contributionsToDelete, setContributionsToDelete] = useState(null);
+  const [isDeletingContributions, setIsDeletingContributions] = useState(false);
+  const [showDeleteAccount, setShowDeleteAccount] = useState(false);
+  const [accountDeletionMode, setAccountDeletionMode] = useState('anonymize');
+  const [isDeletingAccount, setIsDeletingAccount] = useState(false);
+
+  // Conflicts layer and review panel (see conflicts.js)
+  const [showConflicts, setShowConflicts] = useState(false);
+  const [selectedConflictKey, setSelectedConflictKey] = useState(null);
+  const [distinctKeys, setDistinctKeys] = useState(() => new Set());
+  const [resolvingConflictKey, setResolvingConflictKey] = useState(null);
+  // { keep, remove, category } awaiting confirmation
+  const [mergeRequest, setMergeRequest] = useState(null);
+
+  // Auth state. `user` may be an anonymous guest (see signIn.js).
   const [user, setUser] = useState(null)
+  // Linking upgrades a guest's User object in place, which React can't see;
+  // bumping this re-renders with the new `isAnonymous`
+  const [, setAuthRevision] = useState(0)
   useEffect(() => {
     const unsub = onAuthStateChanged(auth, (u) => {
       console.log('Auth state changed:', u ? u.uid : null)
@@ -60,113 +333,345 @@ export default function AccessMap() {
     return unsub
   }, [])
 
-  // Firestore sync: subscribe to `segments` collection and keep local state in sync
+  // Sign-in dialog: Google, or a one-time link sent by email
+  const [showSignIn, setShowSignIn] = useState(false)
+  const [signInEmail, setSignInEmail] = useState('')
+  const [emailLinkSentTo, setEmailLinkSentTo] = useState(null)
+  const [isSigningIn, setIsSigningIn] = useState(false)
+
+  const afterSignIn = ({ guestLeftBehind }) => {
+    setAuthRevision(n => n + 1)
+    setShowSignIn(false)
+    if (guestLeftBehind) {
+      alert(t('You already had an account, so you are now signed in to it. Anything you saved as a guest stays with the guest session and can no longer be edited.'))
+    }
+  }
+
+  // Opened from an email sign-in link
   useEffect(() => {
-    try {
-      const col = collection(db, 'segments')
-      const unsub = onSnapshot(col, (snapshot) => {
-        const items = snapshot.docs.map(d => {
-          const data = d.data()
-          const rawPath = data.path || []
-          const path = rawPath.map(pt => {
-            if (Array.isArray(pt)) return pt
-            if (pt && typeof pt.lat === 'number' && typeof pt.lng === 'number') return [pt.lat, pt.lng]
-            return null
-          }).filter(Boolean)
-
-          const createdAt = data.createdAt && data.createdAt.toDate ? data.createdAt.toDate() : data.createdAt
-          return { ...data, path, createdAt, id: d.id }
-        })
-        setSegments(items)
-      }, (err) => {
-        console.error('Firestore listener error', err)
+    completeEmailLinkSignIn(() => window.prompt(t('Confirm the email address the sign-in link was sent to')))
+      .then(result => { if (result) afterSignIn(result) })
+      .catch(e => {
+        console.error('Email link sign-in failed', e)
+        alert(t('Signing in with the email link failed ({code}). Links work once and expire; request a new one.', { code: e.code || 'unknown' }))
       })
-      return () => unsub()
-    } catch (err) {
-      console.error('Failed to subscribe to Firestore', err)
-    }
   }, [])
 
+  // Moderator role, from auth custom claims or the `roles` collection
+  const [isModerator, setIsModerator] = useState(false)
+  useEffect(() => {
+    let cancelled = false
+    fetchIsModerator(user).then(result => {
+      if (!cancelled) setIsModerator(result)
+    })
+    return () => { cancelled = true }
+  }, [user])
+
+  // Mobility profile (mobility.js). While it is switched on, path segments are
+  // colored by whether they suit it instead of by their category.
+  const [mobilityProfile, setMobilityProfile] = useState(null)
+  const [colorByProfile, setColorByProfile] = useState(true)
+  // The profile being edited, `{ preset, limits }`; the editor is open while set
+  const [profileDraft, setProfileDraft] = useState(null)
+  const [isSavingProfile, setIsSavingProfile] = useState(false)
+  useEffect(() => {
+    let cancelled = false
+    fetchMobilityProfile(user).then(result => {
+      if (!cancelled) setMobilityProfile(result)
+    })
+    return () => { cancelled = true }
+  }, [user])
+  const activeLimits = colorByProfile && mobilityProfile ? mobilityProfile.limits : null
+
+  // Route Planning State
+  const [isPlanningRoute, setIsPlanningRoute] = useState(false);
+  const [routeEndpoints, setRouteEndpoints] = useState({ origin: null, destination: null });
+
+  // Firestore sync: subscribe to the index tiles overlapping the map view, plus
+  // those around a planned route so it isn't limited to what is on screen.
+  // Keyed by the joined tile list so panning within the same tiles is free.
+  const routeTiles = tilesAroundPoints([routeEndpoints.origin, routeEndpoints.destination].filter(Boolean));
+  const viewTilesKey = [...new Set([...(mapView ? tilesForView(mapView) : []), ...routeTiles])].join(',');
+  const viewTiles = useMemo(() => (viewTilesKey ? viewTilesKey.split(',') : []), [viewTilesKey]);
+  const { segments, error: syncError } = useSegmentTiles(viewTiles);
+
+  // Offline upload queue: contributions stay queued until the server has
+  // acknowledged them and the listeners have delivered them
+  const { queue: uploadQueue, enqueue, discard: discardUpload, retryNow } = useUploadQueue(segments);
+  const [showUploadQueue, setShowUploadQueue] = useState(false);
+
+  // Cloud segments plus queued contributions the cloud hasn't seen yet
+  const queuedSegments = useMemo(() => uploadQueue.map(item => ({
+    ...item.segment,
+    attributes: normalizeAttributes(item.segment.attributes),
+    verification: summarizeVotes(item.segment),
+    obstruction: normalizeObstruction(item.segment.obstruction),
+    pending: true
+  })), [uploadQueue]);
+  const mapSegments = useMemo(() => {
+    const known = new Set(segments.map(s => s.id));
+    return [...segments, ...queuedSegments.filter(seg => !known.has(seg.id))];
+  }, [segments, queuedSegments]);
+
   // Drawing State
   const [isDrawing, setIsDrawing] = useState(false);
-  const [currentPath, setCurrentPath] = useState([]);
+  // Keyboard drawing: a crosshair moved with the arrow keys stands in for the mouse
+  const [isKeyboardDrawing, setIsKeyboardDrawing] = useState(false);
+  const [crosshair, setCrosshair] = useState(null);
+  const keyboardDrawing = isDrawing && isKeyboardDrawing;
+  // GPS walk mode (see walkTrack.js): null, 'recording' or 'paused', plus the
+  // latest fix for the accuracy circle, recorded or not
+  const [walkStatus, setWalkStatus] = useState(null);
+  const [walkFix, setWalkFix] = useState(null);
+  const [walkError, setWalkError] = useState(null);
+  const [pathState, dispatchPath] = useReducer(pathHistoryReducer, initialPathHistory);
+  const currentPath = pathState.path;
   const [showSubmissionForm, setShowSubmissionForm] = useState(false);
 
+  // Editing State: the saved segment being changed, and whether its vertices
+  // are currently being adjusted on the map
+  const [editingSegmentId, setEditingSegmentId] = useState(null);
+  const [isEditingShape, setIsEditingShape] = useState(false);
+
+  // Import State
+  const [importPreview, setImportPreview] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  // Moderation State
+  const [reportTarget, setReportTarget] = useState(null);
+  const [reportReason, setReportReason] = useState(FLAG_REASONS[0].id);
+  const [reportDetails, setReportDetails] = useState('');
+  const [showModerationQueue, setShowModerationQueue] = useState(false);
+  const [moderationTab, setModerationTab] = useState('flagged');
+
   // Deletion State
   const [segmentToDelete, setSegmentToDelete] = useState(null);
 
   // Form State
   const [selectedCategory, setSelectedCategory] = useState('accessible');
+  // What the drawing tools place: a path ('line') or a single 'point'
+  const [drawingGeometry, setDrawingGeometry] = useState('line');
+  const [selectedPointType, setSelectedPointType] = useState(DEFAULT_POINT_TYPE);
   const [note, setNote] = useState('');
-  const [selectedImage, setSelectedImage] = useState(null);
-  const [filters, setFilters] = useState({
-    accessible: true,
-    partial: true,
-    not_accessible: true
-  });
+  // Saved photo descriptors and not-yet-uploaded ones (see photos.js)
+  const [photos, setPhotos] = useState([]);
+  const [isProcessingPhotos, setIsProcessingPhotos] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  // <input type="date"> value
+  const [surveyDate, setSurveyDate] = useState('');
+  const [attributes, setAttributes] = useState(EMPTY_ATTRIBUTES);
+  // Obstruction report fields, as <input type="date"> values
+  const [isObstructionReport, setIsObstructionReport] = useState(false);
+  const [obstructionStart, setObstructionStart] = useState('');
+  const [obstructionEnd, setObstructionEnd] = useState('');
+  // A shared link (see deepLink.js) sets the starting view, filters and popup
+  const [initialLink] = useState(() => parseDeepLink(window.location.hash, DEFAULT_FILTERS));
+  const [filters, setFilters] = useState(() => initialLink.filters || DEFAULT_FILTERS);
+  const [attributeFilters, setAttributeFilters] = useState(DEFAULT_ATTRIBUTE_FILTERS);
+  const [pointFilters, setPointFilters] = useState(() => Object.fromEntries(Object.values(POINT_TYPES).map(type => [type.id, true])));
+
+  // Time slider: days from today the map is shown at. `now` ticks so expired
+  // obstruction reports drop off without a reload.
+  const [dayOffset, setDayOffset] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+  const viewDate = useMemo(() => viewDateFor(now, dayOffset), [now, dayOffset]);
+
+  // A segment is shown (and exported) when both its category and its
+  // structured attributes pass the Map Layers filters; a point when its type does
+  const isSegmentVisible = useCallback((seg) =>
+    (isPoint(seg)
+      ? pointFilters[seg.pointType] !== false
+      : filters[seg.category] &&
+        !(filters.hideUnverified && seg.verification.status === 'unverified') &&
+        matchesAttributeFilters(seg.attributes, attributeFilters)) &&
+    existsAt(seg, viewDate) &&
+    // Hidden content stays visible to its author and to moderators
+    (!isHidden(seg) || isModerator || (user && user.uid === seg.author_uid)),
+  [filters, attributeFilters, pointFilters, viewDate, isModerator, user]);
+
+  // Drafts: the in-progress drawing and form are mirrored to IndexedDB so a
+  // reload (or a dead battery) doesn't lose them
+  const [draftLoaded, setDraftLoaded] = useState(false);
+
+  useEffect(() => {
+    loadDraft()
+      .then(draft => {
+        if (!draft || !draft.path || draft.path.length === 0) return;
+        dispatchPath({ type: 'reset', path: draft.path });
+        snapLinksRef.current = draft.snapLinks || {};
+        setSelectedCategory(draft.category || 'accessible');
+        setDrawingGeometry(draft.geometry === 'point' ? 'point' : 'line');
+        setSelectedPointType(draft.pointType || DEFAULT_POINT_TYPE);
+        setNote(draft.note || '');
+        setPhotos(withPreviewUrls(draft.photos));
+        setSurveyDate(draft.surveyDate || '');
+        // As typed, so an out-of-range width still shows its error
+        setAttributes({ ...EMPTY_ATTRIBUTES, ...draft.attributes });
+        setIsObstructionReport(!!draft.isObstructionReport);
+        setObstructionStart(draft.obstructionStart || '');
+        setObstructionEnd(draft.obstructionEnd || '');
+        if (draft.showSubmissionForm && draft.path.length >= (draft.geometry === 'point' ? 1 : 2)) setShowSubmissionForm(true);
+        else {
+          setIsDrawing(true);
+          // A recording cut short by a reload comes back paused, to resume on the spot
+          if (draft.walkStatus) setWalkStatus('paused');
+        }
+      })
+      .catch(err => console.error('Failed to load draft', err))
+      .finally(() => setDraftLoaded(true));
+  }, []);
+
+  useEffect(() => {
+    // Edits of saved segments aren't drafts; they can simply be reopened
+    if (!draftLoaded || editingSegmentId) return;
+    if (!isDrawing && !showSubmissionForm) {
+      clearDraft().catch(err => console.error('Failed to clear draft', err));
+      return;
+    }
+    const timer = setTimeout(() => {
+      saveDraft({
+        path: currentPath,
+        snapLinks: snapLinksRef.current,
+        category: selectedCategory,
+        geometry: drawingGeometry,
+        pointType: selectedPointType,
+        note,
+        photos,
+        surveyDate,
+        attributes,
+        isObstructionReport,
+        obstructionStart,
+        obstructionEnd,
+        showSubmissionForm,
+        walkStatus,
+        savedAt: Date.now()
+      }).catch(err => console.error('Failed to save draft', err));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [draftLoaded, editingSegmentId, isDrawing, showSubmissionForm, currentPath, selectedCategory, drawingGeometry, selectedPointType, note, photos, surveyDate, attributes, isObstructionReport, obstructionStart, obstructionEnd, walkStatus]);
 
   // Refs
   const mapContainerRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const segmentsLayerRef = useRef(null);
+  // Popup focus handling for keyboard users: where to return focus on close,
+  // whether to focus the next popup, and a popup waiting for its polyline
+  const popupReturnFocusRef = useRef(null);
+  const focusPopupRef = useRef(false);
+  const pendingPopupRef = useRef(initialLink.segmentId);
+  // Set while the renderer swaps polylines, whose popups close as a side effect
+  const isRerenderingRef = useRef(false);
+  const clusterLayerRef = useRef(null);
+  // Segment id -> { seg, layers } for what is currently drawn
+  const renderedSegmentsRef = useRef(new Map());
   const drawingLayerRef = useRef(null);
+  const routeLayerRef = useRef(null);
+  const areaLayerRef = useRef(null);
+  const conflictLayerRef = useRef(null);
+  const importPreviewLayerRef = useRef(null);
+  const importInputRef = useRef(null);
+  const locatePhotoInputRef = useRef(null);
   const fileInputRef = useRef(null);
-  const lastPointRef = useRef(null);
+  const currentPathRef = useRef(currentPath);
+  const snapLayerRef = useRef(null);
+  // Segment ids that points of the current path were snapped onto, by pointKey
+  const snapLinksRef = useRef({});
+  const mapSegmentsRef = useRef(mapSegments);
 
-  // --- Actions ---
+  useEffect(() => {
+    mapSegmentsRef.current = mapSegments;
+  }, [mapSegments]);
 
-  // Global bridge for popup clicks
   useEffect(() => {
-    window.accessMapDeleteSegment = (id) => {
-      setSegmentToDelete(id);
-    };
-    return () => {
-      delete window.accessMapDeleteSegment;
-    };
-  }, []);
+    currentPathRef.current = currentPath;
+  }, [currentPath]);
+
+  // --- Actions ---
+
+  // The segment popup that is currently open. Its content is rendered by
+  // React through a portal into the Leaflet popup's container.
+  const [openPopup, setOpenPopup] = useState(null);
+
+  // Contributions without an author (legacy data) can be changed by anyone
+  // with an account
+  const canModify = (seg) => !seg || (seg.author_uid ? !!user && user.uid === seg.author_uid : isSignedIn(user));
+  // Moderators may additionally remove anyone's contribution
+  const canDelete = (seg) => isModerator || canModify(seg);
 
   const handleConfirmDelete = () => {
     if (!segmentToDelete) return;
-    const seg = segments.find(s => s.id === segmentToDelete)
-    console.log('Attempting delete:', { docId: segmentToDelete, currentUid: user?.uid, ownerUid: seg?.author_uid, seg })
-    if (seg && seg.author_uid && (!user || user.uid !== seg.author_uid)) {
-      alert('You are not the owner of this contribution and cannot delete it.')
-      setSegmentToDelete(null)
-      return
-    }
+    console.log('Attempting delete:', { docId: segmentToDelete, currentUid: user?.uid });
 
-    // Remove from Firestore (if present) and local state
+    // Checked against the stored document: the local copy may be gone by now,
+    // e.g. when its tile was unsubscribed while the dialog was open
     (async () => {
       try {
         const ref = doc(db, 'segments', segmentToDelete)
         const snap = await getDoc(ref)
         console.log('Pre-delete doc snapshot:', { exists: snap.exists(), data: snap.exists() ? snap.data() : null })
         if (!snap.exists()) {
-          alert('Contribution not found in cloud - it may have already been deleted.')
+          alert(t('Contribution not found in cloud - it may have already been deleted.'))
+          setSegmentToDelete(null)
+          return
+        }
+        const stored = snap.data()
+        if (!canDelete(stored)) {
+          alert(t('You are not the owner of this contribution and cannot delete it.'))
           setSegmentToDelete(null)
           return
         }
+        // Comments first: Firestore doesn't delete subcollections with the document
+        await deleteThread(segmentToDelete).catch(err => console.error('Failed to delete comments for', segmentToDelete, err))
+        // Only moderators can see the reports, and so remove them
+        if (isModerator) await clearReports(segmentToDelete).catch(err => console.error('Failed to delete reports for', segmentToDelete, err))
         await deleteDoc(ref)
         console.log('Delete successful for', segmentToDelete)
+        deletePhotoFiles(stored.photos);
         setSegmentToDelete(null);
       } catch (e) {
         console.error('Firestore delete failed', e)
-        const code = e.code || 'unknown'
-        const message = e.message || String(e)
-        alert(`Failed to delete contribution (${code}): ${message}`)
+        alert(t('Failed to delete contribution ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }))
         setSegmentToDelete(null);
       }
     })()
   };
 
   // Authentication helpers
-  const signIn = async () => {
+  const signIn = () => {
+    setEmailLinkSentTo(null)
+    setShowSignIn(true)
+  }
+
+  const signInGoogle = async () => {
+    setIsSigningIn(true)
     try {
-      const provider = new GoogleAuthProvider()
-      await signInWithPopup(auth, provider)
+      afterSignIn(await signInWithGoogle())
     } catch (e) {
+      if (e.code === 'auth/popup-closed-by-user' || e.code === 'auth/cancelled-popup-request') return
       console.error('Sign-in failed', e)
-      alert('Sign-in failed. Check console for details.')
+      alert(t('Sign-in failed. Check console for details.'))
+    } finally {
+      setIsSigningIn(false)
+    }
+  }
+
+  const sendEmailLink = async (e) => {
+    e.preventDefault()
+    const email = signInEmail.trim()
+    if (!email) return
+    setIsSigningIn(true)
+    try {
+      await sendEmailSignInLink(email)
+      setEmailLinkSentTo(email)
+    } catch (err) {
+      console.error('Sending the sign-in link failed', err)
+      alert(t('Could not send a sign-in link ({code}). Check the address and try again.', { code: err.code || 'unknown' }))
+    } finally {
+      setIsSigningIn(false)
     }
   }
 
@@ -179,26 +684,32 @@ export default function AccessMap() {
   }
 
   // --- Leaflet Initialization ---
+  // Set below to the current click and hover handlers, so the listeners
+  // attached here once never call stale ones
+  const mapHandlersRef = useRef(null);
+
   useEffect(() => {
     if (mapInstanceRef.current || !mapContainerRef.current) return;
 
-    const ITHACA_BOUNDS = [
-      [42.35, -76.65],
-      [42.55, -76.30]
-    ];
-
     const map = L.map(mapContainerRef.current, {
       maxBounds: ITHACA_BOUNDS,
       maxBoundsViscosity: 1.0,
       minZoom: 13
-    }).setView(MAP_CENTER, ZOOM_LEVEL);
+    }).setView(initialLink.view ? initialLink.view.center : MAP_CENTER, initialLink.view ? initialLink.view.zoom : ZOOM_LEVEL);
 
     L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
       attribution: '&copy; OpenStreetMap contributors'
     }).addTo(map);
 
+    // Conflict halos sit underneath the segments they surround
+    conflictLayerRef.current = L.layerGroup().addTo(map);
     segmentsLayerRef.current = L.layerGroup().addTo(map);
+    clusterLayerRef.current = L.layerGroup().addTo(map);
     drawingLayerRef.current = L.layerGroup().addTo(map);
+    routeLayerRef.current = L.layerGroup().addTo(map);
+    areaLayerRef.current = L.layerGroup().addTo(map);
+    importPreviewLayerRef.current = L.layerGroup().addTo(map);
+    snapLayerRef.current = L.layerGroup().addTo(map);
     mapInstanceRef.current = map;
 
     // Force a resize to ensure tiles load
@@ -209,8 +720,17 @@ export default function AccessMap() {
 
     // Robust Click Handler
     map.on('click', (e) => {
-      handleMapClickLogic(e.latlng);
+      mapHandlersRef.current.click(e.latlng, e.originalEvent);
+    });
+    map.on('mousemove', (e) => {
+      mapHandlersRef.current.hover(e.latlng, e.originalEvent);
     });
+    map.on('mouseout', () => {
+      snapLayerRef.current?.clearLayers();
+    });
+    const updateView = () => setMapView({ zoom: map.getZoom(), bounds: map.getBounds() });
+    map.on('moveend', updateView);
+    updateView();
 
     return () => {
       if (mapInstanceRef.current) {
@@ -218,45 +738,126 @@ export default function AccessMap() {
         mapInstanceRef.current = null;
       }
     };
-  }, []); // Run once on mount
+  }, [initialLink]);
 
   // --- Map Interaction Logic ---
 
   // We use a ref for current state inside the event listener to avoid stale closures
   const isDrawingRef = useRef(isDrawing);
+  const isPlanningRouteRef = useRef(isPlanningRoute);
+  const isDrawingAreaRef = useRef(isDrawingArea);
+  const drawingGeometryRef = useRef(drawingGeometry);
+  const walkStatusRef = useRef(walkStatus);
+
+  useEffect(() => {
+    drawingGeometryRef.current = drawingGeometry;
+  }, [drawingGeometry]);
+
+  useEffect(() => {
+    walkStatusRef.current = walkStatus;
+  }, [walkStatus]);
+
+  useEffect(() => {
+    isPlanningRouteRef.current = isPlanningRoute;
+  }, [isPlanningRoute]);
+
+  useEffect(() => {
+    isDrawingAreaRef.current = isDrawingArea;
+  }, [isDrawingArea]);
 
   useEffect(() => {
     isDrawingRef.current = isDrawing;
 
-    // Reset last point when drawing stops
+    // Clear drawing overlays when drawing stops
     if (!isDrawing) {
-      lastPointRef.current = null;
       if (drawingLayerRef.current) drawingLayerRef.current.clearLayers();
+      if (snapLayerRef.current) snapLayerRef.current.clearLayers();
     }
   }, [isDrawing]);
 
-  const handleMapClickLogic = async (latlng) => {
-    if (!isDrawingRef.current) return;
+  // Where a drawing click at `latlng` would land; holding Alt disables snapping
+  const snapFor = (latlng, event) => {
+    if ((event && event.altKey) || drawingGeometryRef.current === 'point') return null;
+    return findSnapTarget(mapInstanceRef.current, latlng, mapSegmentsRef.current);
+  };
+
+  const handleMapHoverLogic = (latlng, event) => {
+    if (!snapLayerRef.current) return;
+    snapLayerRef.current.clearLayers();
+    if (!isDrawingRef.current || walkStatusRef.current) return;
+
+    const snap = snapFor(latlng, event);
+    const target = snap ? snap.point : [latlng.lat, latlng.lng];
+
+    // Rubber band from the last point to the cursor, with its length
+    const path = currentPathRef.current;
+    if (path.length > 0) {
+      const last = path[path.length - 1];
+      L.polyline([last, target], { color: '#3b82f6', weight: 2, opacity: 0.6, dashArray: '4, 6', interactive: false })
+        .bindTooltip(formatDistance(distanceMeters(last, target)), { permanent: true, direction: 'right', offset: [12, 0], className: 'leg-length-label' })
+        .addTo(snapLayerRef.current);
+    }
 
-    const { lat, lng } = latlng;
-    const newPoint = [lat, lng];
-    // If we have a previous point, append the clicked point (straight line)
-    if (lastPointRef.current) {
-      setCurrentPath(prev => [...prev, newPoint]);
-      lastPointRef.current = newPoint;
-    } else {
-      // First point
-      setCurrentPath([newPoint]);
-      lastPointRef.current = newPoint;
+    if (!snap) return;
+    L.circleMarker(snap.point, {
+      radius: snap.kind === 'vertex' ? 8 : 6,
+      color: '#7c3aed',
+      weight: 2,
+      fillColor: '#7c3aed',
+      fillOpacity: snap.kind === 'vertex' ? 0.5 : 0.15,
+      interactive: false
+    }).addTo(snapLayerRef.current);
+  };
+
+  const handleMapClickLogic = async (latlng, event) => {
+    if (isDrawingAreaRef.current) {
+      setStatsArea(prev => [...(prev || []), [latlng.lat, latlng.lng]]);
+      return;
+    }
+    if (isPlanningRouteRef.current) {
+      const point = [latlng.lat, latlng.lng];
+      // First click sets the origin, second the destination, a third starts over
+      setRouteEndpoints(prev => (prev.origin && !prev.destination)
+        ? { ...prev, destination: point }
+        : { origin: point, destination: null });
+      return;
     }
+    // The GPS draws in walk mode
+    if (!isDrawingRef.current || walkStatusRef.current) return;
+    if (drawingGeometryRef.current === 'point') {
+      placePoint([latlng.lat, latlng.lng]);
+      return;
+    }
+    appendPoint(latlng, event);
+  };
+
+  // A point feature is complete as soon as it is placed
+  const placePoint = (point) => {
+    dispatchPath({ type: 'reset', path: [point] });
+    setIsDrawing(false);
+    setShowSubmissionForm(true);
+  };
+
+  // Append a point (snapped unless Alt is held) to the path being drawn, as a
+  // straight line from the previous one
+  const appendPoint = (latlng, event) => {
+    const snap = snapFor(latlng, event);
+    const newPoint = snap ? [...snap.point] : [latlng.lat, latlng.lng];
+    if (snap) snapLinksRef.current = { ...snapLinksRef.current, [pointKey(newPoint)]: snap.segmentId };
+    dispatchPath({ type: 'update', update: prev => [...prev, newPoint] });
+    return { point: newPoint, snapped: !!snap };
   };
 
+  useEffect(() => {
+    mapHandlersRef.current = { click: handleMapClickLogic, hover: handleMapHoverLogic };
+  });
+
   // Update Cursor
   useEffect(() => {
     if (!mapInstanceRef.current) return;
     const container = mapInstanceRef.current.getContainer();
-    container.style.cursor = isDrawing ? 'crosshair' : 'grab';
-  }, [isDrawing]);
+    container.style.cursor = (isDrawing || isPlanningRoute || isDrawingArea) ? 'crosshair' : 'grab';
+  }, [isDrawing, isPlanningRoute, isDrawingArea]);
 
   // Render Drawing Path
   useEffect(() => {
@@ -264,183 +865,1458 @@ export default function AccessMap() {
 
     drawingLayerRef.current.clearLayers();
 
-    if (currentPath.length > 0) {
-      // Draw the line
-      L.polyline(currentPath, {
-        color: '#3b82f6',
-        dashArray: '10, 10',
-        weight: 4,
-        opacity: 0.7
-      }).addTo(drawingLayerRef.current);
-
-      // Draw Start/End dots
-      L.circleMarker(currentPath[0], { radius: 5, color: '#3b82f6', fillOpacity: 1, fillColor: '#fff' }).addTo(drawingLayerRef.current);
+    // Walk mode: the live track and where the GPS thinks we are, without the
+    // per-point handles that would crowd a long recording
+    if (isDrawing && walkStatus) {
       if (currentPath.length > 1) {
-        L.circleMarker(currentPath[currentPath.length - 1], { radius: 5, color: '#3b82f6', fillOpacity: 1, fillColor: '#fff' }).addTo(drawingLayerRef.current);
+        L.polyline(currentPath, { color: '#3b82f6', weight: 4, opacity: 0.8, interactive: false })
+          .addTo(drawingLayerRef.current);
       }
+      if (walkFix) {
+        const precise = walkFix.accuracy <= MAX_ACCURACY_M;
+        L.circle(walkFix.point, {
+          radius: walkFix.accuracy,
+          color: precise ? '#3b82f6' : '#f97316',
+          weight: 1,
+          fillOpacity: 0.12,
+          interactive: false
+        }).addTo(drawingLayerRef.current);
+        L.circleMarker(walkFix.point, {
+          radius: 6,
+          color: '#fff',
+          weight: 2,
+          fillColor: walkStatus === 'recording' ? '#2563eb' : '#94a3b8',
+          fillOpacity: 1,
+          interactive: false
+        }).addTo(drawingLayerRef.current);
+      }
+      return;
     }
-  }, [currentPath]);
 
-  // Render Existing Segments
+    if (currentPath.length === 0 || (!isDrawing && !isEditingShape)) return;
+
+    // Draw the line (dashed while drawing, solid while editing a saved segment)
+    const line = L.polyline(currentPath, isEditingShape ? {
+      color: '#2563eb',
+      weight: 5,
+      opacity: 0.8
+    } : {
+      color: '#3b82f6',
+      dashArray: '10, 10',
+      weight: 4,
+      opacity: 0.7
+    }).addTo(drawingLayerRef.current);
+
+    // Leg lengths
+    for (let i = 1; i < currentPath.length; i++) {
+      const a = currentPath[i - 1];
+      const b = currentPath[i];
+      L.tooltip({ permanent: true, direction: 'center', className: 'leg-length-label', interactive: false })
+        .setLatLng([(a[0] + b[0]) / 2, (a[1] + b[1]) / 2])
+        .setContent(formatDistance(distanceMeters(a, b)))
+        .addTo(drawingLayerRef.current);
+    }
+
+    // Vertices: drag to move; while editing a saved segment, click to remove
+    currentPath.forEach((pt, i) => {
+      const marker = L.marker(pt, {
+        icon: VERTEX_ICON,
+        draggable: true,
+        title: isEditingShape ? t('Drag to move, click to remove') : t('Drag to move')
+      });
+      marker.on('drag', (e) => {
+        const latlngs = line.getLatLngs();
+        latlngs[i] = e.target.getLatLng();
+        line.setLatLngs(latlngs);
+      });
+      marker.on('dragend', (e) => {
+        const { lat, lng } = e.target.getLatLng();
+        dispatchPath({ type: 'update', update: prev => prev.map((p, j) => (j === i ? [lat, lng] : p)) });
+      });
+      if (isEditingShape) {
+        marker.on('click', () => {
+          dispatchPath({ type: 'update', update: prev => (prev.length > 2 ? prev.filter((_, j) => j !== i) : prev) });
+        });
+      }
+      marker.addTo(drawingLayerRef.current);
+    });
+
+    // Midpoints: click to insert a new vertex
+    if (isEditingShape) {
+      for (let i = 1; i < currentPath.length; i++) {
+        const a = currentPath[i - 1];
+        const b = currentPath[i];
+        const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+        L.marker(mid, { icon: MIDPOINT_ICON, title: t('Click to add a point') })
+          .on('click', () => {
+            dispatchPath({ type: 'update', update: prev => [...prev.slice(0, i), mid, ...prev.slice(i)] });
+          })
+          .addTo(drawingLayerRef.current);
+      }
+    }
+  }, [currentPath, isDrawing, isEditingShape, walkStatus, walkFix, language]);
+
+  // Walk mode recording: accepted fixes are appended to the path
+  const lastWalkReadingRef = useRef(null);
+
+  useEffect(() => {
+    if (walkStatus !== 'recording') return undefined;
+    // Compare the first fix after a start or resume only with its accuracy
+    lastWalkReadingRef.current = null;
+    const watchId = navigator.geolocation.watchPosition((position) => {
+      const reading = readingFromPosition(position);
+      setWalkFix(reading);
+      setWalkError(null);
+      const map = mapInstanceRef.current;
+      if (map && !map.getBounds().pad(-0.2).contains(reading.point)) map.panTo(reading.point);
+      if (!acceptReading(lastWalkReadingRef.current, reading)) return;
+      lastWalkReadingRef.current = reading;
+      dispatchPath({ type: 'update', update: prev => [...prev, reading.point] });
+    }, (err) => {
+      console.error('Walk mode location error', err);
+      if (err.code === err.PERMISSION_DENIED) {
+        setWalkStatus('paused');
+        alert(t('Location access is blocked. Allow it for this site to record a walk.'));
+      } else {
+        setWalkError(t('Waiting for a GPS signal…'));
+      }
+    }, WATCH_OPTIONS);
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, [walkStatus]);
+
+  // Route is recomputed whenever the endpoints or the segment network change
+  const route = useMemo(() => {
+    if (!routeEndpoints.origin || !routeEndpoints.destination) return null;
+    // Only confirmed segments nobody hid carry a route, whatever the layers show
+    const current = mapSegments.filter(seg => !seg.pending && !isHidden(seg) && existsAt(seg, new Date(now)));
+    return planRoute(current, routeEndpoints.origin, routeEndpoints.destination);
+  }, [mapSegments, routeEndpoints, now]);
+
+  // Render Planned Route
+  useEffect(() => {
+    if (!mapInstanceRef.current || !routeLayerRef.current) return;
+
+    routeLayerRef.current.clearLayers();
+
+    if (route && route.status === 'ok') {
+      // White casing underneath so the route stands out from segment colors
+      L.polyline(route.path, { color: '#fff', weight: 12, opacity: 0.9, interactive: false }).addTo(routeLayerRef.current);
+      L.polyline(route.path, { color: '#2563eb', weight: 6, opacity: 1, interactive: false }).addTo(routeLayerRef.current);
+    }
+
+    const { origin, destination } = routeEndpoints;
+    if (origin) {
+      L.circleMarker(origin, { radius: 7, color: '#2563eb', weight: 3, fillOpacity: 1, fillColor: '#fff' }).addTo(routeLayerRef.current);
+    }
+    if (destination) {
+      L.circleMarker(destination, { radius: 7, color: '#fff', weight: 3, fillOpacity: 1, fillColor: '#2563eb' }).addTo(routeLayerRef.current);
+    }
+  }, [route, routeEndpoints]);
+
+  // Render Dashboard Area
   useEffect(() => {
-    if (!mapInstanceRef.current || !segmentsLayerRef.current) return;
+    if (!mapInstanceRef.current || !areaLayerRef.current) return;
+
+    areaLayerRef.current.clearLayers();
+    if (!showDashboard || !statsArea || statsArea.length === 0) return;
+
+    const style = { color: '#7c3aed', weight: 2, fillColor: '#7c3aed', fillOpacity: 0.08, interactive: false };
+    if (isDrawingArea) {
+      L.polyline(statsArea, { ...style, dashArray: '6, 6' }).addTo(areaLayerRef.current);
+      statsArea.forEach(pt => L.circleMarker(pt, { radius: 4, color: '#7c3aed', weight: 2, fillColor: '#fff', fillOpacity: 1, interactive: false }).addTo(areaLayerRef.current));
+    } else {
+      L.polygon(statsArea, style).addTo(areaLayerRef.current);
+    }
+  }, [showDashboard, statsArea, isDrawingArea]);
 
-    segmentsLayerRef.current.clearLayers();
+  // Render Import Preview
+  useEffect(() => {
+    if (!mapInstanceRef.current || !importPreviewLayerRef.current) return;
 
-    segments.forEach(seg => {
-      if (!filters[seg.category] || !seg.path || seg.path.length === 0) return;
+    importPreviewLayerRef.current.clearLayers();
+    if (!importPreview || importPreview.accepted.length === 0) return;
 
+    importPreview.accepted.forEach(seg => {
       const config = Object.values(CATEGORIES).find(c => c.id === seg.category) || {};
-      const color = config.color || '#999';
+      L.polyline(seg.path, {
+        color: config.color || '#999',
+        dashArray: '6, 8',
+        weight: 5,
+        opacity: 0.9,
+        interactive: false
+      }).addTo(importPreviewLayerRef.current);
+    });
+
+    const bounds = L.latLngBounds(importPreview.accepted.flatMap(seg => seg.path));
+    mapInstanceRef.current.fitBounds(bounds, { padding: [40, 40] });
+  }, [importPreview]);
+
+  // Render Existing Segments. Polylines are added, replaced and removed per
+  // segment; unchanged segments keep their object identity (see
+  // useSegmentTiles) and are left alone unless the mobility profile they were
+  // colored for or the language of their labels changed.
+  const showClusters = !!mapView && mapView.zoom <= CLUSTER_MAX_ZOOM;
+
+  // Opens the popup of a linked or focused segment once it has been drawn
+  const openPendingPopup = useCallback(() => {
+    const entry = pendingPopupRef.current && renderedSegmentsRef.current.get(pendingPopupRef.current);
+    if (!entry) return;
+    pendingPopupRef.current = null;
+    entry.polyline.openPopup(entry.seg.path[Math.floor(entry.seg.path.length / 2)]);
+  }, []);
+
+  // Only called by the effect below, which decides when a segment is redrawn
+  const drawSegment = useEffectEvent((seg) => {
+    const config = featureConfig(seg);
+    const color = activeLimits && !isPoint(seg)
+      ? PASSABILITY[assessSegment(seg, activeLimits).status].color
+      : config.color || '#999';
+
+    const verification = seg.verification;
+
+    // Unsynced contributions are drawn dotted until the server confirms them;
+    // unverified ones are faded and contested ones dashed
+    let style = { color: color, weight: 6, opacity: 0.8 };
+    if (seg.pending) style = { color: color, weight: 5, opacity: 0.6, dashArray: '2, 10', lineCap: 'round' };
+    else if (verification.status === 'contested') style = { ...style, dashArray: '12, 8' };
+    else if (verification.status === 'unverified') style = { ...style, opacity: 0.5 };
+    if (isHidden(seg)) style = { ...style, opacity: 0.3 };
+    // Points are markers; they share the popup and the rest with paths
+    const polyline = isPoint(seg)
+      ? L.marker(seg.path[0], { icon: pointMarkerIcon(config), title: config.label || t('Point'), opacity: isHidden(seg) ? 0.4 : seg.pending ? 0.6 : 1 })
+      : L.polyline(seg.path, style);
+    const layers = [];
+
+    // Temporary obstructions get an orange casing underneath
+    if (isObstruction(seg)) {
+      layers.push(isPoint(seg)
+        ? L.circleMarker(seg.path[0], { radius: 20, color: '#f97316', weight: 0, fillOpacity: 0.35, interactive: false })
+        : L.polyline(seg.path, { color: '#f97316', weight: 14, opacity: 0.35, interactive: false }));
+    }
+
+    const popupContainer = document.createElement('div');
+    popupContainer.tabIndex = -1;
+    popupContainer.setAttribute('role', 'dialog');
+    popupContainer.setAttribute('aria-label', t('{feature} details', { feature: config.label || t('Segment') }));
+    polyline.bindPopup(popupContainer, { className: 'custom-popup-clean', minWidth: 240, maxWidth: 300 });
+    polyline.on('popupopen', () => setOpenPopup({ segmentId: seg.id, container: popupContainer, layer: polyline }));
+    polyline.on('popupclose', () => {
+      setOpenPopup(current => (current && current.layer === polyline ? null : current));
+      // Back to the list item the popup was opened from
+      if (!isRerenderingRef.current && popupReturnFocusRef.current) {
+        const trigger = popupReturnFocusRef.current;
+        popupReturnFocusRef.current = null;
+        if (trigger.isConnected) trigger.focus();
+      }
+    });
+    layers.push(polyline);
+
+    const comments = commentCountOf(seg);
+    if (comments > 0 && !seg.pending) {
+      const mid = seg.path[Math.floor(seg.path.length / 2)];
+      layers.push(L.marker(mid, { icon: commentBadgeIcon(comments), title: plural(comments, '{count} comment', '{count} comments') })
+        .on('click', () => polyline.openPopup(mid)));
+    }
+    return { polyline, layers };
+  });
 
-      const polyline = L.polyline(seg.path, {
-        color: color,
-        weight: 6,
-        opacity: 0.8
+  useEffect(() => {
+    const layer = segmentsLayerRef.current;
+    if (!mapInstanceRef.current || !layer) return;
+    const rendered = renderedSegmentsRef.current;
+
+    const wanted = new Map();
+    if (!showClusters) {
+      mapSegments.forEach(seg => {
+        if (!isSegmentVisible(seg) || !seg.path || seg.path.length === 0) return;
+        // The segment being edited is shown by the drawing layer instead
+        if (seg.id === editingSegmentId) return;
+        wanted.set(seg.id, seg);
       });
+    }
 
-      const popupContent = document.createElement('div');
-      const imageHtml = seg.image
-        ? `<div style="width:100%; height:140px; background-image:url(${seg.image}); background-size:cover; background-position:center; border-radius: 8px 8px 0 0;"></div>`
-        : '';
-
-      const htmlString = `
-        <div class="font-sans min-w-[240px] overflow-hidden">
-          ${imageHtml}
-          <div class="p-4">
-            <div class="flex items-center gap-2 mb-3">
-              <span class="w-3 h-3 rounded-full shadow-sm shrink-0" style="background:${color}"></span>
-              <span class="font-bold text-slate-800 leading-tight">${config.label || 'Unknown Category'}</span>
-            </div>
-            
-            ${seg.note ? `
-              <div class="text-sm text-slate-600 bg-slate-50 p-3 rounded-lg border border-slate-100 mb-4 leading-relaxed">
-                "${seg.note}"
-              </div>
-            ` : ''}
-            
-            <div class="flex justify-end items-center pt-3 border-t border-slate-100 mt-2">
-              <button 
-                onclick="window.accessMapDeleteSegment('${seg.id}')"
-                class="group flex items-center gap-1.5 text-xs font-medium text-slate-500 hover:text-red-600 hover:bg-red-50 px-2 py-1.5 rounded-md transition-all cursor-pointer"
-                title="Delete this path"
-              >
-                <svg style="width:14px;height:14px;" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/></svg>
-                Delete
-              </button>
-            </div>
-          </div>
-        </div>
-      `;
+    // Popups left open on a segment that changed are reopened on its new line
+    const reopen = [];
+    isRerenderingRef.current = true;
+    rendered.forEach((entry, id) => {
+      if (wanted.get(id) === entry.seg && entry.limits === activeLimits && entry.language === language) return;
+      if (entry.polyline.isPopupOpen() && wanted.has(id)) reopen.push([id, entry.polyline.getPopup().getLatLng()]);
+      entry.layers.forEach(l => layer.removeLayer(l));
+      rendered.delete(id);
+    });
+    isRerenderingRef.current = false;
+    wanted.forEach((seg, id) => {
+      if (rendered.has(id)) return;
+      const { polyline, layers } = drawSegment(seg);
+      layers.forEach(l => l.addTo(layer));
+      rendered.set(id, { seg, polyline, layers, limits: activeLimits, language });
+    });
+    reopen.forEach(([id, latlng]) => rendered.get(id)?.polyline.openPopup(latlng));
+    openPendingPopup();
+  }, [mapSegments, isSegmentVisible, editingSegmentId, showClusters, activeLimits, language, openPendingPopup]);
+
+  // Zoomed out: one marker per cluster of nearby segments, colored by the most
+  // common category (or passability, with a mobility profile on), with the count
+  useEffect(() => {
+    const layer = clusterLayerRef.current;
+    if (!mapInstanceRef.current || !layer) return;
+    layer.clearLayers();
+    if (!showClusters) return;
+
+    const map = mapInstanceRef.current;
+    const cellPx = 80;
+    const cells = new Map();
+    mapSegments.forEach(seg => {
+      if (!isSegmentVisible(seg) || !seg.path || seg.path.length === 0) return;
+      const mid = seg.path[Math.floor(seg.path.length / 2)];
+      const pt = map.project(mid, mapView.zoom);
+      const key = `${Math.floor(pt.x / cellPx)}:${Math.floor(pt.y / cellPx)}`;
+      const cell = cells.get(key) || { count: 0, lat: 0, lng: 0, colors: {} };
+      cell.count++;
+      cell.lat += mid[0];
+      cell.lng += mid[1];
+      const color = activeLimits && !isPoint(seg)
+        ? PASSABILITY[assessSegment(seg, activeLimits).status].color
+        : (Object.values(CATEGORIES).find(c => c.id === seg.category) || {}).color || '#999';
+      cell.colors[color] = (cell.colors[color] || 0) + 1;
+      cells.set(key, cell);
+    });
+
+    cells.forEach(cell => {
+      const center = [cell.lat / cell.count, cell.lng / cell.count];
+      const color = Object.entries(cell.colors).sort((a, b) => b[1] - a[1])[0][0];
+      const size = Math.min(44, 24 + Math.round(Math.log2(cell.count) * 4));
+      L.marker(center, {
+        icon: L.divIcon({
+          className: '',
+          html: `<div style="width:${size}px;height:${size}px;border-radius:9999px;background:${color};color:#fff;border:3px solid #fff;box-shadow:0 1px 3px rgba(0,0,0,.35);display:flex;align-items:center;justify-content:center;font:600 12px/1 sans-serif">${cell.count}</div>`,
+          iconSize: [size, size],
+          iconAnchor: [size / 2, size / 2]
+        }),
+        title: plural(cell.count, '{count} segment', '{count} segments')
+      })
+        .on('click', () => map.setView(center, CLUSTER_MAX_ZOOM + 2))
+        .addTo(layer);
+    });
+  }, [mapSegments, isSegmentVisible, showClusters, mapView, activeLimits, language]);
+
+  // Pairs pass as distinct once resolved that way; the resolutions are only
+  // listened to while the conflicts layer is on
+  useEffect(() => {
+    if (!showConflicts) return;
+    return onSnapshot(resolutionsCollection(), snapshot => {
+      setDistinctKeys(new Set(snapshot.docs.filter(d => d.data().resolution === 'distinct').map(d => d.id)));
+    }, err => console.error('Firestore conflict resolutions listener error', err));
+  }, [showConflicts]);
+
+  const conflicts = useMemo(
+    () => (showConflicts ? findConflicts(mapSegments.filter(seg => existsAt(seg, viewDate)), distinctKeys) : []),
+    [showConflicts, mapSegments, viewDate, distinctKeys]
+  );
+  const selectedConflict = conflicts.find(c => c.key === selectedConflictKey) || conflicts[0] || null;
+
+  // Render Conflicts: a red halo around both lines of each pair, stronger for
+  // the one under review; clicking a halo selects its pair
+  useEffect(() => {
+    if (!mapInstanceRef.current || !conflictLayerRef.current) return;
+
+    conflictLayerRef.current.clearLayers();
+    if (!showConflicts || showClusters) return;
+
+    conflicts.forEach(conflict => {
+      const isSelected = selectedConflict && conflict.key === selectedConflict.key;
+      [conflict.a, conflict.b].forEach(seg => {
+        L.polyline(seg.path, { color: '#dc2626', weight: isSelected ? 18 : 14, opacity: isSelected ? 0.45 : 0.25 })
+          .on('click', () => setSelectedConflictKey(conflict.key))
+          .addTo(conflictLayerRef.current);
+      });
+    });
+  }, [showConflicts, showClusters, conflicts, selectedConflict]);
+
+  const popupSegment = openPopup ? mapSegments.find(seg => seg.id === openPopup.segmentId) : null;
+
+  // Leaflet measures the popup when it opens, before React has filled it in
+  useEffect(() => {
+    if (!openPopup) return;
+    openPopup.layer.getPopup()?.update();
+    if (focusPopupRef.current) {
+      focusPopupRef.current = false;
+      openPopup.container.focus({ preventScroll: true });
+    }
+  }, [openPopup, popupSegment]);
+
+  // --- Segment list ---
+
+  // Opened from the list: centre the map on the segment, then open its popup
+  // once its polyline is drawn (it may be clustered until the map zooms in)
+  const selectListSegment = (seg, trigger) => {
+    const map = mapInstanceRef.current;
+    if (!map) return;
+    popupReturnFocusRef.current = trigger;
+    focusPopupRef.current = true;
+    pendingPopupRef.current = seg.id;
+    map.fitBounds(L.latLngBounds(seg.path), { padding: [60, 60], maxZoom: 18 });
+    openPendingPopup();
+  };
+
+  // --- Shareable links ---
 
-      popupContent.innerHTML = htmlString;
-      polyline.bindPopup(popupContent, { className: 'custom-popup-clean', minWidth: 240, maxWidth: 300 });
-      polyline.addTo(segmentsLayerRef.current);
+  // Mirror the view, filters and open segment into the URL. A linked segment
+  // stays in it until its data arrives and the popup opens.
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !mapView) return;
+    const center = map.getCenter();
+    const hash = formatDeepLink({
+      view: { center: [center.lat, center.lng], zoom: mapView.zoom },
+      filters,
+      segmentId: openPopup ? openPopup.segmentId : pendingPopupRef.current,
     });
-  }, [segments, filters]);
+    if (hash !== window.location.hash) window.history.replaceState(null, '', hash);
+  }, [mapView, filters, openPopup]);
+
+  // A link pasted into the address bar of an open tab only changes the hash
+  useEffect(() => {
+    const applyLink = () => {
+      const link = parseDeepLink(window.location.hash, DEFAULT_FILTERS);
+      if (link.filters) setFilters(link.filters);
+      if (link.view) mapInstanceRef.current?.setView(link.view.center, link.view.zoom);
+      if (link.segmentId) {
+        pendingPopupRef.current = link.segmentId;
+        openPendingPopup();
+      }
+    };
+    window.addEventListener('hashchange', applyLink);
+    return () => window.removeEventListener('hashchange', applyLink);
+  });
+
+  // "Copy link" in a popup: the current view and filters, with that segment open
+  const copySegmentLink = async (segmentId) => {
+    const map = mapInstanceRef.current;
+    if (!map) return false;
+    const center = map.getCenter();
+    const url = deepLinkUrl({ view: { center: [center.lat, center.lng], zoom: map.getZoom() }, filters, segmentId });
+    try {
+      await navigator.clipboard.writeText(url);
+      announce(t('Link copied'));
+      return true;
+    } catch (err) {
+      // No clipboard access (e.g. over plain http): let the user copy it
+      console.error('Failed to copy link', err);
+      window.prompt(t('Copy this link:'), url);
+      return false;
+    }
+  };
+
+  const listSegments = showSegmentList && mapView
+    ? mapSegments.filter(seg =>
+      seg.path && seg.path.length > 0 &&
+      isSegmentVisible(seg) &&
+      mapView.bounds.intersects(L.latLngBounds(seg.path)))
+    : [];
+
+  // --- Mobility profile ---
+
+  const openProfileEditor = () => {
+    setProfileDraft(mobilityProfile || { preset: null, limits: NO_LIMITS })
+  };
+
+  const setProfileLimit = (key, value) => {
+    // Adjusting a preset makes it a custom profile
+    setProfileDraft(draft => ({ preset: null, limits: { ...draft.limits, [key]: value } }))
+  };
+
+  const toggleAvoidedSurface = (id) => {
+    const avoided = profileDraft.limits.avoidSurfaces
+    setProfileLimit('avoidSurfaces', avoided.includes(id) ? avoided.filter(s => s !== id) : [...avoided, id])
+  };
+
+  const saveProfile = async () => {
+    // Like contributions, a profile can be kept under a guest session
+    let owner = user
+    if (!owner) {
+      try {
+        owner = await ensureGuestSession()
+      } catch (e) {
+        console.error('Guest session failed', e)
+        alert(t('Please sign in to save a mobility profile.'))
+        return
+      }
+    }
+    const profile = { preset: profileDraft.preset, limits: normalizeLimits(profileDraft.limits) }
+    setIsSavingProfile(true)
+    try {
+      await saveMobilityProfile(owner.uid, profile)
+      setMobilityProfile(profile)
+      setColorByProfile(true)
+      setProfileDraft(null)
+      announce(t('Mobility profile saved. The map is now colored for you.'))
+    } catch (e) {
+      console.error('Failed to save mobility profile', e)
+      alert(t('Failed to save your mobility profile ({code}).', { code: e.code || 'unknown' }))
+    } finally {
+      setIsSavingProfile(false)
+    }
+  };
+
+  const removeProfile = async () => {
+    setIsSavingProfile(true)
+    try {
+      await deleteMobilityProfile(user.uid)
+      setMobilityProfile(null)
+      setProfileDraft(null)
+      announce(t('Mobility profile deleted'))
+    } catch (e) {
+      console.error('Failed to delete mobility profile', e)
+      alert(t('Failed to delete your mobility profile ({code}).', { code: e.code || 'unknown' }))
+    } finally {
+      setIsSavingProfile(false)
+    }
+  };
 
   // --- Action Handlers ---
 
-  const startDrawing = () => {
+  const startDrawing = (geometry = 'line') => {
+    // Drawing needs no account; a guest session makes what is saved ownable
+    if (!user) ensureGuestSession().catch(err => console.error('Guest session failed', err));
+    closeRoutePlanner();
+    setIsDrawingArea(false);
+    setDrawingGeometry(geometry);
     setIsDrawing(true);
-    setCurrentPath([]);
-    lastPointRef.current = null;
+    setIsKeyboardDrawing(false);
+    dispatchPath({ type: 'reset', path: [] });
+    snapLinksRef.current = {};
     setShowSubmissionForm(false);
   };
 
+  const startWalk = () => {
+    if (!navigator.geolocation) {
+      alert(t('This browser cannot share your location, so walk mode is not available.'));
+      return;
+    }
+    startDrawing();
+    setWalkFix(null);
+    setWalkError(null);
+    setWalkStatus('recording');
+    announce(t('Recording your walk. Accepted GPS positions are added to the path.'));
+  };
+
+  const pauseWalk = () => {
+    setWalkStatus('paused');
+    setWalkFix(null);
+    announce(t('Recording paused'));
+  };
+
+  const resumeWalk = () => {
+    setWalkError(null);
+    setWalkStatus('recording');
+    announce(t('Recording resumed'));
+  };
+
   const cancelDrawing = () => {
+    setWalkStatus(null);
+    setWalkFix(null);
+    setWalkError(null);
     setIsDrawing(false);
-    setCurrentPath([]);
-    lastPointRef.current = null;
+    setIsEditingShape(false);
+    setEditingSegmentId(null);
+    dispatchPath({ type: 'reset', path: [] });
+    snapLinksRef.current = {};
     setShowSubmissionForm(false);
-    setSelectedImage(null);
+    setPhotos([]);
+    setSurveyDate('');
+    setSelectedCategory('accessible');
+    setDrawingGeometry('line');
+    setSelectedPointType(DEFAULT_POINT_TYPE);
+    setAttributes(EMPTY_ATTRIBUTES);
+    setIsObstructionReport(false);
+    setObstructionStart('');
+    setObstructionEnd('');
     setNote('');
   };
 
-  const finishDrawing = () => {
-    if (currentPath.length < 2) {
-      alert("Please draw at least 2 points");
-      return;
+  const startEditing = (id) => {
+    const seg = segments.find(s => s.id === id);
+    if (!seg) return;
+    if (!canModify(seg)) {
+      alert(t('You are not the owner of this contribution and cannot edit it.'))
+      return
     }
+    mapInstanceRef.current?.closePopup();
+    closeRoutePlanner();
     setIsDrawing(false);
-    setShowSubmissionForm(true);
+    setEditingSegmentId(seg.id);
+    dispatchPath({ type: 'reset', path: seg.path.map(p => [...p]) });
+    snapLinksRef.current = { ...seg.snapLinks };
+    setSelectedCategory(seg.category || 'accessible');
+    setDrawingGeometry(isPoint(seg) ? 'point' : 'line');
+    setSelectedPointType(seg.pointType || DEFAULT_POINT_TYPE);
+    setNote(seg.note || '');
+    setPhotos(editablePhotos(seg));
+    setSurveyDate(dateInputValue(seg.surveyedAt));
+    setAttributes(seg.attributes);
+    setIsObstructionReport(isObstruction(seg));
+    setObstructionStart(dateInputValue(seg.obstruction?.startsAt));
+    setObstructionEnd(dateInputValue(seg.obstruction?.endsAt));
+    setShowSubmissionForm(false);
+    setIsEditingShape(true);
   };
 
-  const handleImageUpload = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    if (file.size > 5 * 1024 * 1024) {
-      alert("Image too large (Max 5MB)");
-      return;
+  // Confirm or dispute someone else's rating; repeating your current vote withdraws it
+  const castVote = async (id, vote, category) => {
+    if (!isSignedIn(user)) {
+      alert(t('Please sign in to confirm or dispute contributions.'))
+      return
+    }
+    const seg = segments.find(s => s.id === id)
+    if (!seg) return
+    if (seg.author_uid === user.uid) {
+      alert(t('You cannot vote on your own contribution.'))
+      return
+    }
+    const current = voteOf(seg, user.uid)
+    const withdraw = current && current.vote === vote && current.category === category
+    try {
+      await updateDoc(doc(db, 'segments', id), {
+        [`votes.${user.uid}`]: withdraw ? deleteField() : { vote, category, votedAt: serverTimestamp() }
+      })
+    } catch (e) {
+      console.error('Firestore vote failed', e)
+      alert(t('Failed to record your vote ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }))
     }
-
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const img = new Image();
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        let width = img.width;
-        let height = img.height;
-        const MAX_WIDTH = 800;
-        const MAX_HEIGHT = 600;
-        if (width > height) {
-          if (width > MAX_WIDTH) { height *= MAX_WIDTH / width; width = MAX_WIDTH; }
-        } else {
-          if (height > MAX_HEIGHT) { width *= MAX_HEIGHT / height; height = MAX_HEIGHT; }
-        }
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, width, height);
-        const dataUrl = canvas.toDataURL('image/jpeg', 0.7);
-        setSelectedImage(dataUrl);
-      };
-      img.src = event.target.result;
-    };
-    reader.readAsDataURL(file);
   };
 
-  const submitSegment = async () => {
-    if (!user) {
-      alert('Please sign in to save contributions.')
+  // Any signed-in user may mark an obstruction as cleared
+  const clearObstruction = async (id) => {
+    if (!isSignedIn(user)) {
+      alert(t('Please sign in to mark obstructions as cleared.'))
       return
     }
-    const newSegment = {
-      id: Date.now().toString(),
-      path: [...currentPath], // Create a copy
-      category: selectedCategory,
-      note: note,
-      image: selectedImage,
-      createdAt: new Date(),
-      author_uid: user.uid
-    };
-
-    setSegments(prev => [...prev, newSegment]);
-
-    // Write to Firestore (uses server timestamp for consistent ordering)
     try {
-      const firestorePayload = {
-        ...newSegment,
-        path: newSegment.path.map(p => ({ lat: p[0], lng: p[1] })),
-        createdAt: serverTimestamp(),
-      }
-      await addDoc(collection(db, 'segments'), firestorePayload)
-    } catch (err) {
-      console.error('Failed to write segment to Firestore', err)
-      alert('Failed to save contribution to cloud. It is saved locally in this browser session. Check the console for details.')
+      await updateDoc(doc(db, 'segments', id), {
+        'obstruction.clearedAt': serverTimestamp(),
+        'obstruction.clearedBy': user.uid
+      })
+      mapInstanceRef.current?.closePopup();
+    } catch (e) {
+      console.error('Firestore update failed', e)
+      alert(t('Failed to mark obstruction as cleared ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }))
     }
-
-    setShowSubmissionForm(false);
-    setCurrentPath([]);
-    setNote('');
-    setSelectedImage(null);
-    setSelectedCategory('accessible');
-    lastPointRef.current = null;
   };
 
-  const toggleFilter = (key) => {
-    setFilters(prev => ({ ...prev, [key]: !prev[key] }));
-  };
+  // --- Moderation ---
+
+  const openReport = (id) => {
+    if (!isSignedIn(user)) {
+      alert(t('Please sign in to report contributions.'))
+      return
+    }
+    mapInstanceRef.current?.closePopup();
+    setReportReason(FLAG_REASONS[0].id);
+    setReportDetails('');
+    setReportTarget(id);
+  };
+
+  const submitReport = async () => {
+    if (!user || !reportTarget) return
+    try {
+      await fileReport(reportTarget, user, { reason: reportReason, details: reportDetails })
+      setReportTarget(null);
+      alert(t('Thanks, a moderator will review this contribution.'))
+    } catch (e) {
+      console.error('Firestore report failed', e)
+      alert(t('Failed to send report ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }))
+    }
+  };
+
+  const setModerationStatus = async (id, status) => {
+    if (!isModerator) return
+    try {
+      const moderation = { status, by: user.uid, at: serverTimestamp() }
+      // Restoring means the reports were reviewed and dismissed
+      if (status === 'visible') await clearReports(id, { moderation, reportCount: 0 })
+      else await updateDoc(doc(db, 'segments', id), { moderation })
+    } catch (e) {
+      console.error('Firestore moderation update failed', e)
+      alert(t('Failed to update contribution ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }))
+    }
+  };
+
+  const showSegmentOnMap = (seg) => {
+    if (!mapInstanceRef.current || !seg.path || seg.path.length === 0) return;
+    mapInstanceRef.current.fitBounds(L.latLngBounds(seg.path), { padding: [60, 60], maxZoom: 18 });
+  };
+
+  // The queue has its own listeners: reported and hidden segments anywhere in
+  // the city, not just the tiles in view, and the reports themselves
+  const [flaggedDocs, setFlaggedDocs] = useState([]);
+  const [hiddenSegments, setHiddenSegments] = useState([]);
+  const [reports, setReports] = useState([]);
+  useEffect(() => {
+    if (!isModerator) return;
+    const col = collection(db, 'segments');
+    const onError = (err) => console.error('Firestore moderation listener error', err);
+    const unsubFlagged = onSnapshot(query(col, where('reportCount', '>', 0)), snapshot => {
+      setFlaggedDocs(snapshot.docs.map(segmentFromDoc));
+    }, onError);
+    const unsubHidden = onSnapshot(query(col, where('moderation.status', '==', 'hidden')), snapshot => {
+      setHiddenSegments(snapshot.docs.map(segmentFromDoc));
+    }, onError);
+    const unsubReports = onSnapshot(collectionGroup(db, 'reports'), snapshot => {
+      setReports(snapshot.docs.map(reportFromDoc));
+    }, onError);
+    return () => {
+      unsubFlagged();
+      unsubHidden();
+      unsubReports();
+    };
+  }, [isModerator]);
+  const flaggedSegments = useMemo(
+    () => flaggedDocs.filter(seg => !isHidden(seg) && reportCountOf(seg) > 0),
+    [flaggedDocs]
+  );
+  // Reports per segment, oldest first
+  const reportsBySegment = useMemo(() => {
+    const bySegment = new Map();
+    [...reports].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)).forEach(report => {
+      if (!bySegment.has(report.segmentId)) bySegment.set(report.segmentId, []);
+      bySegment.get(report.segmentId).push(report);
+    });
+    return bySegment;
+  }, [reports]);
+
+  const undoPath = () => dispatchPath({ type: 'undo' });
+  const redoPath = () => dispatchPath({ type: 'redo' });
+  const removeLastPoint = () => dispatchPath({ type: 'update', update: prev => (prev.length ? prev.slice(0, -1) : prev) });
+
+  // Keyboard shortcuts while drawing or adjusting a path
+  useEffect(() => {
+    if (!isDrawing && !isEditingShape) return;
+    const handleKeyDown = (e) => {
+      if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      // Enter on a focused button activates the button instead
+      if (e.key === 'Enter' && e.target.closest && e.target.closest('button, a[href]')) return;
+      const mod = e.ctrlKey || e.metaKey;
+      if (keyboardDrawing && e.key.startsWith('Arrow')) {
+        e.preventDefault();
+        moveCrosshair(e.key, e.shiftKey ? 5 : 1, e);
+      } else if (keyboardDrawing && e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        placeCrosshairPoint(e);
+      } else if (mod && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) redoPath(); else undoPath();
+      } else if (mod && e.key.toLowerCase() === 'y') {
+        e.preventDefault();
+        redoPath();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (isDrawing) finishDrawing(); else finishEditingShape();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        cancelDrawing();
+        if (keyboardDrawing) announce(t('Drawing cancelled'));
+      } else if (e.key === 'Backspace' && isDrawing) {
+        e.preventDefault();
+        removeLastPoint();
+        if (keyboardDrawing) announce(currentPath.length > 0 ? t('Removed point {number}', { number: currentPath.length }) : t('No points to remove'));
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // --- Keyboard drawing ---
+
+  const toggleKeyboardDrawing = () => {
+    const map = mapInstanceRef.current;
+    if (!map) return;
+    if (isKeyboardDrawing) {
+      setIsKeyboardDrawing(false);
+      announce(t('Keyboard drawing off'));
+      return;
+    }
+    const center = map.getCenter();
+    setCrosshair([center.lat, center.lng]);
+    setIsKeyboardDrawing(true);
+    // Arrow keys go to the crosshair, not to Leaflet's map panning
+    map.getContainer().focus({ preventScroll: true });
+    announce(drawingGeometry === 'point'
+      ? t('Keyboard placement on. Arrow keys move the crosshair, hold Shift for bigger steps. Enter places the point, Escape cancels.')
+      : t('Keyboard drawing on. Arrow keys move the crosshair, hold Shift for bigger steps. Enter places a point, Shift+Enter finishes, Backspace removes the last point, Escape cancels.'));
+  };
+
+  const crosshairAnnounceTimerRef = useRef(null);
+
+  const moveCrosshair = (key, multiplier, event) => {
+    const map = mapInstanceRef.current;
+    if (!map || !crosshair) return;
+    const [dx, dy] = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[key] || [0, 0];
+    const step = CROSSHAIR_STEP_PX * multiplier;
+    const pt = map.latLngToContainerPoint(crosshair).add([dx * step, dy * step]);
+    const next = map.containerPointToLatLng(pt);
+    setCrosshair([next.lat, next.lng]);
+    handleMapHoverLogic(next, event);
+    const size = map.getSize();
+    if (pt.x < 40 || pt.y < 40 || pt.x > size.x - 40 || pt.y > size.y - 40) map.panTo(next);
+
+    // Say where the crosshair ended up once the keys stop
+    clearTimeout(crosshairAnnounceTimerRef.current);
+    crosshairAnnounceTimerRef.current = setTimeout(() => {
+      const last = currentPathRef.current[currentPathRef.current.length - 1];
+      const here = [next.lat, next.lng];
+      const snap = snapFor(next, event);
+      const where = last
+        ? t('{distance} {direction} of the last point', { distance: formatDistance(distanceMeters(last, here)), direction: compassLabel(bearing(last, here)) })
+        : t('Crosshair moved');
+      announce(snap ? t('{position}, on an existing segment', { position: where }) : where);
+    }, 600);
+  };
+
+  const placeCrosshairPoint = (event) => {
+    if (!crosshair) return;
+    if (drawingGeometry === 'point') {
+      placePoint(crosshair);
+      announce(t('Point placed'));
+      return;
+    }
+    const { point, snapped } = appendPoint(L.latLng(crosshair), event);
+    const next = [...currentPath, point];
+    const total = formatDistance(pathLength(next));
+    announce(snapped
+      ? t('Point {number} placed, joined to an existing segment. {total} in total.', { number: next.length, total })
+      : t('Point {number} placed. {total} in total.', { number: next.length, total }));
+  };
+
+  useEffect(() => () => clearTimeout(crosshairAnnounceTimerRef.current), []);
+
+  // Crosshair marker, and Leaflet's own arrow-key panning off while it is used
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !keyboardDrawing || !crosshair) return;
+    const marker = L.marker(crosshair, { icon: CROSSHAIR_ICON, interactive: false, keyboard: false }).addTo(map);
+    return () => marker.remove();
+  }, [keyboardDrawing, crosshair]);
+
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !keyboardDrawing) return;
+    map.keyboard.disable();
+    return () => map.keyboard.enable();
+  }, [keyboardDrawing]);
+
+  const finishEditingShape = () => {
+    setIsEditingShape(false);
+    setShowSubmissionForm(true);
+  };
+
+  const finishDrawing = () => {
+    if (drawingGeometry === 'point') {
+      if (currentPath.length === 0) alert(t('Click the map to place the point'));
+      return;
+    }
+    if (walkStatus) {
+      const track = simplifyTrack(currentPath);
+      if (track.length < 2) {
+        alert(t('Not enough of the walk has been recorded yet. Keep walking, or wait for a better GPS signal.'));
+        return;
+      }
+      dispatchPath({ type: 'reset', path: track });
+      setWalkStatus(null);
+      setWalkFix(null);
+      setWalkError(null);
+    } else if (currentPath.length < 2) {
+      alert(t('Please draw at least 2 points'));
+      return;
+    }
+    setIsDrawing(false);
+    setShowSubmissionForm(true);
+  };
+
+  // Photos are processed (metadata read, EXIF stripped, thumbnail made) as
+  // soon as they are picked; uploading happens on save
+  const addPhotos = async (files) => {
+    const room = MAX_PHOTOS - photos.length;
+    if (files.length > room) alert(t('You can attach up to {count} photos.', { count: MAX_PHOTOS }));
+    const accepted = files.slice(0, Math.max(0, room)).filter(file => {
+      if (file.size <= MAX_PHOTO_BYTES) return true;
+      alert(t('{file} is too large (max {size} MB).', { file: file.name, size: MAX_PHOTO_BYTES / 1024 / 1024 }));
+      return false;
+    });
+    const prepared = [];
+    setIsProcessingPhotos(true);
+    try {
+      for (const file of accepted) {
+        try {
+          prepared.push(await preparePhoto(file));
+        } catch (err) {
+          console.error('Failed to process photo', err);
+          alert(t('Could not read {file}. Try a JPEG or PNG photo.', { file: file.name }));
+        }
+      }
+    } finally {
+      setIsProcessingPhotos(false);
+    }
+    setPhotos(prev => [...prev, ...prepared].slice(0, MAX_PHOTOS));
+    return prepared;
+  };
+
+  const handlePhotoFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    addPhotos(files);
+  };
+
+  const removePhoto = (id) => {
+    setPhotos(prev => prev.filter(photo => photo.id !== id));
+  };
+
+  // Start a new path where a photo was taken: pan there, drop the first point
+  // and suggest the capture day as the survey date
+  const startFromPhoto = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const [photo] = await addPhotos([file]);
+    if (!photo) return;
+    if (photo.takenAt && !surveyDate) setSurveyDate(dateInputValue(photo.takenAt));
+    if (!photo.location) {
+      alert(t('This photo has no location data. It is attached to the path, but you will need to find the spot yourself.'));
+      return;
+    }
+    if (!L.latLngBounds(ITHACA_BOUNDS).contains(photo.location)) {
+      alert(t('This photo was taken outside the map area. It is attached to the path anyway.'));
+      return;
+    }
+    mapInstanceRef.current?.setView(photo.location, 19);
+    if (drawingGeometry === 'point') {
+      placePoint(photo.location);
+    } else if (currentPathRef.current.length === 0) {
+      dispatchPath({ type: 'update', update: path => [...path, photo.location] });
+    }
+  };
+
+  // Report type fields for the form's obstruction settings. Editing keeps any
+  // "cleared" mark already on the report.
+  const obstructionFields = (existing) => {
+    if (!isObstructionReport) {
+      return existing && isObstruction(existing) ? { reportType: deleteField(), obstruction: deleteField() } : {};
+    }
+    return {
+      reportType: OBSTRUCTION_REPORT,
+      obstruction: {
+        startsAt: startOfDayFromInput(obstructionStart) || new Date(),
+        endsAt: endOfDayFromInput(obstructionEnd),
+        clearedAt: existing?.obstruction?.clearedAt || null,
+        clearedBy: existing?.obstruction?.clearedBy || null
+      }
+    };
+  };
+
+  // Shown under the sidewalk details as the contributor types; points have none
+  const attributesError = drawingGeometry === 'point' ? null : validateAttributes(attributes);
+
+  const saveSegmentEdits = async () => {
+    const seg = segments.find(s => s.id === editingSegmentId)
+    if (!canModify(seg)) {
+      alert(t('You are not the owner of this contribution and cannot edit it.'))
+      return
+    }
+    setIsSaving(true)
+    try {
+      // Also moves a legacy data-URL image into Storage
+      const storedPhotos = await uploadPhotos(editingSegmentId, photos)
+      await updateDoc(doc(db, 'segments', editingSegmentId), {
+        path: toFirestorePath(currentPath, snapLinksRef.current),
+        tiles: tileKeysForPath(currentPath),
+        ...(isPoint(seg)
+          ? { pointType: selectedPointType }
+          : { category: selectedCategory, attributes: attributesToStore(attributes) }),
+        note: note.slice(0, MAX_NOTE_LENGTH),
+        photos: storedPhotos,
+        image: deleteField(),
+        surveyedAt: startOfDayFromInput(surveyDate),
+        ...obstructionFields(seg),
+        updatedAt: serverTimestamp(),
+      })
+      const kept = new Set(storedPhotos.map(photo => photo.id))
+      deletePhotoFiles((seg.photos || []).filter(photo => !kept.has(photo.id)))
+      cancelDrawing();
+    } catch (e) {
+      console.error('Firestore update failed', e)
+      alert(t('Failed to update contribution ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }))
+    } finally {
+      setIsSaving(false)
+    }
+  };
+
+  const submitSegment = async () => {
+    if (attributesError) return
+    // Guests save under an anonymous account that signing in later upgrades
+    let author = user
+    if (!author) {
+      try {
+        author = await ensureGuestSession()
+      } catch (e) {
+        console.error('Guest session failed', e)
+        alert(t('Please sign in to save contributions.'))
+        return
+      }
+    }
+    if (isObstructionReport && obstructionStart && obstructionEnd && obstructionEnd < obstructionStart) {
+      alert(t('The expected end date is before the start date.'))
+      return
+    }
+    if (editingSegmentId) {
+      await saveSegmentEdits();
+      return;
+    }
+    const newSegment = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      path: [...currentPath], // Create a copy
+      snapLinks: { ...snapLinksRef.current },
+      ...(drawingGeometry === 'point'
+        ? pointFields(selectedPointType)
+        : { category: selectedCategory, attributes: attributesToStore(attributes) }),
+      note: note.slice(0, MAX_NOTE_LENGTH),
+      // Uploaded to Storage by the upload queue
+      photos,
+      surveyedAt: startOfDayFromInput(surveyDate),
+      ...obstructionFields(null),
+      createdAt: new Date(),
+      author_uid: author.uid,
+      author_name: author.displayName || null
+    };
+
+    // Queued in IndexedDB first, then uploaded (and retried while offline)
+    await enqueue(newSegment);
+
+    setShowSubmissionForm(false);
+    dispatchPath({ type: 'reset', path: [] });
+    setNote('');
+    setPhotos([]);
+    setSurveyDate('');
+    setSelectedCategory('accessible');
+    setDrawingGeometry('line');
+    setSelectedPointType(DEFAULT_POINT_TYPE);
+    setAttributes(EMPTY_ATTRIBUTES);
+    setIsObstructionReport(false);
+    setObstructionStart('');
+    setObstructionEnd('');
+    snapLinksRef.current = {};
+  };
+
+  const startRoutePlanner = () => {
+    setIsDrawingArea(false);
+    setIsPlanningRoute(true);
+    setRouteEndpoints({ origin: null, destination: null });
+  };
+
+  const closeRoutePlanner = () => {
+    setIsPlanningRoute(false);
+    setRouteEndpoints({ origin: null, destination: null });
+  };
+
+  // --- Dashboard ---
+
+  const loadStats = async () => {
+    setIsLoadingStats(true);
+    try {
+      const snapshot = await getDocs(collection(db, 'segments'));
+      setStatsSegments(snapshot.docs.map(segmentFromDoc));
+    } catch (e) {
+      console.error('Failed to load segments for the dashboard', e);
+      alert(t('Failed to load statistics ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }));
+    } finally {
+      setIsLoadingStats(false);
+    }
+  };
+
+  const toggleDashboard = () => {
+    if (showDashboard) {
+      closeDashboard();
+      return;
+    }
+    setShowDashboard(true);
+    if (!statsSegments) loadStats();
+  };
+
+  const toggleConflicts = () => {
+    setShowConflicts(v => !v);
+    setSelectedConflictKey(null);
+  };
+
+  const zoomToConflict = (conflict) => {
+    mapInstanceRef.current?.fitBounds(L.latLngBounds([...conflict.a.path, ...conflict.b.path]), { padding: [60, 60], maxZoom: 19 });
+  };
+
+  // Merging deletes a segment: moderators, or whoever may delete both
+  const canMergeConflict = (conflict) => isSignedIn(user) && canDelete(conflict.a) && canDelete(conflict.b);
+  const canMarkConflictDistinct = (conflict) => isSignedIn(user) && (isModerator || canModify(conflict.a) || canModify(conflict.b));
+
+  const resolveConflictAsDistinct = async (conflict) => {
+    setResolvingConflictKey(conflict.key);
+    try {
+      await markDistinct(conflict.a, conflict.b, user);
+      setSelectedConflictKey(null);
+      announce(t('Marked as separate segments'));
+    } catch (e) {
+      console.error('Failed to resolve conflict', e);
+      alert(t('Failed to save the resolution ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }));
+    } finally {
+      setResolvingConflictKey(null);
+    }
+  };
+
+  const confirmMerge = async () => {
+    if (!mergeRequest) return;
+    const { keep, remove, category } = mergeRequest;
+    const key = selectedConflict ? selectedConflict.key : null;
+    setResolvingConflictKey(key);
+    try {
+      await mergeSegments(keep, remove, category, { moveVotes: isModerator });
+      setSelectedConflictKey(null);
+      announce(t('Segments merged'));
+    } catch (e) {
+      console.error('Merge failed', e);
+      alert(t('Failed to merge the segments ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }));
+    } finally {
+      setResolvingConflictKey(null);
+      setMergeRequest(null);
+    }
+  };
+
+  const closeDashboard = () => {
+    setShowDashboard(false);
+    setIsDrawingArea(false);
+  };
+
+  const startAreaDrawing = () => {
+    closeRoutePlanner();
+    setStatsArea([]);
+    setIsDrawingArea(true);
+  };
+
+  const finishAreaDrawing = () => {
+    setIsDrawingArea(false);
+    announce(t('Area complete'));
+  };
+
+  const clearArea = () => {
+    setStatsArea(null);
+    setIsDrawingArea(false);
+  };
+
+  // Charts follow the same Map Layers filters as the map
+  const dashboardSegments = useMemo(
+    () => (statsSegments || []).filter(seg => seg.path && seg.path.length > 1 && isSegmentVisible(seg)),
+    [statsSegments, isSegmentVisible]
+  );
+
+  // --- My contributions ---
+
+  const loadMyContributions = async () => {
+    if (!user) return;
+    setIsLoadingMine(true);
+    try {
+      setMyContributions(await fetchContributions(user.uid));
+    } catch (e) {
+      console.error('Failed to load your contributions', e);
+      alert(t('Failed to load your contributions ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }));
+    } finally {
+      setIsLoadingMine(false);
+    }
+  };
+
+  const toggleMyContributions = () => {
+    if (showMyContributions) {
+      setShowMyContributions(false);
+      return;
+    }
+    setShowMyContributions(true);
+    // Always reload: another account may have been signed in since
+    setMyContributions(null);
+    loadMyContributions();
+  };
+
+  const zoomToSegments = (list) => {
+    const points = list.flatMap(seg => seg.path || []);
+    if (!mapInstanceRef.current || points.length === 0) return;
+    mapInstanceRef.current.fitBounds(L.latLngBounds(points), { padding: [40, 40], maxZoom: 18 });
+  };
+
+  const confirmDeleteContributions = async () => {
+    const list = contributionsToDelete;
+    if (!list || list.length === 0) return;
+    setIsDeletingContributions(true);
+    try {
+      await deleteContributions(list);
+      const removed = new Set(list.map(seg => seg.id));
+      setMyContributions(prev => (prev || []).filter(seg => !removed.has(seg.id)));
+      announce(plural(list.length, 'Deleted {count} segment', 'Deleted {count} segments'));
+    } catch (e) {
+      console.error('Bulk delete failed', e);
+      alert(t('Failed to delete your contributions ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }));
+      loadMyContributions();
+    } finally {
+      setIsDeletingContributions(false);
+      setContributionsToDelete(null);
+    }
+  };
+
+  const exportMyData = async () => {
+    if (!myContributions || myContributions.length === 0) return;
+    setExportProgress({ done: 0, total: 0 });
+    try {
+      const zip = await exportContributions(user.uid, myContributions, (done, total) => setExportProgress({ done, total }));
+      downloadFile(`accessmap-my-data-${new Date().toISOString().slice(0, 10)}.zip`, zip, 'application/zip');
+    } catch (e) {
+      console.error('Data export failed', e);
+      alert(t('Failed to export your data ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }));
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
+  const confirmDeleteAccount = async () => {
+    if (!user) return;
+    const uid = user.uid;
+    setIsDeletingAccount(true);
+    try {
+      await deleteAccount(user, { contributions: accountDeletionMode });
+      // Nothing of theirs should upload after the account is gone
+      uploadQueue.filter(item => item.segment.author_uid === uid).forEach(item => discardUpload(item.localId));
+      clearDraft().catch(err => console.error('Failed to clear draft', err));
+      setShowDeleteAccount(false);
+      setShowMyContributions(false);
+      setMyContributions(null);
+      announce(t('Your account has been deleted'));
+    } catch (e) {
+      if (e.code === 'auth/popup-closed-by-user' || e.code === 'auth/cancelled-popup-request') return;
+      console.error('Account deletion failed', e);
+      alert(t('Failed to delete your account ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }));
+    } finally {
+      setIsDeletingAccount(false);
+    }
+  };
+
+  // --- Photo migration ---
+
+  // Segments still carrying a base64 `image` from before photos moved to Storage
+  const legacyImageSegments = useMemo(() => segments.filter(hasLegacyImage), [segments]);
+  const [photoMigration, setPhotoMigration] = useState(null);
+
+  const migrateLegacyPhotos = async () => {
+    if (!isModerator) return
+    const todo = legacyImageSegments
+    let failed = 0
+    setPhotoMigration({ done: 0, total: todo.length })
+    for (const seg of todo) {
+      try {
+        await migrateLegacyImage(seg)
+      } catch (e) {
+        failed++
+        console.error('Photo migration failed for', seg.id, e)
+      }
+      setPhotoMigration(progress => ({ ...progress, done: progress.done + 1 }))
+    }
+    setPhotoMigration(null)
+    if (failed > 0) alert(plural(failed, '{count} photo could not be moved. See the console for details.', '{count} photos could not be moved. See the console for details.'))
+  };
+
+  // --- Spatial index ---
+
+  // Segments saved before viewport loading have no `tiles`, so no tile query
+  // finds them. A moderator's session indexes them (and any whose index no
+  // longer matches the path) once, without anyone having to ask.
+  const tileBackfillStartedRef = useRef(false);
+  const backfillTiles = useEffectEvent(async () => {
+    try {
+      const updated = await backfillTileIndex()
+      if (updated > 0) announce(plural(updated, 'Indexed {count} segment.', 'Indexed {count} segments.'))
+    } catch (e) {
+      console.error('Tile index backfill failed', e)
+      // Try again in the next session
+      tileBackfillStartedRef.current = false
+    }
+  });
+  useEffect(() => {
+    if (!isModerator || tileBackfillStartedRef.current) return;
+    tileBackfillStartedRef.current = true;
+    backfillTiles();
+  }, [isModerator]);
+
+  // --- Import / Export ---
+
+  // The whole collection, not just the tiles in view, like the dashboard
+  const [isExportingSegments, setIsExportingSegments] = useState(false);
+  const exportSegments = async (format) => {
+    setIsExportingSegments(true);
+    let all;
+    try {
+      const snapshot = await getDocs(collection(db, 'segments'));
+      all = snapshot.docs.map(segmentFromDoc);
+    } catch (e) {
+      console.error('Failed to load segments for export', e);
+      alert(t('Failed to load segments for export ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }));
+      return;
+    } finally {
+      setIsExportingSegments(false);
+    }
+    const visible = all.filter(seg => isSegmentVisible(seg) && seg.path && seg.path.length > 1);
+    if (visible.length === 0) {
+      alert(t('There are no visible segments to export. Check the Map Layers filters.'));
+      return;
+    }
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'geojson') {
+      downloadFile(`accessmap-segments-${stamp}.geojson`, JSON.stringify(segmentsToGeoJSON(visible), null, 2), 'application/geo+json');
+    } else {
+      downloadFile(`accessmap-segments-${stamp}.csv`, segmentsToCSV(visible), 'text/csv');
+    }
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const result = parseSegmentsFile(file.name, event.target.result, {
+          categoryIds: Object.values(CATEGORIES).map(c => c.id),
+          bounds: ITHACA_BOUNDS
+        });
+        setImportPreview({ filename: file.name, ...result });
+      } catch (err) {
+        console.error('Failed to parse import file', err);
+        alert(t('Could not read {file}: {message}', { file: file.name, message: err.message }));
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const confirmImport = async () => {
+    if (!isSignedIn(user)) {
+      alert(t('Please sign in to import contributions.'))
+      return
+    }
+    if (!importPreview || importPreview.accepted.length === 0) return;
+
+    setIsImporting(true);
+    try {
+      const col = collection(db, 'segments')
+      for (let start = 0; start < importPreview.accepted.length; start += IMPORT_BATCH_SIZE) {
+        const batch = writeBatch(db)
+        importPreview.accepted.slice(start, start + IMPORT_BATCH_SIZE).forEach(seg => {
+          // Rules require the `id` field to match the document id
+          const segmentRef = doc(col)
+          batch.set(segmentRef, {
+            id: segmentRef.id,
+            path: toFirestorePath(seg.path),
+            tiles: tileKeysForPath(seg.path),
+            category: seg.category,
+            note: seg.note,
+            photos: [],
+            attributes: seg.attributes,
+            createdAt: serverTimestamp(),
+            author_uid: user.uid,
+            author_name: user.displayName || null
+          })
+        })
+        await batch.commit()
+      }
+      setImportPreview(null);
+    } catch (err) {
+      console.error('Failed to import segments to Firestore', err)
+      alert(t('Import failed ({code}). Some segments may not have been saved. Check the console for details.', { code: err.code || 'unknown' }))
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const toggleFilter = (key) => {
+    setFilters(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const togglePointFilter = (id) => {
+    setPointFilters(prev => ({ ...prev, [id]: !prev[id] }));
+  };
+
+  const setAttributeFilter = (key, value) => {
+    setAttributeFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const toggleObstructionReport = (checked) => {
+    setIsObstructionReport(checked);
+    if (checked && !obstructionStart) setObstructionStart(dateInputValue(new Date()));
+  };
+
+  const setAttribute = (key, value) => {
+    setAttributes(prev => ({ ...prev, [key]: value === '' ? null : value }));
+  };
+
+  // Capture time / location of the first picked photo that has them, offered
+  // as suggestions in the form
+  const photoWithMetadata = photos.find(photo => photo.takenAt || photo.location);
+  const photoDistance = photoWithMetadata && photoWithMetadata.location && currentPath.length > 0
+    ? Math.min(...currentPath.map(pt => distanceMeters(pt, photoWithMetadata.location)))
+    : null;
+  const photoTakenOn = photoWithMetadata && photoWithMetadata.takenAt && formatDate(photoWithMetadata.takenAt);
+  const photoSuggestion = !photoWithMetadata ? null
+    : photoTakenOn && photoDistance != null
+      ? t('Photo taken on {date}, {distance} from this path.', { date: photoTakenOn, distance: formatDistance(photoDistance) })
+      : photoTakenOn
+        ? t('Photo taken on {date}.', { date: photoTakenOn })
+        : photoDistance != null
+          ? t('Photo taken {distance} from this path.', { distance: formatDistance(photoDistance) })
+          : t('Photo taken');
+
+  const mergeCategoryLabel = mergeRequest
+    ? (Object.values(CATEGORIES).find(c => c.id === mergeRequest.category) || {}).label || mergeRequest.category
+    : null;
+
+  const submissionTitle = drawingGeometry === 'point'
+    ? (editingSegmentId ? t('Edit this Point') : t('Details for this Point'))
+    : (editingSegmentId ? t('Edit this Segment') : t('Details for this Segment'));
+
+  // Undo/redo, remove-last and total length, shared by drawing and shape editing
+  const pathTools = (
+    <div className="flex items-center gap-0.5 bg-slate-100 rounded-full p-1">
+      <button
+        onClick={undoPath}
+        disabled={pathState.past.length === 0}
+        className="p-1.5 rounded-full text-slate-600 hover:bg-white disabled:opacity-40 disabled:hover:bg-transparent"
+        title={t('Undo (Ctrl+Z)')}
+      >
+        <Undo2 size={16} />
+      </button>
+      <button
+        onClick={redoPath}
+        disabled={pathState.future.length === 0}
+        className="p-1.5 rounded-full text-slate-600 hover:bg-white disabled:opacity-40 disabled:hover:bg-transparent"
+        title={t('Redo (Ctrl+Shift+Z)')}
+      >
+        <Redo2 size={16} />
+      </button>
+      {isDrawing && (
+        <button
+          onClick={removeLastPoint}
+          disabled={currentPath.length === 0}
+          className="p-1.5 rounded-full text-slate-600 hover:bg-white disabled:opacity-40 disabled:hover:bg-transparent"
+          title={t('Remove last point (Backspace)')}
+        >
+          <Delete size={16} />
+        </button>
+      )}
+      {drawingGeometry !== 'point' && (
+        <span className="text-xs font-semibold text-slate-700 tabular-nums px-2" title={t('Total length')}>
+          {formatDistance(pathLength(currentPath))}
+        </span>
+      )}
+    </div>
+  );
 
   return (
     <div className="flex flex-col h-screen w-full bg-slate-50 text-slate-900 font-sans overflow-hidden relative">
@@ -451,147 +2327,1372 @@ export default function AccessMap() {
           <div className="bg-[#B31B1B] w-10 h-10 rounded-lg flex items-center justify-center text-white shadow-sm">
             <span className="font-serif font-bold text-2xl leading-none pt-1">C</span>
           </div>
-          <div>
-            <h1 className="font-bold text-lg leading-tight text-slate-900">AccessMap Ithaca</h1>
-            <div className="flex items-center gap-1.5">
-              <span className="w-1.5 h-1.5 rounded-full bg-[#B31B1B]"></span>
-              <p className="text-xs font-medium text-slate-500 uppercase tracking-wide">Cornell University</p>
+          <div>
+            <h1 className="font-bold text-lg leading-tight text-slate-900">AccessMap Ithaca</h1>
+            <div className="flex items-center gap-1.5">
+              <span className="w-1.5 h-1.5 rounded-full bg-[#B31B1B]"></span>
+              <p className="text-xs font-medium text-slate-500 uppercase tracking-wide">{t('Cornell University')}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-3">
+          {!isDrawing && !showSubmissionForm && !isPlanningRoute && !isEditingShape && (
+            <button
+              onClick={startRoutePlanner}
+              className="flex items-center gap-2 bg-white hover:bg-slate-100 text-slate-700 border border-slate-200 px-4 py-2 rounded-full text-sm font-medium shadow-sm transition-all active:scale-95"
+            >
+              <Route size={16} />
+              {t('Plan Route')}
+            </button>
+          )}
+          {!isDrawing && !showSubmissionForm && !isEditingShape && (
+            <>
+              <button
+                onClick={() => startDrawing()}
+                className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-full text-sm font-medium shadow-sm transition-all active:scale-95"
+              >
+                <Plus size={16} />
+                {t('Add Path')}
+              </button>
+              <button
+                onClick={() => startDrawing('point')}
+                className="flex items-center gap-2 bg-white hover:bg-slate-100 text-blue-700 border border-blue-200 px-4 py-2 rounded-full text-sm font-medium shadow-sm transition-all active:scale-95"
+                title={t('Mark a single spot: a missing curb cut, a broken elevator, an entrance, a bench')}
+              >
+                <MapPin size={16} />
+                {t('Add Point')}
+              </button>
+              <button
+                onClick={startWalk}
+                className="flex items-center gap-2 bg-white hover:bg-slate-100 text-blue-700 border border-blue-200 px-4 py-2 rounded-full text-sm font-medium shadow-sm transition-all active:scale-95"
+                title={t('Record a path from your location as you walk it')}
+              >
+                <Footprints size={16} />
+                {t('Walk')}
+              </button>
+            </>
+          )}
+          <label className="flex items-center gap-1 text-slate-500" title={t('Language')}>
+            <Languages size={16} aria-hidden="true" />
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              aria-label={t('Language')}
+              className="rounded-full border-slate-200 text-sm py-1.5 pl-3 pr-8 text-slate-700"
+            >
+              {LANGUAGES.map(l => <option key={l.id} value={l.id} lang={l.id}>{l.label}</option>)}
+            </select>
+          </label>
+          <button
+            onClick={() => setShowSegmentList(v => !v)}
+            aria-pressed={showSegmentList}
+            className={`flex items-center gap-1.5 px-3 py-2 rounded-full text-sm font-medium border ${showSegmentList ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white border-slate-200 text-slate-700 hover:bg-slate-100'}`}
+            title={t('List the segments in view')}
+          >
+            <List size={16} aria-hidden="true" />
+            <span className="hidden sm:inline">{t('List')}</span>
+          </button>
+          <button
+            onClick={toggleDashboard}
+            aria-pressed={showDashboard}
+            className={`flex items-center gap-1.5 px-3 py-2 rounded-full text-sm font-medium border ${showDashboard ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white border-slate-200 text-slate-700 hover:bg-slate-100'}`}
+            title={t('Coverage and contribution statistics')}
+          >
+            <BarChart3 size={16} aria-hidden="true" />
+            <span className="hidden sm:inline">{t('Stats')}</span>
+          </button>
+          {syncError && (
+            <span
+              role="status"
+              className="flex items-center gap-1.5 px-3 py-2 rounded-full text-sm font-medium bg-red-50 text-red-700 border border-red-200"
+              title={t("Couldn't load map data ({code}). Segments shown may be out of date.", { code: syncError.code || 'unknown' })}
+            >
+              <AlertTriangle size={16} aria-hidden="true" />
+              <span className="hidden sm:inline">{t('Out of sync')}</span>
+            </span>
+          )}
+          {uploadQueue.length > 0 && (
+            <button
+              onClick={() => setShowUploadQueue(v => !v)}
+              className="flex items-center gap-1.5 px-3 py-2 rounded-full text-sm font-medium bg-amber-50 text-amber-800 border border-amber-200 hover:bg-amber-100"
+              title={t('Contributions waiting to upload')}
+            >
+              <CloudOff size={16} />
+              <span>{uploadQueue.length}</span>
+              <span className="hidden sm:inline">{t('pending')}</span>
+            </button>
+          )}
+          {isModerator && (
+            <button
+              onClick={() => setShowModerationQueue(v => !v)}
+              className="flex items-center gap-1.5 px-3 py-2 rounded-full text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200"
+              title={t('Moderation queue')}
+            >
+              <Shield size={16} />
+              <span className="hidden sm:inline">{t('Moderation')}</span>
+              {flaggedSegments.length > 0 && (
+                <span className="bg-red-600 text-white text-[10px] font-bold rounded-full px-1.5 py-0.5 leading-none">{flaggedSegments.length}</span>
+              )}
+            </button>
+          )}
+          {/* Auth buttons */}
+          {isSignedIn(user) ? (
+            <div className="flex items-center gap-2">
+              <button
+                onClick={toggleMyContributions}
+                aria-pressed={showMyContributions}
+                className={`text-sm font-medium px-3 py-2 rounded-full ${showMyContributions ? 'bg-blue-50 text-blue-700' : 'text-slate-700 hover:bg-slate-100'}`}
+                title={t('My contributions')}
+              >
+                <span className="hidden sm:inline">{user.displayName || user.email}</span>
+                <span className="sm:hidden">{t('Me')}</span>
+              </button>
+              <button onClick={handleSignOut} className="px-3 py-2 rounded-full text-sm bg-slate-100 hover:bg-slate-200">{t('Sign out')}</button>
+            </div>
+          ) : (
+            <div className="flex items-center gap-2">
+              {isGuest(user) && (
+                <span className="hidden sm:inline text-xs font-medium text-slate-500" title={t('Sign in to keep what you add as a guest under your account')}>
+                  {t('Guest')}
+                </span>
+              )}
+              <button onClick={signIn} className="px-3 py-2 rounded-full text-sm bg-white border border-slate-200 hover:bg-slate-50">{t('Sign in')}</button>
+            </div>
+          )}
+          {isEditingShape && (
+            <div className="flex items-center gap-2 animate-in fade-in slide-in-from-right-4">
+
+              <span className="text-xs font-medium text-slate-500 mx-2 hidden md:inline max-w-[220px] text-center leading-tight">
+                {drawingGeometry === 'point'
+                  ? t('Drag the point to move it')
+                  : t('Drag points to move them, click a point to remove it, click a midpoint to add one')}
+              </span>
+
+              {pathTools}
+
+              <button
+                onClick={finishEditingShape}
+                className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-full text-sm font-medium shadow-sm"
+              >
+                <Check size={16} />
+                {t('Continue')}
+              </button>
+              <button
+                onClick={cancelDrawing}
+                className="flex items-center gap-2 bg-white hover:bg-slate-100 text-slate-700 border border-slate-200 px-4 py-2 rounded-full text-sm font-medium shadow-sm"
+              >
+                <X size={16} />
+                {t('Cancel')}
+              </button>
+            </div>
+          )}
+          {isDrawing && (
+            <div className="flex items-center gap-2 animate-in fade-in slide-in-from-right-4">
+
+              {walkStatus ? (
+                <span className="text-xs font-medium text-slate-500 mx-2 hidden sm:inline w-32 text-center leading-tight" role="status">
+                  {walkStatus === 'paused' ? t('Recording paused') : walkError || (walkFix ? t('Recording') : t('Finding your location…'))}
+                  {walkStatus === 'recording' && walkFix && (
+                    <span className={`block text-[10px] font-normal ${walkFix.accuracy <= MAX_ACCURACY_M ? 'text-slate-400' : 'text-orange-600'}`}>
+                      {walkFix.accuracy > MAX_ACCURACY_M
+                        ? t('GPS ±{meters} m, too imprecise', { meters: Math.round(walkFix.accuracy) })
+                        : t('GPS ±{meters} m', { meters: Math.round(walkFix.accuracy) })}
+                    </span>
+                  )}
+                </span>
+              ) : (
+                <span className="text-xs font-medium text-slate-500 mx-2 hidden sm:inline w-32 text-center leading-tight">
+                  {keyboardDrawing ? t('Arrows move, Enter places') : drawingGeometry === 'point' ? t('Click to place the point') : t('Click to draw')}
+                  {drawingGeometry !== 'point' && <span className="block text-[10px] font-normal text-slate-400">{t('Hold Alt to skip snapping')}</span>}
+                </span>
+              )}
+
+              {drawingGeometry !== 'point' && pathTools}
+
+              {walkStatus && (
+                <button
+                  onClick={walkStatus === 'recording' ? pauseWalk : resumeWalk}
+                  className="flex items-center gap-2 bg-white hover:bg-slate-100 text-slate-700 border border-slate-200 px-3 py-2 rounded-full text-sm font-medium shadow-sm"
+                >
+                  {walkStatus === 'recording' ? <Pause size={16} /> : <Play size={16} />}
+                  {walkStatus === 'recording' ? t('Pause') : t('Resume')}
+                </button>
+              )}
+
+              {!walkStatus && (
+                <button
+                  onClick={toggleKeyboardDrawing}
+                  aria-pressed={isKeyboardDrawing}
+                  className={`flex items-center gap-2 border px-3 py-2 rounded-full text-sm font-medium shadow-sm ${isKeyboardDrawing ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white hover:bg-slate-100 text-slate-700 border-slate-200'}`}
+                  title={t('Draw with the keyboard')}
+                >
+                  <Keyboard size={16} aria-hidden="true" />
+                  <span className="hidden md:inline">{t('Keyboard')}</span>
+                </button>
+              )}
+
+              {currentPath.length === 0 && !walkStatus && (
+                <button
+                  onClick={() => locatePhotoInputRef.current?.click()}
+                  disabled={isProcessingPhotos}
+                  className="flex items-center gap-2 bg-white hover:bg-slate-100 text-slate-700 border border-slate-200 px-3 py-2 rounded-full text-sm font-medium shadow-sm disabled:opacity-60"
+                  title={t('Start where a photo was taken')}
+                >
+                  {isProcessingPhotos ? <Loader2 size={16} className="animate-spin" /> : <Camera size={16} />}
+                  <span className="hidden md:inline">{t('From photo')}</span>
+                </button>
+              )}
+              <input
+                type="file"
+                ref={locatePhotoInputRef}
+                className="hidden"
+                accept="image/jpeg"
+                onChange={startFromPhoto}
+              />
+
+              {drawingGeometry !== 'point' && (
+                <button
+                  onClick={finishDrawing}
+                  className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-full text-sm font-medium shadow-sm"
+                  title={t('Finish (Enter)')}
+                >
+                  <Check size={16} />
+                  {t('Finish')}
+                </button>
+              )}
+              <button
+                onClick={cancelDrawing}
+                className="flex items-center gap-2 bg-white hover:bg-slate-100 text-slate-700 border border-slate-200 px-4 py-2 rounded-full text-sm font-medium shadow-sm"
+                title={t('Cancel (Esc)')}
+              >
+                <X size={16} />
+                {t('Cancel')}
+              </button>
+            </div>
+          )}
+        </div>
+      </header>
+
+      {/* Main Map Container */}
+      <div className="flex-1 relative isolate bg-slate-200">
+
+        {!mapLoaded && (
+          <div className="absolute inset-0 flex items-center justify-center z-10 bg-slate-50">
+            <div className="flex flex-col items-center gap-3 text-slate-400">
+              <Loader2 className="animate-spin" size={32} />
+              <p className="text-sm font-medium">{t('Loading Map...')}</p>
+            </div>
+          </div>
+        )}
+
+        <div
+          ref={mapContainerRef}
+          className="w-full h-full z-0"
+          aria-label={keyboardDrawing ? t('Map, keyboard drawing') : t('Map of sidewalk segments. Use the List button for a keyboard-accessible list.')}
+        />
+
+        {showSegmentList && (
+          <SegmentList
+            segments={listSegments}
+            categories={Object.values(CATEGORIES)}
+            pointTypes={Object.values(POINT_TYPES)}
+            center={mapView ? [mapView.bounds.getCenter().lat, mapView.bounds.getCenter().lng] : MAP_CENTER}
+            activeId={openPopup?.segmentId}
+            passabilityOf={activeLimits ? (seg) => assessSegment(seg, activeLimits).status : null}
+            onSelect={selectListSegment}
+            onClose={() => setShowSegmentList(false)}
+          />
+        )}
+
+        {showDashboard && (
+          <Dashboard
+            segments={dashboardSegments}
+            categories={Object.values(CATEGORIES)}
+            isLoading={isLoadingStats}
+            onRefresh={loadStats}
+            area={statsArea}
+            isDrawingArea={isDrawingArea}
+            onDrawArea={startAreaDrawing}
+            onFinishArea={finishAreaDrawing}
+            onClearArea={clearArea}
+            onClose={closeDashboard}
+          />
+        )}
+
+        {isSignedIn(user) && showMyContributions && (
+          <MyContributions
+            segments={myContributions}
+            categories={Object.values(CATEGORIES)}
+            pointTypes={Object.values(POINT_TYPES)}
+            isLoading={isLoadingMine}
+            exportProgress={exportProgress}
+            onRefresh={loadMyContributions}
+            onZoomTo={zoomToSegments}
+            onDelete={setContributionsToDelete}
+            onExport={exportMyData}
+            onDeleteAccount={() => setShowDeleteAccount(true)}
+            onClose={() => setShowMyContributions(false)}
+          />
+        )}
+
+        {showConflicts && (
+          <ConflictPanel
+            conflicts={conflicts}
+            categories={Object.values(CATEGORIES)}
+            user={user}
+            selectedKey={selectedConflict ? selectedConflict.key : null}
+            busyKey={resolvingConflictKey}
+            canMerge={canMergeConflict}
+            canMarkDistinct={canMarkConflictDistinct}
+            onSelect={setSelectedConflictKey}
+            onZoomTo={zoomToConflict}
+            onMerge={(keep, remove, category) => setMergeRequest({ keep, remove, category })}
+            onMarkDistinct={resolveConflictAsDistinct}
+            onClose={toggleConflicts}
+          />
+        )}
+
+        {/* Legend / Filters Panel */}
+        <div className="absolute top-2 left-14 z-[500] bg-white/95 backdrop-blur shadow-lg rounded-xl p-4 w-64 border border-slate-200 max-h-[calc(100vh-120px)] overflow-y-auto">
+          <div className="flex items-center gap-2 mb-3 text-slate-800 font-semibold text-sm">
+            <Layers size={16} />
+            <span>{t('Map Layers')}</span>
+          </div>
+          <div className="space-y-2">
+            {Object.values(CATEGORIES).map((cat) => (
+              <label key={cat.id} className="flex items-start gap-3 cursor-pointer group p-1 rounded hover:bg-slate-50 transition-colors">
+                <div className="relative flex items-center pt-0.5">
+                  <input
+                    type="checkbox"
+                    checked={filters[cat.id]}
+                    onChange={() => toggleFilter(cat.id)}
+                    className="peer h-4 w-4 rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+                  />
+                </div>
+                <div className="flex-1">
+                  <div className="flex items-center gap-2 text-sm font-medium text-slate-700">
+                    <span className="w-3 h-3 rounded-full" style={{ backgroundColor: cat.color }}></span>
+                    {cat.label}
+                  </div>
+                  <p className="text-[10px] text-slate-500 leading-tight mt-0.5">{cat.desc}</p>
+                </div>
+              </label>
+            ))}
+          </div>
+
+          <div className="mt-4 pt-3 border-t border-slate-100">
+            <div className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2">{t('My mobility')}</div>
+            {mobilityProfile ? (
+              <>
+                <label className="flex items-center gap-2 text-xs text-slate-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={colorByProfile}
+                    onChange={() => setColorByProfile(on => !on)}
+                    className="h-3.5 w-3.5 rounded border-slate-300 text-blue-600"
+                  />
+                  {t('Color for my profile ({preset})', { preset: presetLabel(mobilityProfile.preset) })}
+                </label>
+                {colorByProfile && (
+                  <div className="mt-2 space-y-1 text-xs text-slate-700">
+                    {Object.values(PASSABILITY).map(p => (
+                      <div key={p.label} className="flex items-center gap-2">
+                        <span className="w-3 h-3 rounded-full" style={{ backgroundColor: p.color }}></span>
+                        {p.label}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <button onClick={openProfileEditor} className="mt-2 text-xs font-medium text-blue-600 hover:underline">
+                  {t('Edit profile')}
+                </button>
+              </>
+            ) : (
+              <>
+                <p className="text-[10px] text-slate-500 leading-tight mb-2">{t('Color paths by whether you can get along them, from your own limits.')}</p>
+                <button
+                  onClick={openProfileEditor}
+                  className="w-full flex items-center justify-center gap-1.5 px-2 py-1.5 rounded-lg text-xs font-medium text-slate-700 bg-slate-100 hover:bg-slate-200 transition-colors"
+                >
+                  <Accessibility size={14} />
+                  {t('Set up a mobility profile')}
+                </button>
+              </>
+            )}
+          </div>
+
+          <div className="mt-4 pt-3 border-t border-slate-100">
+            <div className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2">{t('Points')}</div>
+            <div className="space-y-1">
+              {Object.values(POINT_TYPES).map((type) => (
+                <label key={type.id} className="flex items-center gap-2 text-xs text-slate-700 cursor-pointer p-1 rounded hover:bg-slate-50" title={type.desc}>
+                  <input
+                    type="checkbox"
+                    checked={pointFilters[type.id]}
+                    onChange={() => togglePointFilter(type.id)}
+                    className="h-3.5 w-3.5 rounded border-slate-300 text-blue-600"
+                  />
+                  <span className="w-5 h-5 rounded-full flex items-center justify-center text-white [&>svg]:w-3 [&>svg]:h-3" style={{ backgroundColor: type.color }} aria-hidden="true">
+                    {type.icon}
+                  </span>
+                  {type.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="mt-4 pt-3 border-t border-slate-100">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-xs font-semibold text-slate-500 uppercase tracking-wide">{t('Map date')}</span>
+              {dayOffset !== 0 && (
+                <button onClick={() => setDayOffset(0)} className="text-xs font-medium text-blue-600 hover:underline">
+                  {t('Today')}
+                </button>
+              )}
+            </div>
+            <input
+              type="range"
+              min={-TIME_SLIDER_DAYS}
+              max={TIME_SLIDER_DAYS}
+              step={1}
+              value={dayOffset}
+              onChange={(e) => setDayOffset(Number(e.target.value))}
+              className="w-full accent-blue-600"
+              aria-label={t('Show the map as of this date')}
+            />
+            <div className="flex items-center gap-1.5 text-xs text-slate-700">
+              <Construction size={12} className="text-orange-600" />
+              {dayOffset === 0 ? t('Now') : formatDate(viewDate, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+              <span className="text-slate-400">
+                · {plural(mapSegments.filter(seg => isObstruction(seg) && existsAt(seg, viewDate)).length, '{count} active obstruction', '{count} active obstructions')}
+              </span>
+            </div>
+          </div>
+
+          <div className="mt-4 pt-3 border-t border-slate-100">
+            <div className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2">{t('Verification')}</div>
+            <label className="flex items-center gap-2 text-xs text-slate-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={filters.hideUnverified}
+                onChange={() => toggleFilter('hideUnverified')}
+                className="h-3.5 w-3.5 rounded border-slate-300 text-blue-600"
+              />
+              {t('Hide unverified segments')}
+            </label>
+            <label className="flex items-center gap-2 text-xs text-slate-700 cursor-pointer mt-1">
+              <input
+                type="checkbox"
+                checked={showConflicts}
+                onChange={toggleConflicts}
+                className="h-3.5 w-3.5 rounded border-slate-300 text-blue-600"
+              />
+              {t('Show conflicting overlaps')}{showConflicts && ` (${conflicts.length})`}
+            </label>
+            <div className="mt-2 space-y-1 text-[10px] text-slate-500">
+              <div className="flex items-center gap-2">
+                <svg width="28" height="6" aria-hidden="true"><line x1="0" y1="3" x2="28" y2="3" stroke="#64748b" strokeWidth="4" strokeOpacity="0.5" /></svg>
+                {t('Faded: nobody has confirmed it yet')}
+              </div>
+              <div className="flex items-center gap-2">
+                <svg width="28" height="6" aria-hidden="true"><line x1="0" y1="3" x2="28" y2="3" stroke="#64748b" strokeWidth="4" strokeDasharray="8 5" /></svg>
+                {t('Dashed: rating is disputed')}
+              </div>
+            </div>
+          </div>
+
+          <details className="mt-4 pt-3 border-t border-slate-100 group" open={attributeFiltersActive(attributeFilters)}>
+            <summary className="text-xs font-semibold text-slate-500 uppercase tracking-wide cursor-pointer select-none flex items-center justify-between">
+              {t('Sidewalk details')}
+              {attributeFiltersActive(attributeFilters) && (
+                <button
+                  onClick={(e) => { e.preventDefault(); setAttributeFilters(DEFAULT_ATTRIBUTE_FILTERS); }}
+                  className="normal-case tracking-normal font-medium text-blue-600 hover:underline"
+                >
+                  {t('Reset')}
+                </button>
+              )}
+            </summary>
+            <div className="space-y-2 mt-2 text-xs text-slate-700">
+              <label className="flex items-center justify-between gap-2">
+                <span>{t('Surface')}</span>
+                <select
+                  value={attributeFilters.surface}
+                  onChange={(e) => setAttributeFilter('surface', e.target.value)}
+                  className="w-32 rounded border-slate-300 text-xs py-1"
+                >
+                  <option value="any">{t('Any')}</option>
+                  {SURFACE_TYPES.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center justify-between gap-2">
+                <span>{t('Min. clear width (m)')}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={attributeFilters.minClearWidth}
+                  onChange={(e) => setAttributeFilter('minClearWidth', e.target.value)}
+                  className="w-32 rounded border-slate-300 text-xs py-1"
+                  placeholder={t('Any')}
+                />
+              </label>
+              <label className="flex items-center justify-between gap-2">
+                <span>{t('Max. running slope')}</span>
+                <select
+                  value={attributeFilters.maxRunningSlope}
+                  onChange={(e) => setAttributeFilter('maxRunningSlope', e.target.value)}
+                  className="w-32 rounded border-slate-300 text-xs py-1"
+                >
+                  <option value="any">{t('Any')}</option>
+                  {RUNNING_SLOPES.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center justify-between gap-2">
+                <span>{t('Max. cross slope')}</span>
+                <select
+                  value={attributeFilters.maxCrossSlope}
+                  onChange={(e) => setAttributeFilter('maxCrossSlope', e.target.value)}
+                  className="w-32 rounded border-slate-300 text-xs py-1"
+                >
+                  <option value="any">{t('Any')}</option>
+                  {CROSS_SLOPES.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={attributeFilters.hideMissingCurbCuts}
+                  onChange={(e) => setAttributeFilter('hideMissingCurbCuts', e.target.checked)}
+                  className="h-3.5 w-3.5 rounded border-slate-300 text-blue-600"
+                />
+                {t('Hide missing curb cuts')}
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={attributeFilters.hideObstructed}
+                  onChange={(e) => setAttributeFilter('hideObstructed', e.target.checked)}
+                  className="h-3.5 w-3.5 rounded border-slate-300 text-blue-600"
+                />
+                {t('Hide obstructed sidewalks')}
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={attributeFilters.requireLighting}
+                  onChange={(e) => setAttributeFilter('requireLighting', e.target.checked)}
+                  className="h-3.5 w-3.5 rounded border-slate-300 text-blue-600"
+                />
+                {t('Only well-lit sidewalks')}
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer pt-1 border-t border-slate-100">
+                <input
+                  type="checkbox"
+                  checked={attributeFilters.includeUnknown}
+                  onChange={(e) => setAttributeFilter('includeUnknown', e.target.checked)}
+                  className="h-3.5 w-3.5 rounded border-slate-300 text-blue-600"
+                />
+                <span>{t('Include segments without these details')}</span>
+              </label>
+            </div>
+          </details>
+
+          <div className="mt-4 pt-3 border-t border-slate-100">
+            <div className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2">{t('Data')}</div>
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={() => exportSegments('geojson')}
+                disabled={isExportingSegments}
+                className="flex items-center justify-center gap-1.5 px-2 py-1.5 rounded-lg text-xs font-medium text-slate-700 bg-slate-100 hover:bg-slate-200 transition-colors disabled:opacity-60"
+                title={t('Download visible segments as GeoJSON')}
+              >
+                {isExportingSegments ? <Loader2 size={14} className="animate-spin" /> : <Download size={14} />}
+                GeoJSON
+              </button>
+              <button
+                onClick={() => exportSegments('csv')}
+                disabled={isExportingSegments}
+                className="flex items-center justify-center gap-1.5 px-2 py-1.5 rounded-lg text-xs font-medium text-slate-700 bg-slate-100 hover:bg-slate-200 transition-colors disabled:opacity-60"
+                title={t('Download visible segments as CSV with WKT geometry')}
+              >
+                {isExportingSegments ? <Loader2 size={14} className="animate-spin" /> : <Download size={14} />}
+                CSV
+              </button>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                className="col-span-2 flex items-center justify-center gap-1.5 px-2 py-1.5 rounded-lg text-xs font-medium text-slate-700 border border-slate-200 hover:bg-slate-50 transition-colors"
+              >
+                <Upload size={14} />
+                {t('Import GeoJSON / CSV')}
+              </button>
+              {isModerator && legacyImageSegments.length > 0 && (
+                <button
+                  onClick={migrateLegacyPhotos}
+                  disabled={!!photoMigration}
+                  className="col-span-2 flex items-center justify-center gap-1.5 px-2 py-1.5 rounded-lg text-xs font-medium text-slate-700 border border-slate-200 hover:bg-slate-50 transition-colors disabled:opacity-60"
+                  title={t('Move photos stored inside segment documents to Storage')}
+                >
+                  {photoMigration ? <Loader2 size={14} className="animate-spin" /> : <Camera size={14} />}
+                  {photoMigration
+                    ? t('Moving photos {done}/{total}', photoMigration)
+                    : plural(legacyImageSegments.length, 'Move {count} old photo to Storage', 'Move {count} old photos to Storage')}
+                </button>
+              )}
+            </div>
+            <input
+              type="file"
+              ref={importInputRef}
+              className="hidden"
+              accept=".geojson,.json,.csv,application/geo+json,application/json,text/csv"
+              onChange={handleImportFile}
+            />
+          </div>
+        </div>
+
+        {/* Pending Uploads Panel */}
+        {showUploadQueue && uploadQueue.length > 0 && (
+          <div className="absolute top-2 right-2 z-[700] bg-white/95 backdrop-blur shadow-lg rounded-xl p-4 w-80 border border-slate-200 max-h-[calc(100vh-120px)] overflow-y-auto">
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex items-center gap-2 text-slate-800 font-semibold text-sm">
+                <CloudOff size={16} />
+                <span>{t('Pending Uploads')}</span>
+              </div>
+              <button onClick={() => setShowUploadQueue(false)} className="text-slate-400 hover:text-slate-600">
+                <X size={16} />
+              </button>
+            </div>
+            <p className="text-[11px] text-slate-500 mb-3">
+              {t("Saved on this device and retried automatically when you're back online.")}
+            </p>
+            <ul className="space-y-2">
+              {uploadQueue.map(item => {
+                const config = featureConfig(item.segment);
+                return (
+                  <li key={item.localId} className="border border-slate-100 rounded-lg p-2 text-xs">
+                    <div className="flex items-center gap-2">
+                      <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: config.color }}></span>
+                      <span className="font-medium text-slate-700">{config.label || t('Unknown Category')}</span>
+                      <span className="ml-auto text-slate-400">{formatDateTime(new Date(item.queuedAt))}</span>
+                    </div>
+                    {item.segment.note && <p className="text-slate-500 mt-1 truncate">"{item.segment.note}"</p>}
+                    <div className="flex items-center gap-2 mt-2">
+                      <span className={item.status === 'failed' ? 'text-red-600' : 'text-slate-500'}>
+                        {item.status === 'pending' && t('Uploading…')}
+                        {item.status === 'acknowledged' && t('Uploaded, waiting for confirmation')}
+                        {item.status === 'failed' && t('Failed {attempts}× ({error})', { attempts: item.attempts, error: item.lastError })}
+                      </span>
+                      {item.status !== 'acknowledged' && (
+                        <button
+                          onClick={() => retryNow(item.localId)}
+                          className="ml-auto p-1 rounded text-slate-500 hover:text-blue-600 hover:bg-blue-50"
+                          title={t('Retry now')}
+                        >
+                          <RotateCcw size={14} />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => discardUpload(item.localId)}
+                        className={`${item.status === 'acknowledged' ? 'ml-auto ' : ''}p-1 rounded text-slate-500 hover:text-red-600 hover:bg-red-50`}
+                        title={t('Discard from this device')}
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        {/* Import Preview Panel */}
+        {importPreview && (
+          <div className="absolute bottom-6 left-1/2 -translate-x-1/2 z-[600] bg-white shadow-2xl rounded-xl w-full max-w-md border border-slate-200 overflow-hidden">
+            <div className="bg-slate-50 px-4 py-3 border-b border-slate-100 flex justify-between items-center">
+              <h3 className="font-semibold text-sm text-slate-800 truncate">{t('Import {file}', { file: importPreview.filename })}</h3>
+              <button onClick={() => setImportPreview(null)} className="text-slate-400 hover:text-slate-600">
+                <X size={16} />
+              </button>
+            </div>
+            <div className="p-4 space-y-2 text-sm">
+              <p className="text-slate-700">
+                {importPreview.accepted.length > 0
+                  ? plural(importPreview.accepted.length, '{count} segment ready to import (shown dashed on the map).', '{count} segments ready to import (shown dashed on the map).')
+                  : t('No segments to import.')}
+              </p>
+              {importPreview.rejected.length > 0 && (
+                <div className="text-xs text-red-700 bg-red-50 border border-red-100 rounded-lg p-2 max-h-28 overflow-y-auto">
+                  <p className="font-medium mb-1">{plural(importPreview.rejected.length, '{count} row skipped:', '{count} rows skipped:')}</p>
+                  <ul className="space-y-0.5">
+                    {importPreview.rejected.map(r => (
+                      <li key={r.row}>{t('Row {row}: {reason}', r)}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+            <div className="bg-slate-50 px-4 py-3 border-t border-slate-100 flex gap-3 justify-end">
+              <button
+                onClick={() => setImportPreview(null)}
+                className="px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors"
+              >
+                {t('Cancel')}
+              </button>
+              <button
+                onClick={confirmImport}
+                disabled={isImporting || importPreview.accepted.length === 0}
+                className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 shadow-sm transition-colors flex items-center gap-2"
+              >
+                {isImporting ? <Loader2 size={16} className="animate-spin" /> : <Check size={16} />}
+                {t('Import {count}', { count: importPreview.accepted.length })}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Route Planner Panel */}
+        {isPlanningRoute && (
+          <div className="absolute top-2 right-2 z-[500] bg-white/95 backdrop-blur shadow-lg rounded-xl p-4 w-72 border border-slate-200 max-h-[calc(100vh-120px)] overflow-y-auto">
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex items-center gap-2 text-slate-800 font-semibold text-sm">
+                <Route size={16} />
+                <span>{t('Plan a Route')}</span>
+              </div>
+              <button onClick={closeRoutePlanner} className="text-slate-400 hover:text-slate-600" title={t('Close route planner')}>
+                <X size={16} />
+              </button>
             </div>
+
+            {!routeEndpoints.origin && (
+              <p className="text-xs text-slate-500">{t('Click the map to choose a starting point.')}</p>
+            )}
+            {routeEndpoints.origin && !routeEndpoints.destination && (
+              <p className="text-xs text-slate-500">{t('Now click the map to choose a destination.')}</p>
+            )}
+
+            {route && route.status === 'too_far' && (
+              <p className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg p-2">
+                {t('The start or destination is too far from any mapped sidewalk. Try clicking closer to a colored path.')}
+              </p>
+            )}
+            {route && route.status === 'no_route' && (
+              <p className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg p-2">
+                {t('No route was found that avoids inaccessible segments.')}
+              </p>
+            )}
+
+            {route && route.status === 'ok' && (
+              <div className="space-y-3">
+                <div className="text-2xl font-bold text-slate-900">{formatDistance(route.distance)}</div>
+
+                {!route.fullyAccessibleExists && (
+                  <p className="text-xs text-amber-700 bg-amber-50 border border-amber-100 rounded-lg p-2">
+                    {t('No fully accessible route exists between these points. This route uses partially accessible sections.')}
+                  </p>
+                )}
+                {route.fullyAccessibleExists && route.categoryDistances.partial > 0 && (
+                  <p className="text-xs text-slate-600 bg-slate-50 border border-slate-100 rounded-lg p-2">
+                    {t('A longer, fully accessible route also exists. This one was chosen because it is much shorter.')}
+                  </p>
+                )}
+
+                <div className="space-y-1">
+                  {Object.values(CATEGORIES)
+                    .filter(cat => route.categoryDistances[cat.id] > 0)
+                    .map(cat => (
+                      <div key={cat.id} className="flex items-center justify-between text-xs text-slate-600">
+                        <span className="flex items-center gap-2">
+                          <span className="w-3 h-3 rounded-full" style={{ backgroundColor: cat.color }}></span>
+                          {cat.label}
+                        </span>
+                        <span className="font-medium">{formatDistance(route.categoryDistances[cat.id])}</span>
+                      </div>
+                    ))}
+                </div>
+
+                <ol className="space-y-2 border-t border-slate-100 pt-3">
+                  {route.legs.map((leg, i) => {
+                    const config = Object.values(CATEGORIES).find(c => c.id === leg.category) || {};
+                    return (
+                      <li key={i} className="flex gap-2 text-xs text-slate-700">
+                        <span className="w-2 h-2 rounded-full mt-1 shrink-0" style={{ backgroundColor: config.color }}></span>
+                        <span>
+                          {t('{instruction} for {distance}', {
+                            instruction: leg.turn === 'start' ? t('Head {direction}', { direction: compassLabel(leg.startBearing) }) : turnLabel(leg.turn),
+                            distance: formatDistance(leg.distance),
+                          })}
+                          <span className="text-slate-400"> · {config.label}</span>
+                        </span>
+                      </li>
+                    );
+                  })}
+                  <li className="flex gap-2 text-xs font-medium text-slate-700">
+                    <span className="w-2 h-2 rounded-full mt-1 shrink-0 bg-blue-600"></span>
+                    {t('Arrive at destination')}
+                  </li>
+                </ol>
+              </div>
+            )}
+
+            {routeEndpoints.origin && (
+              <button
+                onClick={() => setRouteEndpoints({ origin: null, destination: null })}
+                className="mt-3 w-full px-3 py-1.5 rounded-lg text-xs font-medium text-slate-600 bg-slate-100 hover:bg-slate-200 transition-colors"
+              >
+                {t('Clear route')}
+              </button>
+            )}
           </div>
-        </div>
+        )}
 
-        <div className="flex items-center gap-3">
-          {!isDrawing && !showSubmissionForm && (
-            <button
-              onClick={startDrawing}
-              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-full text-sm font-medium shadow-sm transition-all active:scale-95"
-            >
-              <Plus size={16} />
-              Add Path
-            </button>
-          )}
-          {/* Auth buttons */}
-          {user ? (
-            <div className="flex items-center gap-2">
-              <span className="text-sm font-medium text-slate-700 hidden sm:inline">{user.displayName || user.email}</span>
-              <button onClick={handleSignOut} className="px-3 py-2 rounded-full text-sm bg-slate-100 hover:bg-slate-200">Sign out</button>
+        {popupSegment && createPortal(
+          <SegmentPopup
+            key={popupSegment.id}
+            seg={popupSegment}
+            categories={Object.values(CATEGORIES)}
+            pointTypes={Object.values(POINT_TYPES)}
+            user={user}
+            isModerator={isModerator}
+            canModify={canModify(popupSegment)}
+            canDelete={canDelete(popupSegment)}
+            onEdit={startEditing}
+            onDelete={setSegmentToDelete}
+            onVote={castVote}
+            onClearObstruction={clearObstruction}
+            onReport={openReport}
+            onCopyLink={copySegmentLink}
+            passability={activeLimits && !isPoint(popupSegment) ? assessSegment(popupSegment, activeLimits) : null}
+          />,
+          openPopup.container
+        )}
+
+        {/* Moderation Queue */}
+        {isModerator && showModerationQueue && (
+          <div className="absolute top-2 right-2 z-[700] bg-white/95 backdrop-blur shadow-lg rounded-xl p-4 w-96 border border-slate-200 max-h-[calc(100vh-120px)] overflow-y-auto">
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex items-center gap-2 text-slate-800 font-semibold text-sm">
+                <Shield size={16} />
+                <span>{t('Moderation Queue')}</span>
+              </div>
+              <button onClick={() => setShowModerationQueue(false)} className="text-slate-400 hover:text-slate-600">
+                <X size={16} />
+              </button>
+            </div>
+            <div className="flex gap-1 mb-3 bg-slate-100 rounded-lg p-1 text-xs font-medium">
+              {[['flagged', t('Flagged ({count})', { count: flaggedSegments.length })], ['hidden', t('Hidden ({count})', { count: hiddenSegments.length })]].map(([tab, label]) => (
+                <button
+                  key={tab}
+                  onClick={() => setModerationTab(tab)}
+                  className={`flex-1 px-2 py-1 rounded-md ${moderationTab === tab ? 'bg-white shadow-sm text-slate-900' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
-          ) : (
-            <button onClick={signIn} className="px-3 py-2 rounded-full text-sm bg-white border border-slate-200 hover:bg-slate-50">Sign in</button>
-          )}
-          {isDrawing && (
-            <div className="flex items-center gap-2 animate-in fade-in slide-in-from-right-4">
 
-              <span className="text-xs font-medium text-slate-500 mx-2 hidden sm:inline w-24 text-center">
-                Click to draw
-              </span>
+            {(moderationTab === 'flagged' ? flaggedSegments : hiddenSegments).length === 0 && (
+              <p className="text-xs text-slate-500 text-center py-6">{t('Nothing to review.')}</p>
+            )}
+            <ul className="space-y-3">
+              {(moderationTab === 'flagged' ? flaggedSegments : hiddenSegments).map(seg => {
+                const config = featureConfig(seg);
+                const flags = reportsBySegment.get(seg.id) || [];
+                return (
+                  <li key={seg.id} className="border border-slate-200 rounded-lg p-3 text-xs">
+                    <div className="flex items-center gap-2 mb-1">
+                      <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: config.color }}></span>
+                      <span className="font-medium text-slate-800">{config.label || t('Unknown Category')}</span>
+                      <span className="ml-auto text-slate-400">{seg.createdAt instanceof Date ? formatDate(seg.createdAt) : ''}</span>
+                    </div>
+                    {seg.note && <p className="text-slate-600 bg-slate-50 rounded p-2 my-2 break-words">"{seg.note}"</p>}
+                    {photosOf(seg).length > 0 && (
+                      <div className="flex gap-1 my-2 overflow-x-auto">
+                        {photosOf(seg).map(photo => (
+                          <img key={photo.id} src={photo.thumbUrl} alt="" className="h-20 w-20 shrink-0 object-cover rounded" />
+                        ))}
+                      </div>
+                    )}
+                    {flags.length > 0 && (
+                      <ul className="space-y-1 my-2">
+                        {flags.map(flag => (
+                          <li key={flag.uid} className="flex gap-1.5 text-amber-800">
+                            <Flag size={12} className="mt-0.5 shrink-0" />
+                            <span>
+                              <span className="font-medium">{flagReasonLabel(flag.reason)}</span>
+                              {flag.details && <span className="text-slate-600">: {flag.details}</span>}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    <div className="flex items-center gap-1 pt-2 border-t border-slate-100">
+                      <button onClick={() => showSegmentOnMap(seg)} className="px-2 py-1 rounded-md text-slate-600 hover:bg-slate-100">
+                        {t('Show')}
+                      </button>
+                      {isHidden(seg) ? (
+                        <button onClick={() => setModerationStatus(seg.id, 'visible')} className="flex items-center gap-1 px-2 py-1 rounded-md text-green-700 hover:bg-green-50">
+                          <Eye size={12} />
+                          {t('Restore')}
+                        </button>
+                      ) : (
+                        <>
+                          <button onClick={() => setModerationStatus(seg.id, 'hidden')} className="flex items-center gap-1 px-2 py-1 rounded-md text-slate-700 hover:bg-slate-100">
+                            <EyeOff size={12} />
+                            {t('Hide')}
+                          </button>
+                          <button onClick={() => setModerationStatus(seg.id, 'visible')} className="px-2 py-1 rounded-md text-slate-600 hover:bg-slate-100" title={t('Keep it and dismiss the reports')}>
+                            {t('Dismiss')}
+                          </button>
+                        </>
+                      )}
+                      <button onClick={() => setSegmentToDelete(seg.id)} className="ml-auto flex items-center gap-1 px-2 py-1 rounded-md text-red-600 hover:bg-red-50">
+                        <Trash2 size={12} />
+                        {t('Delete')}
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
 
+        {/* REPORT MODAL */}
+        {reportTarget && (
+          <Modal labelledBy="report-title" label={t('Report this contribution')} announce={announce} onClose={() => setReportTarget(null)} className="max-w-sm">
+            <div className="p-6">
+              <div className="flex items-center gap-2 mb-4">
+                <div className="bg-amber-100 text-amber-700 w-10 h-10 rounded-full flex items-center justify-center">
+                  <Flag size={20} />
+                </div>
+                <h3 id="report-title" className="font-semibold text-lg text-slate-800">{t('Report this contribution')}</h3>
+              </div>
+              <div className="space-y-2" role="radiogroup" aria-labelledby="report-title">
+                {FLAG_REASONS.map(reason => (
+                  <label key={reason.id} className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="report-reason"
+                      value={reason.id}
+                      checked={reportReason === reason.id}
+                      onChange={() => setReportReason(reason.id)}
+                      className="text-amber-600 focus:ring-amber-500"
+                    />
+                    {reason.label}
+                  </label>
+                ))}
+              </div>
+              <textarea
+                value={reportDetails}
+                onChange={(e) => setReportDetails(e.target.value)}
+                maxLength={MAX_FLAG_DETAILS}
+                placeholder={t('Anything moderators should know (optional)')}
+                aria-label={t('Details for moderators (optional)')}
+                className="mt-4 w-full min-h-[70px] px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-amber-500 focus:border-amber-500 text-sm"
+              />
+            </div>
+            <div className="bg-slate-50 px-6 py-4 flex gap-3 justify-center border-t border-slate-100">
               <button
-                onClick={finishDrawing}
-                className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-full text-sm font-medium shadow-sm"
+                onClick={() => setReportTarget(null)}
+                className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors"
               >
-                <Check size={16} />
-                Finish
+                {t('Cancel')}
               </button>
               <button
-                onClick={cancelDrawing}
-                className="flex items-center gap-2 bg-white hover:bg-slate-100 text-slate-700 border border-slate-200 px-4 py-2 rounded-full text-sm font-medium shadow-sm"
+                onClick={submitReport}
+                className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-white bg-amber-600 hover:bg-amber-700 shadow-sm transition-colors"
               >
-                <X size={16} />
-                Cancel
+                {t('Send Report')}
               </button>
             </div>
-          )}
-        </div>
-      </header>
+          </Modal>
+        )}
 
-      {/* Main Map Container */}
-      <div className="flex-1 relative isolate bg-slate-200">
+        {/* DELETE CONFIRMATION MODAL */}
+        {segmentToDelete && (
+          <Modal labelledBy="delete-title" label={t('Delete this path?')} announce={announce} onClose={() => setSegmentToDelete(null)} className="max-w-sm">
+            <div className="p-6 text-center">
+              <div className="bg-red-100 text-red-600 w-12 h-12 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Trash2 size={24} />
+              </div>
+              <h3 id="delete-title" className="font-semibold text-lg text-slate-800 mb-2">{t('Delete this path?')}</h3>
+              <p className="text-sm text-slate-500">{t('This action cannot be undone.')}</p>
+            </div>
+            <div className="bg-slate-50 px-6 py-4 flex gap-3 justify-center border-t border-slate-100">
+              <button
+                onClick={() => setSegmentToDelete(null)}
+                className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors"
+              >
+                {t('Cancel')}
+              </button>
+              <button
+                onClick={handleConfirmDelete}
+                className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-white bg-red-600 hover:bg-red-700 shadow-sm transition-colors"
+              >
+                {t('Delete')}
+              </button>
+            </div>
+          </Modal>
+        )}
 
-        {!mapLoaded && (
-          <div className="absolute inset-0 flex items-center justify-center z-10 bg-slate-50">
-            <div className="flex flex-col items-center gap-3 text-slate-400">
-              <Loader2 className="animate-spin" size={32} />
-              <p className="text-sm font-medium">Loading Map...</p>
+        {showSignIn && (
+          <Modal labelledBy="sign-in-title" label={t('Sign in')} announce={announce} onClose={() => !isSigningIn && setShowSignIn(false)} className="max-w-sm">
+            <div className="p-6">
+              <h3 id="sign-in-title" className="font-semibold text-lg text-slate-800 mb-1">{t('Sign in')}</h3>
+              <p className="text-sm text-slate-500 mb-4">
+                {isGuest(user)
+                  ? t('Everything you added as a guest moves to your account.')
+                  : t('Sign in to vote, comment, report problems and manage your contributions.')}
+              </p>
+              <button
+                onClick={signInGoogle}
+                disabled={isSigningIn}
+                className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium text-slate-700 bg-white border border-slate-300 hover:bg-slate-50 shadow-sm disabled:opacity-50"
+              >
+                {t('Continue with Google')}
+              </button>
+              <div className="flex items-center gap-2 my-4 text-xs text-slate-400">
+                <span className="flex-1 border-t border-slate-200"></span>{t('or')}<span className="flex-1 border-t border-slate-200"></span>
+              </div>
+              {emailLinkSentTo ? (
+                <p className="text-sm text-slate-600" role="status">
+                  {t('We sent a sign-in link to {email}. Open it on this device to finish signing in.', { email: emailLinkSentTo })}
+                </p>
+              ) : (
+                <form onSubmit={sendEmailLink}>
+                  <label className="block text-sm text-slate-700 mb-1" htmlFor="sign-in-email">{t('Email me a sign-in link')}</label>
+                  <div className="flex gap-2">
+                    <input
+                      id="sign-in-email"
+                      type="email"
+                      required
+                      autoComplete="email"
+                      value={signInEmail}
+                      onChange={(e) => setSignInEmail(e.target.value)}
+                      className="flex-1 min-w-0 px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                    />
+                    <button
+                      type="submit"
+                      disabled={isSigningIn || !signInEmail.trim()}
+                      className="flex items-center gap-1.5 px-3 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 shadow-sm disabled:opacity-50"
+                    >
+                      {isSigningIn ? <Loader2 size={16} className="animate-spin" /> : <Mail size={16} />}
+                      {t('Send')}
+                    </button>
+                  </div>
+                </form>
+              )}
             </div>
-          </div>
+            <div className="bg-slate-50 px-6 py-3 flex justify-end border-t border-slate-100">
+              <button
+                onClick={() => setShowSignIn(false)}
+                disabled={isSigningIn}
+                className="px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors disabled:opacity-50"
+              >
+                {t('Close')}
+              </button>
+            </div>
+          </Modal>
         )}
 
-        <div ref={mapContainerRef} className="w-full h-full z-0" />
+        {mergeRequest && (
+          <Modal labelledBy="merge-title" label={t('Merge these segments?')} announce={announce} onClose={() => !resolvingConflictKey && setMergeRequest(null)} className="max-w-sm">
+            <div className="p-6 text-center">
+              <div className="bg-blue-100 text-blue-600 w-12 h-12 rounded-full flex items-center justify-center mx-auto mb-4">
+                <GitMerge size={24} />
+              </div>
+              <h3 id="merge-title" className="font-semibold text-lg text-slate-800 mb-2">{t('Merge these segments?')}</h3>
+              <p className="text-sm text-slate-500">
+                {isModerator
+                  ? t("The kept line is rated {category} and takes over the other's note, photos, votes and comments. The other line is deleted.", { category: mergeCategoryLabel })
+                  : t("The kept line is rated {category} and takes over the other's note, photos and comments. The other line is deleted.", { category: mergeCategoryLabel })}
+              </p>
+            </div>
+            <div className="bg-slate-50 px-6 py-4 flex gap-3 justify-center border-t border-slate-100">
+              <button
+                onClick={() => setMergeRequest(null)}
+                disabled={!!resolvingConflictKey}
+                className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors disabled:opacity-50"
+              >
+                {t('Cancel')}
+              </button>
+              <button
+                onClick={confirmMerge}
+                disabled={!!resolvingConflictKey}
+                className="flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 shadow-sm transition-colors disabled:opacity-50"
+              >
+                {resolvingConflictKey && <Loader2 size={16} className="animate-spin" />}
+                {t('Merge')}
+              </button>
+            </div>
+          </Modal>
+        )}
 
-        {/* Legend / Filters Panel */}
-        <div className="absolute top-2 left-14 z-[500] bg-white/95 backdrop-blur shadow-lg rounded-xl p-4 w-64 border border-slate-200 max-h-[calc(100vh-120px)] overflow-y-auto">
-          <div className="flex items-center gap-2 mb-3 text-slate-800 font-semibold text-sm">
-            <Layers size={16} />
-            <span>Map Layers</span>
-          </div>
-          <div className="space-y-2">
-            {Object.values(CATEGORIES).map((cat) => (
-              <label key={cat.id} className="flex items-start gap-3 cursor-pointer group p-1 rounded hover:bg-slate-50 transition-colors">
-                <div className="relative flex items-center pt-0.5">
+        {profileDraft && (
+          <Modal labelledBy="mobility-title" label={t('My mobility profile')} announce={announce} onClose={() => !isSavingProfile && setProfileDraft(null)} className="max-w-md">
+            <div className="p-6">
+              <h3 id="mobility-title" className="font-semibold text-lg text-slate-800 mb-1">{t('My mobility profile')}</h3>
+              <p className="text-sm text-slate-500 mb-4">
+                {t('Paths are shown as passable, not passable or unknown for you from these limits. Only you can see your profile.')}
+              </p>
+              <label className="block text-sm text-slate-700 mb-1" htmlFor="mobility-preset">{t('Start from')}</label>
+              <select
+                id="mobility-preset"
+                value={profileDraft.preset || ''}
+                onChange={(e) => {
+                  const preset = MOBILITY_PRESETS.find(p => p.id === e.target.value)
+                  setProfileDraft(preset ? { preset: preset.id, limits: preset.limits } : { ...profileDraft, preset: null })
+                }}
+                className="w-full rounded-lg border-slate-300 text-sm mb-4"
+              >
+                <option value="">{t('Custom')}</option>
+                {MOBILITY_PRESETS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+              </select>
+
+              <div className="space-y-2 text-sm text-slate-700">
+                <label className="flex items-center justify-between gap-2">
+                  <span>{t('Max. running slope')}</span>
+                  <select
+                    value={profileDraft.limits.maxRunningSlope || ''}
+                    onChange={(e) => setProfileLimit('maxRunningSlope', e.target.value || null)}
+                    className="w-44 rounded border-slate-300 text-sm py-1"
+                  >
+                    <option value="">{t('Any')}</option>
+                    {RUNNING_SLOPES.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center justify-between gap-2">
+                  <span>{t('Max. cross slope')}</span>
+                  <select
+                    value={profileDraft.limits.maxCrossSlope || ''}
+                    onChange={(e) => setProfileLimit('maxCrossSlope', e.target.value || null)}
+                    className="w-44 rounded border-slate-300 text-sm py-1"
+                  >
+                    <option value="">{t('Any')}</option>
+                    {CROSS_SLOPES.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center justify-between gap-2">
+                  <span>{t('Min. clear width (m)')}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={profileDraft.limits.minClearWidth ?? ''}
+                    onChange={(e) => setProfileLimit('minClearWidth', e.target.value)}
+                    className="w-44 rounded border-slate-300 text-sm py-1"
+                    placeholder={t('Any')}
+                  />
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
                   <input
                     type="checkbox"
-                    checked={filters[cat.id]}
-                    onChange={() => toggleFilter(cat.id)}
-                    className="peer h-4 w-4 rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+                    checked={!profileDraft.limits.missingCurbCutOk}
+                    onChange={(e) => setProfileLimit('missingCurbCutOk', !e.target.checked)}
+                    className="h-4 w-4 rounded border-slate-300 text-blue-600"
                   />
-                </div>
-                <div className="flex-1">
-                  <div className="flex items-center gap-2 text-sm font-medium text-slate-700">
-                    <span className="w-3 h-3 rounded-full" style={{ backgroundColor: cat.color }}></span>
-                    {cat.label}
+                  {t('I need curb cuts')}
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={profileDraft.limits.avoidObstructions}
+                    onChange={(e) => setProfileLimit('avoidObstructions', e.target.checked)}
+                    className="h-4 w-4 rounded border-slate-300 text-blue-600"
+                  />
+                  {t('Obstructions block my way')}
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={profileDraft.limits.needsLighting}
+                    onChange={(e) => setProfileLimit('needsLighting', e.target.checked)}
+                    className="h-4 w-4 rounded border-slate-300 text-blue-600"
+                  />
+                  {t('I need good lighting')}
+                </label>
+                <fieldset className="pt-2">
+                  <legend className="mb-1">{t('Surfaces I avoid')}</legend>
+                  <div className="grid grid-cols-2 gap-1">
+                    {SURFACE_TYPES.map(o => (
+                      <label key={o.id} className="flex items-center gap-2 text-xs cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={profileDraft.limits.avoidSurfaces.includes(o.id)}
+                          onChange={() => toggleAvoidedSurface(o.id)}
+                          className="h-3.5 w-3.5 rounded border-slate-300 text-blue-600"
+                        />
+                        {o.label}
+                      </label>
+                    ))}
                   </div>
-                  <p className="text-[10px] text-slate-500 leading-tight mt-0.5">{cat.desc}</p>
-                </div>
-              </label>
-            ))}
-          </div>
-        </div>
-
-        {/* DELETE CONFIRMATION MODAL */}
-        {segmentToDelete && (
-          <div className="absolute inset-0 z-[1200] bg-black/20 backdrop-blur-sm flex items-center justify-center p-4">
-            <div className="bg-white rounded-xl shadow-2xl w-full max-w-sm overflow-hidden animate-in zoom-in-95 duration-200">
-              <div className="p-6 text-center">
-                <div className="bg-red-100 text-red-600 w-12 h-12 rounded-full flex items-center justify-center mx-auto mb-4">
-                  <Trash2 size={24} />
-                </div>
-                <h3 className="font-semibold text-lg text-slate-800 mb-2">Delete this path?</h3>
-                <p className="text-sm text-slate-500">This action cannot be undone.</p>
+                </fieldset>
               </div>
-              <div className="bg-slate-50 px-6 py-4 flex gap-3 justify-center border-t border-slate-100">
-                <button
-                  onClick={() => setSegmentToDelete(null)}
-                  className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors"
-                >
-                  Cancel
-                </button>
+            </div>
+            <div className="bg-slate-50 px-6 py-4 flex gap-3 border-t border-slate-100">
+              {mobilityProfile && (
                 <button
-                  onClick={handleConfirmDelete}
-                  className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-white bg-red-600 hover:bg-red-700 shadow-sm transition-colors"
+                  onClick={removeProfile}
+                  disabled={isSavingProfile}
+                  className="px-4 py-2 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 transition-colors disabled:opacity-50"
                 >
-                  Delete
+                  {t('Delete')}
                 </button>
+              )}
+              <button
+                onClick={() => setProfileDraft(null)}
+                disabled={isSavingProfile}
+                className="ml-auto px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors disabled:opacity-50"
+              >
+                {t('Cancel')}
+              </button>
+              <button
+                onClick={saveProfile}
+                disabled={isSavingProfile}
+                className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 shadow-sm transition-colors disabled:opacity-50"
+              >
+                {isSavingProfile && <Loader2 size={16} className="animate-spin" />}
+                {t('Save')}
+              </button>
+            </div>
+          </Modal>
+        )}
+
+        {contributionsToDelete && (
+          <Modal labelledBy="bulk-delete-title" label={t('Delete your segments?')} announce={announce} onClose={() => !isDeletingContributions && setContributionsToDelete(null)} className="max-w-sm">
+            <div className="p-6 text-center">
+              <div className="bg-red-100 text-red-600 w-12 h-12 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Trash2 size={24} />
               </div>
+              <h3 id="bulk-delete-title" className="font-semibold text-lg text-slate-800 mb-2">
+                {plural(contributionsToDelete.length, 'Delete {count} segment?', 'Delete {count} segments?')}
+              </h3>
+              <p className="text-sm text-slate-500">{t('Their photos are deleted too. This action cannot be undone.')}</p>
             </div>
-          </div>
+            <div className="bg-slate-50 px-6 py-4 flex gap-3 justify-center border-t border-slate-100">
+              <button
+                onClick={() => setContributionsToDelete(null)}
+                disabled={isDeletingContributions}
+                className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors disabled:opacity-50"
+              >
+                {t('Cancel')}
+              </button>
+              <button
+                onClick={confirmDeleteContributions}
+                disabled={isDeletingContributions}
+                className="flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium text-white bg-red-600 hover:bg-red-700 shadow-sm transition-colors disabled:opacity-50"
+              >
+                {isDeletingContributions && <Loader2 size={16} className="animate-spin" />}
+                {t('Delete')}
+              </button>
+            </div>
+          </Modal>
+        )}
+
+        {isSignedIn(user) && showDeleteAccount && (
+          <Modal labelledBy="delete-account-title" label={t('Delete your account?')} announce={announce} onClose={() => !isDeletingAccount && setShowDeleteAccount(false)} className="max-w-md">
+            <div className="p-6">
+              <div className="bg-red-100 text-red-600 w-12 h-12 rounded-full flex items-center justify-center mx-auto mb-4">
+                <UserX size={24} />
+              </div>
+              <h3 id="delete-account-title" className="font-semibold text-lg text-slate-800 mb-2 text-center">{t('Delete your account?')}</h3>
+              <p className="text-sm text-slate-500 mb-4">
+                {t("Your sign-in, votes and reports are removed. Choose what happens to the segments you added. You'll be asked to sign in again to confirm.")}
+              </p>
+              <fieldset className="space-y-2">
+                <legend className="sr-only">{t('Your segments')}</legend>
+                <label className="flex items-start gap-2 text-sm p-2 rounded-lg border border-slate-200 has-[:checked]:border-blue-400 has-[:checked]:bg-blue-50">
+                  <input type="radio" name="account-deletion" value="anonymize" checked={accountDeletionMode === 'anonymize'} onChange={() => setAccountDeletionMode('anonymize')} className="mt-1" />
+                  <span>
+                    <span className="font-medium text-slate-800 block">{t('Keep them anonymously')}</span>
+                    <span className="text-slate-500">{t('They stay on the map without your name.')}</span>
+                  </span>
+                </label>
+                <label className="flex items-start gap-2 text-sm p-2 rounded-lg border border-slate-200 has-[:checked]:border-blue-400 has-[:checked]:bg-blue-50">
+                  <input type="radio" name="account-deletion" value="delete" checked={accountDeletionMode === 'delete'} onChange={() => setAccountDeletionMode('delete')} className="mt-1" />
+                  <span>
+                    <span className="font-medium text-slate-800 block">{t('Delete them')}</span>
+                    <span className="text-slate-500">{t('Segments and photos are removed for everyone.')}</span>
+                  </span>
+                </label>
+              </fieldset>
+            </div>
+            <div className="bg-slate-50 px-6 py-4 flex gap-3 justify-center border-t border-slate-100">
+              <button
+                onClick={() => setShowDeleteAccount(false)}
+                disabled={isDeletingAccount}
+                className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors disabled:opacity-50"
+              >
+                {t('Cancel')}
+              </button>
+              <button
+                onClick={confirmDeleteAccount}
+                disabled={isDeletingAccount}
+                className="flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium text-white bg-red-600 hover:bg-red-700 shadow-sm transition-colors disabled:opacity-50"
+              >
+                {isDeletingAccount && <Loader2 size={16} className="animate-spin" />}
+                {t('Delete account')}
+              </button>
+            </div>
+          </Modal>
         )}
 
         {/* Submission Modal */}
         {showSubmissionForm && (
-          <div className="absolute inset-0 z-[1000] bg-black/20 backdrop-blur-sm flex items-center justify-center p-4">
-            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md overflow-hidden animate-in zoom-in-95 duration-200 flex flex-col max-h-[90vh]">
-              <div className="bg-slate-50 px-6 py-4 border-b border-slate-100 flex justify-between items-center shrink-0">
-                <h3 className="font-semibold text-slate-800">Details for this Segment</h3>
-                <button onClick={cancelDrawing} className="text-slate-400 hover:text-slate-600">
-                  <X size={20} />
-                </button>
-              </div>
+          // No Escape-to-close: it would throw the form away
+          <Modal
+            labelledBy="submission-title"
+            label={submissionTitle}
+            announce={announce}
+            zIndex="z-[1000]"
+            className="max-w-md flex flex-col max-h-[90vh]"
+          >
+            <div className="bg-slate-50 px-6 py-4 border-b border-slate-100 flex justify-between items-center shrink-0">
+              <h3 id="submission-title" className="font-semibold text-slate-800">
+                {submissionTitle}
+              </h3>
+              <button onClick={cancelDrawing} className="text-slate-400 hover:text-slate-600" aria-label={t('Discard')}>
+                <X size={20} />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-6 overflow-y-auto">
+              {/* Point Types */}
+              {drawingGeometry === 'point' && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-3">{t('What is here?')}</label>
+                  <div className="grid grid-cols-1 gap-2">
+                    {Object.values(POINT_TYPES).map((type) => (
+                      <button
+                        key={type.id}
+                        onClick={() => setSelectedPointType(type.id)}
+                        aria-pressed={selectedPointType === type.id}
+                        className={`
+                          flex items-center gap-3 p-2.5 rounded-lg border text-left transition-all
+                          ${selectedPointType === type.id
+                            ? 'border-blue-500 bg-blue-50 ring-1 ring-blue-500'
+                            : 'border-slate-200 hover:border-slate-300 hover:bg-slate-50'}
+                        `}
+                      >
+                        <div className="p-2 rounded-full text-white" style={{ backgroundColor: type.color }}>
+                          {type.icon}
+                        </div>
+                        <div>
+                          <div className="font-medium text-sm text-slate-900">{type.label}</div>
+                          <div className="text-xs text-slate-500">{type.desc}</div>
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
 
-              <div className="p-6 space-y-6 overflow-y-auto">
-                {/* Categories */}
+              {/* Categories */}
+              {drawingGeometry !== 'point' && (
                 <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-3">Accessibility Status</label>
+                  <label className="block text-sm font-medium text-slate-700 mb-3">{t('Accessibility Status')}</label>
                   <div className="grid grid-cols-1 gap-3">
                     {Object.values(CATEGORIES).map((cat) => (
                       <button
@@ -618,79 +3719,212 @@ export default function AccessMap() {
                     ))}
                   </div>
                 </div>
+              )}
 
-                {/* Image Upload */}
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-2">
-                    Photo <span className="text-slate-400 font-normal">(Optional)</span>
-                  </label>
+              {/* Temporary Obstruction */}
+              <div>
+                <label className="flex items-center gap-2 text-sm font-medium text-slate-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isObstructionReport}
+                    onChange={(e) => toggleObstructionReport(e.target.checked)}
+                    className="h-4 w-4 rounded border-slate-300 text-orange-600 focus:ring-orange-500"
+                  />
+                  <Construction size={16} className="text-orange-600" />
+                  {t('Temporary obstruction')}
+                </label>
+                <p className="text-xs text-slate-500 mt-1 ml-6">
+                  {t('Construction, snow piles, blocked sidewalks. The report drops off the map after its end date.')}
+                </p>
+                {isObstructionReport && (
+                  <div className="grid grid-cols-2 gap-3 mt-3 ml-6">
+                    <label className="block text-xs font-medium text-slate-600">
+                      {t('Starts')}
+                      <input
+                        type="date"
+                        value={obstructionStart}
+                        onChange={(e) => setObstructionStart(e.target.value)}
+                        className="mt-1 w-full rounded-lg border border-slate-300 text-sm px-2 py-1.5"
+                      />
+                    </label>
+                    <label className="block text-xs font-medium text-slate-600">
+                      {t('Expected end')} <span className="text-slate-400 font-normal">{t('(Optional)')}</span>
+                      <input
+                        type="date"
+                        value={obstructionEnd}
+                        min={obstructionStart || undefined}
+                        onChange={(e) => setObstructionEnd(e.target.value)}
+                        className="mt-1 w-full rounded-lg border border-slate-300 text-sm px-2 py-1.5"
+                      />
+                    </label>
+                  </div>
+                )}
+              </div>
 
-                  {!selectedImage ? (
+              {/* Structured Attributes */}
+              {drawingGeometry !== 'point' && (
+                <details className="group" open={hasAttributes(attributes)}>
+                  <summary className="text-sm font-medium text-slate-700 cursor-pointer select-none">
+                    {t('Sidewalk details')} <span className="text-slate-400 font-normal">{t('(Optional)')}</span>
+                  </summary>
+                  <div className="grid grid-cols-2 gap-3 mt-3">
+                    {ATTRIBUTE_FIELDS.map(field => (
+                      <label key={field.key} className="block text-xs font-medium text-slate-600">
+                        {field.label}{field.unit ? ` (${field.unit})` : ''}
+                        {field.options ? (
+                          <select
+                            value={attributes[field.key] ?? ''}
+                            onChange={(e) => setAttribute(field.key, e.target.value)}
+                            className="mt-1 w-full rounded-lg border-slate-300 text-sm py-1.5"
+                          >
+                            <option value="">{t('Not sure')}</option>
+                            {field.options.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                          </select>
+                        ) : (
+                          <input
+                            type="number"
+                            min="0"
+                            max={MAX_CLEAR_WIDTH_M}
+                            step="0.1"
+                            value={attributes[field.key] ?? ''}
+                            onChange={(e) => setAttribute(field.key, e.target.value)}
+                            placeholder={t('e.g. 1.5')}
+                            aria-invalid={!!attributesError}
+                            aria-describedby={attributesError ? 'attributes-error' : undefined}
+                            className={`mt-1 w-full rounded-lg border text-sm px-2 py-1.5 ${attributesError ? 'border-red-400' : 'border-slate-300'}`}
+                          />
+                        )}
+                      </label>
+                    ))}
+                  </div>
+                  {attributesError && (
+                    <p id="attributes-error" role="alert" className="mt-2 text-xs text-red-600">{attributesError}</p>
+                  )}
+                </details>
+              )}
+
+              {/* Photos */}
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  {t('Photos')} <span className="text-slate-400 font-normal">{t('(Optional, up to {count})', { count: MAX_PHOTOS })}</span>
+                </label>
+
+                <div className="grid grid-cols-3 gap-2">
+                  {photos.map(photo => (
+                    <div key={photo.id} className="relative aspect-square rounded-lg overflow-hidden border border-slate-200">
+                      <img src={photo.previewUrl || photo.thumbUrl || photo.url} alt={t('Attached photo')} className="w-full h-full object-cover bg-slate-100" />
+                      <button
+                        onClick={() => removePhoto(photo.id)}
+                        className="absolute top-1 right-1 bg-white/90 hover:bg-red-50 text-red-600 p-1.5 rounded-full shadow-sm transition-transform active:scale-95"
+                        title={t('Remove photo')}
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  ))}
+                  {photos.length < MAX_PHOTOS && (
                     <button
                       onClick={() => fileInputRef.current?.click()}
-                      className="w-full border-2 border-dashed border-slate-300 rounded-lg p-4 flex flex-col items-center justify-center text-slate-500 hover:border-blue-400 hover:bg-slate-50 transition-all group"
+                      disabled={isProcessingPhotos}
+                      className="aspect-square border-2 border-dashed border-slate-300 rounded-lg flex flex-col items-center justify-center text-slate-500 hover:border-blue-400 hover:bg-slate-50 transition-all group disabled:opacity-60"
                     >
-                      <div className="bg-slate-100 p-3 rounded-full mb-2 group-hover:bg-blue-100 group-hover:text-blue-600 transition-colors">
-                        <Camera size={24} />
+                      <div className="bg-slate-100 p-2 rounded-full mb-1 group-hover:bg-blue-100 group-hover:text-blue-600 transition-colors">
+                        {isProcessingPhotos ? <Loader2 size={20} className="animate-spin" /> : <Camera size={20} />}
                       </div>
-                      <span className="text-sm font-medium">Tap to upload photo</span>
-                      <span className="text-xs text-slate-400 mt-1">Max 5MB • JPG/PNG</span>
+                      <span className="text-xs font-medium">{t('Add photo')}</span>
                     </button>
-                  ) : (
-                    <div className="relative rounded-lg overflow-hidden border border-slate-200 group">
-                      <img src={selectedImage} alt="Preview" className="w-full h-48 object-cover bg-slate-100" />
-                      <div className="absolute inset-0 bg-black/40 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center gap-2">
-                        <button
-                          onClick={() => setSelectedImage(null)}
-                          className="bg-white/90 hover:bg-red-50 text-red-600 p-2 rounded-full shadow-sm transition-transform active:scale-95"
-                        >
-                          <Trash2 size={20} />
-                        </button>
-                      </div>
-                    </div>
                   )}
-                  <input
-                    type="file"
-                    ref={fileInputRef}
-                    className="hidden"
-                    accept="image/*"
-                    onChange={handleImageUpload}
-                  />
                 </div>
+                <p className="text-xs text-slate-400 mt-1.5">{t('Location and camera details are removed from photos before upload.')}</p>
 
-                {/* Note */}
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-2">
-                    Notes <span className="text-slate-400 font-normal">(Optional)</span>
-                  </label>
-                  <textarea
-                    value={note}
-                    onChange={(e) => setNote(e.target.value)}
-                    placeholder="e.g., No curb cut on NW corner, uneven bricks..."
-                    className="w-full min-h-[80px] px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                {photoWithMetadata && (
+                  <div className={`mt-2 text-xs rounded-lg p-2 border ${photoDistance > PHOTO_DISTANCE_WARNING_M ? 'bg-amber-50 border-amber-200 text-amber-800' : 'bg-slate-50 border-slate-100 text-slate-600'}`}>
+                    <div>
+                      {photoSuggestion}
+                      {photoDistance > PHOTO_DISTANCE_WARNING_M && ` ${t('Check that it shows this sidewalk.')}`}
+                    </div>
+                    {photoWithMetadata.takenAt && dateInputValue(photoWithMetadata.takenAt) !== surveyDate && (
+                      <button
+                        onClick={() => setSurveyDate(dateInputValue(photoWithMetadata.takenAt))}
+                        className="mt-1 font-medium text-blue-600 hover:text-blue-700"
+                      >
+                        {t('Use as survey date')}
+                      </button>
+                    )}
+                  </div>
+                )}
+                <input
+                  type="file"
+                  ref={fileInputRef}
+                  className="hidden"
+                  accept="image/*"
+                  multiple
+                  onChange={handlePhotoFiles}
+                />
+              </div>
+
+              {/* Survey Date */}
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  {t('Surveyed on')} <span className="text-slate-400 font-normal">{t('(Optional)')}</span>
+                  <input
+                    type="date"
+                    value={surveyDate}
+                    max={dateInputValue(new Date(now))}
+                    onChange={(e) => setSurveyDate(e.target.value)}
+                    className="mt-1 block w-full rounded-lg border border-slate-300 text-sm font-normal px-2 py-1.5"
                   />
-                </div>
+                </label>
               </div>
 
-              <div className="bg-slate-50 px-6 py-4 border-t border-slate-100 flex gap-3 justify-end shrink-0">
-                <button
-                  onClick={cancelDrawing}
-                  className="px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors"
-                >
-                  Discard
-                </button>
+              {/* Note */}
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  {t('Notes')} <span className="text-slate-400 font-normal">{t('(Optional)')}</span>
+                </label>
+                <textarea
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  maxLength={MAX_NOTE_LENGTH}
+                  placeholder={t('e.g., No curb cut on NW corner, uneven bricks...')}
+                  className="w-full min-h-[80px] px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                />
+              </div>
+            </div>
+
+            <div className="bg-slate-50 px-6 py-4 border-t border-slate-100 flex gap-3 justify-end shrink-0">
+              {editingSegmentId && (
                 <button
-                  onClick={submitSegment}
-                  className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 shadow-sm transition-colors flex items-center gap-2"
+                  onClick={() => { setShowSubmissionForm(false); setIsEditingShape(true); }}
+                  className="mr-auto px-3 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors flex items-center gap-2"
                 >
-                  <Check size={16} />
-                  Save Contribution
+                  <Pencil size={14} />
+                  {t('Edit shape')}
                 </button>
-              </div>
+              )}
+              <button
+                onClick={cancelDrawing}
+                className="px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors"
+              >
+                {t('Discard')}
+              </button>
+              <button
+                onClick={submitSegment}
+                disabled={isSaving || isProcessingPhotos || !!attributesError}
+                className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 shadow-sm transition-colors flex items-center gap-2 disabled:opacity-60"
+              >
+                {isSaving ? <Loader2 size={16} className="animate-spin" /> : <Check size={16} />}
+                {editingSegmentId ? t('Save Changes') : t('Save Contribution')}
+              </button>
             </div>
-          </div>
+          </Modal>
         )}
       </div>
+
+      {/* Screen reader announcements */}
+      <div aria-live="polite" className="sr-only">
+        {announcement && <p key={announcement.id}>{announcement.text}</p>}
+      </div>
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { X, GitMerge, Loader2, Maximize2, SplitSquareHorizontal, Shuffle } from 'lucide-react';
+import { formatDistance, pathLength } from './geo.js'
+import { photosOf } from './photos.js'
+import { commentCountOf } from './comments.js'
+import { isSignedIn } from './signIn.js'
+import { t, plural, formatDate, formatNumber } from './i18n.js'
+
+const percent = (share) => formatNumber(share, { style: 'percent', maximumFractionDigits: 0 });
+
+const statusLabel = (status) => ({ verified: t('verified'), contested: t('contested'), unverified: t('unverified') })[status] || status;
+
+// One side of the comparison
+function SegmentSummary({ seg, categories, user }) {
+  const config = categories.find(c => c.id === seg.category) || {};
+  const photos = photosOf(seg);
+  const comments = commentCountOf(seg);
+  const date = seg.surveyedAt || seg.createdAt;
+  return (
+    <div className="min-w-0 text-xs space-y-1.5">
+      <div className="flex items-center gap-1.5 font-medium text-slate-800">
+        <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: config.color || '#999' }} aria-hidden="true"></span>
+        <span className="truncate">{config.label || t('Unknown Category')}</span>
+      </div>
+      <div className="text-slate-500">
+        {user && seg.author_uid === user.uid ? t('You') : seg.author_name || t('A contributor')}
+        {date && ` · ${seg.surveyedAt ? t('surveyed {date}', { date: formatDate(date) }) : t('added {date}', { date: formatDate(date) })}`}
+      </div>
+      <div className="text-slate-500">
+        {formatDistance(pathLength(seg.path))} · {statusLabel(seg.verification.status)}
+        {comments > 0 && ` · ${plural(comments, '{count} comment', '{count} comments')}`}
+      </div>
+      {seg.note ? (
+        <p className="text-slate-600 bg-slate-50 rounded-md p-1.5 whitespace-pre-wrap break-words">"{seg.note}"</p>
+      ) : (
+        <p className="text-slate-400 italic">{t('No note')}</p>
+      )}
+      {photos.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {photos.map(photo => (
+            <a key={photo.id} href={photo.url} target="_blank" rel="noopener noreferrer">
+              <img src={photo.thumbUrl} alt={t('Segment photo')} className="h-12 w-12 rounded object-cover bg-slate-100" />
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Review of overlapping segments with different ratings in view (see
+ * conflicts.js). The selected pair is shown side by side; merging or marking
+ * it distinct is reported through `onMerge` / `onMarkDistinct`, and the app
+ * confirms merges.
+ */
+export default function ConflictPanel({ conflicts, categories, user, selectedKey, busyKey, canMerge, canMarkDistinct, onSelect, onZoomTo, onMerge, onMarkDistinct, onClose }) {
+  const selected = conflicts.find(c => c.key === selectedKey) || conflicts[0] || null;
+  // '' keeps the rating of whichever segment is kept
+  const [mergeCategory, setMergeCategory] = useState('');
+  const isBusy = !!selected && busyKey === selected.key;
+
+  const select = (key) => {
+    setMergeCategory('');
+    onSelect(key);
+  };
+
+  return (
+    <section
+      aria-labelledby="conflicts-title"
+      className="absolute top-2 right-2 z-[650] bg-white/95 backdrop-blur shadow-lg rounded-xl p-4 w-[28rem] max-w-[calc(100vw-1rem)] border border-slate-200 max-h-[calc(100vh-120px)] overflow-y-auto"
+    >
+      <div className="flex items-center justify-between mb-1">
+        <h2 id="conflicts-title" className="flex items-center gap-2 text-slate-800 font-semibold text-sm">
+          <Shuffle size={16} aria-hidden="true" />
+          {t('Conflicts')}
+        </h2>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600" aria-label={t('Close conflicts')}>
+          <X size={16} />
+        </button>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">
+        {t('Overlapping segments in view that disagree on the rating: {count}.', { count: conflicts.length })}
+      </p>
+
+      {conflicts.length === 0 ? (
+        <p className="text-xs text-slate-400 italic py-4 text-center">{t('No conflicts here. Pan the map to check other areas.')}</p>
+      ) : (
+        <>
+          <ul className="max-h-36 overflow-y-auto space-y-1 mb-3 -mx-1 px-1">
+            {conflicts.map(conflict => {
+              const labelOf = (seg) => (categories.find(c => c.id === seg.category) || {}).label || t('Unknown');
+              const isSelected = selected && conflict.key === selected.key;
+              return (
+                <li key={conflict.key}>
+                  <button
+                    onClick={() => select(conflict.key)}
+                    aria-pressed={isSelected}
+                    className={`w-full text-left text-xs rounded-lg px-2 py-1.5 flex items-center gap-2 ${isSelected ? 'bg-blue-50 text-blue-800' : 'hover:bg-slate-50 text-slate-700'}`}
+                  >
+                    <span className="truncate">{t('{a} vs {b}', { a: labelOf(conflict.a), b: labelOf(conflict.b) })}</span>
+                    <span className="ml-auto tabular-nums text-slate-500 shrink-0">{formatDistance(conflict.length)}</span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          {selected && (
+            <div className="border-t border-slate-100 pt-3">
+              <div className="flex items-center justify-between mb-2 text-xs text-slate-500">
+                <span>{t('Shared stretch {distance} ({percent})', { distance: formatDistance(selected.length), percent: percent(selected.share) })}</span>
+                <button onClick={() => onZoomTo(selected)} className="flex items-center gap-1 font-medium text-blue-600 hover:underline">
+                  <Maximize2 size={12} /> {t('Zoom to pair')}
+                </button>
+              </div>
+              <div className="grid grid-cols-2 gap-3 mb-3">
+                <SegmentSummary seg={selected.a} categories={categories} user={user} />
+                <SegmentSummary seg={selected.b} categories={categories} user={user} />
+              </div>
+
+              {!isSignedIn(user) ? (
+                <p className="text-xs text-slate-500">{t('Sign in to resolve conflicts.')}</p>
+              ) : canMerge(selected) ? (
+                <>
+                  <label className="block text-xs text-slate-600 mb-2">
+                    {t('Rating after merging')}
+                    <select
+                      value={mergeCategory}
+                      onChange={(e) => setMergeCategory(e.target.value)}
+                      className="mt-1 w-full border border-slate-300 rounded-md px-2 py-1 bg-white"
+                    >
+                      <option value="">{t("The kept segment's rating")}</option>
+                      {categories.map(cat => <option key={cat.id} value={cat.id}>{cat.label}</option>)}
+                    </select>
+                  </label>
+                  <div className="grid grid-cols-2 gap-3 mb-2 text-xs font-medium">
+                    {[[selected.a, selected.b], [selected.b, selected.a]].map(([keep, remove], i) => (
+                      <button
+                        key={keep.id}
+                        onClick={() => onMerge(keep, remove, mergeCategory || keep.category)}
+                        disabled={isBusy}
+                        className="flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50"
+                        title={i === 0 ? t('Keep the left line and merge the other into it') : t('Keep the right line and merge the other into it')}
+                      >
+                        <GitMerge size={14} /> {i === 0 ? t('Keep left') : t('Keep right')}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <p className="text-xs text-slate-500 mb-2">
+                  {t('Only a moderator, or someone who added both, can merge these.')}
+                </p>
+              )}
+              {isSignedIn(user) && canMarkDistinct(selected) && (
+                <button
+                  onClick={() => onMarkDistinct(selected)}
+                  disabled={isBusy}
+                  className="w-full flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50 text-xs font-medium"
+                >
+                  {isBusy ? <Loader2 size={14} className="animate-spin" /> : <SplitSquareHorizontal size={14} />}
+                  {t('Not the same sidewalk (e.g. opposite sides of the street)')}
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,212 @@
+import React, { useMemo } from 'react';
+import { X, BarChart3, Download, RotateCcw, Loader2, Pencil, Check, Trash2 } from 'lucide-react';
+import { formatDistance } from './geo.js'
+import { downloadFile } from './segmentIO.js'
+import { lengthByCategory, contributionsByMonth, topContributors, areaStats, dashboardToCSV } from './analytics.js'
+import { t, plural, formatNumber } from './i18n.js'
+
+const percent = (share) => formatNumber(share, { style: 'percent', maximumFractionDigits: 0 });
+const segmentCount = (count) => plural(count, '{count} segment', '{count} segments');
+
+// Horizontal bar with its value on the right; the numbers are in the text too,
+// so the bar itself is hidden from screen readers
+function Bar({ label, value, max, color, detail }) {
+  return (
+    <li className="text-xs">
+      <div className="flex justify-between gap-2 text-slate-700">
+        <span className="truncate">{label}</span>
+        <span className="tabular-nums text-slate-500 shrink-0">{detail}</span>
+      </div>
+      <div className="h-2 bg-slate-100 rounded-full mt-1 overflow-hidden" aria-hidden="true">
+        <div className="h-full rounded-full" style={{ width: `${max > 0 ? (value / max) * 100 : 0}%`, backgroundColor: color }}></div>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * City-wide coverage and contribution statistics for the segments that pass
+ * the Map Layers filters, plus a breakdown for an area drawn on the map.
+ * `area` is a list of [lat, lng] vertices (or null); drawing it happens on the
+ * map, driven by the `onDrawArea` / `onFinishArea` / `onClearArea` callbacks.
+ */
+export default function Dashboard({ segments, categories, isLoading, onRefresh, area, isDrawingArea, onDrawArea, onFinishArea, onClearArea, onClose }) {
+  const stats = useMemo(() => ({
+    byCategory: lengthByCategory(segments),
+    months: contributionsByMonth(segments),
+    contributors: topContributors(segments),
+  }), [segments]);
+  const areaSummary = useMemo(
+    () => (area && area.length >= 3 && !isDrawingArea ? areaStats(segments, area) : null),
+    [segments, area, isDrawingArea]
+  );
+
+  const totalLength = Object.values(stats.byCategory).reduce((sum, c) => sum + c.length, 0);
+  const maxCategoryLength = Math.max(0, ...Object.values(stats.byCategory).map(c => c.length));
+  const maxMonthCount = Math.max(0, ...stats.months.map(m => m.count));
+  const maxContributorCount = Math.max(0, ...stats.contributors.map(c => c.count));
+  // The percentage is set in bold wherever the language puts it in the sentence
+  const [inaccessibleBefore, inaccessibleAfter] = areaSummary
+    ? t('{percent} of the {distance} mapped inside the area is not accessible.', { distance: formatDistance(areaSummary.total) }).split('{percent}')
+    : [];
+
+  const exportCSV = () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`accessmap-dashboard-${stamp}.csv`, dashboardToCSV({ ...stats, area: areaSummary }, categories), 'text/csv');
+  };
+
+  return (
+    <section
+      aria-labelledby="dashboard-title"
+      className="absolute top-2 right-2 z-[650] bg-white/95 backdrop-blur shadow-lg rounded-xl p-4 w-96 border border-slate-200 max-h-[calc(100vh-120px)] overflow-y-auto"
+    >
+      <div className="flex items-center justify-between mb-1">
+        <h2 id="dashboard-title" className="flex items-center gap-2 text-slate-800 font-semibold text-sm">
+          <BarChart3 size={16} aria-hidden="true" />
+          {t('Dashboard')}
+        </h2>
+        <div className="flex items-center gap-2">
+          <button onClick={onRefresh} disabled={isLoading} className="text-slate-400 hover:text-slate-600 disabled:opacity-50" aria-label={t('Reload statistics')} title={t('Reload statistics')}>
+            {isLoading ? <Loader2 size={16} className="animate-spin" /> : <RotateCcw size={16} />}
+          </button>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600" aria-label={t('Close dashboard')}>
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mb-4">
+        {t('All segments that match the Map Layers filters: {segments}, {distance}.', { segments: segmentCount(segments.length), distance: formatDistance(totalLength) })}
+      </p>
+
+      <h3 className="text-xs font-semibold text-slate-700 uppercase tracking-wide mb-2">{t('Mapped length by category')}</h3>
+      <ul className="space-y-2 mb-5">
+        {categories.map(cat => {
+          const entry = stats.byCategory[cat.id] || { count: 0, length: 0 };
+          return (
+            <Bar
+              key={cat.id}
+              label={cat.label}
+              value={entry.length}
+              max={maxCategoryLength}
+              color={cat.color}
+              detail={`${formatDistance(entry.length)} · ${segmentCount(entry.count)}`}
+            />
+          );
+        })}
+      </ul>
+
+      <h3 className="text-xs font-semibold text-slate-700 uppercase tracking-wide mb-2">{t('Contributions over time')}</h3>
+      {stats.months.length === 0 ? (
+        <p className="text-xs text-slate-400 italic mb-5">{t('No dated contributions yet.')}</p>
+      ) : (
+        <div className="mb-5">
+          <div className="flex items-end gap-px h-24 border-b border-slate-200" aria-hidden="true">
+            {stats.months.map(m => (
+              <div
+                key={m.month}
+                className="flex-1 bg-blue-500 rounded-t-sm min-h-px"
+                style={{ height: `${maxMonthCount > 0 ? (m.count / maxMonthCount) * 100 : 0}%` }}
+                title={`${m.month}: ${segmentCount(m.count)}, ${formatDistance(m.length)}`}
+              ></div>
+            ))}
+          </div>
+          <div className="flex justify-between text-[10px] text-slate-400 mt-1" aria-hidden="true">
+            <span>{stats.months[0].month}</span>
+            <span>{stats.months[stats.months.length - 1].month}</span>
+          </div>
+          <table className="sr-only">
+            <caption>{t('Segments added per month')}</caption>
+            <thead>
+              <tr><th scope="col">{t('Month')}</th><th scope="col">{t('Segments')}</th><th scope="col">{t('Length')}</th></tr>
+            </thead>
+            <tbody>
+              {stats.months.map(m => (
+                <tr key={m.month}><th scope="row">{m.month}</th><td>{m.count}</td><td>{formatDistance(m.length)}</td></tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h3 className="text-xs font-semibold text-slate-700 uppercase tracking-wide mb-2">{t('Inaccessible share of an area')}</h3>
+      <div className="mb-5">
+        {isDrawingArea ? (
+          <>
+            <p className="text-xs text-slate-500 mb-2">{plural(area ? area.length : 0, 'Click the map to outline an area ({count} point).', 'Click the map to outline an area ({count} points).')}</p>
+            <div className="flex gap-2">
+              <button
+                onClick={onFinishArea}
+                disabled={!area || area.length < 3}
+                className="flex-1 flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Check size={14} /> {t('Finish area')}
+              </button>
+              <button onClick={onClearArea} className="flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-100 text-slate-700 hover:bg-slate-200">
+                <X size={14} /> {t('Cancel')}
+              </button>
+            </div>
+          </>
+        ) : areaSummary ? (
+          <>
+            <p className="text-sm text-slate-800 mb-2">
+              {inaccessibleBefore}<span className="font-semibold">{percent(areaSummary.inaccessibleShare)}</span>{inaccessibleAfter}
+            </p>
+            <ul className="space-y-2 mb-2">
+              {categories.map(cat => {
+                const length = areaSummary.byCategory[cat.id] || 0;
+                return (
+                  <Bar
+                    key={cat.id}
+                    label={cat.label}
+                    value={length}
+                    max={areaSummary.total}
+                    color={cat.color}
+                    detail={`${formatDistance(length)} · ${percent(areaSummary.total > 0 ? length / areaSummary.total : 0)}`}
+                  />
+                );
+              })}
+            </ul>
+            <div className="flex gap-2">
+              <button onClick={onDrawArea} className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-100 text-slate-700 hover:bg-slate-200">
+                <Pencil size={14} /> {t('Redraw')}
+              </button>
+              <button onClick={onClearArea} className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-100 text-slate-700 hover:bg-slate-200">
+                <Trash2 size={14} /> {t('Clear area')}
+              </button>
+            </div>
+          </>
+        ) : (
+          <button onClick={onDrawArea} className="w-full flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-100 text-slate-700 hover:bg-slate-200">
+            <Pencil size={14} /> {t('Draw an area on the map')}
+          </button>
+        )}
+      </div>
+
+      <h3 className="text-xs font-semibold text-slate-700 uppercase tracking-wide mb-2">{t('Top contributors')}</h3>
+      {stats.contributors.length === 0 ? (
+        <p className="text-xs text-slate-400 italic mb-5">{t('No contributions yet.')}</p>
+      ) : (
+        <ol className="space-y-2 mb-5">
+          {stats.contributors.map(c => (
+            <Bar
+              key={c.uid}
+              label={c.name || t('Contributor {id}', { id: c.uid.slice(0, 6) })}
+              value={c.count}
+              max={maxContributorCount}
+              color="#6366f1"
+              detail={`${segmentCount(c.count)} · ${formatDistance(c.length)}`}
+            />
+          ))}
+        </ol>
+      )}
+
+      <button
+        onClick={exportCSV}
+        disabled={segments.length === 0}
+        className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-sm font-medium bg-slate-800 text-white hover:bg-slate-900 disabled:opacity-50"
+      >
+        <Download size={16} /> {t('Export CSV')}
+      </button>
+    </section>
+  );
+}
@@ -1,4 +1,5 @@
 import React from 'react';
+import { t } from './i18n.js';
 
 class ErrorBoundary extends React.Component {
     constructor(props) {
@@ -19,7 +20,7 @@ class ErrorBoundary extends React.Component {
         if (this.state.hasError) {
             return (
                 <div className="p-4 bg-red-50 border border-red-200 rounded-lg m-4">
-                    <h1 className="text-xl font-bold text-red-700 mb-2">Something went wrong.</h1>
+                    <h1 className="text-xl font-bold text-red-700 mb-2">{t('Something went wrong.')}</h1>
                     <details className="whitespace-pre-wrap text-sm text-red-600">
                         {this.state.error && this.state.error.toString()}
                         <br />
@@ -0,0 +1,78 @@
+import React, { useEffect, useRef } from 'react';
+import { t } from './i18n.js'
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Modal dialog over the map. Focus moves into the dialog when it opens, Tab
+ * cycles within it, and focus returns to where it was when it closes. The
+ * dialog's `label` is also sent to `announce` (the app's live region) so
+ * screen readers hear it even when focus lands on a control first.
+ *
+ * `onClose`, when given, runs on Escape.
+ */
+export default function Modal({ labelledBy, label, announce, onClose, zIndex = 'z-[1200]', className = '', children }) {
+  const dialogRef = useRef(null);
+  // Latest props for the set-up below, which runs once per opening
+  const propsRef = useRef({ label, announce, onClose });
+
+  useEffect(() => {
+    propsRef.current = { label, announce, onClose };
+  });
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    const previouslyFocused = document.activeElement;
+    const focusable = () => Array.from(dialog.querySelectorAll(FOCUSABLE)).filter(el => el.offsetParent !== null);
+
+    const initial = dialog.querySelector('[data-autofocus]') || focusable()[0] || dialog;
+    initial.focus();
+    const opening = propsRef.current;
+    if (opening.label) opening.announce?.(t('{label} dialog', { label: opening.label }));
+
+    const handleKeyDown = (e) => {
+      const close = propsRef.current.onClose;
+      if (e.key === 'Escape' && close) {
+        e.preventDefault();
+        e.stopPropagation();
+        close();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const items = focusable();
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    dialog.addEventListener('keydown', handleKeyDown);
+    return () => {
+      dialog.removeEventListener('keydown', handleKeyDown);
+      if (previouslyFocused && previouslyFocused.isConnected) previouslyFocused.focus();
+    };
+  }, []);
+
+  return (
+    <div className={`absolute inset-0 ${zIndex} bg-black/20 backdrop-blur-sm flex items-center justify-center p-4`}>
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={labelledBy}
+        tabIndex={-1}
+        className={`bg-white rounded-xl shadow-2xl w-full overflow-hidden animate-in zoom-in-95 duration-200 focus:outline-none ${className}`}
+      >
+        {children}
+      </div>
+    </div>
+  );
+}
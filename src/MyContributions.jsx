@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import { X, User, RotateCcw, Loader2, Trash2, Download, Maximize2, UserX } from 'lucide-react';
+import { formatDistance, pathLength } from './geo.js'
+import { isHidden } from './moderation.js'
+import { isPoint } from './points.js'
+import { t, formatDate } from './i18n.js'
+
+const SORTS = {
+  newest: (a, b) => (b.createdAt?.getTime?.() ?? Infinity) - (a.createdAt?.getTime?.() ?? Infinity),
+  oldest: (a, b) => (a.createdAt?.getTime?.() ?? Infinity) - (b.createdAt?.getTime?.() ?? Infinity),
+};
+
+/**
+ * The signed-in user's own segments, with sorting, a category filter and bulk
+ * actions on a selection. Destructive actions only report intent through
+ * `onDelete` / `onDeleteAccount`; the app confirms them.
+ *
+ * `segments` is null until the first load finishes.
+ */
+export default function MyContributions({ segments, categories, pointTypes, isLoading, exportProgress, onRefresh, onZoomTo, onDelete, onExport, onDeleteAccount, onClose }) {
+  const [sort, setSort] = useState('newest');
+  const [category, setCategory] = useState('all');
+  const [selected, setSelected] = useState(() => new Set());
+
+  const shown = useMemo(
+    () => (segments || [])
+      .filter(seg => category === 'all' || (isPoint(seg) ? seg.pointType === category : seg.category === category))
+      .sort(SORTS[sort]),
+    [segments, category, sort]
+  );
+  // Selection survives filtering but only acts on what is still listed
+  const selection = shown.filter(seg => selected.has(seg.id));
+  const allShownSelected = shown.length > 0 && selection.length === shown.length;
+
+  const toggle = (id) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+  const toggleAll = () => setSelected(allShownSelected ? new Set() : new Set(shown.map(seg => seg.id)));
+
+  return (
+    <section
+      aria-labelledby="my-contributions-title"
+      className="absolute top-2 right-2 z-[660] bg-white/95 backdrop-blur shadow-lg rounded-xl p-4 w-96 border border-slate-200 max-h-[calc(100vh-120px)] flex flex-col"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h2 id="my-contributions-title" className="flex items-center gap-2 text-slate-800 font-semibold text-sm">
+          <User size={16} aria-hidden="true" />
+          {t('My contributions')}
+        </h2>
+        <div className="flex items-center gap-2">
+          <button onClick={onRefresh} disabled={isLoading} className="text-slate-400 hover:text-slate-600 disabled:opacity-50" aria-label={t('Reload my contributions')} title={t('Reload')}>
+            {isLoading ? <Loader2 size={16} className="animate-spin" /> : <RotateCcw size={16} />}
+          </button>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600" aria-label={t('Close my contributions')}>
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex gap-2 mb-2 text-xs">
+        <label className="flex-1">
+          <span className="sr-only">{t('Sort')}</span>
+          <select value={sort} onChange={(e) => setSort(e.target.value)} className="w-full border border-slate-300 rounded-md px-2 py-1 bg-white">
+            <option value="newest">{t('Newest first')}</option>
+            <option value="oldest">{t('Oldest first')}</option>
+          </select>
+        </label>
+        <label className="flex-1">
+          <span className="sr-only">{t('Category')}</span>
+          <select value={category} onChange={(e) => setCategory(e.target.value)} className="w-full border border-slate-300 rounded-md px-2 py-1 bg-white">
+            <option value="all">{t('All categories')}</option>
+            <optgroup label={t('Paths')}>
+              {categories.map(cat => <option key={cat.id} value={cat.id}>{cat.label}</option>)}
+            </optgroup>
+            <optgroup label={t('Points')}>
+              {pointTypes.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+            </optgroup>
+          </select>
+        </label>
+      </div>
+
+      {segments === null ? (
+        <p className="text-xs text-slate-400 italic py-4 text-center">{t('Loading…')}</p>
+      ) : shown.length === 0 ? (
+        <p className="text-xs text-slate-400 italic py-4 text-center">
+          {segments.length === 0 ? t("You haven't added anything yet.") : t('None of your contributions are of this kind.')}
+        </p>
+      ) : (
+        <>
+          <label className="flex items-center gap-2 text-xs text-slate-600 px-1 mb-1">
+            <input type="checkbox" checked={allShownSelected} onChange={toggleAll} />
+            {selection.length > 0
+              ? t('{selected} of {count} selected', { selected: selection.length, count: shown.length })
+              : t('Select all {count}', { count: shown.length })}
+          </label>
+          <ul className="overflow-y-auto min-h-0 flex-1 space-y-1 mb-3 -mx-1 px-1">
+            {shown.map(seg => {
+              const config = (isPoint(seg) ? pointTypes.find(type => type.id === seg.pointType) : categories.find(c => c.id === seg.category)) || {};
+              return (
+                <li key={seg.id} className="flex items-start gap-2 rounded-lg px-1 py-1.5 hover:bg-slate-50 text-xs">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(seg.id)}
+                    onChange={() => toggle(seg.id)}
+                    aria-label={seg.createdAt
+                      ? t('Select {feature} from {date}', { feature: config.label || t('Segment'), date: formatDate(seg.createdAt) })
+                      : t('Select {feature} from just now', { feature: config.label || t('Segment') })}
+                    className="mt-0.5"
+                  />
+                  <button onClick={() => onZoomTo([seg])} className="flex-1 min-w-0 text-left">
+                    <span className="flex items-center gap-2">
+                      <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: config.color }} aria-hidden="true"></span>
+                      <span className="font-medium text-slate-800">{config.label || t('Unknown Category')}</span>
+                      {isHidden(seg) && <span className="text-red-700">· {t('hidden')}</span>}
+                      <span className="ml-auto text-slate-500 tabular-nums">{isPoint(seg) ? t('Point').toLowerCase() : formatDistance(pathLength(seg.path))}</span>
+                    </span>
+                    <span className="block text-slate-500 mt-0.5">
+                      {seg.createdAt ? formatDate(seg.createdAt) : t('Uploading…')}
+                      {seg.note && <> · <span className="text-slate-600">"{seg.note}"</span></>}
+                    </span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+
+      <div className="grid grid-cols-2 gap-2 text-xs font-medium">
+        <button
+          onClick={() => onZoomTo(selection.length > 0 ? selection : shown)}
+          disabled={shown.length === 0}
+          className="flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50"
+        >
+          <Maximize2 size={14} /> {selection.length > 0 ? t('Zoom to selected') : t('Zoom to all')}
+        </button>
+        <button
+          onClick={() => onDelete(selection)}
+          disabled={selection.length === 0}
+          className="flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg bg-red-50 text-red-700 hover:bg-red-100 disabled:opacity-50"
+        >
+          <Trash2 size={14} /> {t('Delete selected')}
+        </button>
+        <button
+          onClick={onExport}
+          disabled={!segments || segments.length === 0 || !!exportProgress}
+          className="flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50"
+        >
+          {exportProgress ? <Loader2 size={14} className="animate-spin" /> : <Download size={14} />}
+          {exportProgress ? t('Photos {done}/{total}', exportProgress) : t('Export my data')}
+        </button>
+        <button
+          onClick={onDeleteAccount}
+          className="flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-100 text-red-700 hover:bg-red-50"
+        >
+          <UserX size={14} /> {t('Delete account')}
+        </button>
+      </div>
+    </section>
+  );
+}
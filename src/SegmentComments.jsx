@@ -0,0 +1,222 @@
+import React, { useState, useRef } from 'react';
+import { MessageSquare, Camera, X, Loader2, Pencil, Trash2, Send } from 'lucide-react';
+import { useComments } from './useComments.js'
+import { MAX_COMMENT_LENGTH, addComment, editComment, deleteComment } from './comments.js'
+import { MAX_PHOTO_BYTES, preparePhoto } from './photos.js'
+import { isSignedIn } from './signIn.js'
+import { t, formatDate } from './i18n.js'
+
+const smallButtonClass = 'text-[11px] font-medium text-slate-500 hover:text-slate-700 px-1 py-0.5 rounded cursor-pointer';
+
+function Comment({ segmentId, comment, user, isModerator }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const isOwn = !!(user && comment.author_uid === user.uid);
+
+  const startEditing = () => {
+    setDraft(comment.text);
+    setIsEditing(true);
+  };
+
+  const save = async () => {
+    if (!draft.trim()) return;
+    setIsBusy(true);
+    try {
+      await editComment(segmentId, comment.id, draft);
+      setIsEditing(false);
+    } catch (e) {
+      console.error('Failed to edit comment', e);
+      alert(t('Failed to save your comment ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    setIsBusy(true);
+    try {
+      await deleteComment(segmentId, comment);
+    } catch (e) {
+      console.error('Failed to delete comment', e);
+      alert(t('Failed to delete the comment ({code}): {message}', { code: e.code || 'unknown', message: e.message || String(e) }));
+      setIsBusy(false);
+      setIsConfirmingDelete(false);
+    }
+  };
+
+  return (
+    <li className="text-xs">
+      <div className="text-[11px] text-slate-400">
+        <span className="font-medium text-slate-600">{isOwn ? t('You') : comment.author_name || t('A contributor')}</span>
+        {comment.createdAt && ` · ${formatDate(comment.createdAt)}`}
+        {comment.editedAt && ` · ${t('edited')}`}
+        {comment.pending && ` · ${t('sending…')}`}
+      </div>
+      {isEditing ? (
+        <div className="mt-1">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            maxLength={MAX_COMMENT_LENGTH}
+            rows={2}
+            aria-label={t('Edit comment')}
+            className="w-full text-xs border border-slate-300 rounded-md p-1.5 focus:ring-2 focus:ring-blue-500 outline-none resize-none"
+          />
+          <div className="flex justify-end gap-1">
+            <button onClick={() => setIsEditing(false)} disabled={isBusy} className={smallButtonClass}>{t('Cancel')}</button>
+            <button onClick={save} disabled={isBusy || !draft.trim()} className={`${smallButtonClass} text-blue-600 hover:text-blue-700`}>{t('Save')}</button>
+          </div>
+        </div>
+      ) : (
+        <p className="text-slate-700 whitespace-pre-wrap break-words mt-0.5">{comment.text}</p>
+      )}
+      {comment.photo && (
+        <a href={comment.photo.url} target="_blank" rel="noopener noreferrer" className="block mt-1">
+          <img src={comment.photo.thumbUrl || comment.photo.url} alt={t('Photo attached to this comment')} className="h-16 rounded-md object-cover bg-slate-100" />
+        </a>
+      )}
+      {!isEditing && (isOwn || isModerator) && !comment.pending && (
+        isConfirmingDelete ? (
+          <div className="flex items-center gap-1 mt-0.5">
+            <span className="text-[11px] text-slate-500">{t('Delete this comment?')}</span>
+            <button onClick={() => setIsConfirmingDelete(false)} disabled={isBusy} className={smallButtonClass}>{t('No')}</button>
+            <button onClick={remove} disabled={isBusy} className={`${smallButtonClass} text-red-600 hover:text-red-700`}>{t('Delete')}</button>
+          </div>
+        ) : (
+          <div className="flex gap-1 mt-0.5">
+            {isOwn && (
+              <button onClick={startEditing} className={`${smallButtonClass} flex items-center gap-0.5`}>
+                <Pencil size={11} /> {t('Edit')}
+              </button>
+            )}
+            <button onClick={() => setIsConfirmingDelete(true)} className={`${smallButtonClass} flex items-center gap-0.5`}>
+              <Trash2 size={11} /> {t('Delete')}
+            </button>
+          </div>
+        )
+      )}
+    </li>
+  );
+}
+
+/**
+ * Comment thread for a segment, live while mounted (i.e. while its popup is
+ * open). Signed-in users can post, with an optional photo; authors edit or
+ * delete their own comments and moderators can delete any.
+ */
+export default function SegmentComments({ segmentId, user, isModerator }) {
+  const { comments, error } = useComments(segmentId);
+  const [text, setText] = useState('');
+  const [photo, setPhoto] = useState(null);
+  const [isProcessingPhoto, setIsProcessingPhoto] = useState(false);
+  const [isPosting, setIsPosting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const pickPhoto = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > MAX_PHOTO_BYTES) {
+      alert(t('{file} is too large (max {size} MB).', { file: file.name, size: MAX_PHOTO_BYTES / 1024 / 1024 }));
+      return;
+    }
+    setIsProcessingPhoto(true);
+    try {
+      setPhoto(await preparePhoto(file));
+    } catch (err) {
+      console.error('Failed to process photo', err);
+      alert(t('Could not read {file}. Try a JPEG or PNG photo.', { file: file.name }));
+    } finally {
+      setIsProcessingPhoto(false);
+    }
+  };
+
+  const post = async (e) => {
+    e.preventDefault();
+    if (!text.trim() || !isSignedIn(user)) return;
+    setIsPosting(true);
+    try {
+      await addComment(segmentId, user, { text, photo });
+      setText('');
+      setPhoto(null);
+    } catch (err) {
+      console.error('Failed to post comment', err);
+      alert(t('Failed to post your comment ({code}): {message}', { code: err.code || 'unknown', message: err.message || String(err) }));
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  return (
+    <section className="border-t border-slate-100 pt-3 mt-2" aria-label={t('Comments')}>
+      <h4 className="flex items-center gap-1.5 text-xs font-semibold text-slate-700 mb-2">
+        <MessageSquare size={13} aria-hidden="true" />
+        {t('Comments')}{comments && comments.length > 0 ? ` (${comments.length})` : ''}
+      </h4>
+      {error ? (
+        <p className="text-xs text-red-600 mb-2">{t('Comments could not be loaded.')}</p>
+      ) : comments === null ? (
+        <p className="text-xs text-slate-400 mb-2">{t('Loading…')}</p>
+      ) : comments.length === 0 ? (
+        <p className="text-xs text-slate-400 italic mb-2">{t('No comments yet. Add an update, like "still broken as of March".')}</p>
+      ) : (
+        <ul className="space-y-2.5 max-h-48 overflow-y-auto mb-2 pr-1">
+          {comments.map(comment => (
+            <Comment key={comment.id} segmentId={segmentId} comment={comment} user={user} isModerator={isModerator} />
+          ))}
+        </ul>
+      )}
+
+      {isSignedIn(user) ? (
+        <form onSubmit={post}>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            maxLength={MAX_COMMENT_LENGTH}
+            rows={2}
+            placeholder={t('Add a comment…')}
+            aria-label={t('Add a comment')}
+            className="w-full text-xs border border-slate-300 rounded-md p-1.5 focus:ring-2 focus:ring-blue-500 outline-none resize-none"
+          />
+          {photo && (
+            <div className="relative inline-block mt-1">
+              <img src={photo.previewUrl} alt={t('Photo to attach')} className="h-12 rounded-md object-cover" />
+              <button
+                type="button"
+                onClick={() => setPhoto(null)}
+                className="absolute -top-1.5 -right-1.5 bg-white text-slate-600 rounded-full shadow p-0.5 cursor-pointer"
+                aria-label={t('Remove photo')}
+              >
+                <X size={10} />
+              </button>
+            </div>
+          )}
+          <div className="flex items-center justify-between mt-1">
+            <input ref={fileInputRef} type="file" accept="image/*" className="hidden" onChange={pickPhoto} />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isProcessingPhoto || isPosting}
+              className={`${smallButtonClass} flex items-center gap-1`}
+            >
+              {isProcessingPhoto ? <Loader2 size={12} className="animate-spin" /> : <Camera size={12} />}
+              {photo ? t('Change photo') : t('Photo')}
+            </button>
+            <button
+              type="submit"
+              disabled={!text.trim() || isPosting || isProcessingPhoto}
+              className="flex items-center gap-1 text-[11px] font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-2 py-1 rounded-md cursor-pointer"
+            >
+              {isPosting ? <Loader2 size={12} className="animate-spin" /> : <Send size={12} />}
+              {t('Post')}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="text-xs text-slate-500">{t('Sign in to join the discussion.')}</p>
+      )}
+    </section>
+  );
+}
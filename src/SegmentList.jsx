@@ -0,0 +1,110 @@
+import React, { useMemo } from 'react';
+import { X, List } from 'lucide-react';
+import { distanceMeters, pathLength, bearing, compassDirection, compassLabel, formatDistance } from './geo.js'
+import { isObstruction } from './obstructions.js'
+import { isPoint } from './points.js'
+import { PASSABILITY } from './mobility.js'
+import { t, plural } from './i18n.js'
+
+// Long lists are hard to navigate with a screen reader; zoom in for the rest
+const MAX_ITEMS = 100;
+
+const axisLabel = (direction) => ({
+  north: t('north–south'), south: t('north–south'),
+  east: t('east–west'), west: t('east–west'),
+  northeast: t('northeast–southwest'), southwest: t('northeast–southwest'),
+  northwest: t('northwest–southeast'), southeast: t('northwest–southeast'),
+})[direction];
+
+const midpoint = (path) => path[Math.floor(path.length / 2)];
+
+// Where a segment sits and what it touches, since there are no street names:
+// its direction, its position relative to the map centre and how many other
+// segments it is joined to
+function streetContext(seg, center, links) {
+  const parts = [];
+  if (seg.path.length > 1) {
+    parts.push(t('Runs {axis}', { axis: axisLabel(compassDirection(bearing(seg.path[0], seg.path[seg.path.length - 1]))) }));
+  }
+  const mid = midpoint(seg.path);
+  const fromCenter = distanceMeters(center, mid);
+  parts.push(fromCenter < 25
+    ? t('at the map centre')
+    : t('{distance} {direction} of the map centre', { distance: formatDistance(fromCenter), direction: compassLabel(bearing(center, mid)) }));
+  if (links > 0) parts.push(plural(links, 'joins {count} other segment', 'joins {count} other segments'));
+  return parts.join(', ');
+}
+
+/**
+ * Screen-reader friendly list of the segments in view, nearest to the map
+ * centre first. Selecting an item centres the map on it and opens its details.
+ * With a mobility profile on, `passabilityOf(seg)` gives the PASSABILITY key
+ * paths are colored and labelled by.
+ */
+export default function SegmentList({ segments, categories, pointTypes, center, activeId, passabilityOf, onSelect, onClose }) {
+  const items = useMemo(() => {
+    // Snap links go one way (from the newer segment); count both directions
+    const links = new Map();
+    const link = (a, b) => {
+      if (a === b) return;
+      if (!links.has(a)) links.set(a, new Set());
+      links.get(a).add(b);
+    };
+    segments.forEach(seg => Object.values(seg.snapLinks || {}).forEach(other => {
+      link(seg.id, other);
+      link(other, seg.id);
+    }));
+    return segments
+      .map(seg => ({ seg, distance: distanceMeters(center, midpoint(seg.path)), links: links.get(seg.id)?.size || 0 }))
+      .sort((a, b) => a.distance - b.distance);
+  }, [segments, center]);
+
+  return (
+    <section
+      aria-labelledby="segment-list-title"
+      className="absolute bottom-6 right-2 z-[600] bg-white/95 backdrop-blur shadow-lg rounded-xl w-80 border border-slate-200 flex flex-col max-h-[50vh]"
+    >
+      <div className="flex items-center justify-between px-4 pt-4 pb-2">
+        <h2 id="segment-list-title" className="flex items-center gap-2 text-slate-800 font-semibold text-sm">
+          <List size={16} aria-hidden="true" />
+          {t('Segments in view')}
+        </h2>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600" aria-label={t('Close list')}>
+          <X size={16} />
+        </button>
+      </div>
+      <p className="px-4 pb-2 text-xs text-slate-500" aria-live="polite">
+        {items.length === 0
+          ? t('No segments in view. Pan or zoom the map, or check the Map Layers filters.')
+          : items.length > MAX_ITEMS
+            ? t('Showing the {shown} nearest of {count} segments. Zoom in to see the rest.', { shown: MAX_ITEMS, count: items.length })
+            : plural(items.length, '{count} segment, nearest to the map centre first.', '{count} segments, nearest to the map centre first.')}
+      </p>
+      <ul className="overflow-y-auto px-2 pb-2 space-y-1">
+        {items.slice(0, MAX_ITEMS).map(({ seg, links }) => {
+          const config = (isPoint(seg) ? pointTypes.find(type => type.id === seg.pointType) : categories.find(c => c.id === seg.category)) || {};
+          const passability = passabilityOf && !isPoint(seg) ? PASSABILITY[passabilityOf(seg)] : null;
+          return (
+            <li key={seg.id}>
+              <button
+                onClick={(e) => onSelect(seg, e.currentTarget)}
+                aria-current={seg.id === activeId ? 'true' : undefined}
+                className={`w-full text-left rounded-lg px-2 py-2 text-xs hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-blue-500 ${seg.id === activeId ? 'bg-blue-50' : ''}`}
+              >
+                <span className="flex items-center gap-2">
+                  <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: (passability || config).color }} aria-hidden="true"></span>
+                  <span className="font-medium text-slate-800">{config.label || t('Unknown Category')}</span>
+                  {passability && <span className="text-slate-600">· {passability.label.toLowerCase()}</span>}
+                  {isObstruction(seg) && <span className="text-orange-700">· {t('Temporary obstruction').toLowerCase()}</span>}
+                  <span className="ml-auto text-slate-500 tabular-nums">{isPoint(seg) ? t('Point').toLowerCase() : formatDistance(pathLength(seg.path))}</span>
+                </span>
+                <span className="block text-slate-500 mt-0.5">{streetContext(seg, center, links)}</span>
+                {seg.note && <span className="block text-slate-600 mt-0.5 line-clamp-2">"{seg.note}"</span>}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,259 @@
+import React, { useState } from 'react';
+import { Pencil, Trash2, Flag, ChevronLeft, ChevronRight, Link2, Check } from 'lucide-react';
+import { describeAttributes, hasAttributes } from './attributes.js'
+import { voteOf } from './verification.js'
+import { isObstruction } from './obstructions.js'
+import { isHidden } from './moderation.js'
+import { photosOf } from './photos.js'
+import SegmentComments from './SegmentComments.jsx'
+import { isPoint } from './points.js'
+import { isSignedIn } from './signIn.js'
+import { PASSABILITY } from './mobility.js'
+import { t, formatDate, formatNumber } from './i18n.js'
+
+const STATUS_BADGES = {
+  verified: { get label() { return t('Verified') }, className: 'text-green-700 bg-green-50' },
+  contested: { get label() { return t('Contested') }, className: 'text-amber-700 bg-amber-50' },
+  unverified: { get label() { return t('Unverified') }, className: 'text-slate-500 bg-slate-100' },
+};
+
+const voteButtonClass = (active) => `text-xs font-medium px-2 py-1 rounded-md border transition-all cursor-pointer ${active ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-slate-200 text-slate-600 hover:bg-slate-50'}`;
+const actionButtonClass = (hover) => `flex items-center gap-1.5 text-xs font-medium text-slate-500 ${hover} px-2 py-1.5 rounded-md transition-all cursor-pointer`;
+
+/**
+ * Popup content for a map segment. Rendered by App through a portal into the
+ * Leaflet popup, so everything contributors typed goes through React's escaping.
+ * `passability` is the segment's assessment for the user's mobility profile
+ * (assessSegment in mobility.js), or null when none is on.
+ */
+export default function SegmentPopup({ seg, categories, pointTypes, user, isModerator, canModify, canDelete, onEdit, onDelete, onVote, onClearObstruction, onReport, onCopyLink, passability }) {
+  const point = isPoint(seg);
+  const config = (point ? pointTypes.find(type => type.id === seg.pointType) : categories.find(c => c.id === seg.category)) || {};
+  const verification = seg.verification;
+  const consensusConfig = categories.find(c => c.id === verification.consensus) || {};
+  const myVote = voteOf(seg, user?.uid);
+  const isAuthor = !!(user && seg.author_uid && user.uid === seg.author_uid);
+  const canVote = !seg.pending && !isAuthor;
+  const photos = photosOf(seg);
+  const [photoIndex, setPhotoIndex] = useState(0);
+  const photo = photos[Math.min(photoIndex, photos.length - 1)];
+  const showPhoto = (step) => setPhotoIndex(i => (Math.min(i, photos.length - 1) + step + photos.length) % photos.length);
+  const badge = STATUS_BADGES[verification.status];
+  const [linkCopied, setLinkCopied] = useState(false);
+  const obstructionStart = seg.obstruction && seg.obstruction.startsAt ? formatDate(seg.obstruction.startsAt) : t('unknown');
+
+  const copyLink = async () => {
+    if (!(await onCopyLink(seg.id))) return;
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
+  return (
+    <div className="font-sans min-w-[240px] overflow-hidden">
+      {photo && (
+        <div className="relative">
+          <img
+            src={photo.url}
+            alt={photos.length > 1
+              ? t('Photo {index} of {count} of this path', { index: photos.indexOf(photo) + 1, count: photos.length })
+              : t('Contributed photo of this path')}
+            className="w-full h-[140px] object-cover rounded-t-lg bg-slate-100"
+          />
+          {photos.length > 1 && (
+            <>
+              <button
+                onClick={() => showPhoto(-1)}
+                className="absolute left-1.5 top-1/2 -translate-y-1/2 bg-white/90 hover:bg-white text-slate-700 p-1 rounded-full shadow-sm cursor-pointer"
+                title={t('Previous photo')}
+              >
+                <ChevronLeft size={16} />
+              </button>
+              <button
+                onClick={() => showPhoto(1)}
+                className="absolute right-1.5 top-1/2 -translate-y-1/2 bg-white/90 hover:bg-white text-slate-700 p-1 rounded-full shadow-sm cursor-pointer"
+                title={t('Next photo')}
+              >
+                <ChevronRight size={16} />
+              </button>
+              <div className="absolute bottom-1.5 inset-x-0 flex justify-center gap-1">
+                {photos.map(p => (
+                  <span key={p.id} className={`w-1.5 h-1.5 rounded-full ${p === photo ? 'bg-white' : 'bg-white/50'}`}></span>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+      <div className="p-4">
+        <div className="flex items-center gap-2 mb-1">
+          {point ? (
+            <span className="w-6 h-6 rounded-full shadow-sm shrink-0 flex items-center justify-center text-white [&>svg]:w-3.5 [&>svg]:h-3.5" style={{ background: config.color || '#999' }} aria-hidden="true">
+              {config.icon}
+            </span>
+          ) : (
+            <span className="w-3 h-3 rounded-full shadow-sm shrink-0" style={{ background: config.color || '#999' }}></span>
+          )}
+          <span className="font-bold text-slate-800 leading-tight">{config.label || (point ? t('Point') : t('Unknown Category'))}</span>
+          {seg.pending && (
+            <span className="ml-auto text-[10px] font-medium uppercase tracking-wide text-amber-700 bg-amber-50 px-1.5 py-0.5 rounded">{t('Unsynced')}</span>
+          )}
+        </div>
+        <div className="text-[11px] text-slate-400 mb-3">
+          {isAuthor ? t('Added by you') : t('Added by {name}', { name: seg.author_name || t('a contributor') })}
+          {seg.createdAt instanceof Date && ` · ${formatDate(seg.createdAt)}`}
+          {seg.surveyedAt instanceof Date && ` · ${t('surveyed {date}', { date: formatDate(seg.surveyedAt) })}`}
+        </div>
+
+        {isHidden(seg) && (
+          <div className="text-xs text-slate-600 bg-slate-100 border border-slate-200 rounded-lg p-2 mb-3">
+            <span className="font-semibold">{t('Hidden by a moderator.')}</span> {t('Only its author and moderators can see it.')}
+          </div>
+        )}
+
+        {isObstruction(seg) && seg.obstruction && (
+          <div className="text-xs text-orange-800 bg-orange-50 border border-orange-100 rounded-lg p-2 mb-3">
+            <div className="font-semibold mb-0.5">{t('Temporary obstruction')}</div>
+            <div>
+              {seg.obstruction.endsAt
+                ? t('From {start} until {end}', { start: obstructionStart, end: formatDate(seg.obstruction.endsAt) })
+                : t('From {start} (no expected end date)', { start: obstructionStart })}
+            </div>
+            {seg.obstruction.clearedAt ? (
+              <div className="mt-1 text-green-700">{t('Marked cleared {date}', { date: formatDate(seg.obstruction.clearedAt) })}</div>
+            ) : !seg.pending && (
+              <button
+                onClick={() => onClearObstruction(seg.id)}
+                className="mt-2 text-xs font-medium px-2 py-1 rounded-md border border-orange-200 bg-white text-orange-800 hover:bg-orange-100 transition-all cursor-pointer"
+              >
+                {t('Mark as cleared')}
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Points have no accessibility rating to vote on */}
+        {!seg.pending && !point && (
+          <div className="text-xs border border-slate-100 rounded-lg p-2 mb-3 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className={`text-[10px] font-medium uppercase tracking-wide px-1.5 py-0.5 rounded ${badge.className}`}>{badge.label}</span>
+              <span className="text-slate-500">{t('Confidence')} <span className="font-semibold text-slate-700">{formatNumber(verification.confidence, { style: 'percent', maximumFractionDigits: 0 })}</span></span>
+            </div>
+            <div className="text-slate-500">{t('{confirms} confirmed · {disputes} disputed', verification)}</div>
+            {verification.consensus !== seg.category && (
+              <div className="text-amber-700">{t('Community consensus:')} <span className="font-semibold">{consensusConfig.label || t('Unknown Category')}</span></div>
+            )}
+            {canVote && (
+              <div className="flex flex-wrap gap-1 pt-1">
+                <button
+                  onClick={() => onVote(seg.id, 'confirm', seg.category)}
+                  className={voteButtonClass(myVote && myVote.vote === 'confirm')}
+                  title={t('This rating looks right to me')}
+                >
+                  {t('Confirm')}
+                </button>
+                {categories.filter(c => c.id !== seg.category).map(c => (
+                  <button
+                    key={c.id}
+                    onClick={() => onVote(seg.id, 'dispute', c.id)}
+                    className={voteButtonClass(myVote && myVote.vote === 'dispute' && myVote.category === c.id)}
+                    title={t('Dispute: suggest {category}', { category: c.label })}
+                  >
+                    <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ background: c.color }}></span>
+                    {t('{category}?', { category: c.label })}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {passability && (
+          <div className="text-xs mb-3 p-2 rounded-lg border border-slate-100 bg-slate-50">
+            <div className="flex items-center gap-2 font-semibold text-slate-700">
+              <span className="w-2.5 h-2.5 rounded-full" style={{ background: PASSABILITY[passability.status].color }} aria-hidden="true"></span>
+              {PASSABILITY[passability.status].label}
+            </div>
+            {passability.problems.length > 0 && (
+              <ul className="mt-1 text-slate-600 list-disc pl-4">
+                {passability.problems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            )}
+            {passability.status === 'unknown' && (
+              <p className="mt-1 text-slate-500">
+                {passability.missing.length > 0
+                  ? t('Not surveyed yet: {fields}', { fields: passability.missing.join(', ').toLowerCase() })
+                  : t('Your profile sets no limits to check.')}
+              </p>
+            )}
+          </div>
+        )}
+
+        {hasAttributes(seg.attributes) && (
+          <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs mb-3">
+            {describeAttributes(seg.attributes).map(([label, value]) => (
+              <React.Fragment key={label}>
+                <dt className="text-slate-400">{label}</dt>
+                <dd className="text-slate-700 font-medium">{value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+
+        {seg.note && (
+          <div className="text-sm text-slate-600 bg-slate-50 p-3 rounded-lg border border-slate-100 mb-4 leading-relaxed whitespace-pre-wrap break-words">
+            "{seg.note}"
+          </div>
+        )}
+
+        {!seg.pending && <SegmentComments segmentId={seg.id} user={user} isModerator={isModerator} />}
+
+        {seg.pending ? (
+          <div className="text-xs text-slate-500 pt-3 border-t border-slate-100 mt-2">
+            {t('Waiting to upload. Manage it from the pending uploads badge.')}
+          </div>
+        ) : (
+          <div className="flex justify-end items-center gap-1 pt-3 border-t border-slate-100 mt-2">
+            <button
+              onClick={copyLink}
+              className={`${isSignedIn(user) && !isAuthor ? '' : 'mr-auto '}${actionButtonClass('hover:text-blue-600 hover:bg-blue-50')}`}
+              title={t('Copy a link that opens the map here with this popup')}
+            >
+              {linkCopied ? <Check size={14} /> : <Link2 size={14} />}
+              {linkCopied ? t('Copied') : t('Copy link')}
+            </button>
+            {isSignedIn(user) && !isAuthor && (
+              <button
+                onClick={() => onReport(seg.id)}
+                className={`mr-auto ${actionButtonClass('hover:text-amber-700 hover:bg-amber-50')}`}
+                title={t('Report this contribution to moderators')}
+              >
+                <Flag size={14} />
+                {t('Report')}
+              </button>
+            )}
+            {canModify && (
+              <button
+                onClick={() => onEdit(seg.id)}
+                className={actionButtonClass('hover:text-blue-600 hover:bg-blue-50')}
+                title={point ? t('Edit this point') : t('Edit this path')}
+              >
+                <Pencil size={14} />
+                {t('Edit')}
+              </button>
+            )}
+            {canDelete && (
+              <button
+                onClick={() => onDelete(seg.id)}
+                className={actionButtonClass('hover:text-red-600 hover:bg-red-50')}
+                title={point ? t('Delete this point') : t('Delete this path')}
+              >
+                <Trash2 size={14} />
+                {t('Delete')}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
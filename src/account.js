@@ -0,0 +1,196 @@
+// A signed-in user's own data: their segments, a downloadable copy of it, and
+// deleting the account.
+//
+// Contributions are either deleted with the account or kept and anonymized.
+// Anonymized segments keep their geometry and details but lose the author's
+// name, and `author_uid` becomes ANONYMIZED_AUTHOR so nobody can claim them
+// (a missing `author_uid` would make them editable by any account, like legacy
+// data). Comments on other people's segments get the same treatment. Votes and
+// reports the user left are removed either way, since they are keyed by uid,
+// and so is their mobility profile.
+//
+// Finding a user's comments and reports are collection group queries on
+// `comments.author_uid` and `reports.author_uid`, which need collection group
+// index exemptions for those fields in the Firestore console.
+
+import { collection, collectionGroup, query, where, getDocs, doc, writeBatch, deleteDoc, deleteField } from 'firebase/firestore'
+import { ref, getBlob } from 'firebase/storage'
+import { deleteUser, reauthenticateWithPopup, GoogleAuthProvider } from 'firebase/auth'
+import { db, storage } from './firebase.js'
+import { segmentFromDoc } from './useSegmentTiles.js'
+import { segmentsToGeoJSON } from './segmentIO.js'
+import { safeImageUrl } from './safeUrl.js'
+import { deletePhotoFiles } from './photos.js'
+import { deleteThread, deleteComment, commentFromDoc } from './comments.js'
+import { deleteMobilityProfile } from './mobility.js'
+import { withdrawReport } from './moderation.js'
+import { createZip } from './zip.js'
+import { t } from './i18n.js'
+
+export const ANONYMIZED_AUTHOR = 'anonymized'
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500
+
+// `apply` adds one write to the batch for each item
+async function commitInBatches(items, apply) {
+  for (let start = 0; start < items.length; start += BATCH_SIZE) {
+    const batch = writeBatch(db)
+    items.slice(start, start + BATCH_SIZE).forEach(item => apply(batch, item))
+    await batch.commit()
+  }
+}
+
+/** Every segment whose `author_uid` is `uid`, loaded once (not live). */
+export async function fetchContributions(uid) {
+  const snapshot = await getDocs(query(collection(db, 'segments'), where('author_uid', '==', uid)))
+  return snapshot.docs.map(segmentFromDoc)
+}
+
+// Comments by `uid` on any segment, as `{ segmentId, ref, comment }`
+async function fetchUserComments(uid) {
+  const snapshot = await getDocs(query(collectionGroup(db, 'comments'), where('author_uid', '==', uid)))
+  return snapshot.docs.map(d => ({ segmentId: d.ref.parent.parent.id, ref: d.ref, comment: commentFromDoc(d) }))
+}
+
+/**
+ * Delete segments with their comment threads and photo files. Storage files go
+ * after the documents so a failed batch never leaves a segment pointing at
+ * missing photos.
+ */
+export async function deleteContributions(segments) {
+  for (const seg of segments) await deleteThread(seg.id)
+  await commitInBatches(segments, (batch, seg) => batch.delete(doc(db, 'segments', seg.id)))
+  await Promise.all(segments.map(seg => deletePhotoFiles(seg.photos)))
+}
+
+/**
+ * Everything the user contributed, as a ZIP: `segments.geojson` plus each
+ * photo at `photos/{segmentId}/{photoId}.jpg`, referenced from the feature's
+ * `photos` property, and their comments in `comments.json`.
+ * `onProgress(done, total)` reports photo downloads.
+ */
+export async function exportContributions(uid, segments, onProgress) {
+  const photoNames = new Map()
+  const jobs = segments.flatMap(seg => {
+    const names = []
+    photoNames.set(seg.id, names)
+    const stored = (Array.isArray(seg.photos) ? seg.photos : []).filter(photo => photo.path)
+    const list = stored.map(photo => ({ name: `photos/${seg.id}/${photo.id}.jpg`, load: () => getBlob(ref(storage, photo.path)) }))
+    const legacy = safeImageUrl(seg.image)
+    if (legacy) list.unshift({ name: `photos/${seg.id}/legacy.jpg`, load: () => fetch(legacy).then(r => r.blob()) })
+    return list.map(job => ({ ...job, saved: () => names.push(job.name) }))
+  })
+
+  const comments = (await fetchUserComments(uid)).map(({ segmentId, comment }) => {
+    const entry = {
+      segmentId,
+      id: comment.id,
+      text: comment.text,
+      createdAt: comment.createdAt ? comment.createdAt.toISOString() : null,
+      editedAt: comment.editedAt ? comment.editedAt.toISOString() : null,
+      photo: null,
+    }
+    if (comment.photo && comment.photo.path) {
+      const name = `photos/${segmentId}/comments/${comment.id}.jpg`
+      jobs.push({ name, load: () => getBlob(ref(storage, comment.photo.path)), saved: () => { entry.photo = name } })
+    }
+    return entry
+  })
+
+  const files = []
+  let done = 0
+  for (const job of jobs) {
+    try {
+      files.push({ name: job.name, data: await job.load() })
+      job.saved()
+    } catch (err) {
+      // A missing file shouldn't sink the whole export
+      console.error('Failed to download photo for export', job.name, err)
+    }
+    onProgress?.(++done, jobs.length)
+  }
+
+  const geojson = segmentsToGeoJSON(segments)
+  geojson.features.forEach(feature => {
+    feature.properties.photos = photoNames.get(feature.id) || []
+  })
+  files.unshift(
+    { name: 'segments.geojson', data: JSON.stringify(geojson, null, 2) },
+    { name: 'comments.json', data: JSON.stringify(comments, null, 2) },
+  )
+  return createZip(files)
+}
+
+// Strip the author from segments that stay on the map
+async function anonymizeContributions(segments) {
+  await commitInBatches(segments, (batch, seg) => batch.update(doc(db, 'segments', seg.id), {
+    author_uid: ANONYMIZED_AUTHOR,
+    author_name: deleteField(),
+  }))
+}
+
+// The user's comments on any segment, deleted or anonymized like their segments
+async function removeComments(uid, mode) {
+  const comments = await fetchUserComments(uid)
+  if (mode === 'delete') {
+    // One by one: each delete updates its segment's comment count
+    for (const { segmentId, comment } of comments) await deleteComment(segmentId, comment)
+  } else {
+    await commitInBatches(comments, (batch, { ref: commentRef }) => batch.update(commentRef, {
+      author_uid: ANONYMIZED_AUTHOR,
+      author_name: deleteField(),
+    }))
+  }
+}
+
+// Votes live in maps keyed by uid on other people's segments, which can't be
+// queried, so this scans the collection
+async function removeVotes(uid) {
+  const snapshot = await getDocs(collection(db, 'segments'))
+  const votes = snapshot.docs.filter(d => d.data().votes?.[uid])
+  await commitInBatches(votes, (batch, d) => batch.update(d.ref, { [`votes.${uid}`]: deleteField() }))
+}
+
+async function removeReports(uid) {
+  const snapshot = await getDocs(query(collectionGroup(db, 'reports'), where('author_uid', '==', uid)))
+  // One by one: each withdrawal updates its segment's report count
+  for (const d of snapshot.docs) {
+    await withdrawReport(d.ref.parent.parent.id, uid).catch(err => {
+      // The segment was deleted and left its reports behind
+      if (err.code === 'not-found') return deleteDoc(d.ref)
+      throw err
+    })
+  }
+}
+
+// Firebase's window for "signed in recently"
+const RECENT_SIGN_IN_MS = 5 * 60 * 1000
+
+/**
+ * Delete `user`'s account. `contributions` is 'delete' or 'anonymize'.
+ *
+ * Firebase only deletes accounts that signed in recently, so Google users are
+ * asked to sign in again first; call it straight from a click handler or the
+ * popup may be blocked. Email-link users can't be asked in place: unless they
+ * signed in within the last few minutes this fails with
+ * `auth/requires-recent-login` before anything is deleted.
+ */
+export async function deleteAccount(user, { contributions }) {
+  if (user.providerData.some(p => p.providerId === GoogleAuthProvider.PROVIDER_ID)) {
+    await reauthenticateWithPopup(user, new GoogleAuthProvider())
+  } else if (Date.now() - new Date(user.metadata.lastSignInTime).getTime() > RECENT_SIGN_IN_MS) {
+    const err = new Error(t('Sign in again with a new email link, then delete your account.'))
+    err.code = 'auth/requires-recent-login'
+    throw err
+  }
+  // Reports first: withdrawing one updates its segment, which may be the user's
+  await removeReports(user.uid)
+  const segments = await fetchContributions(user.uid)
+  if (contributions === 'delete') await deleteContributions(segments)
+  else await anonymizeContributions(segments)
+  await removeComments(user.uid, contributions)
+  await removeVotes(user.uid)
+  await deleteMobilityProfile(user.uid)
+  await deleteUser(user)
+}
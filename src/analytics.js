@@ -0,0 +1,182 @@
+// Coverage and contribution statistics for the dashboard. Everything here is a
+// pure function of a list of segments (already filtered like the map), so the
+// numbers always match what the map shows.
+
+import { pathLength } from './geo.js'
+import { toCSV } from './segmentIO.js'
+import { ANONYMIZED_AUTHOR } from './account.js'
+
+const METERS_PER_DEG_LAT = 110540
+const METERS_PER_DEG_LNG_AT_EQUATOR = 111320
+
+const toDate = (value) => (value instanceof Date ? value : value && value.toDate ? value.toDate() : null)
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+
+/** Mapped length (m) and segment count per category id. */
+export function lengthByCategory(segments) {
+  const totals = {}
+  segments.forEach(seg => {
+    const entry = totals[seg.category] || (totals[seg.category] = { count: 0, length: 0 })
+    entry.count++
+    entry.length += pathLength(seg.path)
+  })
+  return totals
+}
+
+/**
+ * Contributions per calendar month from the first to the last one, gaps
+ * included: `[{ month: 'YYYY-MM', count, length, cumulativeLength }]`.
+ * Segments without a `createdAt` (still uploading) are left out.
+ */
+export function contributionsByMonth(segments) {
+  const byMonth = new Map()
+  segments.forEach(seg => {
+    const created = toDate(seg.createdAt)
+    if (!created) return
+    const key = monthKey(created)
+    const entry = byMonth.get(key) || { count: 0, length: 0 }
+    entry.count++
+    entry.length += pathLength(seg.path)
+    byMonth.set(key, entry)
+  })
+  if (byMonth.size === 0) return []
+
+  const keys = Array.from(byMonth.keys()).sort()
+  const [firstYear, firstMonth] = keys[0].split('-').map(Number)
+  const last = keys[keys.length - 1]
+  const months = []
+  let cumulativeLength = 0
+  for (let d = new Date(firstYear, firstMonth - 1, 1); monthKey(d) <= last; d.setMonth(d.getMonth() + 1)) {
+    const key = monthKey(d)
+    const entry = byMonth.get(key) || { count: 0, length: 0 }
+    cumulativeLength += entry.length
+    months.push({ month: key, ...entry, cumulativeLength })
+  }
+  return months
+}
+
+/**
+ * Contributors ranked by number of segments:
+ * `[{ uid, name, count, length }]`. The name is the most recent
+ * `author_name` seen for that uid, if any.
+ */
+export function topContributors(segments, limit = 10) {
+  const byAuthor = new Map()
+  segments.forEach(seg => {
+    if (!seg.author_uid || seg.author_uid === ANONYMIZED_AUTHOR) return
+    const entry = byAuthor.get(seg.author_uid) || { uid: seg.author_uid, name: null, count: 0, length: 0, latest: 0 }
+    entry.count++
+    entry.length += pathLength(seg.path)
+    const created = toDate(seg.createdAt)
+    if (seg.author_name && (!entry.name || (created && created.getTime() >= entry.latest))) {
+      entry.name = seg.author_name
+      entry.latest = created ? created.getTime() : entry.latest
+    }
+    byAuthor.set(seg.author_uid, entry)
+  })
+  return Array.from(byAuthor.values())
+    .sort((a, b) => b.count - a.count || b.length - a.length)
+    .slice(0, limit)
+    .map(({ uid, name, count, length }) => ({ uid, name, count, length }))
+}
+
+// --- Area statistics ---
+
+// Local flat projection around `origin`, in meters. Plenty accurate at city scale.
+const projector = (origin) => {
+  const lngScale = METERS_PER_DEG_LNG_AT_EQUATOR * Math.cos((origin[0] * Math.PI) / 180)
+  return (pt) => [(pt[1] - origin[1]) * lngScale, (pt[0] - origin[0]) * METERS_PER_DEG_LAT]
+}
+
+// Ray casting; `polygon` is a list of projected [x, y] vertices
+function insidePolygon([x, y], polygon) {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i]
+    const [xj, yj] = polygon[j]
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+// Positions (0..1) along a->b where it crosses the polygon's edges
+function crossings(a, b, polygon) {
+  const ts = []
+  const [dx, dy] = [b[0] - a[0], b[1] - a[1]]
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [px, py] = polygon[j]
+    const [ex, ey] = [polygon[i][0] - px, polygon[i][1] - py]
+    const denom = dx * ey - dy * ex
+    if (denom === 0) continue
+    const t = ((px - a[0]) * ey - (py - a[1]) * ex) / denom
+    const u = ((px - a[0]) * dy - (py - a[1]) * dx) / denom
+    if (t > 0 && t < 1 && u >= 0 && u <= 1) ts.push(t)
+  }
+  return ts
+}
+
+/** Length (m) of a [lat, lng] path inside a [lat, lng] polygon. */
+export function lengthInsidePolygon(path, area) {
+  if (!path || path.length < 2 || !area || area.length < 3) return 0
+  const project = projector(area[0])
+  const polygon = area.map(project)
+  const points = path.map(project)
+  let inside = 0
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1]
+    const b = points[i]
+    const edge = Math.hypot(b[0] - a[0], b[1] - a[1])
+    const ts = [0, ...crossings(a, b, polygon), 1].sort((x, y) => x - y)
+    for (let k = 1; k < ts.length; k++) {
+      const mid = (ts[k - 1] + ts[k]) / 2
+      if (insidePolygon([a[0] + (b[0] - a[0]) * mid, a[1] + (b[1] - a[1]) * mid], polygon)) {
+        inside += (ts[k] - ts[k - 1]) * edge
+      }
+    }
+  }
+  return inside
+}
+
+/**
+ * Mapped length per category inside a drawn area, and the share of it that is
+ * not accessible: `{ total, byCategory: { [id]: meters }, inaccessibleShare }`.
+ */
+export function areaStats(segments, area) {
+  const byCategory = {}
+  let total = 0
+  segments.forEach(seg => {
+    const length = lengthInsidePolygon(seg.path, area)
+    if (length === 0) return
+    byCategory[seg.category] = (byCategory[seg.category] || 0) + length
+    total += length
+  })
+  return { total, byCategory, inaccessibleShare: total > 0 ? (byCategory.not_accessible || 0) / total : 0 }
+}
+
+// --- Export ---
+
+const CSV_COLUMNS = ['section', 'key', 'label', 'count', 'length_m', 'share']
+const meters = (m) => Math.round(m * 10) / 10
+const share = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : '')
+
+/**
+ * The dashboard's numbers as one CSV, one section per chart. `categories` is
+ * the list of `{ id, label }` to report lengths for.
+ */
+export function dashboardToCSV({ byCategory, months, contributors, area }, categories) {
+  const totalLength = Object.values(byCategory).reduce((sum, c) => sum + c.length, 0)
+  const rows = [
+    ...categories.map(cat => {
+      const entry = byCategory[cat.id] || { count: 0, length: 0 }
+      return ['category_length', cat.id, cat.label, entry.count, meters(entry.length), share(entry.length, totalLength)]
+    }),
+    ['category_length', 'total', 'All categories', Object.values(byCategory).reduce((sum, c) => sum + c.count, 0), meters(totalLength), totalLength > 0 ? 1 : ''],
+    ...months.map(m => ['contributions_by_month', m.month, '', m.count, meters(m.length), '']),
+    ...contributors.map(c => ['top_contributors', c.uid, c.name || '', c.count, meters(c.length), '']),
+  ]
+  if (area) {
+    rows.push(...categories.map(cat => ['area_length', cat.id, cat.label, '', meters(area.byCategory[cat.id] || 0), share(area.byCategory[cat.id] || 0, area.total)]))
+    rows.push(['area_length', 'total', 'All categories', '', meters(area.total), area.total > 0 ? 1 : ''])
+  }
+  return toCSV(CSV_COLUMNS, rows)
+}
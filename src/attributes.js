@@ -0,0 +1,180 @@
+// Structured accessibility attributes stored on a segment as `attributes`.
+//
+// Every field is optional; `null` means "not surveyed". Documents written before
+// these fields existed have no `attributes` at all and are read as all-null, so
+// they keep working everywhere on their `category` and `note` alone.
+//
+// Labels are getters so they read in the current interface language.
+
+import { t, formatNumber } from './i18n.js'
+
+export const SURFACE_TYPES = [
+  { id: 'concrete', get label() { return t('Concrete') } },
+  { id: 'asphalt', get label() { return t('Asphalt') } },
+  { id: 'brick', get label() { return t('Brick') } },
+  { id: 'pavers', get label() { return t('Pavers / stone') } },
+  { id: 'gravel', get label() { return t('Gravel') } },
+  { id: 'dirt', get label() { return t('Dirt / grass') } },
+  { id: 'boardwalk', get label() { return t('Boardwalk') } },
+]
+
+// Running slope along the direction of travel (ADA ramp limit is 1:12, 8.33%)
+export const RUNNING_SLOPES = [
+  { id: 'flat', get label() { return t('Flat (under 5%)') }, rank: 0 },
+  { id: 'moderate', get label() { return t('Moderate (5–8%)') }, rank: 1 },
+  { id: 'steep', get label() { return t('Steep (over 8%)') }, rank: 2 },
+]
+
+// Cross slope across the sidewalk (ADA limit is 2%)
+export const CROSS_SLOPES = [
+  { id: 'level', get label() { return t('Level (under 2%)') }, rank: 0 },
+  { id: 'slight', get label() { return t('Slight (2–5%)') }, rank: 1 },
+  { id: 'severe', get label() { return t('Severe (over 5%)') }, rank: 2 },
+]
+
+export const CURB_CUT_STATUSES = [
+  { id: 'good', get label() { return t('Curb cut, good condition') } },
+  { id: 'poor', get label() { return t('Curb cut, poor condition') } },
+  { id: 'missing', get label() { return t('No curb cut') } },
+  { id: 'not_needed', get label() { return t('No curb (not needed)') } },
+]
+
+export const OBSTRUCTION_TYPES = [
+  { id: 'none', get label() { return t('None') } },
+  { id: 'pole', get label() { return t('Pole or hydrant') } },
+  { id: 'vegetation', get label() { return t('Overgrown vegetation') } },
+  { id: 'vehicles', get label() { return t('Parked vehicles') } },
+  { id: 'construction', get label() { return t('Construction') } },
+  { id: 'furniture', get label() { return t('Signs or street furniture') } },
+  { id: 'other', get label() { return t('Other') } },
+]
+
+export const LIGHTING_LEVELS = [
+  { id: 'good', get label() { return t('Well lit') }, rank: 0 },
+  { id: 'poor', get label() { return t('Poorly lit') }, rank: 1 },
+  { id: 'none', get label() { return t('No lighting') }, rank: 2 },
+]
+
+// Field definitions in display order. `options` fields hold one of the option
+// ids; `clearWidth` is a number of meters.
+export const ATTRIBUTE_FIELDS = [
+  { key: 'surface', get label() { return t('Surface') }, options: SURFACE_TYPES },
+  { key: 'clearWidth', get label() { return t('Clear width') }, unit: 'm' },
+  { key: 'runningSlope', get label() { return t('Running slope') }, options: RUNNING_SLOPES },
+  { key: 'crossSlope', get label() { return t('Cross slope') }, options: CROSS_SLOPES },
+  { key: 'curbCutStart', get label() { return t('Curb cut at start') }, options: CURB_CUT_STATUSES },
+  { key: 'curbCutEnd', get label() { return t('Curb cut at end') }, options: CURB_CUT_STATUSES },
+  { key: 'obstruction', get label() { return t('Obstruction') }, options: OBSTRUCTION_TYPES },
+  { key: 'lighting', get label() { return t('Lighting') }, options: LIGHTING_LEVELS },
+]
+
+export const EMPTY_ATTRIBUTES = Object.fromEntries(ATTRIBUTE_FIELDS.map(f => [f.key, null]))
+
+// Sanity bound for clear width; anything wider is almost certainly a typo
+export const MAX_CLEAR_WIDTH_M = 20
+
+const optionFor = (field, value) => field.options && field.options.find(o => o.id === value)
+
+// For reading: fill in missing fields (older documents) and drop values we
+// don't recognise. Forms check with validateAttributes and save with
+// attributesToStore instead, so nothing is lost silently.
+export function normalizeAttributes(raw) {
+  const attrs = { ...EMPTY_ATTRIBUTES }
+  if (!raw || typeof raw !== 'object') return attrs
+  ATTRIBUTE_FIELDS.forEach(field => {
+    const value = raw[field.key]
+    if (field.options) {
+      if (optionFor(field, value)) attrs[field.key] = value
+    } else {
+      const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+      if (typeof num === 'number' && Number.isFinite(num) && num > 0 && num <= MAX_CLEAR_WIDTH_M) attrs[field.key] = num
+    }
+  })
+  return attrs
+}
+
+// Returns an error message for the first invalid value, or null
+export function validateAttributes(raw) {
+  if (raw == null) return null
+  if (typeof raw !== 'object') return t('Attributes must be an object')
+  for (const field of ATTRIBUTE_FIELDS) {
+    const value = raw[field.key]
+    if (value == null || value === '') continue
+    if (field.options && !optionFor(field, value)) return t('Unknown {field} "{value}"', { field: field.label.toLowerCase(), value })
+    if (!field.options) {
+      const num = Number(value)
+      if (!Number.isFinite(num) || num <= 0 || num > MAX_CLEAR_WIDTH_M) return t('{field} must be between 0 and {max} m', { field: field.label, max: MAX_CLEAR_WIDTH_M })
+    }
+  }
+  return null
+}
+
+// Form values as stored: widths as numbers, unanswered fields null. Expects
+// values that passed validateAttributes.
+export const attributesToStore = (raw) => Object.fromEntries(ATTRIBUTE_FIELDS.map(field => {
+  const value = raw[field.key]
+  if (value == null || value === '') return [field.key, null]
+  return [field.key, field.options ? value : Number(value)]
+}))
+
+// Human-readable [label, value] pairs for the fields that have been surveyed
+export function describeAttributes(attrs) {
+  return ATTRIBUTE_FIELDS
+    .filter(field => attrs[field.key] != null)
+    .map(field => [
+      field.label,
+      field.options ? optionFor(field, attrs[field.key]).label : `${formatNumber(attrs[field.key])} ${field.unit}`,
+    ])
+}
+
+export const hasAttributes = (attrs) => ATTRIBUTE_FIELDS.some(field => attrs[field.key] != null)
+
+// --- Map Layers filters ---
+
+export const DEFAULT_ATTRIBUTE_FILTERS = {
+  surface: 'any',
+  minClearWidth: '',
+  maxRunningSlope: 'any',
+  maxCrossSlope: 'any',
+  hideMissingCurbCuts: false,
+  hideObstructed: false,
+  requireLighting: false,
+  // Segments without a value for a filtered field (including all older
+  // documents) are shown unless this is turned off
+  includeUnknown: true,
+}
+
+export const rankOf = (options, id) => (options.find(o => o.id === id) || {}).rank
+
+export function matchesAttributeFilters(attrs, filters) {
+  const unknown = filters.includeUnknown
+  if (filters.surface !== 'any') {
+    if (attrs.surface == null ? !unknown : attrs.surface !== filters.surface) return false
+  }
+  const minWidth = parseFloat(filters.minClearWidth)
+  if (Number.isFinite(minWidth) && minWidth > 0) {
+    if (attrs.clearWidth == null ? !unknown : attrs.clearWidth < minWidth) return false
+  }
+  if (filters.maxRunningSlope !== 'any') {
+    if (attrs.runningSlope == null ? !unknown
+      : rankOf(RUNNING_SLOPES, attrs.runningSlope) > rankOf(RUNNING_SLOPES, filters.maxRunningSlope)) return false
+  }
+  if (filters.maxCrossSlope !== 'any') {
+    if (attrs.crossSlope == null ? !unknown
+      : rankOf(CROSS_SLOPES, attrs.crossSlope) > rankOf(CROSS_SLOPES, filters.maxCrossSlope)) return false
+  }
+  if (filters.hideMissingCurbCuts) {
+    if (attrs.curbCutStart === 'missing' || attrs.curbCutEnd === 'missing') return false
+    if (!unknown && (attrs.curbCutStart == null || attrs.curbCutEnd == null)) return false
+  }
+  if (filters.hideObstructed) {
+    if (attrs.obstruction == null ? !unknown : attrs.obstruction !== 'none') return false
+  }
+  if (filters.requireLighting) {
+    if (attrs.lighting == null ? !unknown : attrs.lighting !== 'good') return false
+  }
+  return true
+}
+
+export const attributeFiltersActive = (filters) =>
+  Object.keys(DEFAULT_ATTRIBUTE_FILTERS).some(key => filters[key] !== DEFAULT_ATTRIBUTE_FILTERS[key])
@@ -0,0 +1,112 @@
+// Discussion threads on segments.
+//
+// Comments live in a subcollection so a busy thread doesn't weigh down the
+// segment listeners:
+//
+//   segments/{segmentId}/comments/{commentId}:
+//     { text, author_uid, author_name, createdAt, editedAt?, photo?, movedFrom? }
+//
+// `photo` uses the same descriptor as segment photos (see photos.js). The
+// segment itself carries `commentCount`, kept in step with an increment in the
+// same batch as every create and delete, so the map can show it without
+// reading the threads. Each increment names its comment in `lastCommentId`,
+// which the rules check was created or deleted alongside it.
+
+import { collection, doc, getDocs, writeBatch, updateDoc, increment, serverTimestamp } from 'firebase/firestore'
+import { db } from './firebase.js'
+import { uploadCommentPhoto, deletePhotoFiles } from './photos.js'
+import { safeImageUrl } from './safeUrl.js'
+
+export const MAX_COMMENT_LENGTH = 1000
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500
+
+export const commentsOf = (segmentId) => collection(db, 'segments', segmentId, 'comments')
+
+export const commentCountOf = (seg) => (Number.isFinite(seg.commentCount) && seg.commentCount > 0 ? seg.commentCount : 0)
+
+/** Firestore comment document -> `{ id, text, author_uid, author_name, createdAt, editedAt, photo }`. */
+export function commentFromDoc(d) {
+  // Our own comments have no server timestamp until the write is committed
+  const data = d.data({ serverTimestamps: 'estimate' })
+  const photo = data.photo && safeImageUrl(data.photo.url) ? data.photo : null
+  return {
+    id: d.id,
+    text: data.text || '',
+    author_uid: data.author_uid || null,
+    author_name: data.author_name || null,
+    createdAt: data.createdAt ? data.createdAt.toDate() : null,
+    editedAt: data.editedAt ? data.editedAt.toDate() : null,
+    photo,
+    pending: d.metadata.hasPendingWrites,
+  }
+}
+
+/**
+ * Add a comment by `user`. `photo` is an unsent photo from `preparePhoto`, or
+ * null; it is uploaded before the comment is written.
+ */
+export async function addComment(segmentId, user, { text, photo }) {
+  const commentRef = doc(commentsOf(segmentId))
+  const storedPhoto = photo ? await uploadCommentPhoto(segmentId, commentRef.id, photo) : null
+  const batch = writeBatch(db)
+  batch.set(commentRef, {
+    text: text.trim().slice(0, MAX_COMMENT_LENGTH),
+    author_uid: user.uid,
+    author_name: user.displayName || null,
+    createdAt: serverTimestamp(),
+    ...(storedPhoto ? { photo: storedPhoto } : {}),
+  })
+  batch.update(doc(db, 'segments', segmentId), { commentCount: increment(1), lastCommentId: commentRef.id })
+  await batch.commit()
+}
+
+export async function editComment(segmentId, commentId, text) {
+  await updateDoc(doc(commentsOf(segmentId), commentId), {
+    text: text.trim().slice(0, MAX_COMMENT_LENGTH),
+    editedAt: serverTimestamp(),
+  })
+}
+
+export async function deleteComment(segmentId, comment) {
+  const batch = writeBatch(db)
+  batch.delete(doc(commentsOf(segmentId), comment.id))
+  batch.update(doc(db, 'segments', segmentId), { commentCount: increment(-1), lastCommentId: comment.id })
+  await batch.commit()
+  if (comment.photo) deletePhotoFiles([comment.photo])
+}
+
+/**
+ * Move a thread to another segment, e.g. when two segments are merged. Photo
+ * files stay where they are; the comments keep pointing at them. Each copy
+ * records `movedFrom`, which the rules need to tell it from a forged comment.
+ * The rules only accept comment counts that change by one, so comments move
+ * one batch at a time.
+ */
+export async function moveThread(fromSegmentId, toSegmentId) {
+  const snapshot = await getDocs(commentsOf(fromSegmentId))
+  for (const d of snapshot.docs) {
+    const batch = writeBatch(db)
+    batch.set(doc(commentsOf(toSegmentId), d.id), { ...d.data(), movedFrom: fromSegmentId })
+    batch.delete(d.ref)
+    batch.update(doc(db, 'segments', toSegmentId), { commentCount: increment(1), lastCommentId: d.id })
+    batch.update(doc(db, 'segments', fromSegmentId), { commentCount: increment(-1), lastCommentId: d.id })
+    await batch.commit()
+  }
+}
+
+/**
+ * Remove a deleted segment's whole thread. Firestore doesn't delete
+ * subcollections with their parent, so this is called alongside segment
+ * deletes.
+ */
+export async function deleteThread(segmentId) {
+  const snapshot = await getDocs(commentsOf(segmentId))
+  for (let start = 0; start < snapshot.docs.length; start += BATCH_SIZE) {
+    const batch = writeBatch(db)
+    snapshot.docs.slice(start, start + BATCH_SIZE).forEach(d => batch.delete(d.ref))
+    await batch.commit()
+  }
+  await deletePhotoFiles(snapshot.docs.map(d => d.data().photo).filter(Boolean))
+}
@@ -0,0 +1,195 @@
+// Overlapping segments with conflicting ratings.
+//
+// Two contributors drawing the same block leave two lines stacked on top of
+// each other, often in different colors. A pair counts as overlapping when a
+// long enough stretch of one runs close to the other and that stretch covers
+// most of at least one of them; crossings and segments that merely touch end
+// to end don't qualify. Overlapping paths with different categories are
+// conflicts.
+//
+// A conflict is resolved either by merging the pair into one segment or by
+// marking it distinct (opposite sides of the street, say). Distinct pairs are
+// recorded in their own collection, since the person resolving may own only
+// one of the two segments:
+//
+//   conflictResolutions/{pairKey}:
+//     { segmentIds: [a, b], resolution: 'distinct', resolvedBy, resolvedAt }
+
+import { collection, doc, writeBatch, serverTimestamp, setDoc } from 'firebase/firestore'
+import { db } from './firebase.js'
+import { isPoint } from './points.js'
+import { isObstruction } from './obstructions.js'
+import { isHidden } from './moderation.js'
+import { MAX_PHOTOS, deletePhotoFiles } from './photos.js'
+import { moveThread } from './comments.js'
+import { ANONYMIZED_AUTHOR } from './account.js'
+import { MAX_NOTE_LENGTH } from './segmentIO.js'
+
+// How close two lines have to run to be the same sidewalk
+const NEAR_M = 6
+// Shortest shared stretch that counts as an overlap
+const MIN_OVERLAP_M = 15
+// Share of a segment that has to lie along the other
+const MIN_OVERLAP_SHARE = 0.6
+// Spacing of the points sampled along a path
+const SAMPLE_STEP_M = 3
+
+const METERS_PER_DEG_LAT = 111320
+
+export const resolutionsCollection = () => collection(db, 'conflictResolutions')
+
+/** Order-independent id for a pair of segments. */
+export const pairKey = (a, b) => [a, b].sort().join('__')
+
+// Local flat projection around `origin`, in meters
+const projector = (origin) => {
+  const lngScale = METERS_PER_DEG_LAT * Math.cos((origin[0] * Math.PI) / 180)
+  return ([lat, lng]) => [lng * lngScale, lat * METERS_PER_DEG_LAT]
+}
+
+function distanceToLeg([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax
+  const dy = by - ay
+  const lengthSq = dx * dx + dy * dy
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq))
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy))
+}
+
+const distanceToLine = (p, line) => {
+  let best = Infinity
+  for (let i = 1; i < line.length; i++) best = Math.min(best, distanceToLeg(p, line[i - 1], line[i]))
+  return best
+}
+
+// Length of `from` that runs within NEAR_M of `to`, and the total length of
+// `from`. Each leg is split into short pieces tested at their midpoints.
+function lengthAlong(from, to) {
+  let near = 0
+  let total = 0
+  for (let i = 1; i < from.length; i++) {
+    const [ax, ay] = from[i - 1]
+    const [bx, by] = from[i]
+    const length = Math.hypot(bx - ax, by - ay)
+    const pieces = Math.max(1, Math.ceil(length / SAMPLE_STEP_M))
+    for (let k = 0; k < pieces; k++) {
+      const t = (k + 0.5) / pieces
+      if (distanceToLine([ax + t * (bx - ax), ay + t * (by - ay)], to) <= NEAR_M) near += length / pieces
+    }
+    total += length
+  }
+  return { near, total }
+}
+
+/**
+ * How two paths overlap: `{ length, share }` with the length in meters of the
+ * shared stretch and the larger of the two shares it makes up, or null when
+ * they don't overlap.
+ */
+export function overlapBetween(pathA, pathB) {
+  const project = projector(pathA[0])
+  const a = pathA.map(project)
+  const b = pathB.map(project)
+  const alongA = lengthAlong(a, b)
+  const alongB = lengthAlong(b, a)
+  const length = Math.min(alongA.near, alongB.near)
+  const share = Math.max(alongA.total ? alongA.near / alongA.total : 0, alongB.total ? alongB.near / alongB.total : 0)
+  return length >= MIN_OVERLAP_M && share >= MIN_OVERLAP_SHARE ? { length, share } : null
+}
+
+// Paths that take part in conflict detection: saved, shown and permanent
+const isComparable = (seg) =>
+  !seg.pending && !isPoint(seg) && !isObstruction(seg) && !isHidden(seg) &&
+  Array.isArray(seg.path) && seg.path.length > 1
+
+// Bounding box in degrees, padded by NEAR_M
+function paddedBox(path) {
+  const padLat = NEAR_M / METERS_PER_DEG_LAT
+  const padLng = padLat / Math.cos((path[0][0] * Math.PI) / 180)
+  const lats = path.map(pt => pt[0])
+  const lngs = path.map(pt => pt[1])
+  return [Math.min(...lats) - padLat, Math.min(...lngs) - padLng, Math.max(...lats) + padLat, Math.max(...lngs) + padLng]
+}
+
+const boxesIntersect = (p, q) => p[0] <= q[2] && q[0] <= p[2] && p[1] <= q[3] && q[1] <= p[3]
+
+/**
+ * Overlapping pairs with different categories, as `{ key, a, b, length, share }`,
+ * longest overlap first. Pairs whose key is in `distinctKeys` were resolved as
+ * distinct and are left out.
+ */
+export function findConflicts(segments, distinctKeys = new Set()) {
+  const candidates = segments.filter(isComparable).map(seg => ({ seg, box: paddedBox(seg.path) }))
+  const conflicts = []
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const { seg: a, box: boxA } = candidates[i]
+      const { seg: b, box: boxB } = candidates[j]
+      if (a.category === b.category || !boxesIntersect(boxA, boxB)) continue
+      const key = pairKey(a.id, b.id)
+      if (distinctKeys.has(key)) continue
+      const overlap = overlapBetween(a.path, b.path)
+      if (overlap) conflicts.push({ key, a, b, ...overlap })
+    }
+  }
+  return conflicts.sort((x, y) => y.length - x.length)
+}
+
+/** Record that two overlapping segments describe different things. */
+export async function markDistinct(a, b, user) {
+  await setDoc(doc(resolutionsCollection(), pairKey(a.id, b.id)), {
+    segmentIds: [a.id, b.id].sort(),
+    resolution: 'distinct',
+    resolvedBy: user.uid,
+    resolvedAt: serverTimestamp(),
+  })
+}
+
+function mergedNote(keep, remove) {
+  const notes = [keep.note, remove.note].map(note => (note || '').trim()).filter(Boolean)
+  return [...new Set(notes)].join('\n\n').slice(0, MAX_NOTE_LENGTH)
+}
+
+// Votes of both, plus the removed segment's author's say as a vote for their
+// original rating
+function mergedVotes(keep, remove, category) {
+  const votes = { ...(remove.votes || {}), ...(keep.votes || {}) }
+  const dissenter = remove.author_uid !== ANONYMIZED_AUTHOR ? remove.author_uid : null
+  if (dissenter && dissenter !== keep.author_uid && !votes[dissenter]) {
+    votes[dissenter] = {
+      vote: remove.category === category ? 'confirm' : 'dispute',
+      category: remove.category,
+      votedAt: serverTimestamp(),
+    }
+  }
+  // The author's own vote is implied by the category
+  if (keep.author_uid) delete votes[keep.author_uid]
+  return votes
+}
+
+/**
+ * Merge `remove` into `keep` with the given category: `keep` keeps its geometry
+ * and gains the other's note, photos (up to MAX_PHOTOS) and comments, then
+ * `remove` is deleted. With `moveVotes` the votes come along too; only
+ * moderators may write other people's votes, so an author merging their own
+ * segments keeps just the kept one's.
+ */
+export async function mergeSegments(keep, remove, category, { moveVotes = false } = {}) {
+  const keepRef = doc(db, 'segments', keep.id)
+  const removeRef = doc(db, 'segments', remove.id)
+
+  const photos = [...(keep.photos || []), ...(remove.photos || [])]
+
+  await moveThread(remove.id, keep.id)
+
+  const batch = writeBatch(db)
+  batch.update(keepRef, {
+    category,
+    note: mergedNote(keep, remove),
+    photos: photos.slice(0, MAX_PHOTOS),
+    ...(moveVotes ? { votes: mergedVotes(keep, remove, category) } : {}),
+  })
+  batch.delete(removeRef)
+  await batch.commit()
+  // Files of photos that didn't fit; the rest now belong to `keep`
+  await deletePhotoFiles(photos.slice(MAX_PHOTOS))
+}
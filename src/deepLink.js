@@ -0,0 +1,50 @@
+// Shareable links: the map view, the category filters and the open segment
+// are mirrored into the URL hash, e.g.
+//
+//   #map=18/42.44412/-76.49853&filters=accessible,partial&segment=abc123
+//
+// `filters` lists the filter keys that are switched on, so a link also carries
+// "hide unverified". Anything missing or malformed falls back to the defaults.
+
+const COORD_DECIMALS = 5
+
+function parseView(value) {
+  const parts = (value || '').split('/').map(Number)
+  if (parts.length !== 3 || !parts.every(Number.isFinite)) return null
+  const [zoom, lat, lng] = parts
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null
+  return { zoom, center: [lat, lng] }
+}
+
+/**
+ * `#...` -> `{ view: { center, zoom } | null, filters: object | null, segmentId }`.
+ * Only keys of `defaultFilters` are read from the link.
+ */
+export function parseDeepLink(hash, defaultFilters) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''))
+  let filters = null
+  if (params.has('filters')) {
+    const on = new Set(params.get('filters').split(','))
+    filters = Object.fromEntries(Object.keys(defaultFilters).map(key => [key, on.has(key)]))
+  }
+  return {
+    view: parseView(params.get('map')),
+    filters,
+    segmentId: params.get('segment') || null,
+  }
+}
+
+/** The hash for a view `{ center: [lat, lng], zoom }`, filters and open segment. */
+export function formatDeepLink({ view, filters, segmentId }) {
+  const params = new URLSearchParams()
+  const [lat, lng] = view.center
+  params.set('map', `${Math.round(view.zoom)}/${lat.toFixed(COORD_DECIMALS)}/${lng.toFixed(COORD_DECIMALS)}`)
+  params.set('filters', Object.keys(filters).filter(key => filters[key]).join(','))
+  if (segmentId) params.set('segment', segmentId)
+  // Keep the separators readable; nothing in these values needs escaping
+  return `#${params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',')}`
+}
+
+/** Absolute URL of the current page with the given link state. */
+export const deepLinkUrl = (state) =>
+  `${window.location.origin}${window.location.pathname}${window.location.search}${formatDeepLink(state)}`
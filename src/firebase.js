@@ -1,6 +1,7 @@
 import { initializeApp } from 'firebase/app'
 import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore'
 import { getAuth, connectAuthEmulator } from 'firebase/auth'
+import { getStorage, connectStorageEmulator } from 'firebase/storage'
 
 const firebaseConfig = {
   apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
@@ -15,6 +16,7 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig)
 export const db = getFirestore(app)
 export const auth = getAuth(app)
+export const storage = getStorage(app)
 
 // Optionally connect to local emulators when developing
 if (import.meta.env.VITE_USE_FIRESTORE_EMULATOR === 'true') {
@@ -31,5 +33,12 @@ if (import.meta.env.VITE_USE_FIREBASE_AUTH_EMULATOR === 'true') {
     // ignore
   }
 }
+if (import.meta.env.VITE_USE_STORAGE_EMULATOR === 'true') {
+  try {
+    connectStorageEmulator(storage, 'localhost', 9199)
+  } catch {
+    // ignore
+  }
+}
 
 export default app
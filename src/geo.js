@@ -0,0 +1,89 @@
+// Small geodesic helpers shared by the map tools. Points are [lat, lng] arrays,
+// matching how segment paths are kept in React state.
+
+import { t, formatNumber } from './i18n.js'
+
+const EARTH_RADIUS_M = 6371000
+
+const toRad = (deg) => (deg * Math.PI) / 180
+const toDeg = (rad) => (rad * 180) / Math.PI
+
+// Great-circle distance in meters between two [lat, lng] points
+export function distanceMeters(a, b) {
+  const dLat = toRad(b[0] - a[0])
+  const dLng = toRad(b[1] - a[1])
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+// Total length in meters of a polyline
+export function pathLength(path) {
+  let total = 0
+  for (let i = 1; i < path.length; i++) total += distanceMeters(path[i - 1], path[i])
+  return total
+}
+
+// Initial compass bearing (0-360, clockwise from north) from a to b
+export function bearing(a, b) {
+  const lat1 = toRad(a[0])
+  const lat2 = toRad(b[0])
+  const dLng = toRad(b[1] - a[1])
+  const y = Math.sin(dLng) * Math.cos(lat2)
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng)
+  return (toDeg(Math.atan2(y, x)) + 360) % 360
+}
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest']
+
+// Bearing in degrees -> one of eight compass words, e.g. "northeast"
+export const compassDirection = (deg) => COMPASS[Math.round(deg / 45) % 8]
+
+// The same word in the interface language, for display
+export const compassLabel = (deg) => [
+  t('north'), t('northeast'), t('east'), t('southeast'), t('south'), t('southwest'), t('west'), t('northwest'),
+][Math.round(deg / 45) % 8]
+
+// Human readable distance in the interface language, e.g. "85 m" or "1.2 km"
+export function formatDistance(meters) {
+  if (meters < 1000) return formatNumber(Math.round(meters), { style: 'unit', unit: 'meter' })
+  const digits = meters < 10000 ? 1 : 0
+  return formatNumber(meters / 1000, { style: 'unit', unit: 'kilometer', minimumFractionDigits: digits, maximumFractionDigits: digits })
+}
+
+// Douglas-Peucker simplification of a polyline: drops points closer than
+// `toleranceM` meters to the line through their neighbours. Endpoints are kept.
+export function simplifyPath(path, toleranceM) {
+  if (path.length < 3) return path
+  // Local equirectangular projection to meters, plenty for a walk's extent
+  const cosLat = Math.cos(toRad(path[0][0]))
+  const xy = path.map(([lat, lng]) => [toRad(lng) * cosLat * EARTH_RADIUS_M, toRad(lat) * EARTH_RADIUS_M])
+
+  const keep = new Array(path.length).fill(false)
+  keep[0] = keep[path.length - 1] = true
+  const stack = [[0, path.length - 1]]
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()
+    let farthest = -1
+    let maxDistance = toleranceM
+    for (let i = first + 1; i < last; i++) {
+      const d = distanceToSegment(xy[i], xy[first], xy[last])
+      if (d > maxDistance) {
+        farthest = i
+        maxDistance = d
+      }
+    }
+    if (farthest === -1) continue
+    keep[farthest] = true
+    stack.push([first, farthest], [farthest, last])
+  }
+  return path.filter((_, i) => keep[i])
+}
+
+function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax
+  const dy = by - ay
+  const lengthSq = dx * dx + dy * dy
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq))
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy))
+}
@@ -0,0 +1,108 @@
+// Interface language: message catalogs, runtime switching and locale-aware
+// formatting.
+//
+// Messages are keyed by their English text, so the source reads as before and
+// English needs no catalog. `t('Delete {count} segments?', { count })` looks the
+// text up in the current language's catalog (src/locales/) and fills in the
+// `{name}` placeholders; text missing from a catalog falls back to English.
+// tests/i18n.test.js checks that every literal passed to t() and plural() is
+// translated in each catalog.
+//
+// The choice is kept per browser in localStorage and defaults to the first of
+// `navigator.languages` we have a catalog for.
+
+import { useSyncExternalStore } from 'react'
+import es from './locales/es.js'
+import zhCN from './locales/zh-CN.js'
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English' },
+  { id: 'es', label: 'Español' },
+  { id: 'zh-CN', label: '简体中文' },
+]
+
+export const CATALOGS = { es, 'zh-CN': zhCN }
+
+const STORAGE_KEY = 'accessmap.language'
+
+// `zh`, `zh-Hans` and `zh-SG` read Simplified Chinese; `es-MX` reads Spanish
+function matchLanguage(tag) {
+  if (!tag) return null
+  const lower = tag.toLowerCase()
+  const exact = LANGUAGES.find(l => l.id.toLowerCase() === lower)
+  if (exact) return exact.id
+  if (lower === 'zh-tw' || lower === 'zh-hk' || lower.startsWith('zh-hant')) return null
+  const base = lower.split('-')[0]
+  return (LANGUAGES.find(l => l.id.toLowerCase().split('-')[0] === base) || {}).id || null
+}
+
+function storedLanguage() {
+  try {
+    return matchLanguage(window.localStorage.getItem(STORAGE_KEY))
+  } catch {
+    return null
+  }
+}
+
+function detectLanguage() {
+  const preferred = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language]
+  for (const tag of preferred) {
+    const id = matchLanguage(tag)
+    if (id) return id
+  }
+  return 'en'
+}
+
+let language = storedLanguage() || detectLanguage()
+const listeners = new Set()
+
+if (typeof document !== 'undefined') document.documentElement.lang = language
+
+export const getLanguage = () => language
+
+/** Switch the interface language and remember it for this browser. */
+export function setLanguage(id) {
+  if (!LANGUAGES.some(l => l.id === id) || id === language) return
+  language = id
+  try {
+    window.localStorage.setItem(STORAGE_KEY, id)
+  } catch {
+    // Private mode or storage disabled: the choice lasts for this visit
+  }
+  document.documentElement.lang = id
+  listeners.forEach(listener => listener())
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/** The current language id; re-renders the component when it changes. */
+export const useLanguage = () => useSyncExternalStore(subscribe, getLanguage)
+
+const fill = (text, params) => (params
+  ? text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+  : text)
+
+/** `text` in the current language, with `{name}` placeholders filled from `params`. */
+export function t(text, params) {
+  const catalog = CATALOGS[language]
+  return fill((catalog && catalog[text]) || text, params)
+}
+
+/**
+ * `one` or `other` by the current language's plural rules, translated, with
+ * `{count}` filled in. Languages without a singular (Chinese) always use `other`.
+ */
+export function plural(count, one, other, params) {
+  const form = new Intl.PluralRules(language).select(count) === 'one' ? one : other
+  return t(form, { count: formatNumber(count), ...params })
+}
+
+export const formatNumber = (value, options) => new Intl.NumberFormat(language, options).format(value)
+
+/** A calendar date in the current language, e.g. "3/4/2025", "4/3/2025" or "2025/3/4". */
+export const formatDate = (date, options) => new Intl.DateTimeFormat(language, options).format(date)
+
+export const formatDateTime = (date) => new Intl.DateTimeFormat(language, { dateStyle: 'short', timeStyle: 'short' }).format(date)
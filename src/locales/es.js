@@ -0,0 +1,559 @@
+// Spanish messages, keyed by their English text (see i18n.js).
+
+export default {
+  // App.jsx
+  'Accessible': 'Accesible',
+  'Wheelchair friendly, good curb cuts, even pavement.': 'Apto para sillas de ruedas, buenos rebajes de bordillo, pavimento uniforme.',
+  'Partially Accessible': 'Parcialmente accesible',
+  'Minor bumps, steep grades, or poor curb cuts.': 'Pequeños desniveles, pendientes pronunciadas o rebajes de bordillo deficientes.',
+  'Not Accessible': 'No accesible',
+  'Stairs, construction, or major obstructions.': 'Escaleras, obras u obstáculos importantes.',
+  'Missing curb cut': 'Falta rebaje de bordillo',
+  'A corner or crossing without a curb ramp.': 'Una esquina o cruce sin rampa en el bordillo.',
+  'Broken elevator': 'Ascensor averiado',
+  'An elevator or lift that is out of service.': 'Un ascensor o elevador fuera de servicio.',
+  'Accessible entrance': 'Entrada accesible',
+  'A step-free building entrance.': 'Una entrada al edificio sin escalones.',
+  'Ramp': 'Rampa',
+  'A ramp between levels or up to a door.': 'Una rampa entre niveles o hasta una puerta.',
+  'Bench': 'Banco',
+  'A place to sit and rest.': 'Un lugar para sentarse y descansar.',
+  'Continue straight': 'Siga recto',
+  'Bear left': 'Manténgase a la izquierda',
+  'Turn left': 'Gire a la izquierda',
+  'Turn sharp left': 'Gire bruscamente a la izquierda',
+  'Bear right': 'Manténgase a la derecha',
+  'Turn right': 'Gire a la derecha',
+  'Turn sharp right': 'Gire bruscamente a la derecha',
+  'You already had an account, so you are now signed in to it. Anything you saved as a guest stays with the guest session and can no longer be edited.': 'Ya tenía una cuenta, así que ahora ha iniciado sesión en ella. Lo que guardó como invitado se queda en la sesión de invitado y ya no se puede editar.',
+  'Confirm the email address the sign-in link was sent to': 'Confirme la dirección de correo a la que se envió el enlace de inicio de sesión',
+  'Signing in with the email link failed ({code}). Links work once and expire; request a new one.': 'No se pudo iniciar sesión con el enlace del correo ({code}). Los enlaces solo funcionan una vez y caducan; solicite uno nuevo.',
+  'You are not the owner of this contribution and cannot delete it.': 'No es el autor de esta contribución y no puede eliminarla.',
+  'Contribution not found in cloud - it may have already been deleted.': 'No se encontró la contribución en la nube; puede que ya se haya eliminado.',
+  'Failed to delete contribution ({code}): {message}': 'No se pudo eliminar la contribución ({code}): {message}',
+  'Sign-in failed. Check console for details.': 'No se pudo iniciar sesión. Consulte la consola para más detalles.',
+  'Could not send a sign-in link ({code}). Check the address and try again.': 'No se pudo enviar el enlace de inicio de sesión ({code}). Revise la dirección e inténtelo de nuevo.',
+  'Drag to move, click to remove': 'Arrastre para mover, haga clic para quitar',
+  'Drag to move': 'Arrastre para mover',
+  'Click to add a point': 'Haga clic para añadir un punto',
+  'Location access is blocked. Allow it for this site to record a walk.': 'El acceso a la ubicación está bloqueado. Permítalo para este sitio para grabar un recorrido.',
+  'Waiting for a GPS signal…': 'Esperando señal GPS…',
+  'Point': 'Punto',
+  '{feature} details': 'Detalles de {feature}',
+  'Segment': 'Tramo',
+  'Link copied': 'Enlace copiado',
+  'Copy this link:': 'Copie este enlace:',
+  'Please sign in to save a mobility profile.': 'Inicie sesión para guardar un perfil de movilidad.',
+  'Mobility profile saved. The map is now colored for you.': 'Perfil de movilidad guardado. El mapa ahora se colorea según sus necesidades.',
+  'Failed to save your mobility profile ({code}).': 'No se pudo guardar su perfil de movilidad ({code}).',
+  'Mobility profile deleted': 'Perfil de movilidad eliminado',
+  'Failed to delete your mobility profile ({code}).': 'No se pudo eliminar su perfil de movilidad ({code}).',
+  'This browser cannot share your location, so walk mode is not available.': 'Este navegador no puede compartir su ubicación, así que el modo recorrido no está disponible.',
+  'Recording your walk. Accepted GPS positions are added to the path.': 'Grabando su recorrido. Las posiciones GPS aceptadas se añaden al trazado.',
+  'Recording paused': 'Grabación en pausa',
+  'Recording resumed': 'Grabación reanudada',
+  'You are not the owner of this contribution and cannot edit it.': 'No es el autor de esta contribución y no puede editarla.',
+  'Please sign in to confirm or dispute contributions.': 'Inicie sesión para confirmar o cuestionar contribuciones.',
+  'You cannot vote on your own contribution.': 'No puede votar su propia contribución.',
+  'Failed to record your vote ({code}): {message}': 'No se pudo registrar su voto ({code}): {message}',
+  'Please sign in to mark obstructions as cleared.': 'Inicie sesión para marcar obstáculos como despejados.',
+  'Failed to mark obstruction as cleared ({code}): {message}': 'No se pudo marcar el obstáculo como despejado ({code}): {message}',
+  'Please sign in to report contributions.': 'Inicie sesión para denunciar contribuciones.',
+  'Thanks, a moderator will review this contribution.': 'Gracias, un moderador revisará esta contribución.',
+  'Failed to send report ({code}): {message}': 'No se pudo enviar la denuncia ({code}): {message}',
+  'Failed to update contribution ({code}): {message}': 'No se pudo actualizar la contribución ({code}): {message}',
+  'Drawing cancelled': 'Dibujo cancelado',
+  'Removed point {number}': 'Punto {number} eliminado',
+  'No points to remove': 'No hay puntos que quitar',
+  'Keyboard drawing off': 'Dibujo con teclado desactivado',
+  'Keyboard placement on. Arrow keys move the crosshair, hold Shift for bigger steps. Enter places the point, Escape cancels.': 'Colocación con teclado activada. Las flechas mueven la mira; mantenga Mayús para pasos más grandes. Intro coloca el punto, Escape cancela.',
+  'Keyboard drawing on. Arrow keys move the crosshair, hold Shift for bigger steps. Enter places a point, Shift+Enter finishes, Backspace removes the last point, Escape cancels.': 'Dibujo con teclado activado. Las flechas mueven la mira; mantenga Mayús para pasos más grandes. Intro coloca un punto, Mayús+Intro termina, Retroceso quita el último punto, Escape cancela.',
+  '{distance} {direction} of the last point': '{distance} al {direction} del último punto',
+  'Crosshair moved': 'Mira movida',
+  '{position}, on an existing segment': '{position}, sobre un tramo existente',
+  'Point placed': 'Punto colocado',
+  'Point {number} placed, joined to an existing segment. {total} in total.': 'Punto {number} colocado, unido a un tramo existente. {total} en total.',
+  'Point {number} placed. {total} in total.': 'Punto {number} colocado. {total} en total.',
+  'Click the map to place the point': 'Haga clic en el mapa para colocar el punto',
+  'Not enough of the walk has been recorded yet. Keep walking, or wait for a better GPS signal.': 'Todavía no se ha grabado suficiente recorrido. Siga caminando o espere una mejor señal GPS.',
+  'Please draw at least 2 points': 'Dibuje al menos 2 puntos',
+  'You can attach up to {count} photos.': 'Puede adjuntar hasta {count} fotos.',
+  '{file} is too large (max {size} MB).': '{file} es demasiado grande (máx. {size} MB).',
+  'Could not read {file}. Try a JPEG or PNG photo.': 'No se pudo leer {file}. Pruebe con una foto JPEG o PNG.',
+  'This photo has no location data. It is attached to the path, but you will need to find the spot yourself.': 'Esta foto no tiene datos de ubicación. Se adjunta al trazado, pero tendrá que encontrar el lugar usted mismo.',
+  'This photo was taken outside the map area. It is attached to the path anyway.': 'Esta foto se tomó fuera del área del mapa. Se adjunta al trazado de todos modos.',
+  'Please sign in to save contributions.': 'Inicie sesión para guardar contribuciones.',
+  'The expected end date is before the start date.': 'La fecha de fin prevista es anterior a la fecha de inicio.',
+  'Failed to load statistics ({code}): {message}': 'No se pudieron cargar las estadísticas ({code}): {message}',
+  'Marked as separate segments': 'Marcados como tramos distintos',
+  'Failed to save the resolution ({code}): {message}': 'No se pudo guardar la resolución ({code}): {message}',
+  'Segments merged': 'Tramos fusionados',
+  'Failed to merge the segments ({code}): {message}': 'No se pudieron fusionar los tramos ({code}): {message}',
+  'Area complete': 'Área completada',
+  'Failed to load your contributions ({code}): {message}': 'No se pudieron cargar sus contribuciones ({code}): {message}',
+  'Failed to delete your contributions ({code}): {message}': 'No se pudieron eliminar sus contribuciones ({code}): {message}',
+  'Failed to export your data ({code}): {message}': 'No se pudieron exportar sus datos ({code}): {message}',
+  'Your account has been deleted': 'Su cuenta se ha eliminado',
+  'Failed to delete your account ({code}): {message}': 'No se pudo eliminar su cuenta ({code}): {message}',
+  'Failed to load segments for export ({code}): {message}': 'No se pudieron cargar los segmentos para exportar ({code}): {message}',
+  'There are no visible segments to export. Check the Map Layers filters.': 'No hay tramos visibles para exportar. Revise los filtros de Capas del mapa.',
+  'Could not read {file}: {message}': 'No se pudo leer {file}: {message}',
+  'Please sign in to import contributions.': 'Inicie sesión para importar contribuciones.',
+  'Import failed ({code}). Some segments may not have been saved. Check the console for details.': 'La importación falló ({code}). Es posible que algunos tramos no se hayan guardado. Consulte la consola para más detalles.',
+  'Photo taken on {date}, {distance} from this path.': 'Foto tomada el {date}, a {distance} de este trazado.',
+  'Photo taken on {date}.': 'Foto tomada el {date}.',
+  'Photo taken {distance} from this path.': 'Foto tomada a {distance} de este trazado.',
+  'Photo taken': 'Foto tomada',
+  'Edit this Point': 'Editar este punto',
+  'Details for this Point': 'Detalles de este punto',
+  'Edit this Segment': 'Editar este tramo',
+  'Details for this Segment': 'Detalles de este tramo',
+  'Undo (Ctrl+Z)': 'Deshacer (Ctrl+Z)',
+  'Redo (Ctrl+Shift+Z)': 'Rehacer (Ctrl+Mayús+Z)',
+  'Remove last point (Backspace)': 'Quitar el último punto (Retroceso)',
+  'Total length': 'Longitud total',
+  'Cornell University': 'Universidad Cornell',
+  'Plan Route': 'Planificar ruta',
+  'Add Path': 'Añadir trazado',
+  'Mark a single spot: a missing curb cut, a broken elevator, an entrance, a bench': 'Marcar un lugar concreto: un rebaje de bordillo que falta, un ascensor averiado, una entrada, un banco',
+  'Add Point': 'Añadir punto',
+  'Record a path from your location as you walk it': 'Grabar un trazado desde su ubicación mientras lo recorre',
+  'Walk': 'Recorrer',
+  'Language': 'Idioma',
+  'List the segments in view': 'Listar los tramos visibles',
+  'List': 'Lista',
+  'Coverage and contribution statistics': 'Estadísticas de cobertura y contribuciones',
+  'Stats': 'Estadísticas',
+  "Couldn't load map data ({code}). Segments shown may be out of date.": 'No se pudieron cargar los datos del mapa ({code}). Los segmentos mostrados pueden estar desactualizados.',
+  'Out of sync': 'Sin sincronizar',
+  'Contributions waiting to upload': 'Contribuciones pendientes de subir',
+  'pending': 'pendientes',
+  'Moderation queue': 'Cola de moderación',
+  'Moderation': 'Moderación',
+  'My contributions': 'Mis contribuciones',
+  'Me': 'Yo',
+  'Sign out': 'Cerrar sesión',
+  'Sign in to keep what you add as a guest under your account': 'Inicie sesión para guardar en su cuenta lo que añada como invitado',
+  'Guest': 'Invitado',
+  'Sign in': 'Iniciar sesión',
+  'Drag the point to move it': 'Arrastre el punto para moverlo',
+  'Drag points to move them, click a point to remove it, click a midpoint to add one': 'Arrastre los puntos para moverlos, haga clic en un punto para quitarlo o en un punto medio para añadir uno',
+  'Continue': 'Continuar',
+  'Cancel': 'Cancelar',
+  'Recording': 'Grabando',
+  'Finding your location…': 'Buscando su ubicación…',
+  'GPS ±{meters} m, too imprecise': 'GPS ±{meters} m, demasiado impreciso',
+  'GPS ±{meters} m': 'GPS ±{meters} m',
+  'Arrows move, Enter places': 'Flechas para mover, Intro para colocar',
+  'Click to place the point': 'Haga clic para colocar el punto',
+  'Click to draw': 'Haga clic para dibujar',
+  'Hold Alt to skip snapping': 'Mantenga Alt para no ajustar',
+  'Pause': 'Pausar',
+  'Resume': 'Reanudar',
+  'Draw with the keyboard': 'Dibujar con el teclado',
+  'Keyboard': 'Teclado',
+  'Start where a photo was taken': 'Empezar donde se tomó una foto',
+  'From photo': 'Desde foto',
+  'Finish (Enter)': 'Terminar (Intro)',
+  'Finish': 'Terminar',
+  'Cancel (Esc)': 'Cancelar (Esc)',
+  'Loading Map...': 'Cargando mapa...',
+  'Map, keyboard drawing': 'Mapa, dibujo con teclado',
+  'Map of sidewalk segments. Use the List button for a keyboard-accessible list.': 'Mapa de tramos de acera. Use el botón Lista para obtener una lista accesible con teclado.',
+  'Map Layers': 'Capas del mapa',
+  'My mobility': 'Mi movilidad',
+  'Color for my profile ({preset})': 'Colorear según mi perfil ({preset})',
+  'Edit profile': 'Editar perfil',
+  'Color paths by whether you can get along them, from your own limits.': 'Colorear los trazados según si puede recorrerlos, a partir de sus propios límites.',
+  'Set up a mobility profile': 'Configurar un perfil de movilidad',
+  'Points': 'Puntos',
+  'Map date': 'Fecha del mapa',
+  'Today': 'Hoy',
+  'Show the map as of this date': 'Mostrar el mapa en esta fecha',
+  'Now': 'Ahora',
+  'Verification': 'Verificación',
+  'Hide unverified segments': 'Ocultar tramos sin verificar',
+  'Show conflicting overlaps': 'Mostrar superposiciones en conflicto',
+  'Faded: nobody has confirmed it yet': 'Atenuado: nadie lo ha confirmado todavía',
+  'Dashed: rating is disputed': 'Discontinuo: la valoración está en disputa',
+  'Sidewalk details': 'Detalles de la acera',
+  'Reset': 'Restablecer',
+  'Surface': 'Superficie',
+  'Any': 'Cualquiera',
+  'Min. clear width (m)': 'Ancho libre mín. (m)',
+  'Max. running slope': 'Pendiente longitudinal máx.',
+  'Max. cross slope': 'Pendiente transversal máx.',
+  'Hide missing curb cuts': 'Ocultar rebajes de bordillo que faltan',
+  'Hide obstructed sidewalks': 'Ocultar aceras obstruidas',
+  'Only well-lit sidewalks': 'Solo aceras bien iluminadas',
+  'Include segments without these details': 'Incluir tramos sin estos detalles',
+  'Data': 'Datos',
+  'Download visible segments as GeoJSON': 'Descargar los tramos visibles como GeoJSON',
+  'Download visible segments as CSV with WKT geometry': 'Descargar los tramos visibles como CSV con geometría WKT',
+  'Import GeoJSON / CSV': 'Importar GeoJSON / CSV',
+  'Move photos stored inside segment documents to Storage': 'Mover a Storage las fotos guardadas dentro de los documentos de tramos',
+  'Moving photos {done}/{total}': 'Moviendo fotos {done}/{total}',
+  'Pending Uploads': 'Subidas pendientes',
+  "Saved on this device and retried automatically when you're back online.": 'Guardado en este dispositivo; se reintentará automáticamente cuando vuelva a tener conexión.',
+  'Unknown Category': 'Categoría desconocida',
+  'Uploading…': 'Subiendo…',
+  'Uploaded, waiting for confirmation': 'Subido, esperando confirmación',
+  'Failed {attempts}× ({error})': 'Falló {attempts}× ({error})',
+  'Retry now': 'Reintentar ahora',
+  'Discard from this device': 'Descartar de este dispositivo',
+  'Import {file}': 'Importar {file}',
+  'No segments to import.': 'No hay tramos que importar.',
+  'Row {row}: {reason}': 'Fila {row}: {reason}',
+  'Import {count}': 'Importar {count}',
+  'Plan a Route': 'Planificar una ruta',
+  'Close route planner': 'Cerrar el planificador de rutas',
+  'Click the map to choose a starting point.': 'Haga clic en el mapa para elegir un punto de partida.',
+  'Now click the map to choose a destination.': 'Ahora haga clic en el mapa para elegir un destino.',
+  'The start or destination is too far from any mapped sidewalk. Try clicking closer to a colored path.': 'El origen o el destino está demasiado lejos de cualquier acera cartografiada. Pruebe a hacer clic más cerca de un trazado coloreado.',
+  'No route was found that avoids inaccessible segments.': 'No se encontró ninguna ruta que evite los tramos no accesibles.',
+  'No fully accessible route exists between these points. This route uses partially accessible sections.': 'No existe una ruta totalmente accesible entre estos puntos. Esta ruta usa secciones parcialmente accesibles.',
+  'A longer, fully accessible route also exists. This one was chosen because it is much shorter.': 'También existe una ruta más larga y totalmente accesible. Se eligió esta porque es mucho más corta.',
+  '{instruction} for {distance}': '{instruction} durante {distance}',
+  'Head {direction}': 'Diríjase al {direction}',
+  'Arrive at destination': 'Llegada al destino',
+  'Clear route': 'Borrar ruta',
+  'Moderation Queue': 'Cola de moderación',
+  'Flagged ({count})': 'Denunciados ({count})',
+  'Hidden ({count})': 'Ocultos ({count})',
+  'Nothing to review.': 'Nada que revisar.',
+  'Show': 'Mostrar',
+  'Restore': 'Restaurar',
+  'Hide': 'Ocultar',
+  'Keep it and dismiss the reports': 'Conservarlo y descartar las denuncias',
+  'Dismiss': 'Descartar',
+  'Delete': 'Eliminar',
+  'Report this contribution': 'Denunciar esta contribución',
+  'Anything moderators should know (optional)': 'Algo que los moderadores deban saber (opcional)',
+  'Details for moderators (optional)': 'Detalles para los moderadores (opcional)',
+  'Send Report': 'Enviar denuncia',
+  'Delete this path?': '¿Eliminar este trazado?',
+  'This action cannot be undone.': 'Esta acción no se puede deshacer.',
+  'Everything you added as a guest moves to your account.': 'Todo lo que añadió como invitado pasa a su cuenta.',
+  'Sign in to vote, comment, report problems and manage your contributions.': 'Inicie sesión para votar, comentar, informar de problemas y gestionar sus contribuciones.',
+  'Continue with Google': 'Continuar con Google',
+  'or': 'o',
+  'We sent a sign-in link to {email}. Open it on this device to finish signing in.': 'Hemos enviado un enlace de inicio de sesión a {email}. Ábralo en este dispositivo para terminar de iniciar sesión.',
+  'Email me a sign-in link': 'Enviarme un enlace de inicio de sesión',
+  'Send': 'Enviar',
+  'Close': 'Cerrar',
+  'Merge these segments?': '¿Fusionar estos tramos?',
+  "The kept line is rated {category} and takes over the other's note, photos, votes and comments. The other line is deleted.": 'La línea conservada queda valorada como {category} y recibe la nota, las fotos, los votos y los comentarios de la otra. La otra línea se elimina.',
+  "The kept line is rated {category} and takes over the other's note, photos and comments. The other line is deleted.": 'La línea conservada queda valorada como {category} y recibe la nota, las fotos y los comentarios de la otra. La otra línea se elimina.',
+  'Merge': 'Fusionar',
+  'My mobility profile': 'Mi perfil de movilidad',
+  'Paths are shown as passable, not passable or unknown for you from these limits. Only you can see your profile.': 'Según estos límites, los trazados se muestran como transitables, no transitables o desconocidos para usted. Solo usted puede ver su perfil.',
+  'Start from': 'Partir de',
+  'Custom': 'Personalizado',
+  'I need curb cuts': 'Necesito rebajes de bordillo',
+  'Obstructions block my way': 'Los obstáculos me impiden el paso',
+  'I need good lighting': 'Necesito buena iluminación',
+  'Surfaces I avoid': 'Superficies que evito',
+  'Save': 'Guardar',
+  'Delete your segments?': '¿Eliminar sus tramos?',
+  'Their photos are deleted too. This action cannot be undone.': 'Sus fotos también se eliminan. Esta acción no se puede deshacer.',
+  'Delete your account?': '¿Eliminar su cuenta?',
+  "Your sign-in, votes and reports are removed. Choose what happens to the segments you added. You'll be asked to sign in again to confirm.": 'Se eliminan su inicio de sesión, sus votos y sus denuncias. Elija qué ocurre con los tramos que añadió. Se le pedirá que vuelva a iniciar sesión para confirmar.',
+  'Your segments': 'Sus tramos',
+  'Keep them anonymously': 'Conservarlos de forma anónima',
+  'They stay on the map without your name.': 'Permanecen en el mapa sin su nombre.',
+  'Delete them': 'Eliminarlos',
+  'Segments and photos are removed for everyone.': 'Los tramos y las fotos se eliminan para todos.',
+  'Delete account': 'Eliminar cuenta',
+  'Discard': 'Descartar',
+  'What is here?': '¿Qué hay aquí?',
+  'Accessibility Status': 'Estado de accesibilidad',
+  'Temporary obstruction': 'Obstáculo temporal',
+  'Construction, snow piles, blocked sidewalks. The report drops off the map after its end date.': 'Obras, montones de nieve, aceras bloqueadas. El aviso desaparece del mapa después de su fecha de fin.',
+  'Starts': 'Empieza',
+  'Expected end': 'Fin previsto',
+  '(Optional)': '(Opcional)',
+  'Not sure': 'No lo sé',
+  'e.g. 1.5': 'p. ej. 1,5',
+  'Photos': 'Fotos',
+  '(Optional, up to {count})': '(Opcional, hasta {count})',
+  'Attached photo': 'Foto adjunta',
+  'Remove photo': 'Quitar foto',
+  'Add photo': 'Añadir foto',
+  'Location and camera details are removed from photos before upload.': 'La ubicación y los datos de la cámara se eliminan de las fotos antes de subirlas.',
+  'Check that it shows this sidewalk.': 'Compruebe que muestra esta acera.',
+  'Use as survey date': 'Usar como fecha de inspección',
+  'Surveyed on': 'Inspeccionado el',
+  'Notes': 'Notas',
+  'e.g., No curb cut on NW corner, uneven bricks...': 'p. ej., Sin rebaje de bordillo en la esquina NO, ladrillos irregulares...',
+  'Edit shape': 'Editar forma',
+  'Save Changes': 'Guardar cambios',
+  'Save Contribution': 'Guardar contribución',
+  '{count} comment': '{count} comentario',
+  '{count} comments': '{count} comentarios',
+  '{count} segment': '{count} tramo',
+  '{count} segments': '{count} tramos',
+  'Deleted {count} segment': 'Se eliminó {count} tramo',
+  'Deleted {count} segments': 'Se eliminaron {count} tramos',
+  '{count} photo could not be moved. See the console for details.': 'No se pudo mover {count} foto. Consulte la consola para más detalles.',
+  '{count} photos could not be moved. See the console for details.': 'No se pudieron mover {count} fotos. Consulte la consola para más detalles.',
+  'Indexed {count} segment.': 'Se indexó {count} tramo.',
+  'Indexed {count} segments.': 'Se indexaron {count} tramos.',
+  '{count} active obstruction': '{count} obstrucción activa',
+  '{count} active obstructions': '{count} obstrucciones activas',
+  'Move {count} old photo to Storage': 'Mover {count} foto antigua a Storage',
+  'Move {count} old photos to Storage': 'Mover {count} fotos antiguas a Storage',
+  '{count} segment ready to import (shown dashed on the map).': '{count} tramo listo para importar (se muestra discontinuo en el mapa).',
+  '{count} segments ready to import (shown dashed on the map).': '{count} tramos listos para importar (se muestran discontinuos en el mapa).',
+  '{count} row skipped:': 'Se omitió {count} fila:',
+  '{count} rows skipped:': 'Se omitieron {count} filas:',
+  'Delete {count} segment?': '¿Eliminar {count} tramo?',
+  'Delete {count} segments?': '¿Eliminar {count} tramos?',
+
+  // ConflictPanel.jsx
+  'verified': 'verificado',
+  'contested': 'en disputa',
+  'unverified': 'sin verificar',
+  'You': 'Usted',
+  'A contributor': 'Un colaborador',
+  'surveyed {date}': 'inspeccionado el {date}',
+  'added {date}': 'añadido el {date}',
+  'No note': 'Sin nota',
+  'Segment photo': 'Foto del tramo',
+  'Conflicts': 'Conflictos',
+  'Close conflicts': 'Cerrar conflictos',
+  'Overlapping segments in view that disagree on the rating: {count}.': 'Tramos superpuestos visibles con valoraciones distintas: {count}.',
+  'No conflicts here. Pan the map to check other areas.': 'No hay conflictos aquí. Desplace el mapa para revisar otras zonas.',
+  'Unknown': 'Desconocido',
+  '{a} vs {b}': '{a} frente a {b}',
+  'Shared stretch {distance} ({percent})': 'Tramo compartido {distance} ({percent})',
+  'Zoom to pair': 'Acercar al par',
+  'Sign in to resolve conflicts.': 'Inicie sesión para resolver conflictos.',
+  'Rating after merging': 'Valoración tras fusionar',
+  "The kept segment's rating": 'La valoración del tramo conservado',
+  'Keep the left line and merge the other into it': 'Conservar la línea izquierda y fusionar la otra en ella',
+  'Keep the right line and merge the other into it': 'Conservar la línea derecha y fusionar la otra en ella',
+  'Keep left': 'Conservar izquierda',
+  'Keep right': 'Conservar derecha',
+  'Only a moderator, or someone who added both, can merge these.': 'Solo un moderador, o quien añadió ambos, puede fusionarlos.',
+  'Not the same sidewalk (e.g. opposite sides of the street)': 'No es la misma acera (p. ej., lados opuestos de la calle)',
+
+  // Dashboard.jsx
+  '{percent} of the {distance} mapped inside the area is not accessible.': 'El {percent} de los {distance} cartografiados dentro del área no es accesible.',
+  'Dashboard': 'Panel',
+  'Reload statistics': 'Recargar estadísticas',
+  'Close dashboard': 'Cerrar el panel',
+  'All segments that match the Map Layers filters: {segments}, {distance}.': 'Todos los tramos que cumplen los filtros de Capas del mapa: {segments}, {distance}.',
+  'Mapped length by category': 'Longitud cartografiada por categoría',
+  'Contributions over time': 'Contribuciones a lo largo del tiempo',
+  'No dated contributions yet.': 'Todavía no hay contribuciones con fecha.',
+  'Segments added per month': 'Tramos añadidos por mes',
+  'Month': 'Mes',
+  'Segments': 'Tramos',
+  'Length': 'Longitud',
+  'Inaccessible share of an area': 'Proporción no accesible de un área',
+  'Finish area': 'Terminar área',
+  'Redraw': 'Volver a dibujar',
+  'Clear area': 'Borrar área',
+  'Draw an area on the map': 'Dibujar un área en el mapa',
+  'Top contributors': 'Principales colaboradores',
+  'No contributions yet.': 'Todavía no hay contribuciones.',
+  'Contributor {id}': 'Colaborador {id}',
+  'Export CSV': 'Exportar CSV',
+  'Click the map to outline an area ({count} point).': 'Haga clic en el mapa para delimitar un área ({count} punto).',
+  'Click the map to outline an area ({count} points).': 'Haga clic en el mapa para delimitar un área ({count} puntos).',
+
+  // ErrorBoundary.jsx
+  'Something went wrong.': 'Algo salió mal.',
+
+  // Modal.jsx
+  '{label} dialog': 'Diálogo: {label}',
+
+  // MyContributions.jsx
+  'Reload my contributions': 'Recargar mis contribuciones',
+  'Reload': 'Recargar',
+  'Close my contributions': 'Cerrar mis contribuciones',
+  'Sort': 'Ordenar',
+  'Newest first': 'Más recientes primero',
+  'Oldest first': 'Más antiguos primero',
+  'Category': 'Categoría',
+  'All categories': 'Todas las categorías',
+  'Paths': 'Trazados',
+  'Loading…': 'Cargando…',
+  "You haven't added anything yet.": 'Todavía no ha añadido nada.',
+  'None of your contributions are of this kind.': 'Ninguna de sus contribuciones es de este tipo.',
+  '{selected} of {count} selected': '{selected} de {count} seleccionados',
+  'Select all {count}': 'Seleccionar los {count}',
+  'Select {feature} from {date}': 'Seleccionar {feature} del {date}',
+  'Select {feature} from just now': 'Seleccionar {feature} recién añadido',
+  'hidden': 'oculto',
+  'Zoom to selected': 'Acercar a la selección',
+  'Zoom to all': 'Acercar a todos',
+  'Delete selected': 'Eliminar selección',
+  'Photos {done}/{total}': 'Fotos {done}/{total}',
+  'Export my data': 'Exportar mis datos',
+
+  // SegmentComments.jsx
+  'Failed to save your comment ({code}): {message}': 'No se pudo guardar su comentario ({code}): {message}',
+  'Failed to delete the comment ({code}): {message}': 'No se pudo eliminar el comentario ({code}): {message}',
+  'edited': 'editado',
+  'sending…': 'enviando…',
+  'Edit comment': 'Editar comentario',
+  'Photo attached to this comment': 'Foto adjunta a este comentario',
+  'Delete this comment?': '¿Eliminar este comentario?',
+  'No': 'No',
+  'Edit': 'Editar',
+  'Failed to post your comment ({code}): {message}': 'No se pudo publicar su comentario ({code}): {message}',
+  'Comments': 'Comentarios',
+  'Comments could not be loaded.': 'No se pudieron cargar los comentarios.',
+  'No comments yet. Add an update, like "still broken as of March".': 'Todavía no hay comentarios. Añada una actualización, como "sigue roto en marzo".',
+  'Add a comment…': 'Añadir un comentario…',
+  'Add a comment': 'Añadir un comentario',
+  'Photo to attach': 'Foto para adjuntar',
+  'Change photo': 'Cambiar foto',
+  'Photo': 'Foto',
+  'Post': 'Publicar',
+  'Sign in to join the discussion.': 'Inicie sesión para participar en la conversación.',
+
+  // SegmentList.jsx
+  'north–south': 'de norte a sur',
+  'east–west': 'de este a oeste',
+  'northeast–southwest': 'de noreste a suroeste',
+  'northwest–southeast': 'de noroeste a sureste',
+  'Runs {axis}': 'Va {axis}',
+  'at the map centre': 'en el centro del mapa',
+  '{distance} {direction} of the map centre': 'a {distance} al {direction} del centro del mapa',
+  'Segments in view': 'Tramos visibles',
+  'Close list': 'Cerrar lista',
+  'No segments in view. Pan or zoom the map, or check the Map Layers filters.': 'No hay tramos visibles. Desplace o acerque el mapa, o revise los filtros de Capas del mapa.',
+  'Showing the {shown} nearest of {count} segments. Zoom in to see the rest.': 'Se muestran los {shown} más cercanos de {count} tramos. Acerque el mapa para ver el resto.',
+  'joins {count} other segment': 'se une a {count} tramo más',
+  'joins {count} other segments': 'se une a {count} tramos más',
+  '{count} segment, nearest to the map centre first.': '{count} tramo, los más cercanos al centro del mapa primero.',
+  '{count} segments, nearest to the map centre first.': '{count} tramos, los más cercanos al centro del mapa primero.',
+
+  // SegmentPopup.jsx
+  'Verified': 'Verificado',
+  'Contested': 'En disputa',
+  'Unverified': 'Sin verificar',
+  'unknown': 'fecha desconocida',
+  'Photo {index} of {count} of this path': 'Foto {index} de {count} de este trazado',
+  'Contributed photo of this path': 'Foto aportada de este trazado',
+  'Previous photo': 'Foto anterior',
+  'Next photo': 'Foto siguiente',
+  'Unsynced': 'Sin sincronizar',
+  'Added by you': 'Añadido por usted',
+  'Added by {name}': 'Añadido por {name}',
+  'a contributor': 'un colaborador',
+  'Hidden by a moderator.': 'Ocultado por un moderador.',
+  'Only its author and moderators can see it.': 'Solo su autor y los moderadores pueden verlo.',
+  'From {start} until {end}': 'Desde {start} hasta {end}',
+  'From {start} (no expected end date)': 'Desde {start} (sin fecha de fin prevista)',
+  'Marked cleared {date}': 'Marcado como despejado el {date}',
+  'Mark as cleared': 'Marcar como despejado',
+  'Confidence': 'Confianza',
+  '{confirms} confirmed · {disputes} disputed': '{confirms} confirmaciones · {disputes} objeciones',
+  'Community consensus:': 'Consenso de la comunidad:',
+  'This rating looks right to me': 'Esta valoración me parece correcta',
+  'Confirm': 'Confirmar',
+  'Dispute: suggest {category}': 'Cuestionar: proponer {category}',
+  '{category}?': '¿{category}?',
+  'Not surveyed yet: {fields}': 'Aún sin inspeccionar: {fields}',
+  'Your profile sets no limits to check.': 'Su perfil no fija límites que comprobar.',
+  'Waiting to upload. Manage it from the pending uploads badge.': 'Pendiente de subir. Gestiónelo desde el indicador de subidas pendientes.',
+  'Copy a link that opens the map here with this popup': 'Copiar un enlace que abre el mapa aquí con esta ventana',
+  'Copied': 'Copiado',
+  'Copy link': 'Copiar enlace',
+  'Report this contribution to moderators': 'Denunciar esta contribución a los moderadores',
+  'Report': 'Denunciar',
+  'Edit this point': 'Editar este punto',
+  'Edit this path': 'Editar este trazado',
+  'Delete this point': 'Eliminar este punto',
+  'Delete this path': 'Eliminar este trazado',
+
+  // account.js
+  'Sign in again with a new email link, then delete your account.': 'Vuelva a iniciar sesión con un nuevo enlace por correo y luego elimine su cuenta.',
+
+  // attributes.js
+  'Concrete': 'Hormigón',
+  'Asphalt': 'Asfalto',
+  'Brick': 'Ladrillo',
+  'Pavers / stone': 'Adoquines / piedra',
+  'Gravel': 'Grava',
+  'Dirt / grass': 'Tierra / césped',
+  'Boardwalk': 'Pasarela de madera',
+  'Flat (under 5%)': 'Llana (menos del 5 %)',
+  'Moderate (5–8%)': 'Moderada (5–8 %)',
+  'Steep (over 8%)': 'Pronunciada (más del 8 %)',
+  'Level (under 2%)': 'Nivelada (menos del 2 %)',
+  'Slight (2–5%)': 'Leve (2–5 %)',
+  'Severe (over 5%)': 'Fuerte (más del 5 %)',
+  'Curb cut, good condition': 'Rebaje de bordillo en buen estado',
+  'Curb cut, poor condition': 'Rebaje de bordillo en mal estado',
+  'No curb cut': 'Sin rebaje de bordillo',
+  'No curb (not needed)': 'Sin bordillo (no hace falta)',
+  'None': 'Ninguno',
+  'Pole or hydrant': 'Poste o hidrante',
+  'Overgrown vegetation': 'Vegetación crecida',
+  'Parked vehicles': 'Vehículos estacionados',
+  'Construction': 'Obras',
+  'Signs or street furniture': 'Señales o mobiliario urbano',
+  'Other': 'Otro',
+  'Well lit': 'Bien iluminada',
+  'Poorly lit': 'Mal iluminada',
+  'No lighting': 'Sin iluminación',
+  'Clear width': 'Ancho libre',
+  'Running slope': 'Pendiente longitudinal',
+  'Cross slope': 'Pendiente transversal',
+  'Curb cut at start': 'Rebaje de bordillo al inicio',
+  'Curb cut at end': 'Rebaje de bordillo al final',
+  'Obstruction': 'Obstáculo',
+  'Lighting': 'Iluminación',
+  'Attributes must be an object': 'Los atributos deben ser un objeto',
+  'Unknown {field} "{value}"': 'Valor desconocido de {field}: "{value}"',
+  '{field} must be between 0 and {max} m': '{field} debe estar entre 0 y {max} m',
+
+  // geo.js
+  'north': 'norte',
+  'northeast': 'noreste',
+  'east': 'este',
+  'southeast': 'sureste',
+  'south': 'sur',
+  'southwest': 'suroeste',
+  'west': 'oeste',
+  'northwest': 'noroeste',
+
+  // mobility.js
+  'Manual wheelchair': 'Silla de ruedas manual',
+  'Power wheelchair': 'Silla de ruedas eléctrica',
+  'Walker or rollator': 'Andador o rollator',
+  'Cane': 'Bastón',
+  'Low vision': 'Baja visión',
+  'Stroller': 'Cochecito',
+  'Passable for you': 'Transitable para usted',
+  'Not passable for you': 'No transitable para usted',
+  'Unknown for you': 'Desconocido para usted',
+  'Rated not accessible by contributors': 'Calificado como no accesible por los colaboradores',
+
+  // moderation.js
+  'Inaccurate or outdated': 'Inexacto o desactualizado',
+  'Spam': 'Spam',
+  'Offensive or abusive': 'Ofensivo o abusivo',
+  'Shows private information (faces, plates)': 'Muestra información privada (caras, matrículas)',
+  'Something else': 'Otro motivo',
+
+  // segmentIO.js
+  'Path needs at least 2 points': 'El trazado necesita al menos 2 puntos',
+  'Path contains an invalid coordinate': 'El trazado contiene una coordenada no válida',
+  'Coordinate out of range (check lng/lat order)': 'Coordenada fuera de rango (revise el orden lng/lat)',
+  'Coordinate is outside the Ithaca map area (check lng/lat order)': 'La coordenada está fuera del área del mapa de Ithaca (revise el orden lng/lat)',
+  'Unknown category "{category}"': 'Categoría desconocida "{category}"',
+  'Note must be text': 'La nota debe ser texto',
+  'Note is longer than {max} characters': 'La nota tiene más de {max} caracteres',
+  'File is not valid JSON': 'El archivo no es JSON válido',
+  'Expected a GeoJSON FeatureCollection or Feature': 'Se esperaba un FeatureCollection o Feature de GeoJSON',
+  'Only LineString geometries are supported': 'Solo se admiten geometrías LineString',
+  'CSV file is empty': 'El archivo CSV está vacío',
+  'CSV needs a "geometry" column with WKT LINESTRINGs': 'El CSV necesita una columna "geometry" con LINESTRING en WKT',
+  'CSV needs a "category" column': 'El CSV necesita una columna "category"',
+  'Geometry is not a WKT LINESTRING': 'La geometría no es un LINESTRING en WKT',
+}
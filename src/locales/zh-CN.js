@@ -0,0 +1,559 @@
+// Simplified Chinese messages, keyed by their English text (see i18n.js).
+
+export default {
+  // App.jsx
+  'Accessible': '无障碍',
+  'Wheelchair friendly, good curb cuts, even pavement.': '适合轮椅通行，路缘坡道良好，路面平整。',
+  'Partially Accessible': '部分无障碍',
+  'Minor bumps, steep grades, or poor curb cuts.': '有轻微颠簸、陡坡或路缘坡道较差。',
+  'Not Accessible': '无法通行',
+  'Stairs, construction, or major obstructions.': '有台阶、施工或严重障碍物。',
+  'Missing curb cut': '缺少路缘坡道',
+  'A corner or crossing without a curb ramp.': '没有路缘坡道的街角或人行横道。',
+  'Broken elevator': '电梯故障',
+  'An elevator or lift that is out of service.': '停止运行的电梯或升降机。',
+  'Accessible entrance': '无障碍入口',
+  'A step-free building entrance.': '没有台阶的建筑入口。',
+  'Ramp': '坡道',
+  'A ramp between levels or up to a door.': '连接不同高度或通往门口的坡道。',
+  'Bench': '长椅',
+  'A place to sit and rest.': '可以坐下休息的地方。',
+  'Continue straight': '直行',
+  'Bear left': '靠左前行',
+  'Turn left': '左转',
+  'Turn sharp left': '向左急转',
+  'Bear right': '靠右前行',
+  'Turn right': '右转',
+  'Turn sharp right': '向右急转',
+  'You already had an account, so you are now signed in to it. Anything you saved as a guest stays with the guest session and can no longer be edited.': '您已有账户，现已登录该账户。以访客身份保存的内容仍留在访客会话中，无法再编辑。',
+  'Confirm the email address the sign-in link was sent to': '请确认接收登录链接的电子邮件地址',
+  'Signing in with the email link failed ({code}). Links work once and expire; request a new one.': '使用邮件链接登录失败（{code}）。链接只能使用一次且会过期，请重新申请。',
+  'You are not the owner of this contribution and cannot delete it.': '您不是此贡献的作者，无法删除。',
+  'Contribution not found in cloud - it may have already been deleted.': '云端未找到此贡献，可能已被删除。',
+  'Failed to delete contribution ({code}): {message}': '删除贡献失败（{code}）：{message}',
+  'Sign-in failed. Check console for details.': '登录失败。详情请查看控制台。',
+  'Could not send a sign-in link ({code}). Check the address and try again.': '无法发送登录链接（{code}）。请检查地址后重试。',
+  'Drag to move, click to remove': '拖动以移动，点击以移除',
+  'Drag to move': '拖动以移动',
+  'Click to add a point': '点击以添加一个点',
+  'Location access is blocked. Allow it for this site to record a walk.': '位置访问已被阻止。请允许此网站访问位置以记录步行。',
+  'Waiting for a GPS signal…': '正在等待 GPS 信号…',
+  'Point': '地点',
+  '{feature} details': '{feature}详情',
+  'Segment': '路段',
+  'Link copied': '链接已复制',
+  'Copy this link:': '复制此链接：',
+  'Please sign in to save a mobility profile.': '请登录以保存出行档案。',
+  'Mobility profile saved. The map is now colored for you.': '出行档案已保存。地图现已按您的需求着色。',
+  'Failed to save your mobility profile ({code}).': '保存出行档案失败（{code}）。',
+  'Mobility profile deleted': '出行档案已删除',
+  'Failed to delete your mobility profile ({code}).': '删除出行档案失败（{code}）。',
+  'This browser cannot share your location, so walk mode is not available.': '此浏览器无法共享您的位置，因此无法使用步行模式。',
+  'Recording your walk. Accepted GPS positions are added to the path.': '正在记录步行。有效的 GPS 位置会添加到路径中。',
+  'Recording paused': '记录已暂停',
+  'Recording resumed': '记录已恢复',
+  'You are not the owner of this contribution and cannot edit it.': '您不是此贡献的作者，无法编辑。',
+  'Please sign in to confirm or dispute contributions.': '请登录以确认或质疑贡献。',
+  'You cannot vote on your own contribution.': '您不能为自己的贡献投票。',
+  'Failed to record your vote ({code}): {message}': '记录投票失败（{code}）：{message}',
+  'Please sign in to mark obstructions as cleared.': '请登录以将障碍标记为已清除。',
+  'Failed to mark obstruction as cleared ({code}): {message}': '将障碍标记为已清除失败（{code}）：{message}',
+  'Please sign in to report contributions.': '请登录以举报贡献。',
+  'Thanks, a moderator will review this contribution.': '谢谢，管理员将审核此贡献。',
+  'Failed to send report ({code}): {message}': '发送举报失败（{code}）：{message}',
+  'Failed to update contribution ({code}): {message}': '更新贡献失败（{code}）：{message}',
+  'Drawing cancelled': '已取消绘制',
+  'Removed point {number}': '已移除第 {number} 个点',
+  'No points to remove': '没有可移除的点',
+  'Keyboard drawing off': '键盘绘制已关闭',
+  'Keyboard placement on. Arrow keys move the crosshair, hold Shift for bigger steps. Enter places the point, Escape cancels.': '键盘放置已开启。方向键移动十字准星，按住 Shift 可加大步长。Enter 放置该点，Escape 取消。',
+  'Keyboard drawing on. Arrow keys move the crosshair, hold Shift for bigger steps. Enter places a point, Shift+Enter finishes, Backspace removes the last point, Escape cancels.': '键盘绘制已开启。方向键移动十字准星，按住 Shift 可加大步长。Enter 放置一个点，Shift+Enter 完成，Backspace 移除最后一个点，Escape 取消。',
+  '{distance} {direction} of the last point': '距上一个点{direction}方向 {distance}',
+  'Crosshair moved': '十字准星已移动',
+  '{position}, on an existing segment': '{position}，位于现有路段上',
+  'Point placed': '已放置该点',
+  'Point {number} placed, joined to an existing segment. {total} in total.': '已放置第 {number} 个点，已连接到现有路段。共 {total}。',
+  'Point {number} placed. {total} in total.': '已放置第 {number} 个点。共 {total}。',
+  'Click the map to place the point': '点击地图放置该点',
+  'Not enough of the walk has been recorded yet. Keep walking, or wait for a better GPS signal.': '记录的步行距离还不够。请继续行走，或等待更好的 GPS 信号。',
+  'Please draw at least 2 points': '请至少绘制 2 个点',
+  'You can attach up to {count} photos.': '最多可附加 {count} 张照片。',
+  '{file} is too large (max {size} MB).': '{file} 太大（最大 {size} MB）。',
+  'Could not read {file}. Try a JPEG or PNG photo.': '无法读取 {file}。请尝试 JPEG 或 PNG 照片。',
+  'This photo has no location data. It is attached to the path, but you will need to find the spot yourself.': '此照片没有位置信息。它已附加到路径，但您需要自行找到拍摄地点。',
+  'This photo was taken outside the map area. It is attached to the path anyway.': '此照片拍摄于地图范围之外，但仍已附加到路径。',
+  'Please sign in to save contributions.': '请登录以保存贡献。',
+  'The expected end date is before the start date.': '预计结束日期早于开始日期。',
+  'Failed to load statistics ({code}): {message}': '加载统计数据失败（{code}）：{message}',
+  'Marked as separate segments': '已标记为不同路段',
+  'Failed to save the resolution ({code}): {message}': '保存处理结果失败（{code}）：{message}',
+  'Segments merged': '路段已合并',
+  'Failed to merge the segments ({code}): {message}': '合并路段失败（{code}）：{message}',
+  'Area complete': '区域已完成',
+  'Failed to load your contributions ({code}): {message}': '加载您的贡献失败（{code}）：{message}',
+  'Failed to delete your contributions ({code}): {message}': '删除您的贡献失败（{code}）：{message}',
+  'Failed to export your data ({code}): {message}': '导出您的数据失败（{code}）：{message}',
+  'Your account has been deleted': '您的账户已删除',
+  'Failed to delete your account ({code}): {message}': '删除账户失败（{code}）：{message}',
+  'Failed to load segments for export ({code}): {message}': '加载要导出的路段失败（{code}）：{message}',
+  'There are no visible segments to export. Check the Map Layers filters.': '没有可导出的可见路段。请检查地图图层筛选条件。',
+  'Could not read {file}: {message}': '无法读取 {file}：{message}',
+  'Please sign in to import contributions.': '请登录以导入贡献。',
+  'Import failed ({code}). Some segments may not have been saved. Check the console for details.': '导入失败（{code}）。部分路段可能未保存。详情请查看控制台。',
+  'Photo taken on {date}, {distance} from this path.': '照片拍摄于 {date}，距此路径 {distance}。',
+  'Photo taken on {date}.': '照片拍摄于 {date}。',
+  'Photo taken {distance} from this path.': '照片拍摄地点距此路径 {distance}。',
+  'Photo taken': '已拍摄照片',
+  'Edit this Point': '编辑此地点',
+  'Details for this Point': '此地点的详情',
+  'Edit this Segment': '编辑此路段',
+  'Details for this Segment': '此路段的详情',
+  'Undo (Ctrl+Z)': '撤销 (Ctrl+Z)',
+  'Redo (Ctrl+Shift+Z)': '重做 (Ctrl+Shift+Z)',
+  'Remove last point (Backspace)': '移除最后一个点 (Backspace)',
+  'Total length': '总长度',
+  'Cornell University': '康奈尔大学',
+  'Plan Route': '规划路线',
+  'Add Path': '添加路径',
+  'Mark a single spot: a missing curb cut, a broken elevator, an entrance, a bench': '标记单个地点：缺少的路缘坡道、故障电梯、入口、长椅',
+  'Add Point': '添加地点',
+  'Record a path from your location as you walk it': '边走边根据您的位置记录路径',
+  'Walk': '步行记录',
+  'Language': '语言',
+  'List the segments in view': '列出视图中的路段',
+  'List': '列表',
+  'Coverage and contribution statistics': '覆盖范围和贡献统计',
+  'Stats': '统计',
+  "Couldn't load map data ({code}). Segments shown may be out of date.": '无法加载地图数据（{code}）。显示的路段可能不是最新的。',
+  'Out of sync': '未同步',
+  'Contributions waiting to upload': '等待上传的贡献',
+  'pending': '待上传',
+  'Moderation queue': '审核队列',
+  'Moderation': '审核',
+  'My contributions': '我的贡献',
+  'Me': '我',
+  'Sign out': '退出登录',
+  'Sign in to keep what you add as a guest under your account': '登录后，以访客身份添加的内容将保存到您的账户',
+  'Guest': '访客',
+  'Sign in': '登录',
+  'Drag the point to move it': '拖动该点以移动',
+  'Drag points to move them, click a point to remove it, click a midpoint to add one': '拖动点以移动，点击点以移除，点击中点以添加新点',
+  'Continue': '继续',
+  'Cancel': '取消',
+  'Recording': '正在记录',
+  'Finding your location…': '正在查找您的位置…',
+  'GPS ±{meters} m, too imprecise': 'GPS ±{meters} 米，精度不足',
+  'GPS ±{meters} m': 'GPS ±{meters} 米',
+  'Arrows move, Enter places': '方向键移动，Enter 放置',
+  'Click to place the point': '点击放置该点',
+  'Click to draw': '点击以绘制',
+  'Hold Alt to skip snapping': '按住 Alt 可跳过吸附',
+  'Pause': '暂停',
+  'Resume': '继续',
+  'Draw with the keyboard': '使用键盘绘制',
+  'Keyboard': '键盘',
+  'Start where a photo was taken': '从照片拍摄地点开始',
+  'From photo': '从照片',
+  'Finish (Enter)': '完成 (Enter)',
+  'Finish': '完成',
+  'Cancel (Esc)': '取消 (Esc)',
+  'Loading Map...': '正在加载地图...',
+  'Map, keyboard drawing': '地图，键盘绘制',
+  'Map of sidewalk segments. Use the List button for a keyboard-accessible list.': '人行道路段地图。使用“列表”按钮可获得支持键盘操作的列表。',
+  'Map Layers': '地图图层',
+  'My mobility': '我的出行需求',
+  'Color for my profile ({preset})': '按我的档案着色（{preset}）',
+  'Edit profile': '编辑档案',
+  'Color paths by whether you can get along them, from your own limits.': '根据您自己的限制，按能否通行为路径着色。',
+  'Set up a mobility profile': '设置出行档案',
+  'Points': '地点',
+  'Map date': '地图日期',
+  'Today': '今天',
+  'Show the map as of this date': '显示该日期的地图',
+  'Now': '现在',
+  'Verification': '核实',
+  'Hide unverified segments': '隐藏未核实的路段',
+  'Show conflicting overlaps': '显示冲突的重叠路段',
+  'Faded: nobody has confirmed it yet': '淡色：尚无人确认',
+  'Dashed: rating is disputed': '虚线：评级有争议',
+  'Sidewalk details': '人行道详情',
+  'Reset': '重置',
+  'Surface': '路面',
+  'Any': '不限',
+  'Min. clear width (m)': '最小净宽（米）',
+  'Max. running slope': '最大纵向坡度',
+  'Max. cross slope': '最大横向坡度',
+  'Hide missing curb cuts': '隐藏缺少路缘坡道的路段',
+  'Hide obstructed sidewalks': '隐藏有障碍的人行道',
+  'Only well-lit sidewalks': '仅显示照明良好的人行道',
+  'Include segments without these details': '包括没有这些详情的路段',
+  'Data': '数据',
+  'Download visible segments as GeoJSON': '将可见路段下载为 GeoJSON',
+  'Download visible segments as CSV with WKT geometry': '将可见路段下载为带 WKT 几何的 CSV',
+  'Import GeoJSON / CSV': '导入 GeoJSON / CSV',
+  'Move photos stored inside segment documents to Storage': '将存储在路段文档中的照片移至 Storage',
+  'Moving photos {done}/{total}': '正在移动照片 {done}/{total}',
+  'Pending Uploads': '待上传',
+  "Saved on this device and retried automatically when you're back online.": '已保存在此设备上，恢复联网后会自动重试。',
+  'Unknown Category': '未知类别',
+  'Uploading…': '正在上传…',
+  'Uploaded, waiting for confirmation': '已上传，等待确认',
+  'Failed {attempts}× ({error})': '失败 {attempts} 次（{error}）',
+  'Retry now': '立即重试',
+  'Discard from this device': '从此设备中丢弃',
+  'Import {file}': '导入 {file}',
+  'No segments to import.': '没有可导入的路段。',
+  'Row {row}: {reason}': '第 {row} 行：{reason}',
+  'Import {count}': '导入 {count} 条',
+  'Plan a Route': '规划路线',
+  'Close route planner': '关闭路线规划',
+  'Click the map to choose a starting point.': '点击地图选择起点。',
+  'Now click the map to choose a destination.': '现在点击地图选择终点。',
+  'The start or destination is too far from any mapped sidewalk. Try clicking closer to a colored path.': '起点或终点离已标注的人行道太远。请尝试点击更靠近彩色路径的位置。',
+  'No route was found that avoids inaccessible segments.': '未找到可避开无法通行路段的路线。',
+  'No fully accessible route exists between these points. This route uses partially accessible sections.': '这两点之间没有完全无障碍的路线。此路线包含部分无障碍路段。',
+  'A longer, fully accessible route also exists. This one was chosen because it is much shorter.': '另有一条更长但完全无障碍的路线。选择此路线是因为它短得多。',
+  '{instruction} for {distance}': '{instruction}，行进 {distance}',
+  'Head {direction}': '向{direction}出发',
+  'Arrive at destination': '到达目的地',
+  'Clear route': '清除路线',
+  'Moderation Queue': '审核队列',
+  'Flagged ({count})': '被举报（{count}）',
+  'Hidden ({count})': '已隐藏（{count}）',
+  'Nothing to review.': '没有需要审核的内容。',
+  'Show': '显示',
+  'Restore': '恢复',
+  'Hide': '隐藏',
+  'Keep it and dismiss the reports': '保留并驳回举报',
+  'Dismiss': '驳回',
+  'Delete': '删除',
+  'Report this contribution': '举报此贡献',
+  'Anything moderators should know (optional)': '管理员需要了解的信息（可选）',
+  'Details for moderators (optional)': '给管理员的详情（可选）',
+  'Send Report': '发送举报',
+  'Delete this path?': '删除此路径？',
+  'This action cannot be undone.': '此操作无法撤销。',
+  'Everything you added as a guest moves to your account.': '您以访客身份添加的所有内容都将移至您的账户。',
+  'Sign in to vote, comment, report problems and manage your contributions.': '登录后即可投票、评论、报告问题并管理您的贡献。',
+  'Continue with Google': '使用 Google 继续',
+  'or': '或',
+  'We sent a sign-in link to {email}. Open it on this device to finish signing in.': '我们已向 {email} 发送登录链接。请在此设备上打开以完成登录。',
+  'Email me a sign-in link': '通过电子邮件向我发送登录链接',
+  'Send': '发送',
+  'Close': '关闭',
+  'Merge these segments?': '合并这些路段？',
+  "The kept line is rated {category} and takes over the other's note, photos, votes and comments. The other line is deleted.": '保留的线段评级为{category}，并接收另一条线段的备注、照片、投票和评论。另一条线段将被删除。',
+  "The kept line is rated {category} and takes over the other's note, photos and comments. The other line is deleted.": '保留的线段评级为{category}，并接收另一条线段的备注、照片和评论。另一条线段将被删除。',
+  'Merge': '合并',
+  'My mobility profile': '我的出行档案',
+  'Paths are shown as passable, not passable or unknown for you from these limits. Only you can see your profile.': '根据这些限制，路径将显示为对您可通行、不可通行或未知。只有您能看到自己的档案。',
+  'Start from': '起始模板',
+  'Custom': '自定义',
+  'I need curb cuts': '我需要路缘坡道',
+  'Obstructions block my way': '障碍物会挡住我的路',
+  'I need good lighting': '我需要良好的照明',
+  'Surfaces I avoid': '我避开的路面',
+  'Save': '保存',
+  'Delete your segments?': '删除您的路段？',
+  'Their photos are deleted too. This action cannot be undone.': '其照片也会被删除。此操作无法撤销。',
+  'Delete your account?': '删除您的账户？',
+  "Your sign-in, votes and reports are removed. Choose what happens to the segments you added. You'll be asked to sign in again to confirm.": '您的登录信息、投票和举报将被移除。请选择如何处理您添加的路段。系统会要求您重新登录以确认。',
+  'Your segments': '您的路段',
+  'Keep them anonymously': '匿名保留',
+  'They stay on the map without your name.': '它们将保留在地图上，但不显示您的名字。',
+  'Delete them': '全部删除',
+  'Segments and photos are removed for everyone.': '路段和照片将对所有人移除。',
+  'Delete account': '删除账户',
+  'Discard': '放弃',
+  'What is here?': '这里有什么？',
+  'Accessibility Status': '无障碍状况',
+  'Temporary obstruction': '临时障碍',
+  'Construction, snow piles, blocked sidewalks. The report drops off the map after its end date.': '施工、积雪、人行道被堵等。报告会在结束日期后从地图上消失。',
+  'Starts': '开始',
+  'Expected end': '预计结束',
+  '(Optional)': '（可选）',
+  'Not sure': '不确定',
+  'e.g. 1.5': '例如 1.5',
+  'Photos': '照片',
+  '(Optional, up to {count})': '（可选，最多 {count} 张）',
+  'Attached photo': '已附加的照片',
+  'Remove photo': '移除照片',
+  'Add photo': '添加照片',
+  'Location and camera details are removed from photos before upload.': '上传前会移除照片中的位置和相机信息。',
+  'Check that it shows this sidewalk.': '请确认照片拍的是这段人行道。',
+  'Use as survey date': '用作勘察日期',
+  'Surveyed on': '勘察日期',
+  'Notes': '备注',
+  'e.g., No curb cut on NW corner, uneven bricks...': '例如：西北角没有路缘坡道，砖面不平……',
+  'Edit shape': '编辑形状',
+  'Save Changes': '保存更改',
+  'Save Contribution': '保存贡献',
+  '{count} comment': '{count} 条评论',
+  '{count} comments': '{count} 条评论',
+  '{count} segment': '{count} 个路段',
+  '{count} segments': '{count} 个路段',
+  'Deleted {count} segment': '已删除 {count} 个路段',
+  'Deleted {count} segments': '已删除 {count} 个路段',
+  '{count} photo could not be moved. See the console for details.': '有 {count} 张照片无法移动。详情请查看控制台。',
+  '{count} photos could not be moved. See the console for details.': '有 {count} 张照片无法移动。详情请查看控制台。',
+  'Indexed {count} segment.': '已为 {count} 个路段建立索引。',
+  'Indexed {count} segments.': '已为 {count} 个路段建立索引。',
+  '{count} active obstruction': '{count} 处当前障碍',
+  '{count} active obstructions': '{count} 处当前障碍',
+  'Move {count} old photo to Storage': '将 {count} 张旧照片移至 Storage',
+  'Move {count} old photos to Storage': '将 {count} 张旧照片移至 Storage',
+  '{count} segment ready to import (shown dashed on the map).': '{count} 个路段可以导入（在地图上以虚线显示）。',
+  '{count} segments ready to import (shown dashed on the map).': '{count} 个路段可以导入（在地图上以虚线显示）。',
+  '{count} row skipped:': '跳过了 {count} 行：',
+  '{count} rows skipped:': '跳过了 {count} 行：',
+  'Delete {count} segment?': '删除 {count} 个路段？',
+  'Delete {count} segments?': '删除 {count} 个路段？',
+
+  // ConflictPanel.jsx
+  'verified': '已核实',
+  'contested': '有争议',
+  'unverified': '未核实',
+  'You': '您',
+  'A contributor': '一位贡献者',
+  'surveyed {date}': '勘察于 {date}',
+  'added {date}': '添加于 {date}',
+  'No note': '无备注',
+  'Segment photo': '路段照片',
+  'Conflicts': '冲突',
+  'Close conflicts': '关闭冲突',
+  'Overlapping segments in view that disagree on the rating: {count}.': '视图中评级不一致的重叠路段：{count}。',
+  'No conflicts here. Pan the map to check other areas.': '这里没有冲突。移动地图以查看其他区域。',
+  'Unknown': '未知',
+  '{a} vs {b}': '{a} 对比 {b}',
+  'Shared stretch {distance} ({percent})': '重叠部分 {distance}（{percent}）',
+  'Zoom to pair': '缩放至这对路段',
+  'Sign in to resolve conflicts.': '登录后即可处理冲突。',
+  'Rating after merging': '合并后的评级',
+  "The kept segment's rating": '保留路段的评级',
+  'Keep the left line and merge the other into it': '保留左侧线段并将另一条合并进来',
+  'Keep the right line and merge the other into it': '保留右侧线段并将另一条合并进来',
+  'Keep left': '保留左侧',
+  'Keep right': '保留右侧',
+  'Only a moderator, or someone who added both, can merge these.': '只有管理员或同时添加了这两条路段的人才能合并。',
+  'Not the same sidewalk (e.g. opposite sides of the street)': '不是同一段人行道（例如位于街道两侧）',
+
+  // Dashboard.jsx
+  '{percent} of the {distance} mapped inside the area is not accessible.': '该区域内已标注的 {distance} 中有 {percent} 无法通行。',
+  'Dashboard': '数据面板',
+  'Reload statistics': '重新加载统计数据',
+  'Close dashboard': '关闭数据面板',
+  'All segments that match the Map Layers filters: {segments}, {distance}.': '符合地图图层筛选条件的所有路段：{segments}，{distance}。',
+  'Mapped length by category': '按类别统计的标注长度',
+  'Contributions over time': '贡献随时间变化',
+  'No dated contributions yet.': '暂无带日期的贡献。',
+  'Segments added per month': '每月添加的路段',
+  'Month': '月份',
+  'Segments': '路段',
+  'Length': '长度',
+  'Inaccessible share of an area': '区域内无法通行的比例',
+  'Finish area': '完成区域',
+  'Redraw': '重新绘制',
+  'Clear area': '清除区域',
+  'Draw an area on the map': '在地图上绘制区域',
+  'Top contributors': '主要贡献者',
+  'No contributions yet.': '暂无贡献。',
+  'Contributor {id}': '贡献者 {id}',
+  'Export CSV': '导出 CSV',
+  'Click the map to outline an area ({count} point).': '点击地图勾勒区域（{count} 个点）。',
+  'Click the map to outline an area ({count} points).': '点击地图勾勒区域（{count} 个点）。',
+
+  // ErrorBoundary.jsx
+  'Something went wrong.': '出错了。',
+
+  // Modal.jsx
+  '{label} dialog': '{label}对话框',
+
+  // MyContributions.jsx
+  'Reload my contributions': '重新加载我的贡献',
+  'Reload': '重新加载',
+  'Close my contributions': '关闭我的贡献',
+  'Sort': '排序',
+  'Newest first': '最新优先',
+  'Oldest first': '最早优先',
+  'Category': '类别',
+  'All categories': '所有类别',
+  'Paths': '路径',
+  'Loading…': '正在加载…',
+  "You haven't added anything yet.": '您还没有添加任何内容。',
+  'None of your contributions are of this kind.': '您没有此类贡献。',
+  '{selected} of {count} selected': '已选择 {selected}/{count}',
+  'Select all {count}': '全选 {count} 项',
+  'Select {feature} from {date}': '选择 {date} 的{feature}',
+  'Select {feature} from just now': '选择刚刚添加的{feature}',
+  'hidden': '已隐藏',
+  'Zoom to selected': '缩放至所选',
+  'Zoom to all': '缩放至全部',
+  'Delete selected': '删除所选',
+  'Photos {done}/{total}': '照片 {done}/{total}',
+  'Export my data': '导出我的数据',
+
+  // SegmentComments.jsx
+  'Failed to save your comment ({code}): {message}': '保存评论失败（{code}）：{message}',
+  'Failed to delete the comment ({code}): {message}': '删除评论失败（{code}）：{message}',
+  'edited': '已编辑',
+  'sending…': '正在发送…',
+  'Edit comment': '编辑评论',
+  'Photo attached to this comment': '此评论附带的照片',
+  'Delete this comment?': '删除此评论？',
+  'No': '否',
+  'Edit': '编辑',
+  'Failed to post your comment ({code}): {message}': '发表评论失败（{code}）：{message}',
+  'Comments': '评论',
+  'Comments could not be loaded.': '无法加载评论。',
+  'No comments yet. Add an update, like "still broken as of March".': '暂无评论。可以添加最新情况，例如“截至三月仍然损坏”。',
+  'Add a comment…': '添加评论…',
+  'Add a comment': '添加评论',
+  'Photo to attach': '待附加的照片',
+  'Change photo': '更换照片',
+  'Photo': '照片',
+  'Post': '发表',
+  'Sign in to join the discussion.': '登录后即可参与讨论。',
+
+  // SegmentList.jsx
+  'north–south': '南北向',
+  'east–west': '东西向',
+  'northeast–southwest': '东北—西南向',
+  'northwest–southeast': '西北—东南向',
+  'Runs {axis}': '{axis}延伸',
+  'at the map centre': '位于地图中心',
+  '{distance} {direction} of the map centre': '位于地图中心{direction}方向 {distance}',
+  'Segments in view': '视图中的路段',
+  'Close list': '关闭列表',
+  'No segments in view. Pan or zoom the map, or check the Map Layers filters.': '视图中没有路段。请移动或缩放地图，或检查地图图层筛选条件。',
+  'Showing the {shown} nearest of {count} segments. Zoom in to see the rest.': '显示 {count} 个路段中最近的 {shown} 个。放大地图以查看其余路段。',
+  'joins {count} other segment': '连接另外 {count} 个路段',
+  'joins {count} other segments': '连接另外 {count} 个路段',
+  '{count} segment, nearest to the map centre first.': '{count} 个路段，离地图中心最近的排在前面。',
+  '{count} segments, nearest to the map centre first.': '{count} 个路段，离地图中心最近的排在前面。',
+
+  // SegmentPopup.jsx
+  'Verified': '已核实',
+  'Contested': '有争议',
+  'Unverified': '未核实',
+  'unknown': '未知日期',
+  'Photo {index} of {count} of this path': '此路径的第 {index} 张照片，共 {count} 张',
+  'Contributed photo of this path': '此路径的贡献照片',
+  'Previous photo': '上一张照片',
+  'Next photo': '下一张照片',
+  'Unsynced': '未同步',
+  'Added by you': '由您添加',
+  'Added by {name}': '由 {name} 添加',
+  'a contributor': '一位贡献者',
+  'Hidden by a moderator.': '已被管理员隐藏。',
+  'Only its author and moderators can see it.': '只有作者和管理员可以看到。',
+  'From {start} until {end}': '从 {start} 到 {end}',
+  'From {start} (no expected end date)': '从 {start} 起（无预计结束日期）',
+  'Marked cleared {date}': '已于 {date} 标记为已清除',
+  'Mark as cleared': '标记为已清除',
+  'Confidence': '可信度',
+  '{confirms} confirmed · {disputes} disputed': '{confirms} 人确认 · {disputes} 人质疑',
+  'Community consensus:': '社区共识：',
+  'This rating looks right to me': '我认为这个评级是正确的',
+  'Confirm': '确认',
+  'Dispute: suggest {category}': '质疑：建议评为{category}',
+  '{category}?': '{category}？',
+  'Not surveyed yet: {fields}': '尚未勘察：{fields}',
+  'Your profile sets no limits to check.': '您的出行档案没有设置需要检查的限制。',
+  'Waiting to upload. Manage it from the pending uploads badge.': '等待上传。可通过待上传标记进行管理。',
+  'Copy a link that opens the map here with this popup': '复制一个链接，打开后地图定位到此处并显示此弹窗',
+  'Copied': '已复制',
+  'Copy link': '复制链接',
+  'Report this contribution to moderators': '向管理员举报此贡献',
+  'Report': '举报',
+  'Edit this point': '编辑此地点',
+  'Edit this path': '编辑此路径',
+  'Delete this point': '删除此地点',
+  'Delete this path': '删除此路径',
+
+  // account.js
+  'Sign in again with a new email link, then delete your account.': '请使用新的邮件链接重新登录，然后再删除账户。',
+
+  // attributes.js
+  'Concrete': '混凝土',
+  'Asphalt': '沥青',
+  'Brick': '砖',
+  'Pavers / stone': '铺路砖 / 石材',
+  'Gravel': '碎石',
+  'Dirt / grass': '泥土 / 草地',
+  'Boardwalk': '木栈道',
+  'Flat (under 5%)': '平坦（低于 5%）',
+  'Moderate (5–8%)': '中等（5–8%）',
+  'Steep (over 8%)': '陡峭（高于 8%）',
+  'Level (under 2%)': '水平（低于 2%）',
+  'Slight (2–5%)': '轻微（2–5%）',
+  'Severe (over 5%)': '严重（高于 5%）',
+  'Curb cut, good condition': '有路缘坡道，状况良好',
+  'Curb cut, poor condition': '有路缘坡道，状况较差',
+  'No curb cut': '没有路缘坡道',
+  'No curb (not needed)': '没有路缘（无需坡道）',
+  'None': '无',
+  'Pole or hydrant': '电线杆或消防栓',
+  'Overgrown vegetation': '植被过度生长',
+  'Parked vehicles': '停放的车辆',
+  'Construction': '施工',
+  'Signs or street furniture': '标志牌或街道设施',
+  'Other': '其他',
+  'Well lit': '照明良好',
+  'Poorly lit': '照明较差',
+  'No lighting': '无照明',
+  'Clear width': '净宽',
+  'Running slope': '纵向坡度',
+  'Cross slope': '横向坡度',
+  'Curb cut at start': '起点路缘坡道',
+  'Curb cut at end': '终点路缘坡道',
+  'Obstruction': '障碍物',
+  'Lighting': '照明',
+  'Attributes must be an object': '属性必须是一个对象',
+  'Unknown {field} "{value}"': '未知的{field}“{value}”',
+  '{field} must be between 0 and {max} m': '{field}必须在 0 到 {max} 米之间',
+
+  // geo.js
+  'north': '北',
+  'northeast': '东北',
+  'east': '东',
+  'southeast': '东南',
+  'south': '南',
+  'southwest': '西南',
+  'west': '西',
+  'northwest': '西北',
+
+  // mobility.js
+  'Manual wheelchair': '手动轮椅',
+  'Power wheelchair': '电动轮椅',
+  'Walker or rollator': '助行器或带轮助行器',
+  'Cane': '手杖',
+  'Low vision': '低视力',
+  'Stroller': '婴儿车',
+  'Passable for you': '您可通行',
+  'Not passable for you': '您无法通行',
+  'Unknown for you': '对您而言未知',
+  'Rated not accessible by contributors': '贡献者评为不可通行',
+
+  // moderation.js
+  'Inaccurate or outdated': '不准确或已过时',
+  'Spam': '垃圾信息',
+  'Offensive or abusive': '冒犯或辱骂',
+  'Shows private information (faces, plates)': '包含隐私信息（人脸、车牌）',
+  'Something else': '其他原因',
+
+  // segmentIO.js
+  'Path needs at least 2 points': '路径至少需要 2 个点',
+  'Path contains an invalid coordinate': '路径包含无效坐标',
+  'Coordinate out of range (check lng/lat order)': '坐标超出范围（请检查经纬度顺序）',
+  'Coordinate is outside the Ithaca map area (check lng/lat order)': '坐标不在伊萨卡地图范围内（请检查经纬度顺序）',
+  'Unknown category "{category}"': '未知类别“{category}”',
+  'Note must be text': '备注必须是文本',
+  'Note is longer than {max} characters': '备注超过 {max} 个字符',
+  'File is not valid JSON': '文件不是有效的 JSON',
+  'Expected a GeoJSON FeatureCollection or Feature': '应为 GeoJSON FeatureCollection 或 Feature',
+  'Only LineString geometries are supported': '仅支持 LineString 几何',
+  'CSV file is empty': 'CSV 文件为空',
+  'CSV needs a "geometry" column with WKT LINESTRINGs': 'CSV 需要包含 WKT LINESTRING 的“geometry”列',
+  'CSV needs a "category" column': 'CSV 需要“category”列',
+  'Geometry is not a WKT LINESTRING': '几何不是 WKT LINESTRING',
+}
@@ -0,0 +1,180 @@
+// Personal mobility profiles: what a user can get along, used to re-rate the
+// map for them instead of showing the one category everyone sees.
+//
+// A profile is a preset (manual wheelchair, stroller, ...) plus limits on the
+// structured attributes (see attributes.js), stored once per user and only
+// readable by them (see firestore.rules):
+//
+//   mobilityProfiles/{uid}: { preset, limits, updatedAt }
+//
+//   limits: {
+//     maxRunningSlope, maxCrossSlope   slope option id, or null for any
+//     minClearWidth                    meters, or null for any
+//     missingCurbCutOk                 false: a missing curb cut blocks the way
+//     avoidSurfaces                    surface option ids
+//     avoidObstructions                anything in the way blocks it
+//     needsLighting                    only well-lit segments will do
+//   }
+//
+// A segment is not passable as soon as one surveyed value is out of bounds or
+// contributors rated it not accessible, passable when every value the limits
+// care about is surveyed and within them, and unknown otherwise, including when
+// the limits don't ask for anything.
+
+import { doc, getDoc, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore'
+import { db } from './firebase.js'
+import { ATTRIBUTE_FIELDS, RUNNING_SLOPES, CROSS_SLOPES, SURFACE_TYPES, MAX_CLEAR_WIDTH_M, describeAttributes, rankOf } from './attributes.js'
+import { isObstruction } from './obstructions.js'
+import { t } from './i18n.js'
+
+export const NO_LIMITS = {
+  maxRunningSlope: null,
+  maxCrossSlope: null,
+  minClearWidth: null,
+  missingCurbCutOk: true,
+  avoidSurfaces: [],
+  avoidObstructions: false,
+  needsLighting: false,
+}
+
+// Starting points; every limit can be adjusted afterwards
+export const MOBILITY_PRESETS = [
+  {
+    id: 'manual_wheelchair',
+    get label() { return t('Manual wheelchair') },
+    limits: { ...NO_LIMITS, maxRunningSlope: 'moderate', maxCrossSlope: 'slight', minClearWidth: 0.9, missingCurbCutOk: false, avoidSurfaces: ['gravel', 'dirt'], avoidObstructions: true },
+  },
+  {
+    id: 'power_wheelchair',
+    get label() { return t('Power wheelchair') },
+    limits: { ...NO_LIMITS, maxCrossSlope: 'slight', minClearWidth: 0.9, missingCurbCutOk: false, avoidSurfaces: ['dirt'], avoidObstructions: true },
+  },
+  {
+    id: 'walker',
+    get label() { return t('Walker or rollator') },
+    limits: { ...NO_LIMITS, maxRunningSlope: 'moderate', maxCrossSlope: 'slight', minClearWidth: 0.8, missingCurbCutOk: false, avoidSurfaces: ['gravel', 'dirt'], avoidObstructions: true },
+  },
+  {
+    id: 'cane',
+    get label() { return t('Cane') },
+    limits: { ...NO_LIMITS, maxRunningSlope: 'moderate', avoidSurfaces: ['gravel'] },
+  },
+  {
+    id: 'low_vision',
+    get label() { return t('Low vision') },
+    limits: { ...NO_LIMITS, avoidObstructions: true, needsLighting: true },
+  },
+  {
+    id: 'stroller',
+    get label() { return t('Stroller') },
+    limits: { ...NO_LIMITS, maxCrossSlope: 'slight', minClearWidth: 0.8, missingCurbCutOk: false, avoidSurfaces: ['dirt'] },
+  },
+]
+
+export const presetLabel = (id) => (MOBILITY_PRESETS.find(p => p.id === id) || { label: t('Custom') }).label
+
+// How each outcome is drawn on the map
+export const PASSABILITY = {
+  passable: { get label() { return t('Passable for you') }, color: '#22c55e' },
+  blocked: { get label() { return t('Not passable for you') }, color: '#ef4444' },
+  unknown: { get label() { return t('Unknown for you') }, color: '#94a3b8' },
+}
+
+const isOption = (options, id) => options.some(o => o.id === id)
+
+const labelOf = (key) => ATTRIBUTE_FIELDS.find(f => f.key === key).label
+
+// Fill in missing limits and drop values we don't recognise
+export function normalizeLimits(raw) {
+  const limits = { ...NO_LIMITS }
+  if (!raw || typeof raw !== 'object') return limits
+  if (isOption(RUNNING_SLOPES, raw.maxRunningSlope)) limits.maxRunningSlope = raw.maxRunningSlope
+  if (isOption(CROSS_SLOPES, raw.maxCrossSlope)) limits.maxCrossSlope = raw.maxCrossSlope
+  const width = Number(raw.minClearWidth)
+  if (raw.minClearWidth != null && raw.minClearWidth !== '' && width > 0 && width <= MAX_CLEAR_WIDTH_M) limits.minClearWidth = width
+  limits.missingCurbCutOk = raw.missingCurbCutOk !== false
+  if (Array.isArray(raw.avoidSurfaces)) limits.avoidSurfaces = raw.avoidSurfaces.filter(id => isOption(SURFACE_TYPES, id))
+  limits.avoidObstructions = raw.avoidObstructions === true
+  limits.needsLighting = raw.needsLighting === true
+  return limits
+}
+
+// The attribute checks a set of limits asks for, as `{ key, passes }`
+function checksFor(limits) {
+  const checks = []
+  if (limits.maxRunningSlope) {
+    checks.push({ key: 'runningSlope', passes: v => rankOf(RUNNING_SLOPES, v) <= rankOf(RUNNING_SLOPES, limits.maxRunningSlope) })
+  }
+  if (limits.maxCrossSlope) {
+    checks.push({ key: 'crossSlope', passes: v => rankOf(CROSS_SLOPES, v) <= rankOf(CROSS_SLOPES, limits.maxCrossSlope) })
+  }
+  if (limits.minClearWidth) checks.push({ key: 'clearWidth', passes: v => v >= limits.minClearWidth })
+  if (!limits.missingCurbCutOk) {
+    checks.push({ key: 'curbCutStart', passes: v => v !== 'missing' }, { key: 'curbCutEnd', passes: v => v !== 'missing' })
+  }
+  if (limits.avoidSurfaces.length > 0) checks.push({ key: 'surface', passes: v => !limits.avoidSurfaces.includes(v) })
+  if (limits.avoidObstructions) checks.push({ key: 'obstruction', passes: v => v === 'none' })
+  if (limits.needsLighting) checks.push({ key: 'lighting', passes: v => v === 'good' })
+  return checks
+}
+
+/**
+ * How a path segment fares for `limits`: `{ status, problems, missing }`, with
+ * `status` a PASSABILITY key, `problems` the surveyed values that rule it out
+ * ("Running slope: Steep (over 8%)") and `missing` the labels of the fields
+ * that would still need surveying.
+ */
+export function assessSegment(seg, limits) {
+  const attrs = seg.attributes || {}
+  const described = new Map(describeAttributes(attrs))
+
+  const problems = []
+  const missing = []
+  // The rating everyone sees still counts, surveyed or not
+  if (seg.category === 'not_accessible') problems.push(t('Rated not accessible by contributors'))
+  // A temporary obstruction report is in the way until someone clears it
+  if (limits.avoidObstructions && isObstruction(seg) && !(seg.obstruction && seg.obstruction.clearedAt)) {
+    problems.push(t('Temporary obstruction'))
+  }
+  const checks = checksFor(limits)
+  checks.forEach(({ key, passes }) => {
+    const value = attrs[key]
+    if (value == null) missing.push(labelOf(key))
+    else if (!passes(value)) problems.push(`${labelOf(key)}: ${described.get(labelOf(key))}`)
+  })
+
+  // Nothing checked says nothing about the segment
+  const status = problems.length > 0 ? 'blocked' : missing.length > 0 || checks.length === 0 ? 'unknown' : 'passable'
+  return { status, problems, missing }
+}
+
+// --- Firestore ---
+
+const profileRef = (uid) => doc(db, 'mobilityProfiles', uid)
+
+/** `user`'s profile as `{ preset, limits }`, or null when they have none. */
+export async function fetchMobilityProfile(user) {
+  if (!user) return null
+  try {
+    const snap = await getDoc(profileRef(user.uid))
+    if (!snap.exists()) return null
+    const data = snap.data()
+    return { preset: data.preset || null, limits: normalizeLimits(data.limits) }
+  } catch (err) {
+    // Offline or not allowed: the map just keeps its usual colors
+    console.error('Failed to load mobility profile', err)
+    return null
+  }
+}
+
+export async function saveMobilityProfile(uid, { preset, limits }) {
+  await setDoc(profileRef(uid), {
+    preset: preset || null,
+    limits: normalizeLimits(limits),
+    updatedAt: serverTimestamp(),
+  })
+}
+
+export async function deleteMobilityProfile(uid) {
+  await deleteDoc(profileRef(uid))
+}
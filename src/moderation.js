@@ -0,0 +1,110 @@
+// Moderation: user reports ("flags"), moderator roles and hidden content.
+//
+// Segments are public, reports are not: they live in a subcollection that only
+// moderators and each reporter (for their own) can read, one per account:
+//
+//   segments/{segmentId}/reports/{uid}: { reason, details, author_uid, createdAt }
+//
+// The segment itself only carries the number of open reports, changed in the
+// same batch as every report and withdrawal, and the moderators' decision:
+//
+//   reportCount: how many reports are waiting for review
+//   moderation: { status: 'visible' | 'hidden', by, at }
+//
+// Hidden segments are left out of the public map. Their author still sees them,
+// marked as hidden by a moderator.
+
+import { collection, doc, getDoc, getDocs, writeBatch, increment, serverTimestamp } from 'firebase/firestore'
+import { db } from './firebase.js'
+import { t } from './i18n.js'
+
+export const FLAG_REASONS = [
+  { id: 'inaccurate', get label() { return t('Inaccurate or outdated') } },
+  { id: 'spam', get label() { return t('Spam') } },
+  { id: 'offensive', get label() { return t('Offensive or abusive') } },
+  { id: 'privacy', get label() { return t('Shows private information (faces, plates)') } },
+  { id: 'other', get label() { return t('Something else') } },
+]
+
+export const MAX_FLAG_DETAILS = 500
+
+export const flagReasonLabel = (id) => (FLAG_REASONS.find(r => r.id === id) || { label: id }).label
+
+/**
+ * Whether `user` is a moderator. A `moderator` (or `admin`) custom claim on
+ * the Firebase Auth token wins; otherwise a `roles/{uid}` document with
+ * `moderator: true` grants the role.
+ */
+export async function fetchIsModerator(user) {
+  if (!user) return false
+  try {
+    const { claims } = await user.getIdTokenResult()
+    if (claims.moderator || claims.admin) return true
+  } catch (err) {
+    console.error('Failed to read auth claims', err)
+  }
+  try {
+    const snap = await getDoc(doc(db, 'roles', user.uid))
+    return snap.exists() && snap.data().moderator === true
+  } catch (err) {
+    // Rules only let users read their own roles document; anything else
+    // (offline, missing document) just means "not a moderator"
+    console.error('Failed to read roles document', err)
+    return false
+  }
+}
+
+export const isHidden = (seg) => !!(seg.moderation && seg.moderation.status === 'hidden')
+
+export const reportCountOf = (seg) => (Number.isFinite(seg.reportCount) && seg.reportCount > 0 ? seg.reportCount : 0)
+
+export const reportsOf = (segmentId) => collection(db, 'segments', segmentId, 'reports')
+
+/** Firestore report document -> `{ uid, segmentId, reason, details, createdAt }`. */
+export function reportFromDoc(d) {
+  const data = d.data({ serverTimestamps: 'estimate' })
+  return {
+    uid: d.id,
+    segmentId: d.ref.parent.parent.id,
+    reason: data.reason,
+    details: data.details || '',
+    createdAt: data.createdAt ? data.createdAt.toDate() : null,
+  }
+}
+
+/**
+ * Report a segment as `user`, or replace their earlier report. Only a new
+ * report counts towards `reportCount`.
+ */
+export async function fileReport(segmentId, user, { reason, details }) {
+  const reportRef = doc(reportsOf(segmentId), user.uid)
+  const existing = await getDoc(reportRef)
+  const batch = writeBatch(db)
+  batch.set(reportRef, {
+    reason,
+    details: details.trim().slice(0, MAX_FLAG_DETAILS),
+    author_uid: user.uid,
+    createdAt: serverTimestamp(),
+  })
+  if (!existing.exists()) batch.update(doc(db, 'segments', segmentId), { reportCount: increment(1) })
+  await batch.commit()
+}
+
+export async function withdrawReport(segmentId, uid) {
+  const batch = writeBatch(db)
+  batch.delete(doc(reportsOf(segmentId), uid))
+  batch.update(doc(db, 'segments', segmentId), { reportCount: increment(-1) })
+  await batch.commit()
+}
+
+/**
+ * Moderators only: delete a segment's reports once they have been reviewed.
+ * `segmentPatch`, when given, is applied to the segment in the same batch.
+ */
+export async function clearReports(segmentId, segmentPatch = null) {
+  const snapshot = await getDocs(reportsOf(segmentId))
+  const batch = writeBatch(db)
+  snapshot.docs.forEach(d => batch.delete(d.ref))
+  if (segmentPatch) batch.update(doc(db, 'segments', segmentId), segmentPatch)
+  await batch.commit()
+}
@@ -0,0 +1,65 @@
+// Temporary obstruction reports (construction, snow piles, blocked sidewalks).
+//
+// A report is a segment with `reportType: 'obstruction'` and an `obstruction`
+// object:
+//
+//   obstruction: { startsAt, endsAt | null, clearedAt | null, clearedBy | null }
+//
+// Regular segments have no `reportType` and are permanent.
+
+export const OBSTRUCTION_REPORT = 'obstruction'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const toDate = (value) => {
+  if (!value) return null
+  if (value.toDate) return value.toDate()
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+export const isObstruction = (seg) => seg.reportType === OBSTRUCTION_REPORT
+
+// Firestore Timestamps -> Dates; null for regular segments
+export function normalizeObstruction(raw) {
+  if (!raw) return null
+  return {
+    startsAt: toDate(raw.startsAt),
+    endsAt: toDate(raw.endsAt),
+    clearedAt: toDate(raw.clearedAt),
+    clearedBy: raw.clearedBy || null,
+  }
+}
+
+// Whether a segment should be on the map at `date`. Segments only appear from
+// their creation onwards; obstruction reports additionally only between their
+// start and expected end, and not after someone marked them cleared.
+export function existsAt(seg, date) {
+  const created = toDate(seg.createdAt)
+  if (created && created > date && !isObstruction(seg)) return false
+  if (!isObstruction(seg) || !seg.obstruction) return true
+  const { startsAt, endsAt, clearedAt } = seg.obstruction
+  if (startsAt && date < startsAt) return false
+  if (endsAt && date > endsAt) return false
+  if (clearedAt && date >= clearedAt) return false
+  return true
+}
+
+// <input type="date"> values are local calendar days
+export const dateInputValue = (date) => {
+  if (!date) return ''
+  const d = toDate(date)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+export const startOfDayFromInput = (value) => (value ? new Date(`${value}T00:00:00`) : null)
+export const endOfDayFromInput = (value) => (value ? new Date(`${value}T23:59:59`) : null)
+
+// The moment the map shows for a slider offset of `days` from `now`. Today is
+// "right now"; other days are shown as of midday.
+export function viewDateFor(now, days) {
+  if (days === 0) return new Date(now)
+  const date = new Date(now + days * DAY_MS)
+  date.setHours(12, 0, 0, 0)
+  return date
+}
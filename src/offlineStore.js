@@ -0,0 +1,60 @@
+// Thin promise wrapper around IndexedDB for data that has to survive a reload:
+// contributions that have not reached Firestore yet, and the in-progress draft.
+
+const DB_NAME = 'accessmap'
+const DB_VERSION = 1
+const QUEUE_STORE = 'uploadQueue'
+const DRAFT_STORE = 'drafts'
+const DRAFT_KEY = 'current'
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) db.createObjectStore(QUEUE_STORE, { keyPath: 'localId' })
+        if (!db.objectStoreNames.contains(DRAFT_STORE)) db.createObjectStore(DRAFT_STORE)
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Allow a later call to try again if opening failed
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+// Run a single request against a store and resolve with its result
+async function withStore(storeName, mode, fn) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = fn(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request ? request.result : undefined)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// --- Upload queue ---
+
+export const loadQueue = () => withStore(QUEUE_STORE, 'readonly', store => store.getAll())
+
+export const saveQueuedItem = (item) => withStore(QUEUE_STORE, 'readwrite', store => store.put(item))
+
+export const removeQueuedItem = (localId) => withStore(QUEUE_STORE, 'readwrite', store => store.delete(localId))
+
+// --- Draft ---
+
+export const loadDraft = () => withStore(DRAFT_STORE, 'readonly', store => store.get(DRAFT_KEY))
+
+export const saveDraft = (draft) => withStore(DRAFT_STORE, 'readwrite', store => store.put(draft, DRAFT_KEY))
+
+export const clearDraft = () => withStore(DRAFT_STORE, 'readwrite', store => store.delete(DRAFT_KEY))
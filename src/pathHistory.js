@@ -0,0 +1,40 @@
+// Undo/redo history for the path being drawn or edited, as a useReducer reducer.
+//
+//   { type: 'reset', path }   replace the path and forget the history
+//   { type: 'update', update } apply `update(path) => path` as an undoable step
+//   { type: 'undo' } / { type: 'redo' }
+
+// Keeps memory bounded on very long walks
+const MAX_HISTORY = 200
+
+export const initialPathHistory = { path: [], past: [], future: [] }
+
+export function pathHistoryReducer(state, action) {
+  switch (action.type) {
+    case 'reset':
+      return { path: action.path, past: [], future: [] }
+    case 'update': {
+      const path = action.update(state.path)
+      if (path === state.path) return state
+      return { path, past: [...state.past, state.path].slice(-MAX_HISTORY), future: [] }
+    }
+    case 'undo': {
+      if (state.past.length === 0) return state
+      return {
+        path: state.past[state.past.length - 1],
+        past: state.past.slice(0, -1),
+        future: [state.path, ...state.future],
+      }
+    }
+    case 'redo': {
+      if (state.future.length === 0) return state
+      return {
+        path: state.future[0],
+        past: [...state.past, state.path],
+        future: state.future.slice(1),
+      }
+    }
+    default:
+      throw new Error(`Unknown path history action: ${action.type}`)
+  }
+}
@@ -0,0 +1,293 @@
+// Segment photos, stored in Firebase Storage.
+//
+// A segment keeps a `photos` array of small descriptors; the image bytes live
+// in Storage so `onSnapshot` payloads stay light:
+//
+//   photos: [{ id, url, thumbUrl, path, thumbPath, width, height }]
+//
+// Files are written to `photos/{uid}/{segmentId}/{photoId}.jpg` and
+// `photos/{uid}/{segmentId}/{photoId}_thumb.jpg`, `uid` being the uploader's
+// (storage.rules only lets them write there); comment photos go one level
+// down, in `photos/{uid}/{segmentId}/comments/{commentId}/`. Every photo is
+// re-encoded through a canvas before upload, which drops all EXIF metadata
+// (GPS, camera serials).
+// Location and capture time are read beforehand and only ever offered to the
+// contributor as suggestions.
+//
+// Older documents carry a single base64 data URL in `image`. It is still shown
+// and can be moved to Storage with `migrateLegacyImage`.
+//
+// Photos that have not been uploaded yet are kept as Blobs (`full`, `thumb`)
+// plus a `previewUrl`, which is what the form, drafts and the upload queue hold.
+
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage'
+import { doc, updateDoc, deleteField } from 'firebase/firestore'
+import { db, storage, auth } from './firebase.js'
+import { safeImageUrl } from './safeUrl.js'
+
+export const MAX_PHOTOS = 5
+export const MAX_PHOTO_BYTES = 15 * 1024 * 1024
+
+const FULL_MAX_PX = 1600
+const FULL_QUALITY = 0.82
+const THUMB_MAX_PX = 320
+const THUMB_QUALITY = 0.7
+// EXIF lives in an APP1 segment near the start of the file (at most 64 KB)
+const EXIF_SCAN_BYTES = 128 * 1024
+
+const newPhotoId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+// --- EXIF ---
+
+const TAG_EXIF_IFD = 0x8769
+const TAG_GPS_IFD = 0x8825
+const TAG_DATE_TIME = 0x0132
+const TAG_DATE_TIME_ORIGINAL = 0x9003
+const TAG_GPS_LAT_REF = 0x0001
+const TAG_GPS_LAT = 0x0002
+const TAG_GPS_LNG_REF = 0x0003
+const TAG_GPS_LNG = 0x0004
+
+function parseTiff(view, start) {
+  const little = view.getUint16(start) === 0x4949
+  const u16 = (offset) => view.getUint16(start + offset, little)
+  const u32 = (offset) => view.getUint32(start + offset, little)
+
+  const readIfd = (ifdOffset) => {
+    const entries = {}
+    const count = u16(ifdOffset)
+    for (let i = 0; i < count; i++) {
+      const entry = ifdOffset + 2 + i * 12
+      entries[u16(entry)] = { type: u16(entry + 2), count: u32(entry + 4), valueAt: entry + 8 }
+    }
+    return entries
+  }
+  // Values over 4 bytes are stored elsewhere, at the offset the entry holds
+  const dataOffset = (entry, size) => (size > 4 ? u32(entry.valueAt) : entry.valueAt)
+  const ascii = (entry) => {
+    if (!entry || entry.type !== 2) return null
+    const at = dataOffset(entry, entry.count)
+    let text = ''
+    for (let i = 0; i < entry.count; i++) {
+      const code = view.getUint8(start + at + i)
+      if (code === 0) break
+      text += String.fromCharCode(code)
+    }
+    return text
+  }
+  const rationals = (entry) => {
+    if (!entry || entry.type !== 5) return null
+    const at = dataOffset(entry, entry.count * 8)
+    return Array.from({ length: entry.count }, (_, i) => u32(at + i * 8) / u32(at + i * 8 + 4))
+  }
+
+  const ifd0 = readIfd(u32(4))
+  const exif = ifd0[TAG_EXIF_IFD] ? readIfd(u32(ifd0[TAG_EXIF_IFD].valueAt)) : {}
+  const gps = ifd0[TAG_GPS_IFD] ? readIfd(u32(ifd0[TAG_GPS_IFD].valueAt)) : {}
+
+  let takenAt = null
+  const stamp = ascii(exif[TAG_DATE_TIME_ORIGINAL]) || ascii(ifd0[TAG_DATE_TIME])
+  const match = stamp && stamp.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/)
+  if (match) {
+    // EXIF times have no zone; cameras record local time
+    const [, y, mo, d, h, mi, s] = match.map(Number)
+    takenAt = new Date(y, mo - 1, d, h, mi, s)
+    if (Number.isNaN(takenAt.getTime())) takenAt = null
+  }
+
+  let location = null
+  const lat = rationals(gps[TAG_GPS_LAT])
+  const lng = rationals(gps[TAG_GPS_LNG])
+  if (lat && lng && lat.length === 3 && lng.length === 3) {
+    const toDegrees = ([d, m, s]) => d + m / 60 + s / 3600
+    const latitude = toDegrees(lat) * (ascii(gps[TAG_GPS_LAT_REF]) === 'S' ? -1 : 1)
+    const longitude = toDegrees(lng) * (ascii(gps[TAG_GPS_LNG_REF]) === 'W' ? -1 : 1)
+    // 0,0 is what some phones write when they had no fix
+    if (Number.isFinite(latitude) && Number.isFinite(longitude) && (latitude !== 0 || longitude !== 0)) {
+      location = [latitude, longitude]
+    }
+  }
+
+  return { takenAt, location }
+}
+
+/**
+ * Capture time and GPS position from a JPEG's EXIF block. Returns
+ * `{ takenAt: Date | null, location: [lat, lng] | null }`; anything that isn't
+ * a readable JPEG yields nulls.
+ */
+export function readExifMetadata(buffer) {
+  const none = { takenAt: null, location: null }
+  try {
+    const view = new DataView(buffer)
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return none
+    let offset = 2
+    while (offset + 10 <= view.byteLength) {
+      const marker = view.getUint16(offset)
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return none
+      // APP1 starting with "Exif\0\0", followed by a TIFF header
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        return parseTiff(view, offset + 10)
+      }
+      offset += 2 + view.getUint16(offset + 2)
+    }
+  } catch (err) {
+    // Truncated or malformed EXIF; the photo itself is still usable
+    console.warn('Could not read photo metadata', err)
+  }
+  return none
+}
+
+// --- Processing ---
+
+async function decodeImage(blob) {
+  // Applies the EXIF orientation, which would otherwise be lost with the EXIF
+  return createImageBitmap(blob, { imageOrientation: 'from-image' })
+}
+
+function encodeScaled(bitmap, maxPx, quality) {
+  const scale = Math.min(1, maxPx / Math.max(bitmap.width, bitmap.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(bitmap.width * scale)
+  canvas.height = Math.round(bitmap.height * scale)
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve({ blob, width: canvas.width, height: canvas.height }) : reject(new Error('Could not encode photo'))),
+      'image/jpeg',
+      quality
+    )
+  })
+}
+
+// Full-size image and thumbnail, re-encoded without any EXIF
+async function encodePhoto(blob) {
+  const bitmap = await decodeImage(blob)
+  try {
+    const full = await encodeScaled(bitmap, FULL_MAX_PX, FULL_QUALITY)
+    const thumb = await encodeScaled(bitmap, THUMB_MAX_PX, THUMB_QUALITY)
+    return { full: full.blob, thumb: thumb.blob, width: full.width, height: full.height }
+  } finally {
+    bitmap.close()
+  }
+}
+
+/**
+ * Read a picked file's metadata, then re-encode it into a full-size image and
+ * a thumbnail without any EXIF. Returns an unsent photo:
+ * `{ id, full, thumb, width, height, previewUrl, takenAt, location }`.
+ */
+export async function preparePhoto(file) {
+  const metadata = readExifMetadata(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer())
+  const encoded = await encodePhoto(file)
+  return {
+    id: newPhotoId(),
+    ...encoded,
+    previewUrl: URL.createObjectURL(encoded.thumb),
+    ...metadata,
+  }
+}
+
+// Object URLs don't survive a reload; recreate them for photos restored from
+// IndexedDB
+export const withPreviewUrls = (photos) => (photos || []).map(photo => (
+  photo.thumb ? { ...photo, previewUrl: URL.createObjectURL(photo.thumb) } : photo
+))
+
+export const isUnsent = (photo) => !!(photo.full || photo.legacyDataUrl)
+
+// --- Storage ---
+
+async function uploadBlob(path, blob) {
+  const fileRef = ref(storage, path)
+  await uploadBytes(fileRef, blob, { contentType: 'image/jpeg', cacheControl: 'public, max-age=31536000' })
+  return getDownloadURL(fileRef)
+}
+
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl)
+  return response.blob()
+}
+
+// The signed-in user's folder for a segment's photos
+function photoFolder(segmentId) {
+  if (!auth.currentUser) {
+    const err = new Error('Sign in to upload photos')
+    err.code = 'storage/unauthenticated'
+    throw err
+  }
+  return `photos/${auth.currentUser.uid}/${segmentId}`
+}
+
+async function uploadPhoto(folder, photo) {
+  // Legacy images could be any format and may still carry their EXIF, so they
+  // go through the same re-encoding as a newly picked photo
+  const { full, thumb, width, height } = photo.legacyDataUrl
+    ? await encodePhoto(await dataUrlToBlob(photo.legacyDataUrl))
+    : photo
+  const path = `${folder}/${photo.id}.jpg`
+  const thumbPath = `${folder}/${photo.id}_thumb.jpg`
+  // Same id, same path: a retried upload overwrites instead of duplicating
+  const [url, thumbUrl] = await Promise.all([uploadBlob(path, full), uploadBlob(thumbPath, thumb)])
+  return { id: photo.id, url, thumbUrl, path, thumbPath, width, height }
+}
+
+/**
+ * Upload every unsent photo in `photos` and return the list as it should be
+ * stored on the segment document.
+ */
+export async function uploadPhotos(segmentId, photos) {
+  const stored = []
+  for (const photo of photos || []) {
+    stored.push(isUnsent(photo)
+      ? await uploadPhoto(photoFolder(segmentId), photo)
+      : { id: photo.id, url: photo.url, thumbUrl: photo.thumbUrl, path: photo.path, thumbPath: photo.thumbPath, width: photo.width, height: photo.height })
+  }
+  return stored
+}
+
+/** Upload a comment's photo to `photos/{uid}/{segmentId}/comments/{commentId}/`. */
+export const uploadCommentPhoto = (segmentId, commentId, photo) =>
+  uploadPhoto(`${photoFolder(segmentId)}/comments/${commentId}`, photo)
+
+// Best effort: an orphaned file is harmless, a failed delete shouldn't block.
+// Files someone else uploaded (kept through a merge, say) are only deletable
+// by them or a moderator.
+export async function deletePhotoFiles(photos) {
+  const paths = (photos || []).flatMap(photo => [photo.path, photo.thumbPath]).filter(Boolean)
+  await Promise.all(paths.map(path => deleteObject(ref(storage, path)).catch(err => {
+    if (err.code !== 'storage/object-not-found') console.error('Failed to delete photo file', path, err)
+  })))
+}
+
+// --- Reading segments ---
+
+/**
+ * Photos to display for a segment, as `{ id, url, thumbUrl }`. Includes the
+ * legacy `image` data URL and drops anything that isn't a safe image URL.
+ */
+export function photosOf(seg) {
+  const list = (Array.isArray(seg.photos) ? seg.photos : [])
+    .map(photo => ({ id: photo.id, url: safeImageUrl(photo.url), thumbUrl: safeImageUrl(photo.thumbUrl) || safeImageUrl(photo.url) }))
+    .filter(photo => photo.url)
+  const legacy = safeImageUrl(seg.image)
+  if (legacy) list.unshift({ id: 'legacy', url: legacy, thumbUrl: legacy })
+  return list
+}
+
+// Form entries for a saved segment; the legacy image is uploaded on save
+export function editablePhotos(seg) {
+  const stored = Array.isArray(seg.photos) ? seg.photos.filter(photo => safeImageUrl(photo.url)) : []
+  const legacy = safeImageUrl(seg.image)
+  return legacy
+    ? [{ id: newPhotoId(), legacyDataUrl: legacy, previewUrl: legacy }, ...stored]
+    : stored
+}
+
+export const hasLegacyImage = (seg) => !!safeImageUrl(seg.image)
+
+/** Move a segment's base64 `image` into Storage as its first photo. */
+export async function migrateLegacyImage(seg) {
+  const photos = await uploadPhotos(seg.id, editablePhotos(seg))
+  await updateDoc(doc(db, 'segments', seg.id), { photos, image: deleteField() })
+}
@@ -0,0 +1,20 @@
+// Point features: single-location barriers and amenities (a missing curb cut,
+// a broken elevator, a bench).
+//
+// Points are stored in the `segments` collection next to paths, so they share
+// the tile index, listeners, photos, comments and moderation:
+//
+//   geometry: 'point'
+//   pointType: one of the POINT_TYPES ids in App.jsx
+//   path: [{ lat, lng }]   (a single point)
+//
+// Documents without `geometry` are paths. Points have no accessibility
+// `category`, structured attributes or votes; code that works on the path
+// network (routing, snapping, lengths) skips them.
+
+export const POINT_GEOMETRY = 'point'
+
+export const isPoint = (seg) => !!seg && seg.geometry === POINT_GEOMETRY
+
+/** Fields that make a new document a point of the given type. */
+export const pointFields = (pointType) => ({ geometry: POINT_GEOMETRY, pointType })
@@ -0,0 +1,294 @@
+// Accessible route planning over the crowdsourced segment network.
+//
+// Segment paths are turned into an undirected graph: every vertex becomes a
+// node, vertices from different segments that fall within a few meters of each
+// other are merged into one node, and consecutive vertices become edges that
+// remember which segment (and category) they came from.
+
+import { distanceMeters, bearing } from './geo.js'
+
+// Vertices closer than this are treated as the same intersection
+export const JOIN_TOLERANCE_M = 8
+// Origin/destination clicks further than this from any segment are rejected
+export const MAX_SNAP_DISTANCE_M = 150
+// Cost multiplier for each meter of a partially accessible segment
+export const PARTIAL_PENALTY = 3
+
+const METERS_PER_DEG_LAT = 111320
+
+// Cost multiplier per category; categories missing here are never routed over
+const costFactors = (partialPenalty) => ({
+  accessible: 1,
+  partial: partialPenalty,
+})
+
+// Local equirectangular projection, good enough at city scale
+const project = (pt, refLat) => [
+  pt[1] * METERS_PER_DEG_LAT * Math.cos((refLat * Math.PI) / 180),
+  pt[0] * METERS_PER_DEG_LAT,
+]
+
+export function buildRoutingGraph(segments, { joinTolerance = JOIN_TOLERANCE_M } = {}) {
+  const nodes = []
+  const edges = []
+  const adjacency = new Map()
+  const grid = new Map()
+  const cellDeg = joinTolerance / METERS_PER_DEG_LAT
+
+  const cellKey = (x, y) => `${x}:${y}`
+
+  // Find an existing node within tolerance or create a new one
+  const nodeFor = (pt) => {
+    const cx = Math.floor(pt[1] / cellDeg)
+    const cy = Math.floor(pt[0] / cellDeg)
+    let best = null
+    let bestDist = joinTolerance
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const bucket = grid.get(cellKey(cx + dx, cy + dy))
+        if (!bucket) continue
+        bucket.forEach(id => {
+          const d = distanceMeters(nodes[id].point, pt)
+          if (d <= bestDist) { best = id; bestDist = d }
+        })
+      }
+    }
+    if (best !== null) return best
+
+    const id = nodes.length
+    nodes.push({ id, point: pt })
+    adjacency.set(id, [])
+    const key = cellKey(cx, cy)
+    if (!grid.has(key)) grid.set(key, [])
+    grid.get(key).push(id)
+    return id
+  }
+
+  segments.forEach(seg => {
+    if (!seg.path || seg.path.length < 2) return
+    let prev = nodeFor(seg.path[0])
+    for (let i = 1; i < seg.path.length; i++) {
+      const next = nodeFor(seg.path[i])
+      if (next !== prev) {
+        const edge = {
+          index: edges.length,
+          a: prev,
+          b: next,
+          length: distanceMeters(nodes[prev].point, nodes[next].point),
+          segmentId: seg.id,
+          category: seg.category,
+        }
+        edges.push(edge)
+        adjacency.get(prev).push({ to: next, edge })
+        adjacency.get(next).push({ to: prev, edge })
+      }
+      prev = next
+    }
+  })
+
+  return { nodes, edges, adjacency }
+}
+
+// Closest point on any routable edge to `pt`
+function snapToGraph(graph, pt, factors) {
+  let best = null
+  graph.edges.forEach(edge => {
+    if (!factors[edge.category]) return
+    const a = graph.nodes[edge.a].point
+    const b = graph.nodes[edge.b].point
+    const [ax, ay] = project(a, pt[0])
+    const [bx, by] = project(b, pt[0])
+    const [px, py] = project(pt, pt[0])
+    const dx = bx - ax
+    const dy = by - ay
+    const lenSq = dx * dx + dy * dy
+    const t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lenSq))
+    const point = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]
+    const distance = distanceMeters(point, pt)
+    if (!best || distance < best.distance) best = { edge, t, point, distance }
+  })
+  return best
+}
+
+// Minimal binary heap keyed on `cost`
+class MinHeap {
+  constructor() { this.items = [] }
+  get size() { return this.items.length }
+  push(item) {
+    const items = this.items
+    items.push(item)
+    let i = items.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (items[parent].cost <= items[i].cost) break
+      ;[items[parent], items[i]] = [items[i], items[parent]]
+      i = parent
+    }
+  }
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length > 0) {
+      items[0] = last
+      let i = 0
+      for (;;) {
+        const l = 2 * i + 1
+        const r = l + 1
+        let smallest = i
+        if (l < items.length && items[l].cost < items[smallest].cost) smallest = l
+        if (r < items.length && items[r].cost < items[smallest].cost) smallest = r
+        if (smallest === i) break
+        ;[items[smallest], items[i]] = [items[i], items[smallest]]
+        i = smallest
+      }
+    }
+    return top
+  }
+}
+
+// Dijkstra between two snapped positions. Origin and destination are added as
+// virtual nodes splitting the edges they were snapped onto.
+function shortestPath(graph, from, to, factors) {
+  const ORIGIN = 'origin'
+  const DEST = 'destination'
+  const extra = new Map()
+  const link = (u, v, length, edge) => {
+    if (!extra.has(u)) extra.set(u, [])
+    if (!extra.has(v)) extra.set(v, [])
+    const virtual = { length, segmentId: edge.segmentId, category: edge.category }
+    extra.get(u).push({ to: v, edge: virtual })
+    extra.get(v).push({ to: u, edge: virtual })
+  }
+
+  link(ORIGIN, from.edge.a, from.edge.length * from.t, from.edge)
+  link(ORIGIN, from.edge.b, from.edge.length * (1 - from.t), from.edge)
+  link(DEST, to.edge.a, to.edge.length * to.t, to.edge)
+  link(DEST, to.edge.b, to.edge.length * (1 - to.t), to.edge)
+  if (from.edge === to.edge) {
+    link(ORIGIN, DEST, from.edge.length * Math.abs(from.t - to.t), from.edge)
+  }
+
+  const position = (id) => {
+    if (id === ORIGIN) return from.point
+    if (id === DEST) return to.point
+    return graph.nodes[id].point
+  }
+  const neighbors = (id) => [...(graph.adjacency.get(id) || []), ...(extra.get(id) || [])]
+
+  const cost = new Map([[ORIGIN, 0]])
+  const previous = new Map()
+  const heap = new MinHeap()
+  heap.push({ id: ORIGIN, cost: 0 })
+
+  while (heap.size > 0) {
+    const { id, cost: c } = heap.pop()
+    if (c > cost.get(id)) continue
+    if (id === DEST) break
+    neighbors(id).forEach(({ to: next, edge }) => {
+      const factor = factors[edge.category]
+      if (!factor) return
+      const nextCost = c + edge.length * factor
+      if (nextCost < (cost.has(next) ? cost.get(next) : Infinity)) {
+        cost.set(next, nextCost)
+        previous.set(next, { from: id, edge })
+        heap.push({ id: next, cost: nextCost })
+      }
+    })
+  }
+
+  if (!cost.has(DEST)) return null
+
+  // Walk back from the destination collecting the traversed edges
+  const steps = []
+  let cursor = DEST
+  while (cursor !== ORIGIN) {
+    const step = previous.get(cursor)
+    steps.unshift({ from: position(step.from), to: position(cursor), edge: step.edge })
+    cursor = step.from
+  }
+  return steps
+}
+
+const turnFor = (fromBearing, toBearing) => {
+  const delta = ((toBearing - fromBearing + 540) % 360) - 180
+  const abs = Math.abs(delta)
+  if (abs < 20) return 'straight'
+  const side = delta > 0 ? 'right' : 'left'
+  if (abs < 60) return `slight_${side}`
+  if (abs < 135) return side
+  return `sharp_${side}`
+}
+
+// Group consecutive steps on the same segment into legs with turn directions
+function summarize(steps) {
+  const legs = []
+  steps.forEach(step => {
+    if (step.edge.length === 0) return
+    const last = legs[legs.length - 1]
+    if (last && last.segmentId === step.edge.segmentId) {
+      last.path.push(step.to)
+      last.distance += step.edge.length
+      last.endBearing = bearing(step.from, step.to)
+    } else {
+      const startBearing = bearing(step.from, step.to)
+      legs.push({
+        segmentId: step.edge.segmentId,
+        category: step.edge.category,
+        path: [step.from, step.to],
+        distance: step.edge.length,
+        startBearing,
+        endBearing: startBearing,
+        turn: last ? turnFor(last.endBearing, startBearing) : 'start',
+      })
+    }
+  })
+
+  const path = legs.length ? [legs[0].path[0], ...legs.flatMap(leg => leg.path.slice(1))] : []
+  const distance = legs.reduce((sum, leg) => sum + leg.distance, 0)
+  const categoryDistances = {}
+  legs.forEach(leg => {
+    categoryDistances[leg.category] = (categoryDistances[leg.category] || 0) + leg.distance
+  })
+  return { legs, path, distance, categoryDistances }
+}
+
+/**
+ * Plan a route between two [lat, lng] points.
+ *
+ * Returns `{ status }` where status is one of:
+ *  - 'ok': a route was found; also includes legs, path, distance,
+ *    categoryDistances and `fullyAccessibleExists` (false when no route using
+ *    only accessible segments connects the two points)
+ *  - 'too_far': origin or destination is not near any usable segment
+ *  - 'no_route': the points are not connected without inaccessible segments
+ */
+export function planRoute(segments, origin, destination, { partialPenalty = PARTIAL_PENALTY } = {}) {
+  const graph = buildRoutingGraph(segments)
+  const factors = costFactors(partialPenalty)
+
+  const from = snapToGraph(graph, origin, factors)
+  const to = snapToGraph(graph, destination, factors)
+  if (!from || !to || from.distance > MAX_SNAP_DISTANCE_M || to.distance > MAX_SNAP_DISTANCE_M) {
+    return { status: 'too_far' }
+  }
+
+  const steps = shortestPath(graph, from, to, factors)
+  if (!steps) return { status: 'no_route' }
+
+  const route = summarize(steps)
+  let fullyAccessibleExists = !route.categoryDistances.partial
+  if (!fullyAccessibleExists) {
+    // The penalized route used partial segments; check whether any
+    // accessible-only route exists at all
+    const strict = { accessible: 1 }
+    const strictFrom = snapToGraph(graph, origin, strict)
+    const strictTo = snapToGraph(graph, destination, strict)
+    if (strictFrom && strictTo &&
+      strictFrom.distance <= MAX_SNAP_DISTANCE_M && strictTo.distance <= MAX_SNAP_DISTANCE_M) {
+      fullyAccessibleExists = !!shortestPath(graph, strictFrom, strictTo, strict)
+    }
+  }
+
+  return { status: 'ok', ...route, fullyAccessibleExists }
+}
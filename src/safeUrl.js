@@ -0,0 +1,17 @@
+// Contributed URLs are rendered for every visitor, so only let through the
+// schemes we actually produce or expect.
+
+// Photos are stored as base64 JPEG data URLs; hosted images must be https
+const IMAGE_DATA_URL = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i
+
+/** Returns `url` if it is safe to use as an image source, otherwise null. */
+export function safeImageUrl(url) {
+  if (typeof url !== 'string') return null
+  const trimmed = url.trim()
+  if (IMAGE_DATA_URL.test(trimmed)) return trimmed
+  try {
+    return new URL(trimmed).protocol === 'https:' ? trimmed : null
+  } catch {
+    return null
+  }
+}
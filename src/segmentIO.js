@@ -0,0 +1,235 @@
+// Import/export of segments as GeoJSON and CSV (with WKT geometry).
+//
+// In React state a segment path is an array of [lat, lng] pairs; Firestore stores
+// {lat, lng} objects; GeoJSON and WKT both use [lng, lat] / "lng lat" order.
+// Every conversion in and out of those formats goes through the helpers below.
+//
+// Structured attributes (see attributes.js) are flattened into top-level
+// properties / columns so the files open cleanly in GIS tools and spreadsheets.
+//
+// Point features (see points.js) export as GeoJSON Points; import only reads paths.
+
+import { ATTRIBUTE_FIELDS, normalizeAttributes, validateAttributes } from './attributes.js'
+import { isPoint } from './points.js'
+import { t } from './i18n.js'
+
+const ATTRIBUTE_KEYS = ATTRIBUTE_FIELDS.map(f => f.key)
+
+// Longest note a segment may carry (enforced by firestore.rules)
+export const MAX_NOTE_LENGTH = 2000
+
+const toLngLat = ([lat, lng]) => [lng, lat]
+const fromLngLat = ([lng, lat]) => [lat, lng]
+
+const isoDate = (value) => {
+  if (!value) return null
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// --- Export ---
+
+export function segmentsToGeoJSON(segments) {
+  return {
+    type: 'FeatureCollection',
+    features: segments.map(seg => ({
+      type: 'Feature',
+      id: seg.id,
+      geometry: isPoint(seg)
+        ? { type: 'Point', coordinates: toLngLat(seg.path[0]) }
+        : { type: 'LineString', coordinates: seg.path.map(toLngLat) },
+      properties: {
+        ...(isPoint(seg) ? { pointType: seg.pointType } : { category: seg.category }),
+        note: seg.note || '',
+        createdAt: isoDate(seg.createdAt),
+        author_uid: seg.author_uid || null,
+        ...(isPoint(seg) ? {} : normalizeAttributes(seg.attributes)),
+      },
+    })),
+  }
+}
+
+export const pathToWKT = (path) =>
+  `LINESTRING (${path.map(pt => toLngLat(pt).join(' ')).join(', ')})`
+
+const CSV_COLUMNS = ['id', 'category', 'note', 'createdAt', 'author_uid', ...ATTRIBUTE_KEYS, 'geometry']
+
+const escapeCSV = (value) => {
+  const str = value == null ? '' : String(value)
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+export function toCSV(columns, rows) {
+  return [columns, ...rows].map(row => row.map(escapeCSV).join(',')).join('\r\n')
+}
+
+export function segmentsToCSV(segments) {
+  return toCSV(CSV_COLUMNS, segments.map(seg => {
+    const attrs = normalizeAttributes(seg.attributes)
+    return [
+      seg.id,
+      seg.category,
+      seg.note || '',
+      isoDate(seg.createdAt) || '',
+      seg.author_uid || '',
+      ...ATTRIBUTE_KEYS.map(key => attrs[key] ?? ''),
+      pathToWKT(seg.path),
+    ]
+  }))
+}
+
+// Trigger a browser download for generated content (text or a Blob)
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// --- Import ---
+
+// Check a candidate against the shape `submitSegment` writes. Returns an
+// error message, or null when the candidate is valid.
+export function validateSegment(candidate, { categoryIds, bounds }) {
+  const { path, category, note, attributes } = candidate
+  if (!Array.isArray(path) || path.length < 2) return t('Path needs at least 2 points')
+  for (const pt of path) {
+    if (!Array.isArray(pt) || pt.length < 2 || !Number.isFinite(pt[0]) || !Number.isFinite(pt[1])) {
+      return t('Path contains an invalid coordinate')
+    }
+    if (Math.abs(pt[0]) > 90 || Math.abs(pt[1]) > 180) return t('Coordinate out of range (check lng/lat order)')
+    if (bounds) {
+      const [[south, west], [north, east]] = bounds
+      if (pt[0] < south || pt[0] > north || pt[1] < west || pt[1] > east) {
+        return t('Coordinate is outside the Ithaca map area (check lng/lat order)')
+      }
+    }
+  }
+  if (!categoryIds.includes(category)) return t('Unknown category "{category}"', { category: category ?? '' })
+  if (note != null && typeof note !== 'string') return t('Note must be text')
+  if (note && note.length > MAX_NOTE_LENGTH) return t('Note is longer than {max} characters', { max: MAX_NOTE_LENGTH })
+  return validateAttributes(attributes)
+}
+
+const collect = (candidates, options) => {
+  const accepted = []
+  const rejected = []
+  candidates.forEach(({ row, error, segment }) => {
+    const reason = error || validateSegment(segment, options)
+    if (reason) rejected.push({ row, reason })
+    else {
+      accepted.push({
+        path: segment.path,
+        category: segment.category,
+        note: segment.note || '',
+        attributes: normalizeAttributes(segment.attributes),
+      })
+    }
+  })
+  return { accepted, rejected }
+}
+
+export function parseGeoJSON(text, options) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error(t('File is not valid JSON'))
+  }
+
+  let features
+  if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) features = data.features
+  else if (data && data.type === 'Feature') features = [data]
+  else throw new Error(t('Expected a GeoJSON FeatureCollection or Feature'))
+
+  return collect(features.map((feature, i) => {
+    const row = i + 1
+    const geometry = feature && feature.geometry
+    if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+      return { row, error: t('Only LineString geometries are supported') }
+    }
+    const props = feature.properties || {}
+    return {
+      row,
+      segment: {
+        path: geometry.coordinates.map(c => (Array.isArray(c) ? fromLngLat(c.map(Number)) : null)),
+        category: props.category,
+        note: props.note ?? '',
+        attributes: Object.fromEntries(ATTRIBUTE_KEYS.map(key => [key, props[key] ?? null])),
+      },
+    }
+  }), options)
+}
+
+// RFC 4180 style parser: quoted fields, escaped quotes and embedded newlines
+export function parseCSVRows(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++ }
+      else if (ch === '"') quoted = false
+      else field += ch
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(field); field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(field); rows.push(row)
+      row = []; field = ''
+    } else {
+      field += ch
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row) }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''))
+}
+
+export function parseWKTLineString(wkt) {
+  const match = /^\s*LINESTRING\s*\((.*)\)\s*$/i.exec(wkt || '')
+  if (!match) return null
+  return match[1].split(',').map(pair => {
+    const [lng, lat] = pair.trim().split(/\s+/).map(Number)
+    return [lat, lng]
+  })
+}
+
+export function parseCSV(text, options) {
+  const [header, ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''))
+  if (!header) throw new Error(t('CSV file is empty'))
+  const columns = header.map(h => h.trim())
+  const col = (name) => columns.indexOf(name)
+  const geometryCol = col('geometry') !== -1 ? col('geometry') : col('wkt')
+  if (geometryCol === -1) throw new Error(t('CSV needs a "geometry" column with WKT LINESTRINGs'))
+  if (col('category') === -1) throw new Error(t('CSV needs a "category" column'))
+
+  return collect(rows.map((cells, i) => {
+    const row = i + 2 // 1-based, after the header line
+    const path = parseWKTLineString(cells[geometryCol])
+    if (!path) return { row, error: t('Geometry is not a WKT LINESTRING') }
+    return {
+      row,
+      segment: {
+        path,
+        category: (cells[col('category')] || '').trim(),
+        note: col('note') !== -1 ? cells[col('note')] || '' : '',
+        attributes: Object.fromEntries(ATTRIBUTE_KEYS.map(key => [key, col(key) !== -1 ? (cells[col(key)] || '').trim() || null : null])),
+      },
+    }
+  }), options)
+}
+
+// Pick the parser from the file name (falling back to sniffing the content)
+export function parseSegmentsFile(filename, text, options) {
+  const isJSON = /\.(geo)?json$/i.test(filename) || /^\s*[{[]/.test(text)
+  return isJSON ? parseGeoJSON(text, options) : parseCSV(text, options)
+}
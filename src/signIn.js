@@ -0,0 +1,109 @@
+// Sign-in methods and guest sessions.
+//
+// Visitors who start drawing without an account get an anonymous Firebase Auth
+// session, so whatever they save is owned by a real uid from the start. Signing
+// in later links Google or an email link to that same account
+// (`linkWithPopup` / `linkWithCredential`), which keeps the uid and with it the
+// `author_uid` ownership of everything saved as a guest.
+//
+// When the Google account or email already belongs to another user, linking is
+// impossible; we sign into that account instead and report that the guest's
+// contributions were left behind.
+//
+// Both flows work against the Auth emulator (VITE_USE_FIREBASE_AUTH_EMULATOR);
+// it doesn't send mail, sign-in links are listed in the Emulator UI.
+
+import {
+  GoogleAuthProvider,
+  EmailAuthProvider,
+  signInAnonymously,
+  signInWithPopup,
+  linkWithPopup,
+  signInWithCredential,
+  linkWithCredential,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  updateProfile,
+} from 'firebase/auth'
+import { auth } from './firebase.js'
+
+// Remembers which address a link was sent to, so opening it on the same
+// device needs no retyping
+const EMAIL_STORAGE_KEY = 'accessmap.emailForSignIn'
+
+export const isGuest = (user) => !!user && user.isAnonymous
+
+/** Signed in with a real account, as opposed to signed out or a guest. */
+export const isSignedIn = (user) => !!user && !user.isAnonymous
+
+/** The current user, starting a guest session if there is none. */
+export async function ensureGuestSession() {
+  await auth.authStateReady()
+  if (auth.currentUser) return auth.currentUser
+  const { user } = await signInAnonymously(auth)
+  return user
+}
+
+/**
+ * Sign in with a Google popup, upgrading a guest session in place. Resolves
+ * with `{ user, guestLeftBehind }`.
+ */
+export async function signInWithGoogle() {
+  const provider = new GoogleAuthProvider()
+  const current = auth.currentUser
+  if (!isGuest(current)) return { user: (await signInWithPopup(auth, provider)).user, guestLeftBehind: false }
+  try {
+    const { user } = await linkWithPopup(current, provider)
+    // A linked guest has no name of its own yet
+    const google = user.providerData.find(p => p.providerId === GoogleAuthProvider.PROVIDER_ID)
+    if (!user.displayName && google && google.displayName) await updateProfile(user, { displayName: google.displayName })
+    return { user, guestLeftBehind: false }
+  } catch (e) {
+    if (e.code !== 'auth/credential-already-in-use') throw e
+    const { user } = await signInWithCredential(auth, GoogleAuthProvider.credentialFromError(e))
+    return { user, guestLeftBehind: true }
+  }
+}
+
+/** Email a one-time sign-in link that brings the user back to this page. */
+export async function sendEmailSignInLink(email) {
+  await sendSignInLinkToEmail(auth, email, {
+    url: `${window.location.origin}${window.location.pathname}${window.location.hash}`,
+    handleCodeInApp: true,
+  })
+  window.localStorage.setItem(EMAIL_STORAGE_KEY, email)
+}
+
+/**
+ * Finish signing in if the page was opened from an email link, upgrading a
+ * guest session in place. `askForEmail` is called when the link was opened on
+ * another device. Resolves with `{ user, guestLeftBehind }`, or null when the
+ * page wasn't opened from a link.
+ */
+export async function completeEmailLinkSignIn(askForEmail) {
+  const link = window.location.href
+  if (!isSignInWithEmailLink(auth, link)) return null
+  const email = window.localStorage.getItem(EMAIL_STORAGE_KEY) || askForEmail()
+  if (!email) return null
+
+  await auth.authStateReady()
+  const current = auth.currentUser
+  let result
+  if (isGuest(current)) {
+    try {
+      const { user } = await linkWithCredential(current, EmailAuthProvider.credentialWithLink(email, link))
+      result = { user, guestLeftBehind: false }
+    } catch (e) {
+      if (e.code !== 'auth/email-already-in-use' && e.code !== 'auth/credential-already-in-use') throw e
+      result = { user: (await signInWithEmailLink(auth, email, link)).user, guestLeftBehind: true }
+    }
+  } else {
+    result = { user: (await signInWithEmailLink(auth, email, link)).user, guestLeftBehind: false }
+  }
+
+  window.localStorage.removeItem(EMAIL_STORAGE_KEY)
+  // The one-time code has been used; keep it out of the address bar and history
+  window.history.replaceState(null, '', `${window.location.origin}${window.location.pathname}${window.location.hash}`)
+  return result
+}
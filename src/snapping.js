@@ -0,0 +1,85 @@
+// Snapping new points onto the existing segment network while drawing, so
+// neighbouring contributions share vertices instead of leaving small gaps.
+//
+// Snapped points remember the segment they attach to. In React state a path is
+// still a plain array of [lat, lng] pairs; the attachments travel alongside it
+// as a `snapLinks` object keyed by `pointKey`, and are written to Firestore as a
+// `snappedTo` field on the individual {lat, lng} path points.
+
+import L from 'leaflet'
+import { isPoint } from './points.js'
+
+// Screen-space tolerance, a little more forgiving when zoomed out where
+// vertices crowd together
+export const snapTolerancePx = (zoom) => (zoom >= 18 ? 10 : zoom >= 16 ? 14 : 18)
+
+export const pointKey = (pt) => `${pt[0]},${pt[1]}`
+
+const boundsCache = new WeakMap()
+const boundsFor = (path) => {
+  if (!boundsCache.has(path)) boundsCache.set(path, L.latLngBounds(path))
+  return boundsCache.get(path)
+}
+
+/**
+ * Find where a click at `latlng` should land. Vertices win over edges so that
+ * endpoints connect exactly. Returns `{ point, segmentId, kind }` with kind
+ * 'vertex' or 'edge', or null if nothing is within tolerance.
+ */
+export function findSnapTarget(map, latlng, segments, { tolerancePx = snapTolerancePx(map.getZoom()) } = {}) {
+  const cursor = map.latLngToLayerPoint(latlng)
+  const reach = L.latLngBounds(
+    map.layerPointToLatLng(cursor.subtract([tolerancePx, tolerancePx])),
+    map.layerPointToLatLng(cursor.add([tolerancePx, tolerancePx]))
+  )
+
+  let vertex = null
+  let edge = null
+  segments.forEach(seg => {
+    // Points aren't part of the path network
+    if (isPoint(seg) || !seg.path || seg.path.length === 0 || !boundsFor(seg.path).intersects(reach)) return
+    const points = seg.path.map(pt => map.latLngToLayerPoint(pt))
+
+    points.forEach((p, i) => {
+      const d = cursor.distanceTo(p)
+      if (d <= tolerancePx && (!vertex || d < vertex.distance)) {
+        vertex = { point: seg.path[i], segmentId: seg.id, kind: 'vertex', distance: d }
+      }
+    })
+
+    for (let i = 1; i < points.length; i++) {
+      const closest = L.LineUtil.closestPointOnSegment(cursor, points[i - 1], points[i])
+      const d = cursor.distanceTo(closest)
+      if (d <= tolerancePx && (!edge || d < edge.distance)) {
+        const { lat, lng } = map.layerPointToLatLng(closest)
+        edge = { point: [lat, lng], segmentId: seg.id, kind: 'edge', distance: d }
+      }
+    }
+  })
+
+  return vertex || edge
+}
+
+// [lat, lng] path + snap links -> Firestore path points
+export const toFirestorePath = (path, snapLinks = {}) => path.map(pt => {
+  const link = snapLinks[pointKey(pt)]
+  return link ? { lat: pt[0], lng: pt[1], snappedTo: link } : { lat: pt[0], lng: pt[1] }
+})
+
+// Firestore path points (or legacy [lat, lng] pairs) -> [lat, lng] path
+export const fromFirestorePath = (rawPath = []) => rawPath.map(pt => {
+  if (Array.isArray(pt)) return pt
+  if (pt && typeof pt.lat === 'number' && typeof pt.lng === 'number') return [pt.lat, pt.lng]
+  return null
+}).filter(Boolean)
+
+// Firestore path points -> snap links for the same path in [lat, lng] form
+export const snapLinksFromStoredPath = (rawPath = []) => {
+  const links = {}
+  rawPath.forEach(pt => {
+    if (pt && pt.snappedTo && typeof pt.lat === 'number' && typeof pt.lng === 'number') {
+      links[pointKey([pt.lat, pt.lng])] = pt.snappedTo
+    }
+  })
+  return links
+}
@@ -0,0 +1,101 @@
+// Spatial index for segments, so the map only subscribes to what is in view.
+//
+// Each segment stores the keys of the slippy-map tiles its bounding box
+// overlaps, at two zoom levels:
+//
+//   tiles: ['11/588/756', '14/4711/6054', '14/4712/6054', ...]
+//
+// Close in, the map listens to the fine (z14) tiles in view; zoomed out it
+// listens to the coarse (z11) ones. Queries use `array-contains` on a single
+// key, which Firestore indexes automatically.
+
+import { collection, getDocs, writeBatch } from 'firebase/firestore'
+import { db } from './firebase.js'
+import { fromFirestorePath } from './snapping.js'
+
+export const FINE_TILE_ZOOM = 14
+export const COARSE_TILE_ZOOM = 11
+// Fine tiles (about 1.5 km across here) span 512 px at map zoom 15, so a screen
+// needs a dozen or so; further out the coarse tiles take over
+const FINE_VIEW_MIN_ZOOM = 15
+// Below this map zoom nothing is loaded at all
+export const MIN_LOAD_ZOOM = 11
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500
+
+const tileX = (lng, z) => Math.floor(((lng + 180) / 360) * 2 ** z)
+const tileY = (lat, z) => {
+  const rad = (lat * Math.PI) / 180
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z)
+}
+
+// Keys of the z-level tiles covering a lat/lng box
+function tilesForBox(south, west, north, east, z) {
+  const keys = []
+  const max = 2 ** z - 1
+  const clamp = (n) => Math.max(0, Math.min(max, n))
+  for (let x = clamp(tileX(west, z)); x <= clamp(tileX(east, z)); x++) {
+    // Tile y grows southwards
+    for (let y = clamp(tileY(north, z)); y <= clamp(tileY(south, z)); y++) {
+      keys.push(`${z}/${x}/${y}`)
+    }
+  }
+  return keys
+}
+
+/** Index keys for a path of [lat, lng] points, at both tile zoom levels. */
+export function tileKeysForPath(path) {
+  if (!path || path.length === 0) return []
+  const lats = path.map(pt => pt[0])
+  const lngs = path.map(pt => pt[1])
+  const [south, north, west, east] = [Math.min(...lats), Math.max(...lats), Math.min(...lngs), Math.max(...lngs)]
+  return [COARSE_TILE_ZOOM, FINE_TILE_ZOOM].flatMap(z => tilesForBox(south, west, north, east, z))
+}
+
+/**
+ * Tiles to subscribe to for a map view (`{ zoom, bounds }` with Leaflet
+ * LatLngBounds), or none when zoomed out too far.
+ */
+export function tilesForView({ zoom, bounds }) {
+  if (!bounds || zoom < MIN_LOAD_ZOOM) return []
+  const z = zoom >= FINE_VIEW_MIN_ZOOM ? FINE_TILE_ZOOM : COARSE_TILE_ZOOM
+  return tilesForBox(bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast(), z)
+}
+
+// Routes may detour a little outside the box spanned by their endpoints
+const ROUTE_PADDING_DEG = 0.01
+
+/**
+ * Coarse tiles covering the box around `points` ([lat, lng]), with some room
+ * around it: what the route planner needs loaded to search between them.
+ */
+export function tilesAroundPoints(points) {
+  if (points.length === 0) return []
+  const lats = points.map(pt => pt[0])
+  const lngs = points.map(pt => pt[1])
+  return tilesForBox(
+    Math.min(...lats) - ROUTE_PADDING_DEG, Math.min(...lngs) - ROUTE_PADDING_DEG,
+    Math.max(...lats) + ROUTE_PADDING_DEG, Math.max(...lngs) + ROUTE_PADDING_DEG,
+    COARSE_TILE_ZOOM
+  )
+}
+
+const sameKeys = (a, b) => Array.isArray(a) && a.length === b.length && a.every((key, i) => key === b[i])
+
+/**
+ * Write `tiles` onto every segment that is missing it (documents created
+ * before the index existed) or whose index no longer matches its path.
+ * Returns the number of documents updated.
+ */
+export async function backfillTileIndex() {
+  const snapshot = await getDocs(collection(db, 'segments'))
+  const updates = snapshot.docs
+    .map(d => ({ ref: d.ref, tiles: tileKeysForPath(fromFirestorePath(d.data().path)), current: d.data().tiles }))
+    .filter(({ tiles, current }) => !sameKeys(current, tiles))
+  for (let start = 0; start < updates.length; start += BATCH_SIZE) {
+    const batch = writeBatch(db)
+    updates.slice(start, start + BATCH_SIZE).forEach(({ ref, tiles }) => batch.update(ref, { tiles }))
+    await batch.commit()
+  }
+  return updates.length
+}
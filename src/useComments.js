@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react'
+import { query, orderBy, onSnapshot } from 'firebase/firestore'
+import { commentsOf, commentFromDoc } from './comments.js'
+
+/**
+ * A segment's comments, oldest first, kept live with `onSnapshot` for as long
+ * as the calling component is mounted. `comments` is null until the first
+ * snapshot arrives.
+ */
+export function useComments(segmentId) {
+  const [state, setState] = useState({ segmentId: null, comments: null, error: null })
+
+  useEffect(() => {
+    if (!segmentId) return undefined
+    const q = query(commentsOf(segmentId), orderBy('createdAt', 'asc'))
+    return onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+      setState({ segmentId, comments: snapshot.docs.map(commentFromDoc), error: null })
+    }, (err) => {
+      console.error('Comments listener error', segmentId, err)
+      setState({ segmentId, comments: null, error: err })
+    })
+  }, [segmentId])
+
+  // Ignore a previous segment's thread until the new one has loaded
+  return state.segmentId === segmentId ? state : { comments: null, error: null }
+}
@@ -0,0 +1,110 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { collection, query, where, onSnapshot } from 'firebase/firestore'
+import { db } from './firebase.js'
+import { fromFirestorePath, snapLinksFromStoredPath } from './snapping.js'
+import { normalizeAttributes } from './attributes.js'
+import { summarizeVotes } from './verification.js'
+import { normalizeObstruction } from './obstructions.js'
+
+// Tiles scrolled out of view stay subscribed (as a cache for panning back)
+// until there are more than this many listeners
+const MAX_TILE_SUBSCRIPTIONS = 60
+
+const toDate = (value) => (value && value.toDate ? value.toDate() : value)
+
+/** Firestore segment document -> the segment shape used throughout the app. */
+export function segmentFromDoc(d) {
+  const data = d.data()
+  const rawPath = data.path || []
+  return {
+    ...data,
+    path: fromFirestorePath(rawPath),
+    snapLinks: snapLinksFromStoredPath(rawPath),
+    attributes: normalizeAttributes(data.attributes),
+    verification: summarizeVotes(data),
+    obstruction: normalizeObstruction(data.obstruction),
+    createdAt: toDate(data.createdAt),
+    surveyedAt: toDate(data.surveyedAt),
+    id: d.id,
+    // Metadata changes tell us when a locally written document is committed
+    pending: d.metadata.hasPendingWrites,
+  }
+}
+
+/**
+ * Segments in the given index tiles (see tiles.js), kept in sync with one
+ * `onSnapshot` listener per tile. Returns `{ segments, error }`, where `error`
+ * is the last listener failure until a tile hears from the server again.
+ *
+ * Only changed documents are re-mapped, so unchanged segments keep their
+ * object identity across snapshots; the map renderer relies on that to update
+ * polylines individually.
+ */
+export function useSegmentTiles(tileKeys) {
+  const [segments, setSegments] = useState([])
+  const [error, setError] = useState(null)
+  // key -> { docs: Map(id -> segment), unsubscribe, lastWanted }
+  const tilesRef = useRef(new Map())
+
+  const publish = useCallback(() => {
+    const merged = new Map()
+    tilesRef.current.forEach(tile => tile.docs.forEach((seg, id) => merged.set(id, seg)))
+    setSegments(Array.from(merged.values()))
+  }, [])
+
+  useEffect(() => {
+    const tiles = tilesRef.current
+    const stamp = Date.now()
+    tileKeys.forEach(key => {
+      const existing = tiles.get(key)
+      if (existing) {
+        existing.lastWanted = stamp
+        return
+      }
+      const tile = { docs: new Map(), lastWanted: stamp, unsubscribe: () => {} }
+      try {
+        const q = query(collection(db, 'segments'), where('tiles', 'array-contains', key))
+        tile.unsubscribe = onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+          snapshot.docChanges({ includeMetadataChanges: true }).forEach(change => {
+            if (change.type === 'removed') tile.docs.delete(change.doc.id)
+            else tile.docs.set(change.doc.id, segmentFromDoc(change.doc))
+          })
+          publish()
+          if (!snapshot.metadata.fromCache) setError(null)
+        }, (err) => {
+          console.error('Firestore listener error', key, err)
+          setError(err)
+          // A failed listener is closed; forget the tile so it's subscribed
+          // again the next time it comes into view
+          if (tiles.get(key) === tile) tiles.delete(key)
+          publish()
+        })
+      } catch (err) {
+        console.error('Failed to subscribe to Firestore', key, err)
+      }
+      tiles.set(key, tile)
+    })
+
+    const wanted = new Set(tileKeys)
+    const stale = Array.from(tiles.entries())
+      .filter(([key]) => !wanted.has(key))
+      .sort((a, b) => a[1].lastWanted - b[1].lastWanted)
+    const evicted = stale.slice(0, Math.max(0, tiles.size - MAX_TILE_SUBSCRIPTIONS))
+    evicted.forEach(([key, tile]) => {
+      tile.unsubscribe()
+      tiles.delete(key)
+    })
+    // Outside the render that asked for the new tiles
+    if (evicted.length > 0) queueMicrotask(publish)
+  }, [tileKeys, publish])
+
+  useEffect(() => {
+    const tiles = tilesRef.current
+    return () => {
+      tiles.forEach(tile => tile.unsubscribe())
+      tiles.clear()
+    }
+  }, [])
+
+  return { segments, error }
+}
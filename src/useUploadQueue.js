@@ -0,0 +1,195 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { doc, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore'
+import { db } from './firebase.js'
+import { loadQueue, saveQueuedItem, removeQueuedItem } from './offlineStore.js'
+import { toFirestorePath } from './snapping.js'
+import { uploadPhotos } from './photos.js'
+import { tileKeysForPath } from './tiles.js'
+
+const BASE_RETRY_MS = 5000
+const MAX_RETRY_MS = 5 * 60 * 1000
+// An upload (photos included) that has not been acknowledged by then counts as
+// a failed attempt
+const UPLOAD_TIMEOUT_MS = 60000
+
+const backoffDelay = (attempts) => {
+  const delay = Math.min(MAX_RETRY_MS, BASE_RETRY_MS * 2 ** Math.max(0, attempts - 1))
+  return delay * (0.8 + Math.random() * 0.4)
+}
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => {
+    const err = new Error('Upload timed out')
+    err.code = 'timeout'
+    reject(err)
+  }, ms)),
+])
+
+// The segment's client id doubles as the Firestore document id, so retrying an
+// upload that actually went through overwrites the same document instead of
+// creating a duplicate. Photos go to Storage first (under stable paths, for the
+// same reason) and the document only references them.
+export const uploadSegment = async ({ snapLinks, photos, ...segment }) => setDoc(doc(db, 'segments', segment.id), {
+  ...segment,
+  path: toFirestorePath(segment.path, snapLinks),
+  tiles: tileKeysForPath(segment.path),
+  photos: await uploadPhotos(segment.id, photos),
+  createdAt: serverTimestamp(),
+})
+
+// Firestore keeps a write it has accepted even after `withTimeout` gave up on
+// it, so discarding an item that was ever attempted deletes the document too.
+// Denied means the write never landed.
+const deleteDiscarded = (id) => deleteDoc(doc(db, 'segments', id)).catch(err => {
+  if (err.code !== 'permission-denied') console.error('Failed to delete discarded upload', err)
+})
+
+const isWaiting = (item) => item.status !== 'acknowledged'
+
+/**
+ * Contributions waiting to reach Firestore, persisted in IndexedDB.
+ *
+ * Items are uploaded with exponential backoff and retried immediately when the
+ * browser comes back online. Once the server has acknowledged the write (when
+ * `setDoc` resolves) an item is marked 'acknowledged' and stays, so the map
+ * keeps drawing it, until `syncedSegments` (what the listeners deliver) has its
+ * document.
+ */
+export function useUploadQueue(syncedSegments) {
+  const [queue, setQueue] = useState([])
+  const queueRef = useRef(queue)
+  const inFlightRef = useRef(new Set())
+  // Discarded while an attempt was running; deleted once it settles
+  const discardedRef = useRef(new Set())
+
+  useEffect(() => {
+    queueRef.current = queue
+  }, [queue])
+
+  const updateItem = useCallback((localId, patch) => {
+    const current = queueRef.current.find(item => item.localId === localId)
+    if (!current) return
+    const next = { ...current, ...patch }
+    queueRef.current = queueRef.current.map(item => (item.localId === localId ? next : item))
+    setQueue(queueRef.current)
+    saveQueuedItem(next).catch(err => console.error('Failed to persist queued upload', err))
+  }, [])
+
+  const dropItem = useCallback((localId) => {
+    queueRef.current = queueRef.current.filter(item => item.localId !== localId)
+    setQueue(queueRef.current)
+    removeQueuedItem(localId).catch(err => console.error('Failed to remove queued upload', err))
+  }, [])
+
+  const attempt = useCallback(async (item) => {
+    if (inFlightRef.current.has(item.localId) || !isWaiting(item)) return
+    inFlightRef.current.add(item.localId)
+    updateItem(item.localId, { attempted: true })
+    try {
+      await withTimeout(uploadSegment(item.segment), UPLOAD_TIMEOUT_MS)
+      updateItem(item.localId, { status: 'acknowledged', lastError: null })
+    } catch (err) {
+      console.error('Queued upload failed', err)
+      const attempts = item.attempts + 1
+      updateItem(item.localId, {
+        status: 'failed',
+        attempts,
+        lastError: err.code || err.message || 'unknown',
+        nextAttemptAt: Date.now() + backoffDelay(attempts),
+      })
+    } finally {
+      inFlightRef.current.delete(item.localId)
+      if (discardedRef.current.delete(item.localId)) deleteDiscarded(item.segment.id)
+    }
+  }, [updateItem])
+
+  const processDue = useCallback(() => {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return
+    const now = Date.now()
+    queueRef.current
+      .filter(item => isWaiting(item) && item.nextAttemptAt <= now)
+      .forEach(attempt)
+  }, [attempt])
+
+  // The listeners have delivered the document: the map draws it from there
+  useEffect(() => {
+    const synced = new Set(syncedSegments.filter(seg => !seg.pending).map(seg => seg.id))
+    const done = queueRef.current.filter(item => !isWaiting(item) && synced.has(item.segment.id))
+    if (done.length === 0) return
+    // Outside the render that delivered the segments
+    queueMicrotask(() => done.forEach(item => dropItem(item.localId)))
+  }, [syncedSegments, dropItem])
+
+  // Restore whatever was left over from a previous session. Items the server
+  // already acknowledged are in Firestore for good and load with their tiles.
+  useEffect(() => {
+    loadQueue()
+      .then(items => {
+        items.filter(item => !isWaiting(item)).forEach(item => {
+          removeQueuedItem(item.localId).catch(err => console.error('Failed to remove queued upload', err))
+        })
+        const restored = items.filter(isWaiting).map(item => ({ ...item, nextAttemptAt: Date.now() }))
+        queueRef.current = restored
+        setQueue(restored)
+        processDue()
+      })
+      .catch(err => console.error('Failed to load upload queue', err))
+  }, [processDue])
+
+  // Schedule the next retry
+  useEffect(() => {
+    const waiting = queue.filter(isWaiting)
+    if (waiting.length === 0) return
+    const soonest = Math.min(...waiting.map(item => item.nextAttemptAt))
+    const timer = setTimeout(processDue, Math.max(0, soonest - Date.now()))
+    return () => clearTimeout(timer)
+  }, [queue, processDue])
+
+  // Retry everything straight away when connectivity returns
+  useEffect(() => {
+    const handleOnline = () => {
+      queueRef.current.forEach(item => updateItem(item.localId, { nextAttemptAt: Date.now() }))
+      processDue()
+    }
+    window.addEventListener('online', handleOnline)
+    return () => window.removeEventListener('online', handleOnline)
+  }, [processDue, updateItem])
+
+  const enqueue = useCallback(async (segment) => {
+    const item = {
+      localId: segment.id,
+      segment,
+      status: 'pending',
+      attempted: false,
+      attempts: 0,
+      lastError: null,
+      queuedAt: Date.now(),
+      nextAttemptAt: Date.now(),
+    }
+    queueRef.current = [...queueRef.current, item]
+    setQueue(queueRef.current)
+    try {
+      await saveQueuedItem(item)
+    } catch (err) {
+      // Still upload from memory; it just won't survive a reload
+      console.error('Failed to persist upload to IndexedDB', err)
+    }
+    attempt(item)
+  }, [attempt])
+
+  const retryNow = useCallback((localId) => {
+    const item = queueRef.current.find(i => i.localId === localId)
+    if (item) attempt(item)
+  }, [attempt])
+
+  const discard = useCallback((localId) => {
+    const item = queueRef.current.find(i => i.localId === localId)
+    if (!item) return
+    dropItem(localId)
+    if (inFlightRef.current.has(localId)) discardedRef.current.add(localId)
+    else if (item.attempted) deleteDiscarded(item.segment.id)
+  }, [dropItem])
+
+  return { queue, enqueue, discard, retryNow }
+}
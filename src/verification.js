@@ -0,0 +1,54 @@
+// Community verification of segment ratings.
+//
+// Votes live on the segment document as a `votes` map keyed by voter uid, so
+// each user has at most one vote per segment and the normal `segments` snapshot
+// carries them:
+//
+//   votes: { [uid]: { vote: 'confirm' | 'dispute', category, votedAt } }
+//
+// `category` is the rating the voter stands behind: the segment's category at
+// the time for a confirm, the suggested one for a dispute. Keeping it on the
+// vote means an owner changing the category later doesn't turn old confirms
+// into confirms of something else.
+
+// Share of votes against the consensus above which a segment counts as contested
+const CONTESTED_SHARE = 1 / 3
+
+/**
+ * Summarize a segment's votes. The author's original rating counts as one
+ * vote. Returns:
+ *  - tally: votes per category
+ *  - total, confirms, disputes (excluding the author's implicit vote)
+ *  - consensus: the category with most votes (ties keep the stored category)
+ *  - confidence: 0..1, support for the consensus shrunk towards 0 for small
+ *    samples (an unreviewed segment scores 0.5)
+ *  - status: 'unverified' (nobody else has voted), 'contested' or 'verified'
+ */
+export function summarizeVotes(seg) {
+  const tally = { [seg.category]: 1 }
+  let confirms = 0
+  let disputes = 0
+  Object.entries(seg.votes || {}).forEach(([uid, v]) => {
+    if (!v || uid === seg.author_uid || !v.category) return
+    tally[v.category] = (tally[v.category] || 0) + 1
+    if (v.vote === 'dispute') disputes++
+    else confirms++
+  })
+
+  const total = Object.values(tally).reduce((sum, n) => sum + n, 0)
+  let consensus = seg.category
+  Object.entries(tally).forEach(([category, n]) => {
+    if (n > tally[consensus]) consensus = category
+  })
+  const support = tally[consensus]
+  const confidence = support / (total + 1)
+
+  let status = 'verified'
+  if (confirms + disputes === 0) status = 'unverified'
+  else if (consensus !== seg.category || (total - support) / total >= CONTESTED_SHARE) status = 'contested'
+
+  return { tally, total, confirms, disputes, consensus, confidence, status }
+}
+
+// The current user's vote on a segment, if any
+export const voteOf = (seg, uid) => (uid && seg.votes && seg.votes[uid]) || null
@@ -0,0 +1,46 @@
+// GPS "walk mode": recording a path from Geolocation API readings while
+// surveying on foot (or on wheels).
+//
+// Phone fixes wander by several meters even when standing still, so readings
+// are filtered before they join the path: imprecise fixes are dropped, as are
+// moves smaller than the fix's own error and jumps faster than anyone walks.
+// The finished track is simplified before it reaches the submission form.
+
+import { distanceMeters, simplifyPath } from './geo.js'
+
+// Fixes less precise than this are shown on the map but not recorded
+export const MAX_ACCURACY_M = 20
+
+// Smallest move worth a new point, however good the fix
+const MIN_STEP_M = 3
+
+// A brisk walk or a power wheelchair; anything faster is a bad fix
+const MAX_SPEED_MPS = 4
+
+const SIMPLIFY_TOLERANCE_M = 2
+
+export const WATCH_OPTIONS = { enableHighAccuracy: true, maximumAge: 0, timeout: 30000 }
+
+/** GeolocationPosition -> `{ point: [lat, lng], accuracy, time }`. */
+export const readingFromPosition = (position) => ({
+  point: [position.coords.latitude, position.coords.longitude],
+  accuracy: position.coords.accuracy,
+  time: position.timestamp,
+})
+
+/**
+ * Whether `reading` should be appended to a track whose last recorded reading
+ * is `last` (null at the start, or after a pause).
+ */
+export function acceptReading(last, reading) {
+  if (!Number.isFinite(reading.accuracy) || reading.accuracy > MAX_ACCURACY_M) return false
+  if (!last) return true
+  const moved = distanceMeters(last.point, reading.point)
+  // Movement within the fix's own error is jitter
+  if (moved < Math.max(MIN_STEP_M, reading.accuracy / 2)) return false
+  const seconds = (reading.time - last.time) / 1000
+  return seconds <= 0 || moved / seconds <= MAX_SPEED_MPS
+}
+
+/** The recorded track as it should be submitted. */
+export const simplifyTrack = (path) => simplifyPath(path, SIMPLIFY_TOLERANCE_M)
@@ -0,0 +1,75 @@
+// Minimal ZIP writer for data exports. Entries are stored uncompressed: the
+// payload is mostly JPEGs, which would not shrink anyway, and it keeps this
+// free of a compression dependency.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  }
+}
+
+function header(size, fields) {
+  const bytes = new Uint8Array(size)
+  const view = new DataView(bytes.buffer)
+  fields.forEach(([offset, bits, value]) => {
+    if (bits === 32) view.setUint32(offset, value, true)
+    else view.setUint16(offset, value, true)
+  })
+  return bytes
+}
+
+/**
+ * Build a ZIP archive. `files` is a list of `{ name, data }` where `data` is a
+ * string, Blob or Uint8Array; names may contain `/` for folders.
+ */
+export async function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder()
+  const { time, date } = dosDateTime(modified)
+  const parts = []
+  const central = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = typeof file.data === 'string'
+      ? encoder.encode(file.data)
+      : file.data instanceof Uint8Array ? file.data : new Uint8Array(await file.data.arrayBuffer())
+    const crc = crc32(data)
+    // Bit 11: names are UTF-8
+    const common = [[6, 16, 0x0800], [8, 16, 0], [10, 16, time], [12, 16, date], [14, 32, crc], [18, 32, data.length], [22, 32, data.length], [26, 16, name.length]]
+    const local = header(30, [[0, 32, 0x04034b50], [4, 16, 20], ...common])
+    parts.push(local, name, data)
+    central.push(header(46, [
+      [0, 32, 0x02014b50], [4, 16, 20], [6, 16, 20],
+      ...common.map(([o, bits, value]) => [o + 2, bits, value]),
+      [42, 32, offset],
+    ]), name)
+    offset += local.length + name.length + data.length
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0)
+  const end = header(22, [
+    [0, 32, 0x06054b50],
+    [8, 16, files.length], [10, 16, files.length],
+    [12, 32, centralSize], [16, 32, offset],
+  ])
+  return new Blob([...parts, ...central, end], { type: 'application/zip' })
+}
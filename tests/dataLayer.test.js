@@ -0,0 +1,224 @@
+// The app's own data-layer functions, signed in through the Auth emulator and
+// writing through the rules. Accounts use email and password, which the rules
+// treat like any other non-guest sign-in.
+
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest'
+import { doc, getDoc, getDocs, setDoc, updateDoc, serverTimestamp } from 'firebase/firestore'
+import { createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut } from 'firebase/auth'
+import { db, auth } from '../src/firebase.js'
+import { ensureGuestSession, isGuest } from '../src/signIn.js'
+import { uploadSegment } from '../src/useUploadQueue.js'
+import { segmentFromDoc } from '../src/useSegmentTiles.js'
+import { addComment, editComment, deleteComment, commentsOf, commentFromDoc } from '../src/comments.js'
+import { mergeSegments, markDistinct, pairKey } from '../src/conflicts.js'
+import { deleteAccount, fetchContributions, ANONYMIZED_AUTHOR } from '../src/account.js'
+import { saveMobilityProfile, fetchMobilityProfile, MOBILITY_PRESETS, NO_LIMITS } from '../src/mobility.js'
+import { createTestEnvironment, clearAuth, ithacaPath } from './emulators.js'
+
+let testEnv
+
+const PASSWORD = 'correct-horse'
+
+// Both leave `name` signed in
+const signUp = async (name) => (await createUserWithEmailAndPassword(auth, `${name}@example.com`, PASSWORD)).user
+const signIn = async (name) => (await signInWithEmailAndPassword(auth, `${name}@example.com`, PASSWORD)).user
+
+// A new segment the way submitSegment queues it
+const newSegment = (id, user, overrides = {}) => ({
+  id,
+  path: ithacaPath,
+  snapLinks: {},
+  category: 'accessible',
+  attributes: {},
+  note: '',
+  photos: [],
+  surveyedAt: null,
+  createdAt: new Date(),
+  author_uid: user.uid,
+  author_name: user.displayName || null,
+  ...overrides,
+})
+
+const loadSegment = async (id) => segmentFromDoc(await getDoc(doc(db, 'segments', id)))
+
+const loadComments = async (segmentId) => (await getDocs(commentsOf(segmentId))).docs.map(commentFromDoc)
+
+const errorCode = (promise) => promise.then(() => null, err => err.code)
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment()
+})
+
+beforeEach(async () => {
+  await signOut(auth)
+  await clearAuth()
+  await testEnv.clearFirestore()
+})
+
+afterAll(async () => {
+  await signOut(auth)
+  await testEnv.cleanup()
+})
+
+describe('guest sessions', () => {
+  it('saves contributions under an anonymous account', async () => {
+    const guest = await ensureGuestSession()
+    expect(isGuest(guest)).toBe(true)
+    expect(await ensureGuestSession()).toBe(guest)
+
+    await uploadSegment(newSegment('s1', guest))
+    const seg = await loadSegment('s1')
+    expect(seg.author_uid).toBe(guest.uid)
+    expect(seg.path).toEqual(ithacaPath)
+    expect(seg.createdAt).toBeInstanceOf(Date)
+  })
+})
+
+describe('uploading segments', () => {
+  it('lets a retried upload overwrite the same document', async () => {
+    const alice = await signUp('alice')
+    await uploadSegment(newSegment('s1', alice))
+    await uploadSegment(newSegment('s1', alice))
+    expect((await loadSegment('s1')).author_uid).toBe(alice.uid)
+  })
+
+  it('refuses segments that break the schema', async () => {
+    const alice = await signUp('alice')
+    expect(await errorCode(uploadSegment(newSegment('s1', alice, { category: 'great' })))).toBe('permission-denied')
+    expect(await errorCode(uploadSegment(newSegment('s2', alice, { note: 'x'.repeat(2001) })))).toBe('permission-denied')
+    expect(await errorCode(uploadSegment(newSegment('s3', alice, { image: 'data:image/jpeg;base64,AAAA' })))).toBe('permission-denied')
+  })
+
+  it('keeps other users from editing', async () => {
+    const alice = await signUp('alice')
+    await uploadSegment(newSegment('s1', alice))
+    await signUp('bob')
+    expect(await errorCode(updateDoc(doc(db, 'segments', 's1'), { category: 'not_accessible' }))).toBe('permission-denied')
+    expect(await errorCode(uploadSegment(newSegment('s1', alice)))).toBe('permission-denied')
+  })
+})
+
+describe('comments', () => {
+  it('keeps the comment count in step', async () => {
+    const alice = await signUp('alice')
+    await uploadSegment(newSegment('s1', alice))
+    const bob = await signUp('bob')
+
+    await addComment('s1', bob, { text: '  Blocked by a sign  ', photo: null })
+    let [comment] = await loadComments('s1')
+    expect(comment.text).toBe('Blocked by a sign')
+    expect((await loadSegment('s1')).commentCount).toBe(1)
+
+    await editComment('s1', comment.id, 'Sign is gone')
+    ;[comment] = await loadComments('s1')
+    expect(comment.text).toBe('Sign is gone')
+    expect(comment.editedAt).toBeInstanceOf(Date)
+
+    await deleteComment('s1', comment)
+    expect(await loadComments('s1')).toEqual([])
+    expect((await loadSegment('s1')).commentCount).toBe(0)
+  })
+
+  it('lets only the author edit a comment', async () => {
+    const alice = await signUp('alice')
+    await uploadSegment(newSegment('s1', alice))
+    await addComment('s1', alice, { text: 'Repaved in May', photo: null })
+    const [comment] = await loadComments('s1')
+    await signUp('bob')
+    expect(await errorCode(editComment('s1', comment.id, 'Spam'))).toBe('permission-denied')
+  })
+})
+
+describe('conflicts', () => {
+  it('merges an author\'s own segments, moving the thread but not other people\'s votes', async () => {
+    const bob = await signUp('bob')
+    const carol = await signUp('carol')
+    await signUp('alice')
+    await uploadSegment(newSegment('keep', auth.currentUser, { note: 'Smooth' }))
+    await uploadSegment(newSegment('remove', auth.currentUser, { category: 'partial', note: 'Cracked' }))
+    await testEnv.withSecurityRulesDisabled(context => updateDoc(doc(context.firestore(), 'segments/remove'), {
+      [`votes.${bob.uid}`]: { vote: 'confirm', category: 'partial', votedAt: new Date() },
+    }))
+    await signIn('carol')
+    await addComment('remove', carol, { text: 'Watch the roots', photo: null })
+    await signIn('alice')
+
+    await mergeSegments(await loadSegment('keep'), await loadSegment('remove'), 'partial')
+
+    const kept = await loadSegment('keep')
+    expect(kept.category).toBe('partial')
+    expect(kept.note).toBe('Smooth\n\nCracked')
+    expect(kept.votes || {}).toEqual({})
+    expect(kept.commentCount).toBe(1)
+    expect((await loadComments('keep')).map(c => c.author_uid)).toEqual([carol.uid])
+    expect((await getDoc(doc(db, 'segments', 'remove'))).exists()).toBe(false)
+  })
+
+  it('lets moderators merge anyone\'s segments with their votes', async () => {
+    const alice = await signUp('alice')
+    await uploadSegment(newSegment('keep', alice))
+    const bob = await signUp('bob')
+    await uploadSegment(newSegment('remove', bob, { category: 'not_accessible' }))
+    const mod = await signUp('mod')
+    await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), 'roles', mod.uid), { moderator: true }))
+
+    await mergeSegments(await loadSegment('keep'), await loadSegment('remove'), 'accessible', { moveVotes: true })
+    const kept = await loadSegment('keep')
+    // The removed segment's author keeps a say
+    expect(kept.votes[bob.uid]).toMatchObject({ vote: 'dispute', category: 'not_accessible' })
+  })
+
+  it('refuses a merge by someone who owns only one side', async () => {
+    const alice = await signUp('alice')
+    await uploadSegment(newSegment('a', alice))
+    const bob = await signUp('bob')
+    await uploadSegment(newSegment('b', bob, { category: 'partial' }))
+    expect(await errorCode(mergeSegments(await loadSegment('b'), await loadSegment('a'), 'partial'))).toBe('permission-denied')
+    expect((await getDoc(doc(db, 'segments', 'a'))).exists()).toBe(true)
+  })
+
+  it('lets the author of either segment mark a pair distinct', async () => {
+    const alice = await signUp('alice')
+    await uploadSegment(newSegment('a', alice))
+    const bob = await signUp('bob')
+    await uploadSegment(newSegment('b', bob, { category: 'partial' }))
+
+    await markDistinct(await loadSegment('a'), await loadSegment('b'), bob)
+    const resolution = await getDoc(doc(db, 'conflictResolutions', pairKey('a', 'b')))
+    expect(resolution.data()).toMatchObject({ segmentIds: ['a', 'b'], resolution: 'distinct', resolvedBy: bob.uid })
+  })
+})
+
+describe('mobility profiles', () => {
+  it('saves a profile and reads it back normalized', async () => {
+    const alice = await signUp('alice')
+    expect(await fetchMobilityProfile(alice)).toBe(null)
+    const stroller = MOBILITY_PRESETS.find(p => p.id === 'stroller')
+    await saveMobilityProfile(alice.uid, { preset: 'stroller', limits: { ...stroller.limits, minClearWidth: '1.2' } })
+    expect(await fetchMobilityProfile(alice)).toEqual({ preset: 'stroller', limits: { ...stroller.limits, minClearWidth: 1.2 } })
+  })
+
+  it('keeps profiles private', async () => {
+    const alice = await signUp('alice')
+    await saveMobilityProfile(alice.uid, { preset: null, limits: NO_LIMITS })
+    await signUp('bob')
+    // Read failures fall back to no profile rather than throwing
+    expect(await fetchMobilityProfile(alice)).toBe(null)
+  })
+})
+
+describe('deleting an account', () => {
+  it('anonymizes kept contributions and removes votes', async () => {
+    const alice = await signUp('alice')
+    await uploadSegment(newSegment('s1', alice))
+    const bob = await signUp('bob')
+    await uploadSegment(newSegment('s2', bob))
+    await updateDoc(doc(db, 'segments', 's1'), { [`votes.${bob.uid}`]: { vote: 'confirm', category: 'accessible', votedAt: serverTimestamp() } })
+
+    await deleteAccount(bob, { contributions: 'anonymize' })
+    expect(auth.currentUser).toBe(null)
+    expect((await loadSegment('s2')).author_uid).toBe(ANONYMIZED_AUTHOR)
+    expect((await loadSegment('s1')).votes).toEqual({})
+    expect(await fetchContributions(bob.uid)).toEqual([])
+  })
+})
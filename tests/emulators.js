@@ -0,0 +1,80 @@
+// Shared setup for the emulator tests. `npm test` starts the Firestore, Auth and
+// Storage emulators (ports in firebase.json) and runs vitest against them; the
+// project id and emulator flags the app's firebase.js reads are set in
+// vite.config.js.
+
+import { readFileSync } from 'node:fs'
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing'
+import { serverTimestamp } from 'firebase/firestore'
+import { tileKeysForPath } from '../src/tiles.js'
+import { renderRules, readRulesSource } from '../scripts/firestore-rules.js'
+
+export const PROJECT_ID = 'demo-accessmap'
+
+// The bucket the app uploads to (set in vite.config.js), which the rules get
+// filled in the way a deploy fills in the project's own
+export const STORAGE_BUCKET = import.meta.env.VITE_FIREBASE_STORAGE_BUCKET
+
+const AUTH_EMULATOR = 'http://127.0.0.1:9099'
+
+const withoutUndefined = (data) => Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined))
+
+export const ithacaPath = [[42.4406, -76.4966], [42.4409, -76.4958]]
+
+/** Rules test environment with the repo's Firestore and Storage rules loaded. */
+export const createTestEnvironment = () => initializeTestEnvironment({
+  projectId: PROJECT_ID,
+  firestore: {
+    rules: renderRules(readRulesSource(), STORAGE_BUCKET),
+    host: '127.0.0.1',
+    port: 8080,
+  },
+  storage: {
+    rules: readFileSync(new URL('../storage.rules', import.meta.url), 'utf8'),
+    host: '127.0.0.1',
+    port: 9199,
+  },
+})
+
+/** Remove every account from the Auth emulator. */
+export async function clearAuth() {
+  const response = await fetch(`${AUTH_EMULATOR}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' })
+  if (!response.ok) throw new Error(`Failed to clear the Auth emulator: ${response.status}`)
+}
+
+/**
+ * A path segment as `submitSegment` writes it, for `author`. Overrides set to
+ * undefined leave the field out.
+ */
+export const segmentData = (id, author, overrides = {}) => withoutUndefined({
+  id,
+  path: ithacaPath.map(([lat, lng]) => ({ lat, lng })),
+  tiles: tileKeysForPath(ithacaPath),
+  category: 'accessible',
+  attributes: {},
+  note: '',
+  photos: [],
+  surveyedAt: null,
+  createdAt: serverTimestamp(),
+  author_uid: author,
+  author_name: null,
+  ...overrides,
+})
+
+const downloadUrl = (bucket, path) =>
+  `https://firebasestorage.googleapis.com/v0/b/${bucket}/o/${encodeURIComponent(path)}?alt=media&token=4f1c2b9e-0d3a-4e5f-8a7b-6c5d4e3f2a1b`
+
+/**
+ * A photo descriptor as `uploadPhoto` stores it, uploaded by `uid` to
+ * `segmentId`'s folder.
+ */
+export function photoData(id, uid, segmentId, { bucket = STORAGE_BUCKET } = {}) {
+  const path = `photos/${uid}/${segmentId}/${id}.jpg`
+  const thumbPath = `photos/${uid}/${segmentId}/${id}_thumb.jpg`
+  return { id, url: downloadUrl(bucket, path), thumbUrl: downloadUrl(bucket, thumbPath), path, thumbPath, width: 1600, height: 1200 }
+}
+
+// Token of a Google account, as opposed to the 'custom' default
+export const ACCOUNT = { firebase: { sign_in_provider: 'google.com' } }
+export const GUEST = { firebase: { sign_in_provider: 'anonymous' } }
+export const MODERATOR = { ...ACCOUNT, moderator: true }
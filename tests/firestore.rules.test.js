@@ -0,0 +1,400 @@
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest'
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing'
+import {
+  doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, writeBatch, serverTimestamp, deleteField, increment,
+  collectionGroup, query, where,
+} from 'firebase/firestore'
+import { ref, uploadBytes, deleteObject } from 'firebase/storage'
+import { createTestEnvironment, segmentData, photoData, STORAGE_BUCKET, ACCOUNT, GUEST, MODERATOR } from './emulators.js'
+
+let testEnv
+
+const as = (uid, token = ACCOUNT) => testEnv.authenticatedContext(uid, token).firestore()
+const anonymous = () => testEnv.unauthenticatedContext().firestore()
+
+// Write `data` at `path` bypassing the rules
+const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data))
+
+const comment = (author, overrides = {}) => ({
+  text: 'Curb cut is blocked by a sign',
+  author_uid: author,
+  author_name: null,
+  createdAt: serverTimestamp(),
+  ...overrides,
+})
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment()
+})
+
+beforeEach(async () => {
+  await testEnv.clearFirestore()
+})
+
+afterAll(async () => {
+  await testEnv.cleanup()
+})
+
+describe('creating segments', () => {
+  it('lets signed-in users and guests create their own', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), 'segments/s1'), segmentData('s1', 'alice')))
+    await assertSucceeds(setDoc(doc(as('guest', GUEST), 'segments/s2'), segmentData('s2', 'guest')))
+  })
+
+  it('rejects signed-out writes and writes in someone else\'s name', async () => {
+    await assertFails(setDoc(doc(anonymous(), 'segments/s1'), segmentData('s1', 'alice')))
+    await assertFails(setDoc(doc(as('mallory'), 'segments/s1'), segmentData('s1', 'alice')))
+  })
+
+  it('only accepts known categories and point types', async () => {
+    const db = as('alice')
+    await assertFails(setDoc(doc(db, 'segments/s1'), segmentData('s1', 'alice', { category: 'great' })))
+    await assertFails(setDoc(doc(db, 'segments/s2'), segmentData('s2', 'alice', { category: undefined })))
+    const point = { path: [{ lat: 42.44, lng: -76.49 }], category: undefined, attributes: undefined, geometry: 'point' }
+    await assertSucceeds(setDoc(doc(db, 'segments/p1'), segmentData('p1', 'alice', { ...point, pointType: 'bench' })))
+    await assertFails(setDoc(doc(db, 'segments/p2'), segmentData('p2', 'alice', { ...point, pointType: 'fountain' })))
+    await assertFails(setDoc(doc(db, 'segments/p3'), segmentData('p3', 'alice', { ...point, pointType: 'bench', category: 'accessible' })))
+  })
+
+  it('caps notes and photos and refuses inline images', async () => {
+    const db = as('alice')
+    await assertSucceeds(setDoc(doc(db, 'segments/s1'), segmentData('s1', 'alice', { note: 'x'.repeat(2000) })))
+    await assertFails(setDoc(doc(db, 'segments/s2'), segmentData('s2', 'alice', { note: 'x'.repeat(2001) })))
+    const photos = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6'].map(id => photoData(id, 'alice', 's3'))
+    await assertSucceeds(setDoc(doc(db, 'segments/s3'), segmentData('s3', 'alice', { photos: photos.slice(0, 5) })))
+    await assertFails(setDoc(doc(db, 'segments/s5'), segmentData('s5', 'alice', { photos })))
+    await assertFails(setDoc(doc(db, 'segments/s4'), segmentData('s4', 'alice', { image: 'data:image/jpeg;base64,AAAA' })))
+  })
+
+  it('only accepts photos stored in the configured bucket', async () => {
+    const db = as('alice')
+    const valid = photoData('p1', 'alice', 's1')
+    const create = (id, photo) => setDoc(doc(db, `segments/${id}`), segmentData(id, 'alice', { photos: [photo] }))
+    await assertSucceeds(create('s1', valid))
+    await assertFails(create('s2', { ...valid, url: 'https://evil.example/track.gif' }))
+    await assertFails(create('s3', { ...valid, thumbUrl: 'javascript:alert(1)' }))
+    await assertFails(create('s4', photoData('p1', 'alice', 's4', { bucket: 'someone-else.appspot.com' })))
+    await assertFails(create('s9', photoData('p1', 'alice', 's9', { bucket: `${STORAGE_BUCKET}.evil.example` })))
+    await assertFails(create('s5', { ...valid, url: photoData('p2', 'alice', 's1').url }))
+    await assertFails(create('s6', { ...valid, path: 'avatars/alice.jpg' }))
+    await assertFails(create('s7', { ...valid, tracking: 'x' }))
+    await assertFails(create('s8', { id: 'p1', url: valid.url }))
+  })
+
+  it('requires the server timestamp and a matching id', async () => {
+    const db = as('alice')
+    await assertFails(setDoc(doc(db, 'segments/s1'), segmentData('s1', 'alice', { createdAt: new Date() })))
+    await assertFails(setDoc(doc(db, 'segments/s2'), segmentData('other', 'alice')))
+  })
+
+  it('rejects votes, reports and moderation on a new document', async () => {
+    const db = as('alice')
+    await assertFails(setDoc(doc(db, 'segments/s1'), segmentData('s1', 'alice', { votes: { bob: { vote: 'confirm' } } })))
+    await assertFails(setDoc(doc(db, 'segments/s2'), segmentData('s2', 'alice', { moderation: { status: 'visible' } })))
+    await assertFails(setDoc(doc(db, 'segments/s3'), segmentData('s3', 'alice', { commentCount: 5 })))
+    await assertFails(setDoc(doc(db, 'segments/s4'), segmentData('s4', 'alice', { reportCount: 1 })))
+  })
+})
+
+describe('changing segments', () => {
+  beforeEach(async () => {
+    await seed('segments/s1', segmentData('s1', 'alice'))
+  })
+
+  it('lets only the author edit the content', async () => {
+    await assertSucceeds(updateDoc(doc(as('alice'), 'segments/s1'), { category: 'partial', note: 'Cracked', updatedAt: serverTimestamp() }))
+    await assertFails(updateDoc(doc(as('bob'), 'segments/s1'), { category: 'not_accessible' }))
+    await assertFails(updateDoc(doc(as('alice'), 'segments/s1'), { category: 'great' }))
+    await assertFails(updateDoc(doc(as('alice'), 'segments/s1'), { author_uid: 'bob' }))
+    await assertFails(updateDoc(doc(as('alice'), 'segments/s1'), { createdAt: new Date(0) }))
+  })
+
+  it('lets the author re-send an upload that already went through', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), 'segments/s1'), segmentData('s1', 'alice')))
+  })
+
+  it('only lets legacy images be removed', async () => {
+    await seed('segments/legacy', segmentData('legacy', 'alice', { image: 'data:image/jpeg;base64,AAAA' }))
+    await assertFails(updateDoc(doc(as('alice'), 'segments/legacy'), { image: 'data:image/jpeg;base64,BBBB' }))
+    await assertSucceeds(updateDoc(doc(as('alice'), 'segments/legacy'), { image: deleteField() }))
+  })
+
+  it('lets accounts edit legacy segments without an author, but not guests or anonymized ones', async () => {
+    await seed('segments/old', segmentData('old', undefined))
+    await seed('segments/anon', segmentData('anon', 'anonymized'))
+    await assertSucceeds(updateDoc(doc(as('bob'), 'segments/old'), { note: 'Repaved' }))
+    await assertFails(updateDoc(doc(as('guest', GUEST), 'segments/old'), { note: 'Spam' }))
+    await assertFails(deleteDoc(doc(as('guest', GUEST), 'segments/old')))
+    await assertFails(updateDoc(doc(as('bob'), 'segments/anon'), { note: 'Repaved' }))
+  })
+
+  it('lets the author anonymize their segment', async () => {
+    await assertSucceeds(updateDoc(doc(as('alice'), 'segments/s1'), { author_uid: 'anonymized', author_name: deleteField() }))
+    await assertFails(updateDoc(doc(as('alice'), 'segments/s1'), { note: 'Mine again' }))
+  })
+
+  it('lets others cast and withdraw only their own vote', async () => {
+    const vote = { vote: 'dispute', category: 'partial', votedAt: serverTimestamp() }
+    await assertSucceeds(updateDoc(doc(as('bob'), 'segments/s1'), { 'votes.bob': vote }))
+    await assertFails(updateDoc(doc(as('bob'), 'segments/s1'), { 'votes.carol': vote }))
+    await assertFails(updateDoc(doc(as('bob'), 'segments/s1'), { 'votes.bob': { ...vote, category: 'great' } }))
+    await assertFails(updateDoc(doc(as('alice'), 'segments/s1'), { 'votes.alice': vote }))
+    await assertFails(updateDoc(doc(as('guest', GUEST), 'segments/s1'), { 'votes.guest': vote }))
+    await assertSucceeds(updateDoc(doc(as('bob'), 'segments/s1'), { 'votes.bob': deleteField() }))
+  })
+
+  it('lets anyone signed in mark an obstruction as cleared, and nothing else', async () => {
+    await seed('segments/o1', segmentData('o1', 'alice', {
+      reportType: 'obstruction',
+      obstruction: { startsAt: new Date(), endsAt: null, clearedAt: null, clearedBy: null },
+    }))
+    await assertSucceeds(updateDoc(doc(as('bob'), 'segments/o1'), { 'obstruction.clearedAt': serverTimestamp(), 'obstruction.clearedBy': 'bob' }))
+    await assertFails(updateDoc(doc(as('carol'), 'segments/o1'), { 'obstruction.endsAt': new Date(), 'obstruction.clearedAt': serverTimestamp(), 'obstruction.clearedBy': 'carol' }))
+    await assertFails(updateDoc(doc(as('bob'), 'segments/s1'), { 'obstruction.clearedAt': serverTimestamp(), 'obstruction.clearedBy': 'bob' }))
+  })
+
+  it('lets moderators change moderation fields', async () => {
+    const moderation = { status: 'hidden', by: 'mod', at: serverTimestamp() }
+    await assertFails(updateDoc(doc(as('bob'), 'segments/s1'), { moderation }))
+    await assertSucceeds(updateDoc(doc(as('mod', MODERATOR), 'segments/s1'), { moderation }))
+    await seed('roles/carol', { moderator: true })
+    await assertSucceeds(updateDoc(doc(as('carol'), 'segments/s1'), { reportCount: 0 }))
+  })
+
+  it('lets the author and moderators delete', async () => {
+    await seed('segments/s2', segmentData('s2', 'alice'))
+    await assertFails(deleteDoc(doc(as('bob'), 'segments/s1')))
+    await assertFails(deleteDoc(doc(anonymous(), 'segments/s1')))
+    await assertSucceeds(deleteDoc(doc(as('alice'), 'segments/s1')))
+    await assertSucceeds(deleteDoc(doc(as('mod', MODERATOR), 'segments/s2')))
+  })
+})
+
+describe('comments', () => {
+  beforeEach(async () => {
+    await seed('segments/s1', segmentData('s1', 'alice', { commentCount: 1 }))
+    await seed('segments/s1/comments/c1', comment('bob', { createdAt: new Date() }))
+  })
+
+  it('lets accounts comment in their own name', async () => {
+    const db = as('carol')
+    const batch = writeBatch(db)
+    batch.set(doc(db, 'segments/s1/comments/c2'), comment('carol'))
+    batch.update(doc(db, 'segments/s1'), { commentCount: increment(1), lastCommentId: 'c2' })
+    await assertSucceeds(batch.commit())
+    await assertFails(setDoc(doc(db, 'segments/s1/comments/c3'), comment('bob')))
+    await assertFails(setDoc(doc(db, 'segments/s1/comments/c4'), comment('carol', { text: 'x'.repeat(1001) })))
+    await assertFails(setDoc(doc(as('guest', GUEST), 'segments/s1/comments/c5'), comment('guest')))
+    const photo = photoData('p1', 'carol', 's1')
+    await assertSucceeds(setDoc(doc(db, 'segments/s1/comments/c6'), comment('carol', { photo })))
+    await assertFails(setDoc(doc(db, 'segments/s1/comments/c7'), comment('carol', { photo: { ...photo, url: 'https://evil.example/p.jpg' } })))
+  })
+
+  it('only counts comments added or removed in the same batch, one at a time', async () => {
+    const db = as('carol')
+    await assertFails(updateDoc(doc(db, 'segments/s1'), { commentCount: 1000 }))
+    await assertFails(updateDoc(doc(db, 'segments/s1'), { commentCount: increment(1), lastCommentId: 'c9' }))
+    await assertFails(updateDoc(doc(db, 'segments/s1'), { commentCount: increment(-1), lastCommentId: 'c1' }))
+
+    const twice = writeBatch(db)
+    twice.set(doc(db, 'segments/s1/comments/c2'), comment('carol'))
+    twice.update(doc(db, 'segments/s1'), { commentCount: increment(2), lastCommentId: 'c2' })
+    await assertFails(twice.commit())
+
+    const bob = as('bob')
+    const removal = writeBatch(bob)
+    removal.delete(doc(bob, 'segments/s1/comments/c1'))
+    removal.update(doc(bob, 'segments/s1'), { commentCount: increment(-1), lastCommentId: 'c1' })
+    await assertSucceeds(removal.commit())
+  })
+
+  it('lets authors edit their text and nobody else', async () => {
+    await assertSucceeds(updateDoc(doc(as('bob'), 'segments/s1/comments/c1'), { text: 'Sign is gone', editedAt: serverTimestamp() }))
+    await assertFails(updateDoc(doc(as('carol'), 'segments/s1/comments/c1'), { text: 'Spam', editedAt: serverTimestamp() }))
+    await assertFails(updateDoc(doc(as('bob'), 'segments/s1/comments/c1'), { author_uid: 'carol' }))
+  })
+
+  it('lets the comment author, the segment author and moderators delete', async () => {
+    await seed('segments/s1/comments/c2', comment('bob', { createdAt: new Date() }))
+    await seed('segments/s1/comments/c3', comment('bob', { createdAt: new Date() }))
+    await assertFails(deleteDoc(doc(as('carol'), 'segments/s1/comments/c1')))
+    await assertSucceeds(deleteDoc(doc(as('bob'), 'segments/s1/comments/c1')))
+    await assertSucceeds(deleteDoc(doc(as('alice'), 'segments/s1/comments/c2')))
+    await assertSucceeds(deleteDoc(doc(as('mod', MODERATOR), 'segments/s1/comments/c3')))
+  })
+
+  it('only accepts moved comments that replace their original', async () => {
+    await seed('segments/s2', segmentData('s2', 'alice'))
+    let original
+    await testEnv.withSecurityRulesDisabled(async context => {
+      original = (await getDoc(doc(context.firestore(), 'segments/s1/comments/c1'))).data()
+    })
+    const db = as('alice')
+    // A copy alone would be a comment forged in bob's name
+    await assertFails(setDoc(doc(db, 'segments/s2/comments/c1'), { ...original, movedFrom: 's1' }))
+
+    const batch = writeBatch(db)
+    batch.set(doc(db, 'segments/s2/comments/c1'), { ...original, movedFrom: 's1' })
+    batch.delete(doc(db, 'segments/s1/comments/c1'))
+    await assertSucceeds(batch.commit())
+  })
+})
+
+describe('reports', () => {
+  const report = (author, overrides = {}) => ({
+    reason: 'spam',
+    details: '',
+    author_uid: author,
+    createdAt: serverTimestamp(),
+    ...overrides,
+  })
+
+  // The report and the count change together, as fileReport writes them
+  const fileReport = (db, uid, data = report(uid)) => {
+    const batch = writeBatch(db)
+    batch.set(doc(db, `segments/s1/reports/${uid}`), data)
+    batch.update(doc(db, 'segments/s1'), { reportCount: increment(1) })
+    return batch.commit()
+  }
+
+  beforeEach(async () => {
+    await seed('segments/s1', segmentData('s1', 'alice', { reportCount: 1 }))
+    await seed('segments/s1/reports/bob', report('bob', { createdAt: new Date() }))
+  })
+
+  it('lets accounts report a segment once, in their own name', async () => {
+    await assertSucceeds(fileReport(as('carol'), 'carol'))
+    await assertFails(fileReport(as('dave'), 'dave', report('dave', { reason: 'boring' })))
+    await assertFails(fileReport(as('dave'), 'dave', report('dave', { details: 'x'.repeat(501) })))
+    await assertFails(fileReport(as('dave'), 'erin', report('erin')))
+    await assertFails(fileReport(as('guest', GUEST), 'guest'))
+    // Changing your report doesn't count it again
+    await assertFails(fileReport(as('bob'), 'bob'))
+    await assertSucceeds(setDoc(doc(as('bob'), 'segments/s1/reports/bob'), report('bob', { reason: 'other' })))
+  })
+
+  it('only counts reports filed or withdrawn in the same batch', async () => {
+    const dave = as('dave')
+    await assertFails(updateDoc(doc(dave, 'segments/s1'), { reportCount: 0 }))
+    await assertFails(updateDoc(doc(dave, 'segments/s1'), { reportCount: increment(1) }))
+    await assertFails(updateDoc(doc(as('bob'), 'segments/s1'), { reportCount: increment(-1) }))
+
+    const bob = as('bob')
+    const withdrawal = writeBatch(bob)
+    withdrawal.delete(doc(bob, 'segments/s1/reports/bob'))
+    withdrawal.update(doc(bob, 'segments/s1'), { reportCount: increment(-1) })
+    await assertSucceeds(withdrawal.commit())
+  })
+
+  it('are only readable by moderators and the reporter', async () => {
+    await assertSucceeds(getDoc(doc(as('bob'), 'segments/s1/reports/bob')))
+    await assertSucceeds(getDoc(doc(as('mod', MODERATOR), 'segments/s1/reports/bob')))
+    await assertFails(getDoc(doc(as('alice'), 'segments/s1/reports/bob')))
+    await assertFails(getDoc(doc(anonymous(), 'segments/s1/reports/bob')))
+    await assertSucceeds(getDocs(query(collectionGroup(as('mod', MODERATOR), 'reports'))))
+    await assertSucceeds(getDocs(query(collectionGroup(as('bob'), 'reports'), where('author_uid', '==', 'bob'))))
+    await assertFails(getDocs(query(collectionGroup(as('alice'), 'reports'))))
+  })
+
+  it('lets the reporter and moderators delete', async () => {
+    await seed('segments/s1/reports/carol', report('carol', { createdAt: new Date() }))
+    await assertFails(deleteDoc(doc(as('alice'), 'segments/s1/reports/bob')))
+    await assertSucceeds(deleteDoc(doc(as('mod', MODERATOR), 'segments/s1/reports/bob')))
+    await assertSucceeds(deleteDoc(doc(as('carol'), 'segments/s1/reports/carol')))
+  })
+})
+
+describe('conflict resolutions', () => {
+  beforeEach(async () => {
+    await seed('segments/a', segmentData('a', 'alice'))
+    await seed('segments/b', segmentData('b', 'bob'))
+  })
+
+  const resolution = (uid) => ({ segmentIds: ['a', 'b'], resolution: 'distinct', resolvedBy: uid, resolvedAt: serverTimestamp() })
+
+  it('lets the author of either segment mark a pair distinct', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), 'conflictResolutions/a__b'), resolution('alice')))
+    await assertFails(setDoc(doc(as('carol'), 'conflictResolutions/a__b'), resolution('carol')))
+    await assertFails(setDoc(doc(as('bob'), 'conflictResolutions/b__a'), resolution('bob')))
+  })
+
+  it('leaves undoing a resolution to moderators', async () => {
+    await seed('conflictResolutions/a__b', { ...resolution('alice'), resolvedAt: new Date() })
+    await assertFails(deleteDoc(doc(as('alice'), 'conflictResolutions/a__b')))
+    await assertSucceeds(deleteDoc(doc(as('mod', MODERATOR), 'conflictResolutions/a__b')))
+  })
+})
+
+describe('mobility profiles', () => {
+  const profile = (limits = {}) => ({
+    preset: 'walker',
+    limits: { maxRunningSlope: 'moderate', minClearWidth: 0.8, missingCurbCutOk: false, avoidSurfaces: ['gravel'], ...limits },
+    updatedAt: serverTimestamp(),
+  })
+
+  it('are private to their owner, guests included', async () => {
+    await assertSucceeds(setDoc(doc(as('alice', GUEST), 'mobilityProfiles/alice'), profile()))
+    await assertSucceeds(getDoc(doc(as('alice', GUEST), 'mobilityProfiles/alice')))
+    await assertFails(getDoc(doc(as('bob'), 'mobilityProfiles/alice')))
+    await assertFails(setDoc(doc(as('bob'), 'mobilityProfiles/alice'), profile()))
+    await assertFails(deleteDoc(doc(as('bob'), 'mobilityProfiles/alice')))
+    await assertSucceeds(deleteDoc(doc(as('alice', GUEST), 'mobilityProfiles/alice')))
+  })
+
+  it('refuses limits that break the schema', async () => {
+    await assertFails(setDoc(doc(as('alice'), 'mobilityProfiles/alice'), profile({ maxRunningSlope: 'vertical' })))
+    await assertFails(setDoc(doc(as('alice'), 'mobilityProfiles/alice'), profile({ minClearWidth: 50 })))
+    await assertFails(setDoc(doc(as('alice'), 'mobilityProfiles/alice'), profile({ favouriteColor: 'red' })))
+    await assertFails(setDoc(doc(as('alice'), 'mobilityProfiles/alice'), { ...profile(), updatedAt: new Date(0) }))
+  })
+})
+
+describe('roles', () => {
+  it('can only be read by their user and never written', async () => {
+    await seed('roles/alice', { moderator: true })
+    await assertSucceeds(getDoc(doc(as('alice'), 'roles/alice')))
+    await assertFails(getDoc(doc(as('bob'), 'roles/alice')))
+    await assertFails(setDoc(doc(as('bob'), 'roles/bob'), { moderator: true }))
+  })
+})
+
+describe('photo files', () => {
+  const jpeg = (bytes) => new Uint8Array(bytes)
+  const storageAs = (uid, token = ACCOUNT) => testEnv.authenticatedContext(uid, token).storage()
+  const upload = (storage, path, bytes = 1024) => uploadBytes(ref(storage, path), jpeg(bytes), { contentType: 'image/jpeg' })
+  const remove = (storage, path) => deleteObject(ref(storage, path))
+
+  beforeEach(async () => {
+    await testEnv.clearStorage()
+  })
+
+  it('accepts JPEG uploads of a sensible size to your own folder', async () => {
+    const storage = storageAs('alice')
+    await assertSucceeds(upload(storage, 'photos/alice/s1/p1.jpg'))
+    await assertSucceeds(upload(storageAs('guest', GUEST), 'photos/guest/s2/p1.jpg'))
+    await assertFails(uploadBytes(ref(storage, 'photos/alice/s1/p2.png'), jpeg(1024), { contentType: 'image/png' }))
+    await assertFails(upload(storage, 'photos/alice/s1/p3.jpg', 6 * 1024 * 1024))
+    await assertFails(upload(storage, 'photos/bob/s1/p4.jpg'))
+    await assertFails(upload(storage, 'photos/s1/p5.jpg'))
+    await assertFails(upload(testEnv.unauthenticatedContext().storage(), 'photos/alice/s1/p6.jpg'))
+  })
+
+  it("doesn't let others replace or delete your photos", async () => {
+    await assertSucceeds(upload(storageAs('alice'), 'photos/alice/s1/p1.jpg'))
+    await assertFails(upload(storageAs('bob'), 'photos/alice/s1/p1.jpg'))
+    await assertFails(upload(storageAs('guest', GUEST), 'photos/alice/s1/p1.jpg'))
+    await assertFails(remove(storageAs('bob'), 'photos/alice/s1/p1.jpg'))
+    await assertFails(remove(storageAs('guest', GUEST), 'photos/alice/s1/p1.jpg'))
+    await assertSucceeds(upload(storageAs('alice'), 'photos/alice/s1/p1.jpg'))
+    await assertSucceeds(remove(storageAs('alice'), 'photos/alice/s1/p1.jpg'))
+  })
+
+  it("lets moderators delete anyone's photos", async () => {
+    await assertSucceeds(upload(storageAs('alice'), 'photos/alice/s1/p1.jpg'))
+    await assertSucceeds(upload(storageAs('alice'), 'photos/alice/s1/p2.jpg'))
+    await assertFails(upload(storageAs('mod', MODERATOR), 'photos/alice/s1/p1.jpg'))
+    await assertSucceeds(remove(storageAs('mod', MODERATOR), 'photos/alice/s1/p1.jpg'))
+    await seed('roles/carol', { moderator: true })
+    await assertSucceeds(remove(storageAs('carol'), 'photos/alice/s1/p2.jpg'))
+  })
+})
@@ -0,0 +1,24 @@
+// The deployable rules script: the bucket photo URLs are checked against is the
+// one the app is configured with. Needs no emulators.
+
+import { it, expect } from 'vitest'
+import { renderRules, readRulesSource, BUCKET_PLACEHOLDER } from '../scripts/firestore-rules.js'
+
+const bucketIn = (rules) => rules.match(/function storageBucket\(\) \{\s*return '([^']*)';/)[1]
+
+it('fills in the configured Storage bucket', () => {
+  const bucket = import.meta.env.VITE_FIREBASE_STORAGE_BUCKET
+  const rules = renderRules(readRulesSource(), bucket)
+  expect(bucketIn(rules)).toBe(bucket)
+  expect(rules).not.toContain(BUCKET_PLACEHOLDER)
+  expect(bucketIn(renderRules(readRulesSource(), 'accessmap-prod.appspot.com'))).toBe('accessmap-prod.appspot.com')
+})
+
+it('refuses a missing or malformed bucket', () => {
+  expect(() => renderRules(readRulesSource(), undefined)).toThrow(/VITE_FIREBASE_STORAGE_BUCKET/)
+  expect(() => renderRules(readRulesSource(), "x'; } function f() { return '")).toThrow()
+})
+
+it('leaves no bucket in the source to deploy by mistake', () => {
+  expect(bucketIn(readRulesSource())).toBe(BUCKET_PLACEHOLDER)
+})
@@ -0,0 +1,95 @@
+// Message catalogs against the source: every literal passed to t() or plural()
+// must be translated, with the same placeholders, and catalogs shouldn't keep
+// messages the app no longer shows. Text written straight into JSX never
+// reaches t(), so that is caught separately; string props (title="...") and
+// strings built outside t() still aren't. Needs no emulators.
+
+import { describe, it, expect } from 'vitest'
+import { readdirSync, readFileSync } from 'node:fs'
+import { Linter } from 'eslint'
+import { CATALOGS } from '../src/i18n.js'
+
+const SRC = new URL('../src/', import.meta.url)
+
+const STRING = String.raw`(['"])((?:\\.|(?!\1).)*)\1`
+const T_CALL = new RegExp(String.raw`\bt\(\s*${STRING}`, 'g')
+const PLURAL_CALL = new RegExp(String.raw`\bplural\([^'"]*?${STRING}\s*,\s*${STRING.replace(/1/g, '3')}`, 'g')
+
+const unescape = (literal) => literal.replace(/\\(.)/g, '$1')
+
+// i18n.js itself only passes variables through
+function sourceMessages() {
+  const messages = new Set()
+  readdirSync(SRC)
+    .filter(name => /\.jsx?$/.test(name) && name !== 'i18n.js')
+    .forEach(name => {
+      const code = readFileSync(new URL(name, SRC), 'utf8')
+      for (const match of code.matchAll(T_CALL)) messages.add(unescape(match[2]))
+      for (const match of code.matchAll(PLURAL_CALL)) {
+        messages.add(unescape(match[2]))
+        messages.add(unescape(match[4]))
+      }
+    })
+  return messages
+}
+
+// Names that read the same in every language
+const UNTRANSLATED_TEXT = ['C', 'AccessMap Ithaca', 'GeoJSON', 'CSV']
+
+// JSX text nodes with letters in them, as `file:line text`, found with an
+// ad-hoc ESLint rule so the JSX is really parsed
+function bareJsxText() {
+  const found = []
+  const rule = {
+    create: (context) => ({
+      JSXText(node) {
+        const text = node.value.trim()
+        if (/\p{L}/u.test(text) && !UNTRANSLATED_TEXT.includes(text)) context.report({ node, message: text })
+      },
+    }),
+  }
+  const config = [{
+    files: ['**/*.jsx'],
+    languageOptions: { parserOptions: { ecmaFeatures: { jsx: true } } },
+    plugins: { i18n: { rules: { 'jsx-text': rule } } },
+    rules: { 'i18n/jsx-text': 'error' },
+  }]
+  const linter = new Linter({ configType: 'flat' })
+  readdirSync(SRC)
+    .filter(name => name.endsWith('.jsx'))
+    .forEach(name => {
+      linter.verify(readFileSync(new URL(name, SRC), 'utf8'), config, { filename: name })
+        .forEach(({ line, message }) => found.push(`${name}:${line} ${message}`))
+    })
+  return found
+}
+
+const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort()
+
+const messages = sourceMessages()
+
+describe.each(Object.entries(CATALOGS))('%s catalog', (language, catalog) => {
+  it('translates every message', () => {
+    expect([...messages].filter(text => !catalog[text])).toEqual([])
+  })
+
+  it('keeps the placeholders', () => {
+    Object.entries(catalog).forEach(([text, translation]) => {
+      expect(placeholders(translation), text).toEqual(placeholders(text))
+    })
+  })
+
+  it('has no messages the app no longer uses', () => {
+    expect(Object.keys(catalog).filter(text => !messages.has(text))).toEqual([])
+  })
+})
+
+it('leaves no bare text in JSX', () => {
+  expect(bareJsxText()).toEqual([])
+})
+
+it('finds the messages', () => {
+  expect(messages.has('Delete account')).toBe(true)
+  expect(messages.has('{count} segments')).toBe(true)
+  expect(messages.has("The kept segment's rating")).toBe(true)
+})
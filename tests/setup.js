@@ -0,0 +1,5 @@
+import { vi } from 'vitest'
+
+// Leaflet needs a DOM as soon as it is imported. The data layer only pulls it
+// in through snapping.js, for map helpers these tests don't call.
+vi.mock('leaflet', () => ({ default: {} }))
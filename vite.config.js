@@ -4,4 +4,21 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // `npm test` runs vitest inside `firebase emulators:exec`; the app's
+  // firebase.js connects to the emulators through these
+  test: {
+    env: {
+      VITE_FIREBASE_API_KEY: 'demo-key',
+      VITE_FIREBASE_PROJECT_ID: 'demo-accessmap',
+      VITE_FIREBASE_STORAGE_BUCKET: 'demo-accessmap.appspot.com',
+      VITE_USE_FIRESTORE_EMULATOR: 'true',
+      VITE_USE_FIREBASE_AUTH_EMULATOR: 'true',
+      VITE_USE_STORAGE_EMULATOR: 'true',
+    },
+    include: ['tests/**/*.test.js'],
+    setupFiles: ['tests/setup.js'],
+    // The test files share one set of emulators
+    fileParallelism: false,
+    testTimeout: 20000,
+  },
 })